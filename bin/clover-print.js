@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * clover-print CLI entry point (see src/cli/index.js, or clover-print --help).
+ */
+
+const { run } = require('../src/cli');
+
+run(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -6,22 +6,93 @@
  */
 
 const express = require('express');
-const testPrintRouter = require('./src/routes/testPrint');
-const { PORT } = require('./src/config');
+const { mountApiRoutes, API_PREFIX } = require('./src/routes');
+const webhooksRouter = require('./src/routes/webhooks');
+const { authenticate, requireRole } = require('./src/middleware/auth');
+const { errorEnvelope } = require('./src/middleware/errorEnvelope');
+const { requestContext } = require('./src/middleware/requestContext');
+const { renderMetrics } = require('./src/services/metrics');
+const { createLogger, errorFields } = require('./src/utils/logger');
+const { startPrintWorker } = require('./src/services/printQueue');
+const { startDeviceHealthMonitor } = require('./src/services/deviceHealth');
+const { PORT, CLOVER_SIMULATOR, API_AUTH, API_ADMIN_KEY } = require('./src/config');
+
+const log = createLogger('Server');
+
+/** Logged at startup: the main routes, for a quick look (GET /api/v1/openapi.json lists them all). */
+const ROUTES = [
+  'POST /test-print – create order + print (body: { orderTypeId, tryAllDevices: true } or { deviceId })',
+  'POST /test-print/send-print – re-send print (body: { orderId, tryAllDevices: true })',
+  'POST /test-print/debug-print – debug no print (body: { orderId, tryAllDevices: true })',
+  '* /test-print/routing/rules – printer routing rules (POST /test-print/routing/preview to test)',
+  'GET /test-print/jobs – print job queue (GET /jobs/:id, POST /jobs/:id/retry|cancel)',
+  'GET /test-print/check – verify Clover connection',
+  'GET /test-print/readiness – go-live checklist with a tracked test print (?print=false to skip it)',
+  'GET /test-print/order-types – list order types (use same as Uber Eats/DoorDash)',
+  'GET /test-print/devices – list Clover devices',
+  'POST /test-print/discovery – find the device that prints (labelled ticket per device, then /confirm)',
+  'GET /test-print/devices/health – which devices actually print (success rate, silent/failing)',
+  'GET /test-print/history – print audit log (?orderId=&deviceId=&state=&from=&to=&format=csv)',
+  'GET /test-print/how-to-print – step-by-step Star printer setup',
+  'GET /test-print/verify/:orderId – re-check order',
+  '* /test-print/orders/:orderId – change orders: line items, discounts, note, unlock, fulfill, void (409 if the state forbids it)',
+  'GET /test-print/preview/:orderId – ticket preview without printing (?format=html|text|pdf|escpos|star)',
+  '* /test-print/lan-printer – LAN fallback printer for failed prints (POST /lan-printer/test to try it)',
+  '* /merchants – merchant registry (GET, POST, PATCH/DELETE /merchants/:key)',
+  'POST /oauth/authorize-link – Clover OAuth link for a browser (callback: /oauth/callback, POST /oauth/refresh)',
+  'POST /webhooks/clover – Clover webhook: auto-print new orders of WEBHOOK_PRINT_ORDER_TYPES',
+  '* /api-keys – API keys (roles read/print/admin, per merchant) and GET /api-keys/audit',
+  'GET /metrics – Prometheus metrics (Clover calls, retries, print events)',
+  'Other merchants: send header X-Merchant-Key: <key>, or use /merchants/:key/test-print/...',
+];
 
 const app = express();
-app.use(express.json());
-
-app.use('/test-print', testPrintRouter);
-
-app.listen(PORT, () => {
-  console.log(`Clover print test server listening on http://localhost:${PORT}`);
-  console.log('POST /test-print               – create order + print (body: { orderTypeId, tryAllDevices: true } or { deviceId })');
-  console.log('POST /test-print/send-print    – re-send print (body: { orderId, tryAllDevices: true })');
-  console.log('POST /test-print/debug-print   – debug no print (body: { orderId, tryAllDevices: true })');
-  console.log('GET  /test-print/check         – verify Clover connection');
-  console.log('GET  /test-print/order-types   – list order types (use same as Uber Eats/DoorDash)');
-  console.log('GET  /test-print/devices       – list Clover devices');
-  console.log('GET  /test-print/how-to-print  – step-by-step Star printer setup');
-  console.log('GET  /test-print/verify/:orderId – re-check order');
+// X-Request-Id on every request and response; log lines and Clover calls carry it.
+app.use(requestContext);
+app.use(API_PREFIX, errorEnvelope);
+// Keep the raw body for webhook signature checks.
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); } }));
+// API key, rate limit and call audit for everything but the Clover webhook and OAuth callback.
+app.use(authenticate);
+
+app.use('/webhooks', webhooksRouter);
+// Prometheus metrics: Clover call latency/status per endpoint, retries, print events by final state and device.
+app.get('/metrics', requireRole('read'), (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+// /api/v1/... and the original /test-print, /merchants, /api-keys, /oauth paths.
+mountApiRoutes(app);
+
+// Malformed JSON bodies and unexpected errors get a JSON response too.
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ success: false, error: `Body is not valid JSON: ${err.message}` });
+  }
+  log.error('Unhandled error', { method: req.method, path: req.originalUrl, error: err.message, stack: err.stack });
+  res.status(err.status || 500).json({ success: false, error: 'Internal server error.' });
+});
+
+/** With CLOVER_SIMULATOR=true the .env merchant talks to the local simulator, so start it first. */
+async function start() {
+  if (CLOVER_SIMULATOR) {
+    const { startSimulator } = require('./src/simulator');
+    await startSimulator();
+  }
+  app.listen(PORT, onListening);
+}
+
+function onListening() {
+  startPrintWorker();
+  startDeviceHealthMonitor();
+  log.info('Listening', { url: `http://localhost:${PORT}`, api: API_PREFIX, openApi: `${API_PREFIX}/openapi.json` });
+  log.info('Routes (the /test-print paths are aliases of the API v1 ones)', { routes: ROUTES });
+  if (!API_AUTH) log.warn('API_AUTH is off: anyone who can reach this port can create orders and print.');
+  else if (!API_ADMIN_KEY) log.info('API_AUTH is on: send Authorization: Bearer <key>. No API_ADMIN_KEY set – keys come from DATA_DIR/api-keys.json.');
+  else log.info('API_AUTH is on: send Authorization: Bearer <key> (API_ADMIN_KEY or a key from POST /api-keys).');
+  if (CLOVER_SIMULATOR) log.info('CLOVER_SIMULATOR=true: Clover calls go to the local simulator (control API: /_sim/state).');
+}
+
+start().catch((err) => {
+  log.error('Could not start', errorFields(err));
+  process.exit(1);
 });
@@ -0,0 +1,149 @@
+/**
+ * OpenAPI 3.1 document of the /api/v1 surface, generated from the mounted routers (src/routes/index.js)
+ * so it can't drift from the code: every route is listed, with its validate() summary and schemas,
+ * the role from requireRole(), X-Merchant-Key when it uses requireMerchant, and Idempotency-Key when idempotent().
+ * A route registered on several paths (e.g. ['/prints', '/']) is documented under the first one.
+ */
+
+const { requireMerchant } = require('../middleware/merchant');
+const { PUBLIC_PATHS } = require('../middleware/auth');
+const { version } = require('../../package.json');
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['success', 'error'],
+  properties: {
+    success: { const: false },
+    error: {
+      type: 'object',
+      required: ['code', 'message', 'status'],
+      properties: {
+        code: { type: 'string', description: 'validation_failed, unauthorized, forbidden, not_found, conflict, rate_limited, clover_<kind>, ...' },
+        message: { type: 'string' },
+        status: { type: 'integer' },
+        details: { type: 'array', items: { type: 'string' }, description: 'Validation messages.' },
+        hint: { type: 'string' },
+        step: { type: 'string', description: 'Which step failed, e.g. create_order, print_event.' },
+        clover: {
+          type: 'object',
+          properties: {
+            status: { type: ['integer', 'null'] },
+            kind: { type: ['string', 'null'] },
+            response: {},
+            attempts: { type: ['integer', 'null'] },
+          },
+        },
+      },
+    },
+  },
+};
+
+const errorResponse = (description) => ({ description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } });
+
+/** Express path → OpenAPI path: /jobs/:jobId → /jobs/{jobId}. */
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}') || '/';
+}
+
+/** getJobsByJobId, postPrints, ... */
+function operationId(method, path) {
+  const words = path.split('/').filter(Boolean).map((segment) => {
+    const param = /^\{(\w+)\}$/.exec(segment);
+    const word = (param ? param[1] : segment).replace(/[-_](\w)/g, (m, c) => c.toUpperCase());
+    return (param ? 'By' : '') + word.charAt(0).toUpperCase() + word.slice(1);
+  });
+  return method + words.join('');
+}
+
+function buildOperation(method, path, handlers, tag, isPublic) {
+  const doc = handlers.find((h) => h.apiDoc)?.apiDoc || {};
+  const role = handlers.find((h) => h.role)?.role;
+  const idempotencyScope = handlers.find((h) => h.idempotencyScope)?.idempotencyScope;
+  const parameters = [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({ name, in: 'path', required: true, schema: { type: 'string' } }));
+  if (handlers.includes(requireMerchant)) parameters.push({ $ref: '#/components/parameters/MerchantKey' });
+  if (idempotencyScope) parameters.push({ $ref: '#/components/parameters/IdempotencyKey' });
+  for (const [name, schema] of Object.entries(doc.query || {})) {
+    parameters.push({ name, in: 'query', required: false, schema, ...(schema.description ? { description: schema.description } : {}) });
+  }
+
+  const responses = { 200: { description: 'Success: { "success": true, ... }' } };
+  if (doc.body || doc.query) responses[400] = errorResponse('Invalid request body or query parameters (error.code validation_failed).');
+  if (!isPublic) {
+    responses[401] = { $ref: '#/components/responses/Unauthorized' };
+    responses[403] = { $ref: '#/components/responses/Forbidden' };
+    responses[429] = { $ref: '#/components/responses/RateLimited' };
+  }
+  responses.default = errorResponse('Error envelope.');
+
+  return {
+    operationId: operationId(method, path),
+    summary: doc.summary || `${method.toUpperCase()} ${path}`,
+    description: isPublic ? 'No API key needed.' : `Role: ${role || 'any'}.`,
+    tags: [tag],
+    ...(isPublic ? { security: [] } : {}),
+    ...(parameters.length ? { parameters } : {}),
+    ...(doc.body ? { requestBody: { required: true, content: { 'application/json': { schema: doc.body } } } } : {}),
+    responses,
+  };
+}
+
+/** The OpenAPI document for routes (API_ROUTES) mounted under prefix. */
+function buildOpenApiSpec(routes, prefix) {
+  const paths = {};
+  for (const { path: mountPath, router, tag } of routes) {
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+      const routePath = [].concat(layer.route.path)[0];
+      const path = toOpenApiPath(mountPath + (routePath === '/' ? '' : routePath));
+      const handlers = layer.route.stack.map((l) => l.handle);
+      for (const method of Object.keys(layer.route.methods)) {
+        const isPublic = PUBLIC_PATHS.includes(prefix + path);
+        paths[path] = { ...paths[path], [method]: buildOperation(method, path, handlers, tag, isPublic) };
+      }
+    }
+  }
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Clover Print API',
+      version,
+      description: `Create Clover orders and print them on the merchant's kitchen printer. The same routes are served without ${prefix} `
+        + 'under their original paths (/test-print/..., /merchants, /api-keys, /oauth), which keep the old error shape. '
+        + 'Merchant-scoped routes also take the merchant as a path prefix: /merchants/{merchantKey}/...',
+    },
+    servers: [{ url: prefix }],
+    security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+    tags: [...new Set(routes.map((r) => r.tag))].map((name) => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key (POST /api-keys, or API_ADMIN_KEY).' },
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      },
+      parameters: {
+        MerchantKey: {
+          name: 'X-Merchant-Key',
+          in: 'header',
+          required: false,
+          schema: { type: 'string' },
+          description: 'Merchant to use (default: the .env merchant). Or prefix the path with /merchants/{merchantKey}.',
+        },
+        IdempotencyKey: {
+          name: 'Idempotency-Key',
+          in: 'header',
+          required: false,
+          schema: { type: 'string', minLength: 1, maxLength: 255 },
+          description: 'A retry with the same key gets the first response instead of a second order/print.',
+        },
+      },
+      schemas: { Error: ERROR_SCHEMA },
+      responses: {
+        Unauthorized: errorResponse('Missing, unknown or revoked API key.'),
+        Forbidden: errorResponse("The key's role is too low or it has no access to the merchant."),
+        RateLimited: errorResponse('Rate limit exceeded; see Retry-After.'),
+      },
+    },
+  };
+}
+
+module.exports = { buildOpenApiSpec };
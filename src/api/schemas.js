@@ -0,0 +1,372 @@
+/**
+ * JSON Schemas of the request bodies (and documented query parameters) of the HTTP API.
+ * validate() (src/middleware/validate.js) checks bodies against them before the handler runs, and the
+ * OpenAPI document (src/api/openapi.js) embeds them. Rules that need more than one field at once
+ * (e.g. only one of deviceId / route / split) are check functions (src/utils/schema.js).
+ */
+
+const { CLOVER_REGIONS, BATCH_PRINT_MAX_ORDERS } = require('../config');
+const { ROLES } = require('../middleware/auth');
+const { COMMAND_SETS } = require('../services/lanPrint');
+const { OAUTH_BASE_URLS } = require('../services/oauth');
+const { MIN_WIDTH, MAX_WIDTH, PREVIEW_FORMATS } = require('../services/ticketRenderer');
+
+const MERCHANT_KEY_PATTERN = '^[a-z0-9][a-z0-9_-]{0,63}$';
+
+const id = (description) => ({ type: 'string', minLength: 1, description });
+const bool = (description) => ({ type: 'boolean', description });
+const stringList = (description) => ({ type: 'array', minItems: 1, items: { type: 'string', minLength: 1 }, description });
+const object = (properties, required = [], description) => ({
+  type: 'object',
+  ...(description ? { description } : {}),
+  ...(required.length ? { required } : {}),
+  properties,
+});
+/** "path: message", or the message alone for the body itself. */
+const at = (path, message) => (path ? `${path}: ${message}` : message);
+
+/** check for a list of named entries (rules, stations): names must be unique. */
+const uniqueNames = (what) => (list, path) => {
+  const seen = new Set();
+  const duplicate = list.find((entry) => seen.has(entry.name) || !seen.add(entry.name));
+  return duplicate ? at(path, `name "${duplicate.name}" is used by more than one ${what}.`) : null;
+};
+
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+const deviceChain = {
+  type: 'array',
+  minItems: 1,
+  items: { type: ['string', 'null'] },
+  description: 'Device ids, first choice first; null = the default firing device.',
+};
+
+const modifier = object({
+  id: id('Modifier id from Clover inventory.'),
+  name: { type: 'string', minLength: 1 },
+  amount: { type: 'integer', description: 'Price in cents.' },
+}, ['id']);
+
+const lineItem = object({
+  itemId: id('Existing inventory item id.'),
+  name: id('Inventory lookup by name (created if missing and price is set), or the name of a custom line.'),
+  sku: id('Inventory lookup by SKU.'),
+  custom: bool('true = non-inventory line; needs name and price.'),
+  price: { type: 'integer', minimum: 0, description: 'Cents.' },
+  quantity: { type: 'integer', minimum: 1, default: 1 },
+  note: { type: 'string', maxLength: 255 },
+  modifiers: { type: 'array', items: modifier },
+}, [], 'One of { itemId }, { name } / { sku } (inventory lookup), or { custom: true, name, price }.');
+lineItem.check = (item, path) => {
+  const label = path || 'Body';
+  if (item.custom === true) {
+    const missing = ['name', 'price'].filter((field) => item[field] === undefined);
+    return missing.length ? `${label} is custom, so it needs ${missing.join(' and ')}.` : null;
+  }
+  if (item.itemId === undefined && item.name === undefined && item.sku === undefined) {
+    return `${label} needs itemId (existing inventory item), name or sku (inventory lookup), or custom: true with name and price.`;
+  }
+  return null;
+};
+
+const station = object({
+  name: id('Station name, printed as the ticket title.'),
+  deviceIds: deviceChain,
+  itemTags: stringList('Clover item tags (labels) printed at this station.'),
+  itemIds: stringList('Item ids printed at this station.'),
+}, ['name', 'deviceIds'], 'Needs itemTags or itemIds.');
+station.check = (entry, path) => (entry.itemTags || entry.itemIds ? null : at(path, 'needs itemTags or itemIds.'));
+
+const splitConfig = object({
+  receiptDeviceIds: deviceChain,
+  stations: { type: 'array', minItems: 1, items: station, check: uniqueNames('station') },
+}, ['stations'], 'Kitchen/receipt split: one station ticket per station plus the full receipt.');
+
+const printOptionFields = {
+  deviceId: { type: ['string', 'null'], minLength: 1, description: 'Print on this device only.' },
+  tryAllDevices: bool('Print on every device.'),
+  route: bool('Print to the devices picked by the routing rules.'),
+  split: { ...splitConfig, type: ['boolean', 'object'], description: 'true = the saved split config, or an inline one.' },
+  copies: { type: 'integer', minimum: 1, maximum: 10, default: 1 },
+};
+
+/** check for bodies with printOptionFields: deviceId, tryAllDevices, route and split pick devices in different ways. */
+function onePrintMode(options, path) {
+  if (typeof options !== 'object') return null;
+  const modes = ['deviceId', 'tryAllDevices', 'route', 'split'].filter((field) => options[field]);
+  if (modes.length > 1) return at(path, `Use only one of deviceId, tryAllDevices, route and split (got ${modes.join(', ')}).`);
+  if (options.tryAllDevices && options.copies > 1) return at(path, 'copies can\'t be combined with tryAllDevices.');
+  return null;
+}
+
+const reprint = {
+  type: ['boolean', 'object'],
+  properties: printOptionFields,
+  description: 'Print an UPDATED/VOID ticket: true, or print options for it.',
+  check: onePrintMode,
+};
+
+const createPrint = object({
+  ...printOptionFields,
+  orderTypeId: { type: ['string', 'null'], minLength: 1, description: 'Same order type as online/delivery orders so the print routes the same way.' },
+  lineItems: { type: 'array', minItems: 1, items: lineItem, description: 'Without lineItems, two dummy items are used.' },
+  title: { type: 'string', maxLength: 127 },
+  note: { type: ['string', 'null'], maxLength: 255 },
+  customer: object({ name: id('Used as the order title.') }, ['name']),
+  waitForResult: bool('Respond after the print event is DONE/FAILED or timed out.'),
+});
+createPrint.check = onePrintMode;
+
+const sendPrint = object({
+  orderId: id('Clover order id.'),
+  ...printOptionFields,
+  waitForResult: bool('Respond after the print event is DONE/FAILED or timed out.'),
+}, ['orderId']);
+sendPrint.check = onePrintMode;
+
+const printTimeFields = {
+  printAt: { type: 'string', format: 'date-time', description: 'When to print (at most 30 days ahead).' },
+  pickupAt: { type: 'string', format: 'date-time', description: 'Pickup time; prints minutesBefore it.' },
+  minutesBefore: { type: 'integer', minimum: 0, maximum: 1440, description: 'With pickupAt, e.g. 20.' },
+};
+
+const schedulePrint = object({
+  orderId: id('Clover order id.'),
+  ...printTimeFields,
+  ...printOptionFields,
+}, ['orderId'], 'Give printAt, or pickupAt and minutesBefore.');
+schedulePrint.check = onePrintMode;
+
+const batchPrint = object({
+  orderIds: { ...stringList('Orders to print, in this order.'), maxItems: BATCH_PRINT_MAX_ORDERS },
+  query: object({
+    state: { type: 'string', enum: ['open', 'locked'], default: 'locked' },
+    orderTypeId: id('Only orders of this order type.'),
+    since: { type: 'string', format: 'date-time', description: 'Created at or after.' },
+    until: { type: 'string', format: 'date-time', description: 'Created at or before.' },
+  }, [], 'Print the Clover orders that match (instead of orderIds).'),
+  ...printTimeFields,
+  intervalMs: { type: 'integer', minimum: 0, maximum: 600000, description: 'Time between two prints of the batch (default BATCH_PRINT_INTERVAL_MS).' },
+  dryRun: bool('Only list the orders that would print.'),
+  ...printOptionFields,
+}, [], 'Give orderIds or query.');
+batchPrint.check = onePrintMode;
+
+const debugPrint = object({
+  orderId: id('Clover order id.'),
+  deviceId: id('Device to try (default: the merchant default device).'),
+  tryAllDevices: bool('Try every device.'),
+}, ['orderId']);
+
+const routingRule = object({
+  name: id('Rule name, unique per merchant.'),
+  when: object({
+    orderTypeIds: stringList('Order types this rule matches.'),
+    itemTags: stringList('Item tags this rule matches.'),
+    after: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', description: 'HH:MM (24h), merchant time zone.' },
+    before: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', description: 'HH:MM (24h), merchant time zone.' },
+  }),
+  deviceIds: deviceChain,
+}, ['name', 'deviceIds']);
+
+const routingRules = object({
+  rules: { type: 'array', maxItems: 50, items: routingRule, check: uniqueNames('rule') },
+  fallbackDeviceIds: deviceChain,
+  timezone: {
+    type: 'string',
+    minLength: 1,
+    description: 'IANA time zone, e.g. America/New_York.',
+    check: (value, path) => (isTimeZone(value) ? null : `${path} must be an IANA time zone, e.g. "America/New_York".`),
+  },
+  split: { ...splitConfig, type: ['object', 'null'] },
+}, ['rules']);
+
+const routingPreview = object({
+  orderId: id('Order to route (its order type and item tags).'),
+  orderTypeId: id('Order type to try out.'),
+  itemTags: { type: 'array', items: { type: 'string' }, description: 'Item tags to try out.' },
+  at: { type: 'string', format: 'date-time', description: 'Time to route at (default now).' },
+});
+
+const cleanup = object({
+  confirm: bool('true = delete; otherwise a dry run.'),
+  includeLegacyDummyItems: bool('Also delete untagged items named like the dummy items.'),
+});
+
+const discovery = object({
+  deviceIds: stringList('Devices to try (default: all).'),
+  orderTypeId: id('Order type of the test tickets.'),
+  waitForResult: bool('Respond when every device reported DONE/FAILED.'),
+});
+
+const discoveryConfirm = object({
+  label: id('Label printed on the ticket that came out, e.g. "D4821-2".'),
+  deviceId: id('Or the device id.'),
+}, [], 'Give label or deviceId.');
+discoveryConfirm.check = (body) => (!body.label === !body.deviceId ? 'Give either label (from the printed ticket, e.g. "D4821-2") or deviceId.' : null);
+
+const lanPrinter = object({
+  host: id("The printer's IP address or host name."),
+  port: { type: 'integer', minimum: 1, maximum: 65535, default: 9100 },
+  model: id('e.g. SP700, TSP100, TM_T88 – sets commands and width.'),
+  commands: { type: 'string', enum: COMMAND_SETS },
+  width: { type: 'integer', minimum: MIN_WIDTH, maximum: MAX_WIDTH, description: 'Characters per line.' },
+  enabled: bool('false = keep the config but do not use it.'),
+}, ['host']);
+
+const lanPrinterTest = object({ orderId: id('Order to print (default: a sample ticket).') });
+
+const merchantFields = {
+  name: { type: 'string', minLength: 1 },
+  merchantId: id('Clover merchant id.'),
+  accessToken: id('Clover API token.'),
+  region: { type: 'string', enum: Object.keys(CLOVER_REGIONS) },
+  baseURL: { type: 'string', pattern: '^https?://\\S+$' },
+  defaults: object({
+    deviceId: { type: ['string', 'null'], minLength: 1 },
+    orderTypeId: { type: ['string', 'null'], minLength: 1 },
+    autoPrintOrderTypeIds: { type: 'array', items: { type: 'string', minLength: 1 } },
+    lanPrinter: { ...lanPrinter, type: ['object', 'null'] },
+  }),
+};
+
+const createMerchant = object({
+  key: { type: 'string', pattern: MERCHANT_KEY_PATTERN, description: 'Lowercase letters, digits, "-" or "_", e.g. tandoor-downtown.' },
+  ...merchantFields,
+}, ['key', 'merchantId', 'accessToken']);
+
+const updateMerchant = object(merchantFields, [], 'Only the given fields change; defaults are merged.');
+updateMerchant.check = (body) => (body.key !== undefined ? 'key cannot be changed; delete and re-create the merchant instead.' : null);
+
+const createApiKey = object({
+  name: { type: 'string', minLength: 1, maxLength: 64 },
+  role: { type: 'string', enum: ROLES },
+  merchants: {
+    type: 'array',
+    minItems: 1,
+    items: { type: 'string', pattern: `^\\*$|${MERCHANT_KEY_PATTERN}` },
+    description: 'Merchant keys, or ["*"] for all.',
+  },
+  rateLimitPerMinute: { type: ['integer', 'null'], minimum: 1, maximum: 100000 },
+}, ['name', 'role', 'merchants']);
+
+const oauthRefresh = object({ merchantKey: { type: 'string', pattern: MERCHANT_KEY_PATTERN } });
+const oauthAuthorizeLink = object({
+  merchantKey: { type: 'string', pattern: MERCHANT_KEY_PATTERN, description: 'Default: the .env merchant.' },
+  region: { type: 'string', enum: Object.keys(CLOVER_REGIONS) },
+  baseURL: { type: 'string', enum: OAUTH_BASE_URLS, description: 'API host for a merchant not yet in the registry (a Clover region host).' },
+});
+
+/** Order changes (/orders/:orderId/...): every body may have reprint. */
+const withReprint = (properties = {}, required = []) => object({ ...properties, reprint }, required);
+
+const orderChanges = {
+  addLineItem: { ...lineItem, properties: { ...lineItem.properties, reprint } },
+  updateLineItem: {
+    ...withReprint({
+      name: { type: 'string', minLength: 1 },
+      price: { type: 'integer', minimum: 0, description: 'Cents.' },
+      note: { type: ['string', 'null'], maxLength: 255 },
+    }),
+    check: (body) => (['name', 'price', 'note'].some((field) => body[field] !== undefined) ? null : 'Give at least one of name, price, note.'),
+  },
+  addDiscount: {
+    ...withReprint({
+      name: id('e.g. "Staff 10%".'),
+      amount: { type: 'integer', minimum: 1, description: 'Cents off. Give amount or percentage.' },
+      percentage: { type: 'integer', minimum: 1, maximum: 100 },
+      lineItemId: id('Discount one line item instead of the order.'),
+    }, ['name']),
+    check: (body) => ((body.amount === undefined) === (body.percentage === undefined) ? 'Give either amount (cents off) or percentage.' : null),
+  },
+  addServiceCharge: withReprint({
+    id: id("The merchant's service charge id (default: its default service charge)."),
+    name: { type: 'string', minLength: 1 },
+    percentage: { type: 'number', exclusiveMinimum: 0, maximum: 100 },
+  }),
+  setNote: withReprint({ note: { type: ['string', 'null'], maxLength: 255, description: 'null or "" removes it.' } }, ['note']),
+  void: withReprint({ reason: { type: 'string', maxLength: 200 } }),
+  reprintOnly: withReprint(),
+};
+
+/** Query parameters, for the OpenAPI document and checked by validate() (handlers parse the values). */
+const query = {
+  history: {
+    orderId: { type: 'string' },
+    deviceId: { type: 'string' },
+    state: { type: 'string' },
+    source: { type: 'string' },
+    from: { type: 'string', description: 'ISO date or date-time.' },
+    to: { type: 'string', description: 'ISO date (whole day) or date-time.' },
+    format: { type: 'string', enum: ['json', 'csv'] },
+    limit: { type: 'integer', minimum: 1, maximum: 10000 },
+  },
+  printEvents: {
+    orderId: { type: 'string' },
+    deviceId: { type: 'string' },
+    state: { type: 'string' },
+    limit: { type: 'integer', minimum: 1, maximum: 500 },
+  },
+  jobs: {
+    status: { type: 'string', enum: ['scheduled', 'pending', 'running', 'done', 'dead', 'cancelled'] },
+    orderId: { type: 'string' },
+    limit: { type: 'integer', minimum: 1, maximum: 500 },
+  },
+  preview: {
+    format: { type: 'string', enum: PREVIEW_FORMATS },
+    width: { type: 'integer', minimum: MIN_WIDTH, maximum: MAX_WIDTH },
+    timezone: {
+      type: 'string',
+      description: 'IANA time zone; default the routing rules timezone.',
+      check: (value, path) => (isTimeZone(value) ? null : `${path} must be an IANA time zone, e.g. "America/New_York".`),
+    },
+    encoding: { type: 'string', enum: ['base64', 'hex'] },
+  },
+  readiness: {
+    print: { type: 'string', enum: ['true', 'false'], description: 'false: skip the test order and print (write permissions stay unchecked).' },
+    deviceId: { type: 'string', description: 'Device for the test print; default the merchant default or the firing device.' },
+  },
+  removeDiscount: { lineItemId: { type: 'string', description: 'Set when the discount is on a line item.' } },
+  apiAudit: {
+    keyId: { type: 'string' },
+    merchantKey: { type: 'string' },
+    status: { type: 'integer' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    limit: { type: 'integer', minimum: 1, maximum: 1000 },
+  },
+  oauthAuthorize: {
+    link: { type: 'string', description: 'One-time token from POST /oauth/authorize-link. Without it (only with API_AUTH off): merchantKey and region.' },
+    merchantKey: { type: 'string', pattern: MERCHANT_KEY_PATTERN },
+    region: { type: 'string', enum: Object.keys(CLOVER_REGIONS) },
+  },
+};
+
+module.exports = {
+  createPrint,
+  sendPrint,
+  schedulePrint,
+  batchPrint,
+  debugPrint,
+  routingRules,
+  routingPreview,
+  cleanup,
+  discovery,
+  discoveryConfirm,
+  lanPrinter,
+  lanPrinterTest,
+  createMerchant,
+  updateMerchant,
+  createApiKey,
+  oauthRefresh,
+  oauthAuthorizeLink,
+  orderChanges,
+  query,
+};
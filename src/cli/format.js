@@ -0,0 +1,23 @@
+/**
+ * Plain-text tables for the CLI: { columns?, rows, empty? }. Without columns, rows are printed as
+ * "key  value" lines.
+ */
+
+function cell(value) {
+  return value === null || value === undefined ? '' : String(value);
+}
+
+function printTable({ columns, rows, empty }) {
+  if (!rows.length) {
+    if (empty) console.log(empty);
+    return;
+  }
+  const lines = columns ? [columns, columns.map((c) => '-'.repeat(c.length)), ...rows] : rows;
+  const widths = [];
+  for (const line of lines) line.forEach((value, i) => { widths[i] = Math.max(widths[i] || 0, cell(value).length); });
+  for (const line of lines) {
+    console.log(line.map((value, i) => (i === line.length - 1 ? cell(value) : cell(value).padEnd(widths[i]))).join('  '));
+  }
+}
+
+module.exports = { printTable };
@@ -0,0 +1,257 @@
+/**
+ * clover-print: the /test-print checks from the command line, straight against Clover (no HTTP server).
+ * Uses the same .env, DATA_DIR merchant registry and print audit log as the server.
+ *
+ * Exit codes (EXIT_CODES): 0 ok / printed, 1 not printed (request failed, FAILED or timed out),
+ * 2 usage error or unknown merchant, 3 Clover call failed.
+ */
+
+const { parseArgs } = require('util');
+const { DEFAULT_MERCHANT_KEY, PRINT_EVENT_TIMEOUT_MS, CLOVER_SIMULATOR } = require('../config');
+const { resolveMerchant, listMerchantKeys } = require('../services/merchants');
+const {
+  checkConnection,
+  probeTokenScopes,
+  getDevices,
+  getOrderTypes,
+  getOrder,
+  requestPrint,
+  requestPrintAllDevices,
+  waitForPrintEvent,
+  createTestOrderWithItemsAndLock,
+} = require('../services/cloverService');
+const { getHint, describePrintEvent } = require('../utils/hints');
+const { configureLogger } = require('../utils/logger');
+const { DUMMY_ITEMS } = require('../constants');
+const { printTable } = require('./format');
+
+const EXIT_CODES = { OK: 0, NOT_PRINTED: 1, USAGE: 2, CLOVER_ERROR: 3 };
+
+const USAGE = `Usage: clover-print <command> [options]
+
+Commands:
+  check                                   Check the Clover connection and token scopes
+  devices                                 List Clover devices
+  order-types                             List order types
+  print --order <id> [--device <id> | --all-devices] [--wait]
+                                          Print an existing order
+  test-order [--order-type <id>] [--device <id> | --all-devices] [--wait] [--no-print]
+                                          Create a locked test order (two dummy items) and print it
+  debug <orderId> [--device <id> | --all-devices]
+                                          Print and wait for every print event, with why it didn't print
+
+Options:
+  --merchant <key>   Merchant key from the registry (default: "${DEFAULT_MERCHANT_KEY}", the .env merchant)
+  --json             JSON output instead of tables
+  -h, --help         This help
+
+Exit codes: 0 ok/printed, 1 not printed, 2 usage error, 3 Clover call failed.`;
+
+const OPTIONS = {
+  merchant: { type: 'string', default: DEFAULT_MERCHANT_KEY },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+  order: { type: 'string' },
+  device: { type: 'string' },
+  'all-devices': { type: 'boolean', default: false },
+  wait: { type: 'boolean', default: false },
+  'order-type': { type: 'string' },
+  'no-print': { type: 'boolean', default: false },
+};
+
+const PRINT_OPTIONS = { poll: { timeoutMs: PRINT_EVENT_TIMEOUT_MS } };
+
+class UsageError extends Error {}
+
+/** Where a print goes: --all-devices, --device, the merchant's default device, or Clover's firing device. */
+function printTarget(options, merchant) {
+  if (options['all-devices'] && options.device) throw new UsageError('Use either --device or --all-devices, not both.');
+  if (options['all-devices']) return { tryAllDevices: true, deviceId: null };
+  return { tryAllDevices: false, deviceId: options.device || merchant.defaults.deviceId || null };
+}
+
+/**
+ * Print orderId to the target. wait: poll each print event to DONE/FAILED (else the events aren't tracked,
+ * so the command returns at once). Returns { printed, prints: [{ deviceId, model?, eventId, state, result }] }.
+ */
+async function printOrder(merchant, orderId, target, wait) {
+  const { clover, merchantId } = merchant;
+  const options = { ...PRINT_OPTIONS, track: wait, caller: { source: 'cli', merchantKey: merchant.key } };
+  const sent = target.tryAllDevices
+    ? (await requestPrintAllDevices(clover, merchantId, orderId, options)).results
+    : [await requestPrint(clover, merchantId, orderId, target.deviceId, options)].map((data) => ({
+      deviceId: target.deviceId || data.deviceRef?.id || null,
+      success: !data.error,
+      ...(data.error ? { error: data.error, cloverStatus: data.cloverStatus } : { eventId: data.id, state: data.state }),
+    }));
+
+  const prints = [];
+  for (const s of sent) {
+    const final = s.success && wait ? await waitForPrintEvent(s.eventId) : null;
+    prints.push({
+      deviceId: s.deviceId || '(firing device)',
+      ...(s.model ? { model: s.model } : {}),
+      eventId: s.eventId || null,
+      state: final ? final.state : s.state || 'REQUEST_FAILED',
+      result: s.success
+        ? (final ? describePrintEvent(final) : 'print requested (not waiting for the printer; use --wait).')
+        : `print_event failed – ${[s.cloverStatus, s.error].filter(Boolean).join(' ')}`,
+      ...(final ? { final } : {}),
+    });
+  }
+  const printed = wait ? prints.some((p) => p.state === 'DONE') : sent.some((s) => s.success);
+  return { printed, prints };
+}
+
+const COMMANDS = {
+  async check(merchant) {
+    const { clover, merchantId } = merchant;
+    const { recentOrderCount } = await checkConnection(clover, merchantId);
+    const scopes = await probeTokenScopes(clover, merchantId);
+    return {
+      ok: true,
+      result: { merchantKey: merchant.key, merchantId, baseURL: merchant.baseURL, auth: merchant.auth, recentOrderCount, scopes },
+      table: {
+        rows: [
+          ['merchant', `${merchant.key} (${merchantId})`],
+          ['baseURL', merchant.baseURL],
+          ['auth', merchant.auth],
+          ['recent orders', recentOrderCount],
+          ...Object.entries(scopes).map(([scope, ok]) => [scope, ok === null ? 'unknown' : ok ? 'yes' : 'NO']),
+        ],
+      },
+    };
+  },
+
+  async devices(merchant) {
+    const list = await getDevices(merchant.clover, merchant.merchantId);
+    const devices = list.map((d) => ({ id: d.id, name: d.name, model: d.model, serial: d.serial, deviceTypeName: d.deviceTypeName }));
+    return {
+      ok: true,
+      result: { deviceCount: devices.length, defaultDeviceId: merchant.defaults.deviceId || null, devices },
+      table: {
+        columns: ['id', 'name', 'model', 'serial', 'default'],
+        rows: devices.map((d) => [d.id, d.name, d.model, d.serial, d.id === merchant.defaults.deviceId ? '*' : '']),
+        empty: 'No devices found.',
+      },
+    };
+  },
+
+  async 'order-types'(merchant) {
+    const list = await getOrderTypes(merchant.clover, merchant.merchantId);
+    const orderTypes = list.map((t) => ({ id: t.id, label: t.label, isDefault: t.isDefault, systemOrderTypeId: t.systemOrderTypeId }));
+    return {
+      ok: true,
+      result: { orderTypes },
+      table: {
+        columns: ['id', 'label', 'default', 'system type'],
+        rows: orderTypes.map((t) => [t.id, t.label, t.isDefault ? '*' : '', t.systemOrderTypeId]),
+        empty: 'No order types. test-order works without --order-type.',
+      },
+    };
+  },
+
+  async print(merchant, options) {
+    if (!options.order) throw new UsageError('print needs --order <orderId>.');
+    const { printed, prints } = await printOrder(merchant, options.order, printTarget(options, merchant), options.wait);
+    return { ok: printed, result: { orderId: options.order, printed, prints }, table: printsTable(prints) };
+  },
+
+  async 'test-order'(merchant, options) {
+    const target = printTarget(options, merchant);
+    const orderTypeId = options['order-type'] || merchant.defaults.orderTypeId || null;
+    const { orderId, itemIds } = await createTestOrderWithItemsAndLock(merchant.clover, merchant.merchantId, DUMMY_ITEMS, { orderTypeId });
+    if (options['no-print']) {
+      return { ok: true, result: { orderId, itemIds, orderTypeId }, table: { rows: [['order', orderId], ['printed', 'no (--no-print)']] } };
+    }
+    const { printed, prints } = await printOrder(merchant, orderId, target, options.wait);
+    return { ok: printed, result: { orderId, itemIds, orderTypeId, printed, prints }, title: `Order ${orderId}`, table: printsTable(prints) };
+  },
+
+  async debug(merchant, options, args) {
+    const orderId = args[0] || options.order;
+    if (!orderId) throw new UsageError('debug needs an order id: clover-print debug <orderId>.');
+    const order = await getOrder(merchant.clover, merchant.merchantId, orderId);
+    const { printed, prints } = await printOrder(merchant, orderId, printTarget(options, merchant), true);
+    return {
+      ok: printed,
+      result: {
+        config: { merchantKey: merchant.key, baseURL: merchant.baseURL, merchantId: merchant.merchantId },
+        orderId,
+        orderState: order?.state,
+        lineItemCount: order?.lineItems?.elements?.length ?? 0,
+        printed,
+        prints,
+      },
+      title: `Order ${orderId}: ${order?.state || 'unknown state'}, ${order?.lineItems?.elements?.length ?? 0} line items`,
+      table: printsTable(prints),
+    };
+  },
+};
+
+function printsTable(prints) {
+  return {
+    columns: ['device', 'event', 'state', 'result'],
+    rows: prints.map((p) => [p.model ? `${p.deviceId} (${p.model})` : p.deviceId, p.eventId, p.state, p.result]),
+    empty: 'No devices to print to.',
+  };
+}
+
+function output(json, value, table, title) {
+  if (json) return console.log(JSON.stringify(value, null, 2));
+  if (title) console.log(title);
+  printTable(table);
+}
+
+/** Run the CLI with argv (without node and script). Resolves with the exit code. */
+async function run(argv) {
+  // stdout is for results (tables, --json); log lines go to stderr, only warnings and errors unless LOG_LEVEL is set.
+  configureLogger({ stdout: process.stderr, ...(process.env.LOG_LEVEL ? {} : { level: 'warn' }) });
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (err) {
+    console.error(err.message, '\n\n' + USAGE);
+    return EXIT_CODES.USAGE;
+  }
+  const { values: options, positionals: [command, ...args] } = parsed;
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command "${command}".\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const merchant = resolveMerchant(options.merchant);
+  if (!merchant) {
+    const keys = listMerchantKeys();
+    console.error(`Unknown merchant "${options.merchant}" or it has no token.`
+      + (keys.length ? ` Configured: ${keys.join(', ')}.` : ' Set CLOVER_MERCHANT_ID and CLOVER_ACCESS_TOKEN in .env.'));
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    const { ok, result, table, title } = await COMMANDS[command](merchant, options, args);
+    output(options.json, { success: ok, ...result }, table, title);
+    return ok ? EXIT_CODES.OK : EXIT_CODES.NOT_PRINTED;
+  } catch (err) {
+    if (err instanceof UsageError) {
+      console.error(`${err.message}\n\n${USAGE}`);
+      return EXIT_CODES.USAGE;
+    }
+    const hint = CLOVER_SIMULATOR && err.code === 'ECONNREFUSED'
+      ? 'CLOVER_SIMULATOR=true: the CLI does not start the simulator; run npm run simulator (or npm start) first.'
+      : getHint(command, err.status, err.data, err.kind);
+    if (options.json) {
+      console.log(JSON.stringify({ success: false, error: err.message, cloverStatus: err.status ?? null, errorKind: err.kind || null, hint }, null, 2));
+    } else {
+      console.error(`Clover call failed: ${err.message}${err.status ? ` (HTTP ${err.status})` : ''}`);
+      if (hint) console.error(`Hint: ${hint}`);
+    }
+    return EXIT_CODES.CLOVER_ERROR;
+  }
+}
+
+module.exports = { run, EXIT_CODES };
@@ -0,0 +1,274 @@
+/**
+ * CloverPrintClient: print Clover orders from any Node app. Node port of src/laravel/CloverPrintService.php
+ * (copies, all-devices fallback, structured logs) plus print event tracking.
+ *
+ * No Express, .env or data files: everything comes from the constructor. The Express routes use it
+ * through cloverService.requestPrint; other apps construct it directly (see README "Client library").
+ * Types: index.d.ts.
+ */
+
+const EventEmitter = require('events');
+const { createCloverClient } = require('../services/cloverClient');
+const { toList } = require('../utils/normalize');
+
+/** Clover API base URL per region (also used by the merchant registry's `region`). */
+const CLOVER_REGIONS = {
+  na: 'https://api.clover.com',
+  eu: 'https://api.eu.clover.com',
+  la: 'https://api.la.clover.com',
+  sandbox: 'https://apisandbox.dev.clover.com',
+};
+
+/** Print event polling: backoff from initialDelayMs up to maxDelayMs until DONE/FAILED or timeoutMs. */
+const PRINT_EVENT_POLL = { initialDelayMs: 1000, maxDelayMs: 10000, factor: 2, timeoutMs: 60000 };
+const TERMINAL_PRINT_STATES = ['DONE', 'FAILED'];
+
+const HTTP_OPTIONS = ['timeoutMs', 'maxRetries', 'baseDelayMs', 'maxDelayMs', 'maxConcurrency'];
+
+const noop = () => {};
+const SILENT_LOGGER = { debug: noop, info: noop, warn: noop, error: noop };
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/** Missing logger methods become no-ops, so { error } alone or console both work. */
+function toLogger(logger) {
+  if (!logger) return SILENT_LOGGER;
+  return Object.fromEntries(Object.keys(SILENT_LOGGER).map((level) => [level, logger[level] ? logger[level].bind(logger) : noop]));
+}
+
+class CloverPrintClient extends EventEmitter {
+  /**
+   * options: { merchantId, token | tokenProvider, region | baseURL, logger, poll, timeoutMs, maxRetries,
+   * baseDelayMs, maxDelayMs, maxConcurrency } – or { merchantId, clover } to reuse a client from createCloverClient.
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.merchantId) throw new TypeError('CloverPrintClient: merchantId is required.');
+    if (!options.clover && !options.token && !options.tokenProvider) {
+      throw new TypeError('CloverPrintClient: token (or tokenProvider) is required.');
+    }
+    if (options.region && !CLOVER_REGIONS[options.region]) {
+      throw new TypeError(`CloverPrintClient: unknown region "${options.region}" (use ${Object.keys(CLOVER_REGIONS).join(', ')} or baseURL).`);
+    }
+    this.merchantId = options.merchantId;
+    this.baseURL = options.baseURL || CLOVER_REGIONS[options.region || 'na'];
+    this.logger = toLogger(options.logger);
+    this.poll = { ...PRINT_EVENT_POLL, ...options.poll };
+    this.clover = options.clover || createCloverClient({
+      baseURL: this.baseURL,
+      ...(options.tokenProvider ? { tokenProvider: options.tokenProvider } : { accessToken: options.token }),
+      ...Object.fromEntries(HTTP_OPTIONS.filter((name) => options[name] !== undefined).map((name) => [name, options[name]])),
+      onRetry: (err, { attempt, delayMs }) => {
+        this.logger.warn('Clover request retry', { method: err.method, url: err.url, status: err.status || err.code, attempt, delayMs });
+      },
+    });
+  }
+
+  path(suffix) {
+    return `/v3/merchants/${this.merchantId}${suffix}`;
+  }
+
+  /** GET /devices → list of devices. */
+  async getDevices() {
+    const res = await this.clover.get(this.path('/devices'));
+    return toList(res.data);
+  }
+
+  /** GET /v3/merchants/:mId – merchant name and id. */
+  async getMerchant() {
+    const res = await this.clover.get(this.path(''));
+    return res.data;
+  }
+
+  /** GET /orders/:orderId with expand=lineItems (or options.expand). */
+  async getOrder(orderId, options = {}) {
+    const res = await this.clover.get(this.path(`/orders/${orderId}`), { params: { expand: options.expand || 'lineItems' } });
+    return res.data;
+  }
+
+  /** GET /print_event/:eventId. Returns the event, or { error } (never throws, so polling can go on). */
+  async getPrintEvent(eventId) {
+    try {
+      const res = await this.clover.get(this.path(`/print_event/${eventId}`));
+      return res.data;
+    } catch (err) {
+      return { error: err.data || err.message };
+    }
+  }
+
+  /**
+   * One POST /print_event for an order, to options.deviceId or the default firing device (options.copy is
+   * passed through to the result, for print()). Never throws:
+   * { success: true, eventId, state, status, data, ... } or { success: false, error, errorKind, cloverStatus, cloverResponse, ... }.
+   * Emits print:sent or print:failed.
+   */
+  async sendPrintEvent(orderId, options = {}) {
+    const deviceId = options.deviceId || null;
+    const payload = { orderRef: { id: orderId } };
+    if (deviceId) payload.deviceRef = { id: deviceId };
+    const startedAt = Date.now();
+    let res;
+    try {
+      res = await this.clover.post(this.path('/print_event'), payload);
+    } catch (err) {
+      const result = {
+        success: false,
+        merchantId: this.merchantId,
+        orderId,
+        deviceId,
+        payload,
+        ...(options.copy ? { copy: options.copy } : {}),
+        responseMs: Date.now() - startedAt,
+        error: err.message,
+        errorKind: err.kind || null,
+        cloverStatus: err.status ?? null,
+        cloverResponse: err.data ?? null,
+        attempts: err.attempts ?? null,
+      };
+      this.logger.error('Clover print event failed', { orderId, deviceId, error: result.error, status: result.cloverStatus });
+      this.emit('print:failed', { stage: 'request', ...result });
+      return result;
+    }
+    const result = {
+      success: true,
+      merchantId: this.merchantId,
+      orderId,
+      deviceId: deviceId || res.data?.deviceRef?.id || null,
+      payload,
+      ...(options.copy ? { copy: options.copy } : {}),
+      responseMs: Date.now() - startedAt,
+      eventId: res.data?.id || null,
+      state: res.data?.state || 'CREATED',
+      status: res.status,
+      data: res.data,
+    };
+    this.logger.info('Clover print event sent', { orderId, deviceId: result.deviceId, eventId: result.eventId, state: result.state });
+    this.emit('print:sent', result);
+    return result;
+  }
+
+  /**
+   * Print an order: options { deviceId, copies = 1, wait = false, poll }. Copies are separate print events,
+   * sent one after the other; the first failure stops the rest. With wait, each sent event is tracked to
+   * DONE/FAILED before the next copy, and a FAILED or timed-out copy also stops the rest.
+   * Returns { success, copies, results, data?, error?, cloverResponse? } (same shape as the Laravel service).
+   */
+  async print(orderId, options = {}) {
+    const copies = Math.max(1, Math.floor(options.copies || 1));
+    const results = [];
+    for (let copy = 1; copy <= copies; copy++) {
+      const result = await this.sendPrintEvent(orderId, { deviceId: options.deviceId, copy });
+      results.push(result);
+      if (result.success && options.wait) {
+        result.printEvent = await this.waitForPrintEvent(result.data, { orderId, deviceId: options.deviceId, poll: options.poll });
+      }
+      const failed = !result.success || (result.printEvent && result.printEvent.state !== 'DONE');
+      if (failed) {
+        return {
+          success: false,
+          copies,
+          results,
+          error: result.error || `Copy ${copy} ended ${result.printEvent.timedOut ? 'without a final state (timed out)' : result.printEvent.state}.`,
+          cloverResponse: result.cloverResponse ?? null,
+        };
+      }
+    }
+    return { success: true, copies, results, data: results[0].data };
+  }
+
+  /**
+   * Send the order to every device (when the firing device is unknown). options: { wait, poll }.
+   * Returns { success, tryAllDevices: true, results: [{ deviceId, model, success, eventId?, state?, error? }] }.
+   */
+  async printAllDevices(orderId, options = {}) {
+    const devices = await this.getDevices();
+    const results = [];
+    for (const d of devices) {
+      if (!d.id) continue;
+      const result = await this.sendPrintEvent(orderId, { deviceId: d.id });
+      const printEvent = result.success && options.wait
+        ? await this.waitForPrintEvent(result.data, { orderId, deviceId: d.id, poll: options.poll })
+        : null;
+      results.push({
+        deviceId: d.id,
+        model: d.model,
+        success: result.success,
+        ...(result.success ? { eventId: result.eventId, state: printEvent ? printEvent.state : result.state } : { error: result.error }),
+      });
+    }
+    return { success: results.some((r) => r.success), tryAllDevices: true, results };
+  }
+
+  /**
+   * Poll a print event (Clover print_event response, or its id) with backoff until DONE/FAILED or timeout.
+   * options: { orderId, deviceId, poll, onUpdate }. onUpdate(record) gets the live record when polling
+   * starts and after every poll. Resolves with the final record (never rejects); emits print:done or print:failed.
+   */
+  async waitForPrintEvent(printEvent, options = {}) {
+    const event = typeof printEvent === 'string' ? { id: printEvent } : printEvent || {};
+    if (!event.id) throw new TypeError('waitForPrintEvent: print event id is required.');
+    const record = {
+      eventId: event.id,
+      merchantId: this.merchantId,
+      orderId: options.orderId || event.orderRef?.id || null,
+      deviceId: options.deviceId || event.deviceRef?.id || null,
+      state: event.state || 'CREATED',
+      terminal: false,
+      timedOut: false,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      polls: [],
+    };
+    const onUpdate = options.onUpdate || noop;
+    const poll = { ...this.poll, ...options.poll };
+    onUpdate(record);
+    try {
+      await this.pollPrintEvent(record, poll, onUpdate);
+    } catch (err) {
+      record.lastError = err.message;
+    }
+    record.terminal = TERMINAL_PRINT_STATES.includes(record.state);
+    record.finishedAt = new Date().toISOString();
+    record.durationMs = Date.now() - Date.parse(record.createdAt);
+
+    const context = { orderId: record.orderId, deviceId: record.deviceId, eventId: record.eventId, state: record.state, durationMs: record.durationMs };
+    if (record.state === 'DONE') {
+      this.logger.info('Clover print event done', context);
+      this.emit('print:done', record);
+    } else {
+      this.logger.error('Clover print event not printed', { ...context, timedOut: record.timedOut, error: record.lastError });
+      this.emit('print:failed', { stage: 'event', ...record });
+    }
+    return record;
+  }
+
+  async pollPrintEvent(record, poll, onUpdate) {
+    const startedAt = Date.now();
+    let delay = poll.initialDelayMs;
+    while (!TERMINAL_PRINT_STATES.includes(record.state)) {
+      const remaining = poll.timeoutMs - (Date.now() - startedAt);
+      if (remaining <= 0) {
+        record.timedOut = true;
+        break;
+      }
+      await sleep(Math.min(delay, remaining));
+      const status = await this.getPrintEvent(record.eventId);
+      record.polls.push({ at: new Date().toISOString(), state: status.state, ...(status.error ? { error: status.error } : {}) });
+      if (status.state) record.state = status.state;
+      if (status.error) record.lastError = status.error;
+      this.logger.debug('Clover print event polled', { eventId: record.eventId, state: record.state });
+      onUpdate(record);
+      delay = Math.min(delay * poll.factor, poll.maxDelayMs);
+    }
+  }
+}
+
+module.exports = {
+  CloverPrintClient,
+  CLOVER_REGIONS,
+  PRINT_EVENT_POLL,
+  TERMINAL_PRINT_STATES,
+};
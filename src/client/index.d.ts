@@ -0,0 +1,258 @@
+// Type declarations for src/client (CloverPrintClient and the Clover HTTP client it uses).
+
+import { EventEmitter } from 'events';
+
+export type CloverRegion = 'na' | 'eu' | 'la' | 'sandbox';
+
+export declare const CLOVER_REGIONS: Record<CloverRegion, string>;
+
+export type PrintEventState = 'CREATED' | 'PRINTING' | 'DONE' | 'FAILED' | (string & {});
+
+export declare const TERMINAL_PRINT_STATES: PrintEventState[];
+
+export interface PollOptions {
+  initialDelayMs?: number;
+  maxDelayMs?: number;
+  factor?: number;
+  timeoutMs?: number;
+}
+
+export declare const PRINT_EVENT_POLL: Required<PollOptions>;
+
+export type ErrorKind = 'auth' | 'permission' | 'not_found' | 'rate_limit' | 'server' | 'timeout' | 'network' | 'client';
+
+export declare const ERROR_KINDS: {
+  AUTH: 'auth';
+  PERMISSION: 'permission';
+  NOT_FOUND: 'not_found';
+  RATE_LIMIT: 'rate_limit';
+  SERVER: 'server';
+  TIMEOUT: 'timeout';
+  NETWORK: 'network';
+  CLIENT: 'client';
+};
+
+/** Thrown by the Clover HTTP client for every failed call (after retries). */
+export declare class CloverApiError extends Error {
+  name: 'CloverApiError';
+  status: number | null;
+  data: unknown;
+  kind: ErrorKind;
+  code?: string;
+  method?: string;
+  url?: string;
+  attempts: number;
+  readonly retryable: boolean;
+}
+
+/** OAuth token source: the token is fetched per request; a 401 triggers one refresh() and resend. */
+export interface TokenProvider {
+  getAccessToken(): Promise<string>;
+  refresh(): Promise<unknown>;
+}
+
+export interface HttpOptions {
+  timeoutMs?: number;
+  maxRetries?: number;
+  baseDelayMs?: number;
+  maxDelayMs?: number;
+  maxConcurrency?: number;
+}
+
+export interface CloverClientOptions extends HttpOptions {
+  baseURL: string;
+  accessToken?: string;
+  tokenProvider?: TokenProvider;
+  onRetry?(error: CloverApiError, info: { attempt: number; delayMs: number }): void;
+  /** After every HTTP attempt, failed or not (for metrics). status is null when Clover didn't answer. */
+  onCall?(info: CloverCallInfo): void;
+}
+
+export interface CloverCallInfo {
+  method: string;
+  url: string;
+  status: number | null;
+  code?: string;
+  kind?: ErrorKind;
+  durationMs: number;
+  attempt: number;
+}
+
+interface CloverResponse<T = any> {
+  status: number;
+  data: T;
+}
+
+/** Retrying, rate-limited Clover REST client with an axios-like surface. */
+export interface CloverHttpClient {
+  request<T = any>(config: Record<string, any>): Promise<CloverResponse<T>>;
+  get<T = any>(url: string, config?: Record<string, any>): Promise<CloverResponse<T>>;
+  delete<T = any>(url: string, config?: Record<string, any>): Promise<CloverResponse<T>>;
+  post<T = any>(url: string, data?: unknown, config?: Record<string, any>): Promise<CloverResponse<T>>;
+  put<T = any>(url: string, data?: unknown, config?: Record<string, any>): Promise<CloverResponse<T>>;
+  patch<T = any>(url: string, data?: unknown, config?: Record<string, any>): Promise<CloverResponse<T>>;
+}
+
+export declare function createCloverClient(options: CloverClientOptions): CloverHttpClient;
+
+/** Structured logger: console, pino, winston, ... Missing methods are skipped. */
+export interface Logger {
+  debug?(message: string, context?: Record<string, unknown>): void;
+  info?(message: string, context?: Record<string, unknown>): void;
+  warn?(message: string, context?: Record<string, unknown>): void;
+  error?(message: string, context?: Record<string, unknown>): void;
+}
+
+export interface CloverPrintClientOptions extends HttpOptions {
+  merchantId: string;
+  /** Merchant API token. Or tokenProvider for OAuth tokens. */
+  token?: string;
+  tokenProvider?: TokenProvider;
+  /** Default 'na'. Ignored when baseURL is set. */
+  region?: CloverRegion;
+  baseURL?: string;
+  /** Silent by default. */
+  logger?: Logger;
+  /** Defaults for waitForPrintEvent (PRINT_EVENT_POLL). */
+  poll?: PollOptions;
+  /** Reuse an existing client from createCloverClient instead of token/region. */
+  clover?: CloverHttpClient;
+}
+
+export interface CloverDevice {
+  id: string;
+  name?: string;
+  model?: string;
+  serial?: string;
+  deviceTypeName?: string;
+  [field: string]: unknown;
+}
+
+/** Clover print_event response. */
+export interface CloverPrintEvent {
+  id: string;
+  state?: PrintEventState;
+  orderRef?: { id: string };
+  deviceRef?: { id: string };
+  [field: string]: unknown;
+}
+
+interface PrintRequest {
+  merchantId: string;
+  orderId: string;
+  deviceId: string | null;
+  payload: { orderRef: { id: string }; deviceRef?: { id: string } };
+  responseMs: number;
+  /** Set by print(): 1-based copy number. */
+  copy?: number;
+}
+
+export interface PrintSent extends PrintRequest {
+  success: true;
+  eventId: string | null;
+  state: PrintEventState;
+  status: number;
+  data: CloverPrintEvent;
+  /** Set by print({ wait: true }). */
+  printEvent?: PrintEventRecord;
+}
+
+export interface PrintRequestFailed extends PrintRequest {
+  success: false;
+  error: string;
+  errorKind: ErrorKind | null;
+  cloverStatus: number | null;
+  cloverResponse: unknown;
+  attempts: number | null;
+}
+
+export type PrintResult = PrintSent | PrintRequestFailed;
+
+/** Tracked print event, updated in place while polling. */
+export interface PrintEventRecord {
+  eventId: string;
+  merchantId: string;
+  orderId: string | null;
+  deviceId: string | null;
+  state: PrintEventState;
+  terminal: boolean;
+  timedOut: boolean;
+  createdAt: string;
+  finishedAt: string | null;
+  durationMs: number | null;
+  polls: Array<{ at: string; state?: PrintEventState; error?: unknown }>;
+  lastError?: unknown;
+}
+
+export interface PrintOptions {
+  deviceId?: string | null;
+  /** Separate print events, one after the other. Default 1. */
+  copies?: number;
+  /** Track each event to DONE/FAILED before sending the next copy. */
+  wait?: boolean;
+  poll?: PollOptions;
+}
+
+export interface PrintCopiesResult {
+  success: boolean;
+  copies: number;
+  results: PrintResult[];
+  data?: CloverPrintEvent;
+  error?: string;
+  cloverResponse?: unknown;
+}
+
+export interface PrintAllDevicesResult {
+  success: boolean;
+  tryAllDevices: true;
+  results: Array<{
+    deviceId: string;
+    model?: string;
+    success: boolean;
+    eventId?: string | null;
+    state?: PrintEventState;
+    error?: string;
+  }>;
+}
+
+export interface WaitOptions {
+  orderId?: string;
+  deviceId?: string | null;
+  poll?: PollOptions;
+  /** Called with the live record when polling starts and after every poll. */
+  onUpdate?(record: PrintEventRecord): void;
+}
+
+export type PrintFailedEvent =
+  | ({ stage: 'request' } & PrintRequestFailed)
+  | ({ stage: 'event' } & PrintEventRecord);
+
+export interface CloverPrintClientEvents {
+  'print:sent': [result: PrintSent];
+  'print:done': [record: PrintEventRecord];
+  'print:failed': [failure: PrintFailedEvent];
+}
+
+export declare class CloverPrintClient extends EventEmitter {
+  constructor(options: CloverPrintClientOptions);
+
+  readonly merchantId: string;
+  readonly baseURL: string;
+  readonly clover: CloverHttpClient;
+
+  getDevices(): Promise<CloverDevice[]>;
+  getMerchant(): Promise<{ id: string; name?: string; [field: string]: unknown }>;
+  getOrder(orderId: string, options?: { expand?: string }): Promise<Record<string, any>>;
+  /** Never throws: the event, or { error }. */
+  getPrintEvent(eventId: string): Promise<CloverPrintEvent | { error: unknown; state?: undefined }>;
+
+  sendPrintEvent(orderId: string, options?: { deviceId?: string | null; copy?: number }): Promise<PrintResult>;
+  print(orderId: string, options?: PrintOptions): Promise<PrintCopiesResult>;
+  printAllDevices(orderId: string, options?: { wait?: boolean; poll?: PollOptions }): Promise<PrintAllDevicesResult>;
+  waitForPrintEvent(printEvent: CloverPrintEvent | string, options?: WaitOptions): Promise<PrintEventRecord>;
+
+  on<E extends keyof CloverPrintClientEvents>(event: E, listener: (...args: CloverPrintClientEvents[E]) => void): this;
+  once<E extends keyof CloverPrintClientEvents>(event: E, listener: (...args: CloverPrintClientEvents[E]) => void): this;
+  off<E extends keyof CloverPrintClientEvents>(event: E, listener: (...args: CloverPrintClientEvents[E]) => void): this;
+  emit<E extends keyof CloverPrintClientEvents>(event: E, ...args: CloverPrintClientEvents[E]): boolean;
+}
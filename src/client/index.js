@@ -0,0 +1,18 @@
+/**
+ * Clover print client library: require('./src/client') from any Node app. See CloverPrintClient.js
+ * and the typings in index.d.ts.
+ */
+
+const { CloverPrintClient, CLOVER_REGIONS, PRINT_EVENT_POLL, TERMINAL_PRINT_STATES } = require('./CloverPrintClient');
+const { createCloverClient } = require('../services/cloverClient');
+const { CloverApiError, ERROR_KINDS } = require('../utils/errors');
+
+module.exports = {
+  CloverPrintClient,
+  CLOVER_REGIONS,
+  PRINT_EVENT_POLL,
+  TERMINAL_PRINT_STATES,
+  createCloverClient,
+  CloverApiError,
+  ERROR_KINDS,
+};
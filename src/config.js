@@ -4,21 +4,134 @@
  */
 
 require('dotenv').config();
-const axios = require('axios');
+const path = require('path');
+const { createCloverClient, DEFAULT_CLIENT_OPTIONS } = require('./services/cloverClient');
+const { CLOVER_REGIONS } = require('./client/CloverPrintClient');
+const { SIM_MERCHANTS } = require('./simulator/seed');
+const { configureLogger, createLogger } = require('./utils/logger');
+const { recordCloverCall, recordCloverRetry } = require('./services/metrics');
 
 const PORT = process.env.PORT || 3000;
-const MERCHANT_ID = process.env.CLOVER_MERCHANT_ID;
-const ACCESS_TOKEN = process.env.CLOVER_ACCESS_TOKEN;
-const CLOVER_BASE_URL = process.env.CLOVER_BASE_URL || 'https://api.clover.com';
-
-/** Axios instance for Clover REST API (v3). */
-const clover = axios.create({
-  baseURL: CLOVER_BASE_URL,
-  headers: {
-    Authorization: `Bearer ${ACCESS_TOKEN}`,
-    'Content-Type': 'application/json',
-  },
-});
+/** Where JSON stores (merchant registry, etc.) are written. */
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+/**
+ * Local Clover API simulator (src/simulator). CLOVER_SIMULATOR=true starts it with the server and
+ * makes the .env merchant the first seeded simulator merchant (CLOVER_MERCHANT_ID/TOKEN/BASE_URL ignored).
+ */
+const CLOVER_SIMULATOR = process.env.CLOVER_SIMULATOR === 'true';
+const SIMULATOR_PORT = Number(process.env.SIMULATOR_PORT) || 4100;
+/** TCP sink that stands in for a LAN printer (raw port 9100 protocol) and captures the bytes; 0 = off. */
+const SIMULATOR_LAN_PORT = process.env.SIMULATOR_LAN_PORT !== undefined
+  ? Number(process.env.SIMULATOR_LAN_PORT)
+  : 9100;
+const SIMULATOR_OPTIONS = {
+  latencyMs: Number(process.env.SIMULATOR_LATENCY_MS) || 0,
+  printMs: Number(process.env.SIMULATOR_PRINT_MS) || 1500,
+  slowPrintMs: Number(process.env.SIMULATOR_SLOW_PRINT_MS) || 90000,
+  oauthTokenTtlMs: Number(process.env.SIMULATOR_OAUTH_TOKEN_TTL_MS) || 30 * 60 * 1000,
+};
+const MERCHANT_ID = CLOVER_SIMULATOR ? SIM_MERCHANTS[0].id : process.env.CLOVER_MERCHANT_ID;
+const ACCESS_TOKEN = CLOVER_SIMULATOR ? SIM_MERCHANTS[0].token : process.env.CLOVER_ACCESS_TOKEN;
+const CLOVER_BASE_URL = CLOVER_SIMULATOR
+  ? `http://localhost:${SIMULATOR_PORT}`
+  : process.env.CLOVER_BASE_URL || 'https://api.clover.com';
+/** How long to poll a print event for DONE/FAILED before giving up (ms). */
+const PRINT_EVENT_TIMEOUT_MS = Number(process.env.PRINT_EVENT_TIMEOUT_MS) || 60000;
+/** Print job queue: attempts before a job is dead-lettered, retry backoff, jobs worked in parallel. */
+const PRINT_JOB_MAX_ATTEMPTS = Number(process.env.PRINT_JOB_MAX_ATTEMPTS) || 5;
+const PRINT_JOB_RETRY_BASE_MS = Number(process.env.PRINT_JOB_RETRY_BASE_MS) || 5000;
+const PRINT_JOB_RETRY_MAX_MS = Number(process.env.PRINT_JOB_RETRY_MAX_MS) || 5 * 60 * 1000;
+const PRINT_JOB_CONCURRENCY = Number(process.env.PRINT_JOB_CONCURRENCY) || 4;
+/** Batch printing: time between the prints of one batch (ms) and most orders per batch. */
+const BATCH_PRINT_INTERVAL_MS = process.env.BATCH_PRINT_INTERVAL_MS !== undefined
+  ? Number(process.env.BATCH_PRINT_INTERVAL_MS)
+  : 2000;
+const BATCH_PRINT_MAX_ORDERS = Number(process.env.BATCH_PRINT_MAX_ORDERS) || 200;
+/**
+ * Device health monitor: how often it checks (0 = off), the window of prints it looks at, after how long
+ * without a DONE print a device counts as silent, consecutive failures that make it failing, and an
+ * optional URL that gets a POST when a device's health status changes.
+ */
+const DEVICE_HEALTH_INTERVAL_MS = process.env.DEVICE_HEALTH_INTERVAL_MS !== undefined
+  ? Number(process.env.DEVICE_HEALTH_INTERVAL_MS)
+  : 60000;
+const DEVICE_HEALTH_WINDOW_MS = Number(process.env.DEVICE_HEALTH_WINDOW_MS) || 24 * 60 * 60 * 1000;
+const DEVICE_HEALTH_SILENT_MS = Number(process.env.DEVICE_HEALTH_SILENT_MS) || 4 * 60 * 60 * 1000;
+const DEVICE_HEALTH_FAILURE_THRESHOLD = Number(process.env.DEVICE_HEALTH_FAILURE_THRESHOLD) || 3;
+const DEVICE_HEALTH_WEBHOOK_URL = process.env.DEVICE_HEALTH_WEBHOOK_URL || null;
+/**
+ * API-key auth for the HTTP API (src/middleware/auth.js). On unless API_AUTH=false; with CLOVER_SIMULATOR
+ * it defaults to off. API_ADMIN_KEY is a bootstrap admin key for all merchants (create the others via
+ * POST /api-keys). API_RATE_LIMIT_PER_MINUTE is the default per-key limit (a key can override it).
+ */
+const API_AUTH = process.env.API_AUTH !== undefined ? process.env.API_AUTH !== 'false' : !CLOVER_SIMULATOR;
+const API_ADMIN_KEY = process.env.API_ADMIN_KEY || null;
+const API_RATE_LIMIT_PER_MINUTE = Number(process.env.API_RATE_LIMIT_PER_MINUTE) || 120;
+/** How long the response to an Idempotency-Key request is kept and replayed (POST /test-print, send-print). */
+const IDEMPOTENCY_TTL_MS = Number(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000;
+/** Direct LAN printing fallback (raw TCP, port 9100): connect + send timeout per ticket (ms). */
+const LAN_PRINT_TIMEOUT_MS = Number(process.env.LAN_PRINT_TIMEOUT_MS) || 10000;
+/** Clover client: per-request timeout, retries for 429/5xx/network, max parallel calls per merchant. */
+const CLOVER_TIMEOUT_MS = Number(process.env.CLOVER_TIMEOUT_MS) || DEFAULT_CLIENT_OPTIONS.timeoutMs;
+const CLOVER_MAX_RETRIES = process.env.CLOVER_MAX_RETRIES !== undefined
+  ? Number(process.env.CLOVER_MAX_RETRIES)
+  : DEFAULT_CLIENT_OPTIONS.maxRetries;
+const CLOVER_MAX_CONCURRENCY = Number(process.env.CLOVER_MAX_CONCURRENCY) || DEFAULT_CLIENT_OPTIONS.maxConcurrency;
+/** Logging (src/utils/logger.js): debug | info | warn | error, and json (one object per line) or text. */
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT || 'json';
+configureLogger({ level: LOG_LEVEL, format: LOG_FORMAT });
+const cloverLog = createLogger('Clover');
+
+/** Clover OAuth 2.0 (authorization-code flow). Authorize/token URLs default from the merchant's base URL. */
+const CLOVER_APP_ID = process.env.CLOVER_APP_ID;
+const CLOVER_APP_SECRET = process.env.CLOVER_APP_SECRET;
+const CLOVER_OAUTH_REDIRECT_URI = process.env.CLOVER_OAUTH_REDIRECT_URI || `http://localhost:${PORT}/oauth/callback`;
+const CLOVER_OAUTH_AUTHORIZE_URL = process.env.CLOVER_OAUTH_AUTHORIZE_URL;
+const CLOVER_OAUTH_TOKEN_URL = process.env.CLOVER_OAUTH_TOKEN_URL;
+/** Passphrase used to encrypt stored OAuth tokens. */
+const TOKEN_ENCRYPTION_KEY = process.env.TOKEN_ENCRYPTION_KEY;
+
+/**
+ * Clover webhooks: CLOVER_WEBHOOK_SECRET verifies the Clover-Signature HMAC header,
+ * CLOVER_WEBHOOK_AUTH_CODE the X-Clover-Auth header (from the app's Webhooks page). One is required.
+ * WEBHOOK_PRINT_ORDER_TYPES: comma-separated order type ids to auto-print (merchant defaults can override).
+ */
+const CLOVER_WEBHOOK_SECRET = process.env.CLOVER_WEBHOOK_SECRET;
+const CLOVER_WEBHOOK_AUTH_CODE = process.env.CLOVER_WEBHOOK_AUTH_CODE;
+const WEBHOOK_PRINT_ORDER_TYPES = (process.env.WEBHOOK_PRINT_ORDER_TYPES || '')
+  .split(',')
+  .map((id) => id.trim())
+  .filter(Boolean);
+
+/** Merchant key used when a request names none: the .env merchant (or a registry entry with this key). */
+const DEFAULT_MERCHANT_KEY = 'default';
+
+/**
+ * Clover REST API (v3) client for one base URL, with the retry/timeout settings above.
+ * auth is a static token string, or a token provider { getAccessToken, refresh } (OAuth).
+ * Every attempt goes to the metrics (GET /metrics) and, at debug level, the log.
+ */
+function createClover(baseURL, auth) {
+  return createCloverClient({
+    baseURL,
+    ...(typeof auth === 'string' || !auth ? { accessToken: auth } : { tokenProvider: auth }),
+    timeoutMs: CLOVER_TIMEOUT_MS,
+    maxRetries: CLOVER_MAX_RETRIES,
+    maxConcurrency: CLOVER_MAX_CONCURRENCY,
+    onRetry: (err, { attempt, delayMs }) => {
+      recordCloverRetry(err);
+      cloverLog.warn('Retrying Clover call', { method: err.method, url: err.url, cloverStatus: err.status || err.code, attempt, delayMs });
+    },
+    onCall: (call) => {
+      recordCloverCall(call);
+      cloverLog.debug('Clover call', call);
+    },
+  });
+}
+
+/** Client for the .env merchant. */
+const clover = createClover(CLOVER_BASE_URL, ACCESS_TOKEN);
 
 function hasCloverConfig() {
   return Boolean(MERCHANT_ID && ACCESS_TOKEN);
@@ -26,9 +139,48 @@ function hasCloverConfig() {
 
 module.exports = {
   PORT,
+  DATA_DIR,
+  CLOVER_SIMULATOR,
+  SIMULATOR_PORT,
+  SIMULATOR_LAN_PORT,
+  SIMULATOR_OPTIONS,
   MERCHANT_ID,
   ACCESS_TOKEN,
   CLOVER_BASE_URL,
+  PRINT_EVENT_TIMEOUT_MS,
+  PRINT_JOB_MAX_ATTEMPTS,
+  PRINT_JOB_RETRY_BASE_MS,
+  PRINT_JOB_RETRY_MAX_MS,
+  PRINT_JOB_CONCURRENCY,
+  BATCH_PRINT_INTERVAL_MS,
+  BATCH_PRINT_MAX_ORDERS,
+  DEVICE_HEALTH_INTERVAL_MS,
+  DEVICE_HEALTH_WINDOW_MS,
+  DEVICE_HEALTH_SILENT_MS,
+  DEVICE_HEALTH_FAILURE_THRESHOLD,
+  DEVICE_HEALTH_WEBHOOK_URL,
+  API_AUTH,
+  API_ADMIN_KEY,
+  API_RATE_LIMIT_PER_MINUTE,
+  IDEMPOTENCY_TTL_MS,
+  LAN_PRINT_TIMEOUT_MS,
+  CLOVER_TIMEOUT_MS,
+  CLOVER_MAX_RETRIES,
+  CLOVER_MAX_CONCURRENCY,
+  LOG_LEVEL,
+  LOG_FORMAT,
+  CLOVER_REGIONS,
+  DEFAULT_MERCHANT_KEY,
+  CLOVER_APP_ID,
+  CLOVER_APP_SECRET,
+  CLOVER_OAUTH_REDIRECT_URI,
+  CLOVER_OAUTH_AUTHORIZE_URL,
+  CLOVER_OAUTH_TOKEN_URL,
+  TOKEN_ENCRYPTION_KEY,
+  CLOVER_WEBHOOK_SECRET,
+  CLOVER_WEBHOOK_AUTH_CODE,
+  WEBHOOK_PRINT_ORDER_TYPES,
+  createClover,
   clover,
   hasCloverConfig,
 };
@@ -3,6 +3,13 @@
  * Change these to adjust test data or copy without touching route logic.
  */
 
+/**
+ * Tag written on every item (code) and order (externalReferenceId) this server creates, so cleanup
+ * only ever deletes our own test data. Not alternateName: that prints on kitchen tickets.
+ * Clover limits externalReferenceId to 12 chars.
+ */
+const CREATED_BY_TAG = 'PRINTTEST';
+
 const DUMMY_ITEMS = [
   { name: 'Print Test Item 1', price: 100 },
   { name: 'Print Test Item 2', price: 100 },
@@ -16,7 +23,7 @@ const HOW_TO_PRINT = {
     { step: 3, action: 'On the same Clover device: Go to Setup → Online Ordering → Settings. Set "Remote firing device for Clover online ordering" to THIS device. Save.' },
     { step: 4, action: 'Keep that Clover device powered on and connected to the internet.' },
     { step: 5, action: 'Send a test print: POST /test-print with body { "tryAllDevices": true }. This sends the print to every Clover device; the one that has your Star as Order Printer should print.' },
-    { step: 6, action: 'If still no print: Call GET /test-print/devices, copy each device id, and try POST /test-print with body { "deviceId": "<paste-one-id>" } for each id until one prints.' },
+    { step: 6, action: 'If still no print, or to find which device prints: POST /test-print/discovery prints a ticket labelled e.g. "D4821-2" on each device, one at a time. Read the label on the ticket that came out and POST /test-print/discovery/<sessionId>/confirm with { "label": "D4821-2" } – that device becomes the default.' },
   ],
   whyOurPrintsDontShow: 'Uber Eats and DoorDash use Clover Online Ordering; their orders have an order type that routes to the Remote firing device. Our API-created orders need the same order type.',
   apiCalls: [
@@ -24,6 +31,7 @@ const HOW_TO_PRINT = {
     'POST /test-print with body { "orderTypeId": "<id from order-types>" }  →  create order like delivery so print routes same',
     'POST /test-print with body { "tryAllDevices": true }  →  send print to all Clover devices',
     'POST /test-print with body { "deviceId": "<uuid>" }   →  send print to one device',
+    'POST /test-print/discovery, then POST /test-print/discovery/<sessionId>/confirm { "label": "<label on ticket>" }  →  find and save the printing device',
     'POST /test-print/send-print with body { "orderId": "<id>", "tryAllDevices": true }  →  re-send print for existing order',
   ],
 };
@@ -46,6 +54,7 @@ function buildSendPrintTroubleshooting(orderId) {
 }
 
 module.exports = {
+  CREATED_BY_TAG,
   DUMMY_ITEMS,
   HOW_TO_PRINT,
   buildTroubleshooting,
@@ -0,0 +1,152 @@
+/**
+ * API-key auth for the HTTP API. authenticate (app-wide, server.js) checks the key, applies its rate
+ * limit and writes every call to the API audit log; requireRole(role) on each route checks the key's
+ * role and merchant scope. Both do nothing when API_AUTH is off.
+ *
+ * Roles, each including the ones before it:
+ * - read: check, devices, order types, verify, history, jobs, preview, /metrics – nothing that creates or prints;
+ * - print: create-and-print, send-print, scheduled and batch prints, readiness check, order changes, job retry/cancel;
+ * - admin: debug-print, cleanup, routing rules, discovery, LAN printer, merchants, OAuth, API keys.
+ * A key's merchants is ['*'] or a list of merchant keys. Routes that aren't about one merchant
+ * (registry, OAuth, API keys) need ['*'], unless they serve no merchant data (how-to-print).
+ */
+
+const crypto = require('crypto');
+const { API_AUTH, API_ADMIN_KEY, API_RATE_LIMIT_PER_MINUTE } = require('../config');
+const { findApiKeyBySecret, listApiKeys, touchApiKey } = require('../stores/apiKeyStore');
+const { recordApiCall } = require('../stores/apiAuditStore');
+
+const ROLES = ['read', 'print', 'admin'];
+/**
+ * No key needed: the webhook and OAuth callback are called by Clover (they have their own signature
+ * and state checks), the OAuth authorize redirect is opened in a browser (it needs a one-time link
+ * from an admin call when API_AUTH is on), and the OpenAPI document is public.
+ */
+const PUBLIC_PATHS = [
+  '/webhooks/clover',
+  '/oauth/authorize',
+  '/api/v1/oauth/authorize',
+  '/oauth/callback',
+  '/api/v1/oauth/callback',
+  '/api/v1/openapi.json',
+];
+const RATE_WINDOW_MS = 60 * 1000;
+
+/** The bootstrap key from API_ADMIN_KEY. */
+const ENV_ADMIN_KEY = { id: 'env-admin', name: 'API_ADMIN_KEY', role: 'admin', merchants: ['*'], rateLimitPerMinute: null };
+
+/** Calls per key in the current minute: key id → { windowStart, count }. */
+const rateWindows = new Map();
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+/** Key from Authorization: Bearer <key> or X-API-Key. */
+function keyFromRequest(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  return (match ? match[1] : req.get('X-API-Key') || '').trim() || null;
+}
+
+function lookupApiKey(secret) {
+  if (API_ADMIN_KEY && crypto.timingSafeEqual(sha256(secret), sha256(API_ADMIN_KEY))) return ENV_ADMIN_KEY;
+  return findApiKeyBySecret(secret);
+}
+
+/** Count a call against the key's limit. Returns { limit, remaining, resetAt }; remaining < 0 = over. */
+function takeRateToken(apiKey) {
+  const limit = apiKey.rateLimitPerMinute || API_RATE_LIMIT_PER_MINUTE;
+  const now = Date.now();
+  let window = rateWindows.get(apiKey.id);
+  if (!window || now - window.windowStart >= RATE_WINDOW_MS) {
+    window = { windowStart: now, count: 0 };
+    rateWindows.set(apiKey.id, window);
+  }
+  window.count++;
+  return { limit, remaining: limit - window.count, resetAt: window.windowStart + RATE_WINDOW_MS };
+}
+
+function canAccessMerchant(apiKey, merchantKey) {
+  if (apiKey.merchants.includes('*')) return true;
+  return Boolean(merchantKey) && apiKey.merchants.includes(merchantKey);
+}
+
+function authenticate(req, res, next) {
+  if (!API_AUTH || PUBLIC_PATHS.includes(req.path)) return next();
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    recordApiCall({
+      at: new Date(startedAt).toISOString(),
+      keyId: req.apiKey?.id || null,
+      keyName: req.apiKey?.name || null,
+      role: req.apiKey?.role || null,
+      method: req.method,
+      path: req.originalUrl,
+      merchantKey: req.merchant?.key || null,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      ip: req.ip,
+      ...(req.authError ? { error: req.authError } : {}),
+    });
+  });
+
+  const secret = keyFromRequest(req);
+  const apiKey = secret ? lookupApiKey(secret) : null;
+  if (!apiKey) {
+    req.authError = secret ? 'unknown or revoked key' : 'missing key';
+    const noKeys = !API_ADMIN_KEY && listApiKeys().length === 0;
+    return res.status(401).json({
+      success: false,
+      error: secret ? 'Unknown or revoked API key.' : 'Missing API key. Send Authorization: Bearer <key> or X-API-Key: <key>.',
+      ...(noKeys ? { hint: 'No API keys exist yet: set API_ADMIN_KEY in .env, then create keys with POST /api-keys (or set API_AUTH=false for local testing).' } : {}),
+    });
+  }
+  req.apiKey = apiKey;
+
+  const rate = takeRateToken(apiKey);
+  res.set('X-RateLimit-Limit', String(rate.limit));
+  res.set('X-RateLimit-Remaining', String(Math.max(0, rate.remaining)));
+  if (rate.remaining < 0) {
+    req.authError = 'rate limited';
+    res.set('Retry-After', String(Math.ceil((rate.resetAt - Date.now()) / 1000)));
+    return res.status(429).json({ success: false, error: `Rate limit of ${rate.limit} calls per minute exceeded for API key "${apiKey.name}".` });
+  }
+  if (apiKey !== ENV_ADMIN_KEY) touchApiKey(apiKey);
+  next();
+}
+
+/**
+ * Route middleware: the key needs at least role and access to the request's merchant (req.merchant
+ * from requireMerchant, or the :key param of /merchants/:key). Put it after requireMerchant.
+ * { anyMerchant: true }: any key with role will do, for routes without merchant data.
+ */
+function requireRole(role, { anyMerchant = false } = {}) {
+  const middleware = (req, res, next) => {
+    const { apiKey } = req;
+    if (!apiKey) return next();
+    if (ROLES.indexOf(apiKey.role) < ROLES.indexOf(role)) {
+      req.authError = `role ${apiKey.role} < ${role}`;
+      return res.status(403).json({ success: false, error: `API key "${apiKey.name}" has role "${apiKey.role}"; this call needs "${role}".` });
+    }
+    const merchantKey = req.merchant?.key || req.params.key || null;
+    if (!anyMerchant && !canAccessMerchant(apiKey, merchantKey)) {
+      req.authError = `no access to merchant ${merchantKey || '(all)'}`;
+      return res.status(403).json({
+        success: false,
+        error: merchantKey
+          ? `API key "${apiKey.name}" has no access to merchant "${merchantKey}".`
+          : `API key "${apiKey.name}" is limited to some merchants; this call needs a key for all merchants.`,
+      });
+    }
+    next();
+  };
+  middleware.role = role;
+  return middleware;
+}
+
+module.exports = {
+  ROLES,
+  PUBLIC_PATHS,
+  authenticate,
+  requireRole,
+};
@@ -0,0 +1,59 @@
+/**
+ * Express middleware for /api/v1: one error shape for every failed call. Handlers keep sending
+ * { success: false, error, details?, hint?, failedStep?, cloverStatus?, ... }; this rewrites it to
+ *
+ *   { success: false, error: { code, message, status, details?, hint?, step?, clover? }, ...other fields }
+ *
+ * so clients can branch on error.code. The original /test-print paths keep the old shape.
+ */
+
+const ENVELOPE_FIELDS = ['success', 'error', 'details', 'hint', 'failedStep', 'errorKind', 'cloverStatus', 'cloverResponse', 'attempts'];
+
+const CODES_BY_STATUS = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  422: 'unprocessable',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'bad_gateway',
+  504: 'gateway_timeout',
+};
+
+/** error.code: validation_failed for 400 with details, clover_<kind> for Clover failures, else by status. */
+function errorCode(status, body) {
+  if (status === 400 && Array.isArray(body.details)) return 'validation_failed';
+  if (body.errorKind && body.errorKind !== 'internal') return `clover_${body.errorKind}`;
+  return CODES_BY_STATUS[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+}
+
+function toEnvelope(status, body) {
+  const rest = Object.fromEntries(Object.entries(body).filter(([field]) => !ENVELOPE_FIELDS.includes(field)));
+  const hasClover = body.cloverStatus !== undefined || body.cloverResponse !== undefined;
+  const error = {
+    code: errorCode(status, body),
+    message: body.error || body.message || `Request failed with status ${status}.`,
+    status,
+    ...(Array.isArray(body.details) ? { details: body.details } : {}),
+    ...(body.hint ? { hint: body.hint } : {}),
+    ...(body.failedStep ? { step: body.failedStep } : {}),
+    ...(hasClover ? {
+      clover: { status: body.cloverStatus ?? null, kind: body.errorKind || null, response: body.cloverResponse ?? null, attempts: body.attempts ?? null },
+    } : {}),
+  };
+  if (rest.message === error.message) delete rest.message;
+  return { success: false, error, ...rest };
+}
+
+function errorEnvelope(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const isError = res.statusCode >= 400 && body && body.success === false && typeof body.error !== 'object';
+    return json(isError ? toEnvelope(res.statusCode, body) : body);
+  };
+  next();
+}
+
+module.exports = { errorEnvelope };
@@ -0,0 +1,98 @@
+/**
+ * Express middleware: Idempotency-Key for create-and-print requests, so a client that timed out and
+ * retries doesn't create a second order or ticket. Use after requireMerchant: idempotent('test-print').
+ *
+ * Within IDEMPOTENCY_TTL_MS a key (per merchant and endpoint) runs its request once:
+ * - sent again after it finished: the stored response is replayed, with Idempotent-Replayed: true;
+ * - sent again while it runs: waits for the first request, then replays its response;
+ * - sent with a different body: 422.
+ * 400 responses (invalid body) aren't kept, so the key can be reused for the corrected request.
+ * A client that hangs up doesn't free the key: the handler runs to the end and its response is kept
+ * for the retry.
+ */
+
+const crypto = require('crypto');
+const { IDEMPOTENCY_TTL_MS } = require('../config');
+const {
+  getIdempotencyEntry,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+} = require('../stores/idempotencyStore');
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/** Requests running in this process, by entry id → promise settled when the key is completed or released. */
+const inFlight = new Map();
+
+function fingerprintOf(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body ?? {})).digest('hex');
+}
+
+function replay(res, response) {
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(response.status).json(response.body);
+}
+
+function idempotent(endpoint) {
+  const middleware = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+    if (!KEY_PATTERN.test(key)) {
+      return res.status(400).json({ success: false, error: 'Idempotency-Key must be 1–255 visible ASCII characters, e.g. a UUID.' });
+    }
+    const id = `${req.merchant.key}:${endpoint}:${key}`;
+    const fingerprint = fingerprintOf(req.body);
+
+    const existing = getIdempotencyEntry(id);
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(422).json({ success: false, error: `Idempotency-Key "${key}" was already used with a different body. Use a new key for a new request.` });
+      }
+      if (existing.state === 'done') return replay(res, existing.response);
+      const running = inFlight.get(id);
+      if (running) {
+        // Then the key is done (replayed) or was released (this request runs).
+        await running;
+        return middleware(req, res, next);
+      }
+      return res.status(409).json({
+        success: false,
+        error: `The first request with Idempotency-Key "${key}" didn't finish (server restart?), so its result is unknown. Check GET /test-print/jobs before sending it again with a new key.`,
+      });
+    }
+
+    const now = Date.now();
+    const claimed = claimIdempotencyKey(id, {
+      scope: endpoint,
+      merchantKey: req.merchant.key,
+      key,
+      fingerprint,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + IDEMPOTENCY_TTL_MS).toISOString(),
+    });
+    if (!claimed) return middleware(req, res, next);
+    let settle;
+    inFlight.set(id, new Promise((resolve) => { settle = resolve; }));
+    const finish = (response) => {
+      if (!inFlight.has(id)) return;
+      inFlight.delete(id);
+      if (response && response.status !== 400) completeIdempotencyKey(id, response);
+      else releaseIdempotencyKey(id);
+      settle();
+    };
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      finish({ status: res.statusCode, body });
+      return json(body);
+    };
+    // Sent without res.json: nothing to replay. (No 'close' handler: the key stays claimed until the handler responds.)
+    res.on('finish', () => finish(null));
+    next();
+  };
+  middleware.idempotencyScope = endpoint;
+  return middleware;
+}
+
+module.exports = { idempotent };
@@ -0,0 +1,25 @@
+/**
+ * Express middleware: pick the merchant for this request and put its context on req.merchant.
+ * Key comes from the :merchantKey path param, then the X-Merchant-Key header, else the default (.env) merchant.
+ */
+
+const { DEFAULT_MERCHANT_KEY } = require('../config');
+const { resolveMerchant } = require('../services/merchants');
+
+function requireMerchant(req, res, next) {
+  const key = req.params.merchantKey || req.get('X-Merchant-Key') || DEFAULT_MERCHANT_KEY;
+  const merchant = resolveMerchant(key);
+  if (!merchant) {
+    if (key === DEFAULT_MERCHANT_KEY) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing CLOVER_MERCHANT_ID or CLOVER_ACCESS_TOKEN in .env. Set them, authorize via POST /oauth/authorize-link, or register merchants via POST /merchants and send X-Merchant-Key.',
+      });
+    }
+    return res.status(404).json({ success: false, error: `Unknown merchant key "${key}" (or it has no token yet). See GET /merchants.` });
+  }
+  req.merchant = merchant;
+  next();
+}
+
+module.exports = { requireMerchant };
@@ -0,0 +1,34 @@
+/**
+ * Express middleware (first in server.js): every request gets an id – the caller's X-Request-Id if it
+ * looks like one, else a new UUID – sent back in the X-Request-Id header. The rest of the request runs
+ * in its context (src/utils/requestContext.js), so every log line and Clover call it triggers carries
+ * the id. One "Request" log line per response.
+ */
+
+const crypto = require('crypto');
+const { runWithContext } = require('../utils/requestContext');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('HTTP');
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    log.info('Request', {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      merchantKey: req.merchant?.key,
+      apiKeyId: req.apiKey?.id,
+    });
+  });
+  runWithContext({ requestId: req.id }, next);
+}
+
+module.exports = { requestContext };
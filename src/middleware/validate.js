@@ -0,0 +1,39 @@
+/**
+ * Route middleware: validate({ summary, body?, query? }) documents a route for the OpenAPI document
+ * (src/api/openapi.js) and checks req.body against the body schema and req.query against the query
+ * parameter schemas (src/api/schemas.js) – 400 with details on failure. Query values are strings;
+ * numeric ones are compared as numbers for integer / number parameters. Undocumented parameters are
+ * ignored.
+ */
+
+const { checkSchema } = require('../utils/schema');
+
+/** req.query with numeric strings turned into numbers where the parameter is an integer / number. */
+function typedQuery(parameters, query) {
+  const typed = { ...query };
+  for (const [name, schema] of Object.entries(parameters)) {
+    const value = typed[name];
+    if (['integer', 'number'].includes(schema.type) && typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+      typed[name] = Number(value);
+    }
+  }
+  return typed;
+}
+
+function validate(doc) {
+  const middleware = (req, res, next) => {
+    if (doc.query) {
+      const errors = checkSchema({ type: 'object', properties: doc.query }, typedQuery(doc.query, req.query));
+      if (errors.length) return res.status(400).json({ success: false, error: 'Invalid query parameters.', details: errors });
+    }
+    if (doc.body) {
+      const errors = checkSchema(doc.body, req.body ?? {});
+      if (errors.length) return res.status(400).json({ success: false, error: 'Invalid request body.', details: errors });
+    }
+    next();
+  };
+  middleware.apiDoc = doc;
+  return middleware;
+}
+
+module.exports = { validate };
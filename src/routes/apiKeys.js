@@ -0,0 +1,80 @@
+/**
+ * Routes for /api-keys: create, list and revoke API keys, and the API call audit log.
+ * Admin keys for all merchants only, except GET /api-keys/me. Keys are shown once, at creation.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { API_AUTH } = require('../config');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../api/schemas');
+const { listApiKeys, getApiKey, createApiKey, revokeApiKey } = require('../stores/apiKeyStore');
+const { listApiCalls } = require('../stores/apiAuditStore');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('API keys');
+
+// ----- GET /api-keys/me: the key making this call (any valid key) -----
+router.get('/me', validate({ summary: 'The API key making this call' }), (req, res) => {
+  if (!API_AUTH) return res.json({ success: true, auth: false, apiKey: null });
+  res.json({ success: true, auth: true, apiKey: req.apiKey });
+});
+
+// ----- GET /api-keys/audit?keyId=&merchantKey=&status=&from=&to=&limit= -----
+router.get('/audit', requireRole('admin'), validate({
+  summary: 'API call audit log, newest first',
+  query: schemas.query.apiAudit,
+}), (req, res) => {
+  const dates = {};
+  for (const field of ['from', 'to']) {
+    if (!req.query[field]) continue;
+    dates[field] = new Date(req.query[field]);
+    if (Number.isNaN(dates[field].getTime())) {
+      return res.status(400).json({ success: false, error: `${field} must be an ISO date, e.g. 2026-01-31T18:00:00Z.` });
+    }
+  }
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  const calls = listApiCalls({
+    keyId: req.query.keyId,
+    merchantKey: req.query.merchantKey,
+    status: req.query.status ? Number(req.query.status) : null,
+    ...dates,
+    limit,
+  });
+  res.json({ success: true, count: calls.length, calls });
+});
+
+// ----- GET /api-keys -----
+router.get('/', requireRole('admin'), validate({ summary: 'API keys (no secrets)' }), (req, res) => {
+  const apiKeys = listApiKeys();
+  res.json({ success: true, count: apiKeys.length, apiKeys });
+});
+
+// ----- POST /api-keys: create a key (body: { name, role, merchants, rateLimitPerMinute? }) -----
+router.post('/', requireRole('admin'), validate({
+  summary: 'Create an API key (the key is shown once)',
+  body: schemas.createApiKey,
+}), (req, res) => {
+  const { name, role, merchants, rateLimitPerMinute } = req.body;
+  const { apiKey, secret } = createApiKey({ name: name.trim(), role, merchants, rateLimitPerMinute: rateLimitPerMinute || null });
+  log.info('Key created', { keyId: apiKey.id, name: apiKey.name, role: apiKey.role, merchants: apiKey.merchants, by: req.apiKey?.id || '(auth off)' });
+  res.status(201).json({ success: true, key: secret, apiKey, message: 'Store this key now; it is not shown again.' });
+});
+
+// ----- GET /api-keys/:id -----
+router.get('/:id', requireRole('admin'), validate({ summary: 'One API key' }), (req, res) => {
+  const apiKey = getApiKey(req.params.id);
+  if (!apiKey) return res.status(404).json({ success: false, error: `Unknown API key "${req.params.id}".` });
+  res.json({ success: true, apiKey });
+});
+
+// ----- DELETE /api-keys/:id: revoke (the entry stays for the audit log) -----
+router.delete('/:id', requireRole('admin'), validate({ summary: 'Revoke an API key' }), (req, res) => {
+  const apiKey = revokeApiKey(req.params.id);
+  if (!apiKey) return res.status(404).json({ success: false, error: `Unknown API key "${req.params.id}".` });
+  log.info('Key revoked', { keyId: apiKey.id, name: apiKey.name, by: req.apiKey?.id || '(auth off)' });
+  res.json({ success: true, message: `API key "${apiKey.name}" revoked.`, apiKey });
+});
+
+module.exports = router;
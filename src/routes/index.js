@@ -0,0 +1,47 @@
+/**
+ * Where the API routers are served. Each is mounted under /api/v1 and, so existing clients keep
+ * working, at its original path; merchant-scoped routers also under .../merchants/:merchantKey/...
+ * The OpenAPI document (src/api/openapi.js) is generated from this table and the routers themselves.
+ */
+
+const testPrintRouter = require('./testPrint');
+const ordersRouter = require('./orders');
+const merchantsRouter = require('./merchants');
+const apiKeysRouter = require('./apiKeys');
+const oauthRouter = require('./oauth');
+const { buildOpenApiSpec } = require('../api/openapi');
+
+const API_PREFIX = '/api/v1';
+
+/** path: under API_PREFIX; legacyPath: the original mount; perMerchant: also under /merchants/:merchantKey. Order matters. */
+const API_ROUTES = [
+  { path: '/orders', legacyPath: '/test-print/orders', router: ordersRouter, perMerchant: true, tag: 'Orders' },
+  { path: '/merchants', legacyPath: '/merchants', router: merchantsRouter, tag: 'Merchants' },
+  { path: '/api-keys', legacyPath: '/api-keys', router: apiKeysRouter, tag: 'API keys' },
+  { path: '/oauth', legacyPath: '/oauth', router: oauthRouter, tag: 'OAuth' },
+  { path: '', legacyPath: '/test-print', router: testPrintRouter, perMerchant: true, tag: 'Printing' },
+];
+
+/** Mount every router at its /api/v1 and legacy paths, then a JSON 404 for unknown /api/v1 paths. */
+function mountApiRoutes(app) {
+  let spec = null;
+  app.get(`${API_PREFIX}/openapi.json`, (req, res) => {
+    if (!spec) spec = buildOpenApiSpec(API_ROUTES, API_PREFIX);
+    res.json(spec);
+  });
+  for (const { path, legacyPath, router, perMerchant } of API_ROUTES) {
+    app.use(`${API_PREFIX}${path}`, router);
+    if (perMerchant) app.use(`${API_PREFIX}/merchants/:merchantKey${path}`, router);
+    app.use(legacyPath, router);
+    if (perMerchant) app.use(`/merchants/:merchantKey${legacyPath}`, router);
+  }
+  app.use(API_PREFIX, (req, res) => {
+    res.status(404).json({ success: false, error: `No route ${req.method} ${req.originalUrl}. See GET ${API_PREFIX}/openapi.json.` });
+  });
+}
+
+module.exports = {
+  API_PREFIX,
+  API_ROUTES,
+  mountApiRoutes,
+};
@@ -0,0 +1,72 @@
+/**
+ * Routes for /merchants: manage the merchant registry (CRUD). Tokens are never returned in full.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../api/schemas');
+const { listMerchants, getMerchant, saveMerchant, deleteMerchant } = require('../stores/merchantStore');
+const { toPublicMerchant } = require('../services/merchants');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('Merchants');
+
+const EDITABLE_FIELDS = ['name', 'merchantId', 'accessToken', 'region', 'baseURL', 'defaults'];
+
+function pickEditable(body) {
+  const entry = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) entry[field] = body[field];
+  }
+  return entry;
+}
+
+// ----- GET /merchants -----
+router.get('/', requireRole('admin'), validate({ summary: 'Registered merchants' }), (req, res) => {
+  const merchants = listMerchants().map(toPublicMerchant);
+  res.json({ success: true, count: merchants.length, merchants });
+});
+
+// ----- GET /merchants/:key -----
+router.get('/:key', requireRole('admin'), validate({ summary: 'One registered merchant' }), (req, res) => {
+  const entry = getMerchant(req.params.key);
+  if (!entry) return res.status(404).json({ success: false, error: `Unknown merchant key "${req.params.key}".` });
+  res.json({ success: true, merchant: toPublicMerchant(entry) });
+});
+
+// ----- POST /merchants: register a merchant -----
+router.post('/', requireRole('admin'), validate({ summary: 'Register a merchant', body: schemas.createMerchant }), (req, res) => {
+  if (getMerchant(req.body.key)) {
+    return res.status(409).json({ success: false, error: `Merchant key "${req.body.key}" already exists. Use PATCH /merchants/${req.body.key}.` });
+  }
+  const saved = saveMerchant({ key: req.body.key, ...pickEditable(req.body) });
+  log.info('Merchant added', { merchantKey: saved.key, merchantId: saved.merchantId });
+  res.status(201).json({ success: true, merchant: toPublicMerchant(saved) });
+});
+
+// ----- PATCH /merchants/:key: update some fields (defaults are merged) -----
+router.patch('/:key', requireRole('admin'), validate({
+  summary: 'Update a registered merchant',
+  body: schemas.updateMerchant,
+}), (req, res) => {
+  const existing = getMerchant(req.params.key);
+  if (!existing) return res.status(404).json({ success: false, error: `Unknown merchant key "${req.params.key}".` });
+  const changes = pickEditable(req.body);
+  if (changes.defaults) changes.defaults = { ...existing.defaults, ...changes.defaults };
+  const saved = saveMerchant({ ...existing, ...changes });
+  log.info('Merchant updated', { merchantKey: saved.key, fields: Object.keys(changes) });
+  res.json({ success: true, merchant: toPublicMerchant(saved) });
+});
+
+// ----- DELETE /merchants/:key -----
+router.delete('/:key', requireRole('admin'), validate({ summary: 'Remove a registered merchant' }), (req, res) => {
+  if (!deleteMerchant(req.params.key)) {
+    return res.status(404).json({ success: false, error: `Unknown merchant key "${req.params.key}".` });
+  }
+  log.info('Merchant deleted', { merchantKey: req.params.key });
+  res.json({ success: true, message: `Merchant "${req.params.key}" removed.` });
+});
+
+module.exports = router;
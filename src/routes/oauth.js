@@ -0,0 +1,147 @@
+/**
+ * Routes for /oauth: Clover OAuth 2.0 authorization-code flow (one-time authorize link, authorize
+ * redirect, callback, manual refresh).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../api/schemas');
+const { API_AUTH, CLOVER_BASE_URL, CLOVER_REGIONS, DEFAULT_MERCHANT_KEY, MERCHANT_ID } = require('../config');
+const { getMerchant, saveMerchant } = require('../stores/merchantStore');
+const { getTokenInfo, hasTokens } = require('../stores/tokenStore');
+const {
+  hasOAuthConfig,
+  createAuthorizeLink,
+  consumeAuthorizeLink,
+  buildAuthorizeUrl,
+  consumeState,
+  exchangeCode,
+  refreshAccessToken,
+} = require('../services/oauth');
+const { sendCloverError } = require('../utils/sendCloverError');
+const { createLogger, errorFields } = require('../utils/logger');
+
+const log = createLogger('OAuth');
+
+function requireOAuthConfig(req, res, next) {
+  if (!hasOAuthConfig()) {
+    return res.status(400).json({ success: false, error: 'Missing CLOVER_APP_ID or CLOVER_APP_SECRET in .env' });
+  }
+  next();
+}
+
+/** Base URL for the merchant: registry entry, then region / baseURL, then CLOVER_BASE_URL. */
+function baseURLFor(merchantKey, { region, baseURL }) {
+  const entry = getMerchant(merchantKey);
+  if (entry) return entry.baseURL || CLOVER_REGIONS[entry.region] || CLOVER_REGIONS.na;
+  return baseURL || CLOVER_REGIONS[region] || CLOVER_BASE_URL;
+}
+
+/** { merchantKey, baseURL } from merchantKey / region / baseURL params (checked by validate()). */
+function authorizeTarget(params) {
+  const merchantKey = params.merchantKey || DEFAULT_MERCHANT_KEY;
+  return { merchantKey, baseURL: baseURLFor(merchantKey, params) };
+}
+
+// ----- POST /oauth/authorize-link: one-time GET /oauth/authorize link to open in the merchant's browser -----
+router.post('/authorize-link', requireRole('admin'), validate({
+  summary: 'Create a one-time link that starts the OAuth flow in a browser',
+  body: schemas.oauthAuthorizeLink,
+}), requireOAuthConfig, (req, res) => {
+  const target = authorizeTarget(req.body || {});
+  const { link, expiresAt } = createAuthorizeLink(target.merchantKey, target.baseURL);
+  log.info('Authorize link created', { merchantKey: target.merchantKey });
+  return res.json({
+    success: true,
+    merchantKey: target.merchantKey,
+    url: `${req.protocol}://${req.get('host')}${req.baseUrl}/authorize?link=${link}`,
+    expiresAt,
+  });
+});
+
+// ----- GET /oauth/authorize?link=<token> (or ?merchantKey=<key>[&region=eu] with API_AUTH off): redirect to Clover's consent page -----
+router.get('/authorize', validate({
+  summary: 'Redirect to Clover\'s OAuth consent page',
+  query: schemas.query.oauthAuthorize,
+}), requireOAuthConfig, (req, res) => {
+  let target;
+  if (req.query.link) {
+    target = consumeAuthorizeLink(req.query.link);
+    if (!target) {
+      return res.status(400).json({ success: false, error: 'Unknown, used or expired link. Create a new one with POST /oauth/authorize-link.' });
+    }
+  } else if (API_AUTH) {
+    // A browser can't send the API key, so with API_AUTH on the flow starts from a one-time link.
+    return res.status(401).json({ success: false, error: 'Open a one-time link from POST /oauth/authorize-link (admin key) instead.' });
+  } else {
+    // Not req.query itself: baseURL isn't a query parameter, and only the body schema restricts it.
+    target = authorizeTarget({ merchantKey: req.query.merchantKey, region: req.query.region });
+  }
+  const url = buildAuthorizeUrl(target.merchantKey, target.baseURL);
+  log.info('Authorize redirect', { merchantKey: target.merchantKey });
+  res.redirect(url);
+});
+
+// ----- GET /oauth/callback?code=&merchant_id=&state=: exchange code, store tokens -----
+router.get('/callback', validate({ summary: 'OAuth callback from Clover' }), requireOAuthConfig, async (req, res) => {
+  const { code, state } = req.query;
+  const merchantId = req.query.merchant_id;
+  if (!code || !state) {
+    return res.status(400).json({ success: false, error: 'Callback needs code and state query params (start with POST /oauth/authorize-link).' });
+  }
+  const pending = consumeState(state);
+  if (!pending) {
+    return res.status(400).json({ success: false, error: 'Unknown or expired state. Start again with POST /oauth/authorize-link.' });
+  }
+  const { merchantKey, baseURL } = pending;
+  try {
+    const tokenInfo = await exchangeCode(merchantKey, baseURL, code, merchantId);
+    const entry = getMerchant(merchantKey);
+    const warnings = [];
+    if (entry) {
+      if (merchantId && entry.merchantId !== merchantId) {
+        warnings.push(`Authorized merchant ${merchantId} differs from registry merchantId ${entry.merchantId}.`);
+      }
+    } else if (merchantKey === DEFAULT_MERCHANT_KEY) {
+      if (merchantId && MERCHANT_ID !== merchantId) {
+        warnings.push(`Authorized merchant ${merchantId} differs from CLOVER_MERCHANT_ID (${MERCHANT_ID || 'not set'}) in .env.`);
+      }
+    } else {
+      saveMerchant({ key: merchantKey, merchantId, baseURL });
+    }
+    log.info('Tokens stored', { merchantKey, merchantId });
+    return res.json({
+      success: true,
+      message: `Authorized. Clover calls for "${merchantKey}" now use these tokens and refresh them automatically.`,
+      merchantKey,
+      merchantId,
+      token: tokenInfo,
+      ...(warnings.length ? { warnings } : {}),
+    });
+  } catch (err) {
+    log.error('Token exchange failed', errorFields(err));
+    sendCloverError(res, 'oauth_token', err);
+  }
+});
+
+// ----- POST /oauth/refresh: refresh now (merchant from X-Merchant-Key or body.merchantKey) -----
+router.post('/refresh', requireRole('admin'), validate({
+  summary: 'Refresh a merchant\'s OAuth token now',
+  body: schemas.oauthRefresh,
+}), requireOAuthConfig, async (req, res) => {
+  const merchantKey = req.body?.merchantKey || req.get('X-Merchant-Key') || DEFAULT_MERCHANT_KEY;
+  if (!hasTokens(merchantKey)) {
+    return res.status(404).json({ success: false, error: `No OAuth tokens for "${merchantKey}". Authorize first via POST /oauth/authorize-link { "merchantKey": "${merchantKey}" }.` });
+  }
+  try {
+    await refreshAccessToken(merchantKey);
+    return res.json({ success: true, merchantKey, token: getTokenInfo(merchantKey) });
+  } catch (err) {
+    log.error('Refresh failed', { merchantKey, ...errorFields(err) });
+    sendCloverError(res, 'oauth_refresh', err);
+  }
+});
+
+module.exports = router;
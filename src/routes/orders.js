@@ -0,0 +1,157 @@
+/**
+ * Routes for /test-print/orders: change orders after create-and-lock (src/services/orderLifecycle.js).
+ * Every change body may include reprint (true, or print options) to print an UPDATED/VOID ticket.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { requireMerchant } = require('../middleware/merchant');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../api/schemas');
+const { sendCloverError } = require('../utils/sendCloverError');
+const {
+  getOrderLifecycle,
+  addOrderLineItem,
+  updateOrderLineItem,
+  removeOrderLineItem,
+  addOrderDiscount,
+  removeOrderDiscount,
+  addOrderServiceCharge,
+  removeOrderServiceCharge,
+  setOrderNote,
+  lockOrder,
+  unlockOrder,
+  fulfillOrder,
+  voidOrder,
+  deleteOrder,
+} = require('../services/orderLifecycle');
+const { createLogger, errorFields } = require('../utils/logger');
+
+const log = createLogger('Orders');
+
+/**
+ * run(body) the service call for action (body checked by validate()) and send its result:
+ * { error, status } from the service (404 / 409 wrong state), Clover errors as usual.
+ */
+function orderChange(action, run) {
+  return async (req, res) => {
+    const body = req.body || {};
+    try {
+      const result = await run(req, body, { reprint: body.reprint });
+      if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+      return res.json({ success: true, ...result });
+    } catch (err) {
+      log.error('Order change failed', { orderId: req.params.orderId, action, ...errorFields(err) });
+      sendCloverError(res, 'update_order', err);
+    }
+  };
+}
+
+// ----- GET /test-print/orders/:orderId: order, status, allowed changes and history -----
+router.get('/:orderId', requireMerchant, requireRole('read'), validate({
+  summary: 'Order, status, allowed changes and history',
+}), async (req, res) => {
+  try {
+    const lifecycle = await getOrderLifecycle(req.merchant, req.params.orderId);
+    return res.json({ success: true, orderId: req.params.orderId, ...lifecycle });
+  } catch (err) {
+    log.error('Order lookup failed', { orderId: req.params.orderId, ...errorFields(err) });
+    sendCloverError(res, 'fetch_order', err);
+  }
+});
+
+// ----- Line items (open orders) -----
+router.post('/:orderId/line_items', requireMerchant, requireRole('print'), validate({
+  summary: 'Add a line item (open orders)',
+  body: schemas.orderChanges.addLineItem,
+}), orderChange('add_line_item', (req, body, options) => {
+  const { reprint, ...lineItem } = body;
+  return addOrderLineItem(req.merchant, req.params.orderId, lineItem, options);
+}));
+
+router.patch('/:orderId/line_items/:lineItemId', requireMerchant, requireRole('print'), validate({
+  summary: 'Change a line item\'s name, price or note (open orders)',
+  body: schemas.orderChanges.updateLineItem,
+}), orderChange('update_line_item', (req, body, options) => {
+  const { name, price, note } = body;
+  const changes = Object.fromEntries(Object.entries({ name, price, note }).filter(([, v]) => v !== undefined));
+  return updateOrderLineItem(req.merchant, req.params.orderId, req.params.lineItemId, changes, options);
+}));
+
+router.delete('/:orderId/line_items/:lineItemId', requireMerchant, requireRole('print'), validate({
+  summary: 'Remove a line item (open orders)',
+  body: schemas.orderChanges.reprintOnly,
+}), orderChange('remove_line_item', (req, body, options) => (
+  removeOrderLineItem(req.merchant, req.params.orderId, req.params.lineItemId, options)
+)));
+
+// ----- Discounts and service charge (open orders) -----
+router.post('/:orderId/discounts', requireMerchant, requireRole('print'), validate({
+  summary: 'Add a discount to the order or a line item (open orders)',
+  body: schemas.orderChanges.addDiscount,
+}), orderChange('add_discount', (req, body, options) => {
+  const { name, amount, percentage, lineItemId } = body;
+  return addOrderDiscount(req.merchant, req.params.orderId, { name, amount, percentage, lineItemId }, options);
+}));
+
+router.delete('/:orderId/discounts/:discountId', requireMerchant, requireRole('print'), validate({
+  summary: 'Remove a discount (open orders)',
+  body: schemas.orderChanges.reprintOnly,
+  query: schemas.query.removeDiscount,
+}), orderChange('remove_discount', (req, body, options) => (
+  removeOrderDiscount(req.merchant, req.params.orderId, req.params.discountId, { ...options, lineItemId: req.query.lineItemId })
+)));
+
+router.post('/:orderId/service_charge', requireMerchant, requireRole('print'), validate({
+  summary: 'Apply a service charge (open orders)',
+  body: schemas.orderChanges.addServiceCharge,
+}), orderChange('add_service_charge', (req, body, options) => {
+  const { id, name, percentage } = body;
+  return addOrderServiceCharge(req.merchant, req.params.orderId, { id, name, percentage }, options);
+}));
+
+router.delete('/:orderId/service_charge/:serviceChargeId', requireMerchant, requireRole('print'), validate({
+  summary: 'Remove the service charge (open orders)',
+  body: schemas.orderChanges.reprintOnly,
+}), orderChange('remove_service_charge', (req, body, options) => (
+  removeOrderServiceCharge(req.merchant, req.params.orderId, req.params.serviceChargeId, options)
+)));
+
+// ----- PUT /test-print/orders/:orderId/note (open orders) -----
+router.put('/:orderId/note', requireMerchant, requireRole('print'), validate({
+  summary: 'Set or remove the order note (open orders)',
+  body: schemas.orderChanges.setNote,
+}), orderChange('set_note', (req, body, options) => (
+  setOrderNote(req.merchant, req.params.orderId, body.note, options)
+)));
+
+// ----- State: lock, unlock, fulfill, void, delete -----
+router.post('/:orderId/lock', requireMerchant, requireRole('print'), validate({
+  summary: 'Lock the order',
+  body: schemas.orderChanges.reprintOnly,
+}), orderChange('lock', (req, body, options) => lockOrder(req.merchant, req.params.orderId, options)));
+
+router.post('/:orderId/unlock', requireMerchant, requireRole('print'), validate({
+  summary: 'Unlock the order so it can be changed',
+  body: schemas.orderChanges.reprintOnly,
+}), orderChange('unlock', (req, body, options) => unlockOrder(req.merchant, req.params.orderId, options)));
+
+router.post('/:orderId/fulfill', requireMerchant, requireRole('print'), validate({
+  summary: 'Mark the order fulfilled',
+  body: schemas.orderChanges.reprintOnly,
+}), orderChange('fulfill', (req, body, options) => fulfillOrder(req.merchant, req.params.orderId, options)));
+
+router.post('/:orderId/void', requireMerchant, requireRole('print'), validate({
+  summary: 'Void the order',
+  body: schemas.orderChanges.void,
+}), orderChange('void', (req, body, options) => (
+  voidOrder(req.merchant, req.params.orderId, body.reason, options)
+)));
+
+router.delete('/:orderId', requireMerchant, requireRole('print'), validate({
+  summary: 'Delete the order',
+  body: schemas.orderChanges.reprintOnly,
+}), orderChange('delete', (req, body, options) => deleteOrder(req.merchant, req.params.orderId, options)));
+
+module.exports = router;
@@ -1,21 +1,62 @@
 /**
- * Routes for /test-print: create order, print, re-print, debug, list devices/order types, verify.
+ * Routes for /test-print: create order, print, re-print, print jobs, debug, list devices/order types, verify.
+ * Mounted at /test-print (merchant from X-Merchant-Key or .env) and /merchants/:merchantKey/test-print.
  */
 
 const express = require('express');
-const router = express.Router();
-const { MERCHANT_ID, CLOVER_BASE_URL, clover, hasCloverConfig } = require('../config');
-const { getHint } = require('../utils/hints');
+const router = express.Router({ mergeParams: true });
+const { PRINT_EVENT_TIMEOUT_MS, LAN_PRINT_TIMEOUT_MS } = require('../config');
+const { requireMerchant } = require('../middleware/merchant');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../api/schemas');
+const { idempotent } = require('../middleware/idempotency');
+const { getTokenInfo } = require('../stores/tokenStore');
+const { getJob, listJobs } = require('../stores/printJobStore');
+const { getRouting, saveRouting, deleteRouting } = require('../stores/routingStore');
+const { listPrintAttempts } = require('../stores/printAuditStore');
+const { getDeviceStatuses } = require('../stores/deviceHealthStore');
+const { getSession, listSessions } = require('../stores/discoveryStore');
+const { toCsv } = require('../utils/csv');
+const { getHint, describePrintEvent } = require('../utils/hints');
+const { sendCloverError } = require('../utils/sendCloverError');
+const { enqueuePrintJob, waitForJob, retryJob, cancelJob } = require('../services/printQueue');
+const { resolveRoute } = require('../services/routing');
+const { getDeviceHealth } = require('../services/deviceHealth');
+const { startDiscovery, confirmDiscovery } = require('../services/discovery');
+const { saveMerchantDefaults } = require('../services/merchants');
+const { runReadinessCheck } = require('../services/readiness');
+const {
+  schedulePrint,
+  listScheduledPrints,
+  getScheduledPrint,
+  createBatch,
+  getBatch,
+  cancelBatch,
+  jobSummary,
+} = require('../services/batchPrint');
+const { resolveLanPrinter, getLanPrinter, printTicketOverLan, PRINTER_MODELS } = require('../services/lanPrint');
+const {
+  buildTicket,
+  buildOrderTicket,
+  renderTicket,
+  DEFAULT_WIDTH,
+} = require('../services/ticketRenderer');
 const {
   getDevices,
   getOrderTypes,
   requestPrint,
-  requestPrintAllDevices,
   getOrder,
   getPrintEventStatus,
+  waitForPrintEvent,
+  getPrintEventRecord,
+  listPrintEvents,
   checkConnection,
+  probeTokenScopes,
   createTestOrderWithItemsAndLock,
-  PRINT_EVENT_DELAY_MS,
+  createOrderFromPayloadAndLock,
+  cleanupTestData,
+  TERMINAL_PRINT_STATES,
 } = require('../services/cloverService');
 const {
   DUMMY_ITEMS,
@@ -23,56 +64,206 @@ const {
   buildTroubleshooting,
   buildSendPrintTroubleshooting,
 } = require('../constants');
+const { createLogger, errorFields } = require('../utils/logger');
+
+const log = createLogger('Test print');
+
+const PRINT_OPTIONS = { poll: { timeoutMs: PRINT_EVENT_TIMEOUT_MS } };
+/** waitForResult: time allowed on top of the print event timeouts before answering 202. */
+const ATTEMPT_OVERHEAD_MS = 2000;
+/** send-print messages for route / split / copies prints (printEvent.mode). */
+const SEND_PRINT_MESSAGES = {
+  route: 'Printing on the devices picked by the routing rules. The report per copy and device follows in the job (GET /test-print/jobs/:jobId).',
+  split: 'Printing the receipt and kitchen station tickets. The report per copy and device follows in the job (GET /test-print/jobs/:jobId).',
+  copies: 'Printing the copies. The report per copy and device follows in the job (GET /test-print/jobs/:jobId).',
+};
+
+/**
+ * For waitForResult: wait until each print event in a requestPrint / requestPrintAllDevices result
+ * is DONE/FAILED (or timed out) and attach the tracked record as `final`.
+ */
+async function withFinalPrintState(printEventResult) {
+  if (printEventResult?.tryAllDevices) {
+    const results = await Promise.all(printEventResult.results.map(async (r) => (
+      r.eventId ? { ...r, final: await waitForPrintEvent(r.eventId) } : r
+    )));
+    return { ...printEventResult, results };
+  }
+  if (!printEventResult?.id) return printEventResult;
+  return { ...printEventResult, final: await waitForPrintEvent(printEventResult.id) };
+}
 
-function requireCloverConfig(req, res, next) {
-  if (!hasCloverConfig()) {
-    return res.status(400).json({ success: false, error: 'Missing CLOVER_MERCHANT_ID or CLOVER_ACCESS_TOKEN in .env' });
+/**
+ * Print options from a validated body plus the merchant's defaults: { deviceId, tryAllDevices, route,
+ * split, copies }, or { error } when split: true but the merchant has no saved split config.
+ */
+function printOptionsFrom(req) {
+  const body = req.body || {};
+  const route = body.route === true;
+  let split = null;
+  if (body.split === true) {
+    split = getRouting(req.merchant.key)?.split;
+    if (!split) return { error: 'split: true needs a saved split config ("split" in PUT /test-print/routing/rules), or pass split as an object.' };
+  } else if (body.split) {
+    split = body.split;
   }
-  next();
+  return {
+    deviceId: route || split ? null : body.deviceId || req.merchant.defaults.deviceId || null,
+    tryAllDevices: body.tryAllDevices === true,
+    route,
+    split,
+    copies: body.copies || 1,
+  };
 }
 
-function sendCloverError(res, step, err, defaultStatus = 500) {
-  const status = err.response?.status || defaultStatus;
-  const data = err.response?.data;
-  const code = status >= 400 ? status : 500;
-  res.status(code).json({
+/**
+ * Print through the job queue: enqueue, then wait until the first attempt was sent (or, with
+ * waitForResult, until it has its outcome; queue retries aren't waited for). Returns the job; its
+ * lastPrintEvent has `final` attached when waitForResult.
+ * With a LAN printer the wait allows for a fallback print after the print event timed out.
+ */
+async function printViaQueue(req, orderId, { waitForResult, source, ...printOptions }) {
+  const queued = enqueuePrintJob({ merchantKey: req.merchant.key, orderId, ...printOptions, source, apiKeyId: req.apiKey?.id });
+  const ticketMs = PRINT_EVENT_TIMEOUT_MS + (getLanPrinter(req.merchant) ? LAN_PRINT_TIMEOUT_MS : 0);
+  // Copies print one after another, each one waited for.
+  const job = waitForResult
+    ? await waitForJob(queued.id, 'attemptFinished', ticketMs * (printOptions.copies || 1) + ATTEMPT_OVERHEAD_MS)
+    : await waitForJob(queued.id, 'attempted', ticketMs);
+  if (!waitForResult || !job.lastPrintEvent) return job;
+  return { ...job, lastPrintEvent: await withFinalPrintState(job.lastPrintEvent) };
+}
+
+/**
+ * Where a waited-for print ended: DONE (or printed over LAN), FAILED, or PENDING when Clover hadn't
+ * reported DONE/FAILED by PRINT_EVENT_TIMEOUT_MS. With copies / route / split every copy must be DONE;
+ * with tryAllDevices one device is enough.
+ */
+function finalPrintState(printEvent) {
+  if (!printEvent) return null;
+  const settle = (state) => (state === 'DONE' || state === 'FAILED' ? state : 'PENDING');
+  let states;
+  if (printEvent.report) {
+    states = printEvent.report.map((r) => (r.lanFallback?.success ? 'DONE' : r.success ? settle(r.state) : 'FAILED'));
+  } else if (printEvent.tryAllDevices) {
+    const deviceStates = printEvent.results.map((r) => (r.eventId ? settle(r.final?.state) : 'FAILED'));
+    if (deviceStates.includes('DONE')) return 'DONE';
+    states = deviceStates;
+  } else {
+    states = [printEvent.state === 'LAN_SENT' || printEvent.lanFallback?.success ? 'DONE' : settle(printEvent.final?.state || printEvent.state)];
+  }
+  if (states.includes('FAILED')) return 'FAILED';
+  return states.includes('PENDING') ? 'PENDING' : 'DONE';
+}
+
+/**
+ * Status and message for a waitForResult print: 200 only when it printed; 202 while the job is still
+ * running or waits for a retry (poll GET /jobs/:jobId); 502 when it FAILED or the job is dead;
+ * 504 when Clover hadn't reported DONE/FAILED in time.
+ */
+function waitedPrintResult(req, job) {
+  const printState = finalPrintState(job.lastPrintEvent);
+  const poll = `GET ${req.baseUrl}/jobs/${job.id}`;
+  if (job.status === 'done' && printState === 'DONE') {
+    return { status: 200, success: true, printState, message: 'Printed: Clover reported DONE.' };
+  }
+  if (!['done', 'dead', 'cancelled'].includes(job.status)) {
+    return {
+      status: 202,
+      success: true,
+      printState,
+      message: job.status === 'pending' && job.lastError
+        ? `Not printed yet: ${job.lastError} The job retries at ${job.nextAttemptAt}; follow it with ${poll}.`
+        : `Still printing; follow the job with ${poll}.`,
+    };
+  }
+  if (job.status === 'done') {
+    return {
+      status: 504,
+      success: false,
+      printState,
+      message: `Clover had not reported DONE or FAILED within ${PRINT_EVENT_TIMEOUT_MS}ms. Check the printer and GET ${req.baseUrl}/print-events.`,
+    };
+  }
+  return {
+    status: job.lastCloverStatus >= 400 ? job.lastCloverStatus : 502,
     success: false,
-    failedStep: step || 'unknown',
-    error: data?.message || data?.error || err.message,
-    cloverStatus: status,
-    cloverResponse: data,
-    hint: getHint(step, status, data),
-  });
+    printState,
+    message: `Print failed: ${job.lastError || `job ${job.status}`}`,
+  };
+}
+
+/** 404 unless the job exists and belongs to the request's merchant. */
+function findMerchantJob(req, res) {
+  const job = getJob(req.params.jobId);
+  if (!job || job.merchantKey !== req.merchant.key) {
+    res.status(404).json({ success: false, error: `Print job ${req.params.jobId} not found.` });
+    return null;
+  }
+  return job;
+}
+
+/** Discovery session plus what to do next, for the /discovery routes. */
+function discoveryView(req, session) {
+  const base = `${req.baseUrl}/discovery/${session.id}`;
+  const printed = session.devices.filter((d) => d.state === 'DONE').map((d) => d.label);
+  let nextStep;
+  if (session.status === 'running') {
+    nextStep = `Printing one labelled ticket per device. Poll GET ${base}; confirm as soon as a ticket comes out.`;
+  } else if (session.status === 'awaiting_confirmation') {
+    nextStep = `Which ticket came out of your printer? Read its label (${session.code}-…) and POST ${base}/confirm with { "label": "<label>" }.`
+      + (printed.length ? ` Clover reported DONE for: ${printed.join(', ')}.` : ' No device reported DONE – see GET /test-print/how-to-print.');
+  } else {
+    nextStep = `Default device saved: ${session.chosenDeviceId}. POST /test-print now prints there without a deviceId.`;
+  }
+  return { ...session, nextStep };
 }
 
-// ----- POST /test-print: create order + print -----
-router.post('/', requireCloverConfig, async (req, res) => {
-  const { deviceId = null, tryAllDevices = false, orderTypeId = null } = req.body || {};
+// ----- POST /api/v1/prints (POST /test-print): create order + print -----
+// Body with lineItems builds a real order (items, modifiers, notes); without it, DUMMY_ITEMS are used.
+// With an Idempotency-Key header a retried request gets the first response instead of a second order.
+router.post(['/prints', '/'], requireMerchant, requireRole('print'), validate({
+  summary: 'Create an order (real lineItems or two dummy items), lock it and print it',
+  body: schemas.createPrint,
+}), idempotent('test-print'), async (req, res) => {
+  const { clover, merchantId } = req.merchant;
+  const { lineItems, waitForResult = false } = req.body || {};
+  const printOptions = printOptionsFrom(req);
+  if (printOptions.error) return res.status(400).json({ success: false, error: printOptions.error });
+  const { deviceId } = printOptions;
+  const orderTypeId = req.body?.orderTypeId || req.merchant.defaults.orderTypeId || null;
   let failedStep = '';
 
   try {
-    console.log('[Config]', CLOVER_BASE_URL, '| Merchant:', MERCHANT_ID, deviceId ? '| deviceId: ' + deviceId : '', orderTypeId ? '| orderTypeId: ' + orderTypeId : '');
+    log.info('Test print started', { baseURL: req.merchant.baseURL, merchantKey: req.merchant.key, merchantId, deviceId, orderTypeId });
 
     failedStep = 'create_order';
-    const { orderId } = await createTestOrderWithItemsAndLock(clover, MERCHANT_ID, DUMMY_ITEMS, { orderTypeId });
-    if (orderTypeId) console.log('[Step 2] Using orderType:', orderTypeId);
+    const { orderId, createdItemIds } = lineItems
+      ? await createOrderFromPayloadAndLock(clover, merchantId, { ...req.body, orderTypeId })
+      : await createTestOrderWithItemsAndLock(clover, merchantId, DUMMY_ITEMS, { orderTypeId });
+    log.info('Order created', { orderId, orderTypeId });
 
     failedStep = 'print_event';
-    const printEventResult = tryAllDevices
-      ? await requestPrintAllDevices(clover, MERCHANT_ID, orderId)
-      : await requestPrint(clover, MERCHANT_ID, orderId, deviceId || undefined);
+    const job = await printViaQueue(req, orderId, { ...printOptions, waitForResult: waitForResult === true, source: 'test-print' });
 
     failedStep = 'fetch_order';
-    const orderDetails = await getOrder(clover, MERCHANT_ID, orderId);
+    const orderDetails = await getOrder(clover, merchantId, orderId);
     const lineItemCount = orderDetails?.lineItems?.elements?.length ?? 0;
-    console.log('[Order]', orderId, 'state:', orderDetails?.state, '| lineItems:', lineItemCount);
+    log.info('Order fetched', { orderId, state: orderDetails?.state, lineItemCount });
 
-    return res.json({
-      success: true,
+    const waited = waitForResult === true ? waitedPrintResult(req, job) : null;
+    return res.status(waited?.status || 200).json({
+      success: waited ? waited.success : true,
       orderId,
-      printEvent: printEventResult,
+      createdItemIds,
+      ...(waited ? { printState: waited.printState } : {}),
+      printEvent: job.lastPrintEvent,
+      job,
       confirmation: {
-        message: 'Order created, locked, and print requested.',
+        message: waited
+          ? `Order created and locked. ${waited.message}`
+          : job.lastPrintEvent
+            ? 'Order created, locked, and print requested.'
+            : `Order created and locked; print request failed (${job.lastError}). Job status: ${job.status}.`,
         orderState: orderDetails?.state,
         lineItemCount,
         orderDetails,
@@ -80,72 +271,84 @@ router.post('/', requireCloverConfig, async (req, res) => {
       noPrintTroubleshooting: buildTroubleshooting(orderId),
     });
   } catch (err) {
-    console.error('[Clover API error] Step:', failedStep, err.response?.status, err.response?.data || err.message);
+    log.error('Clover call failed', { step: failedStep, ...errorFields(err) });
     sendCloverError(res, failedStep, err);
   }
 });
 
 // ----- POST /test-print/send-print: re-send print for existing order -----
-router.post('/send-print', requireCloverConfig, async (req, res) => {
-  const orderId = req.body?.orderId;
-  if (!orderId) {
-    return res.status(400).json({ success: false, error: 'Body must include orderId: { "orderId": "YOUR_ORDER_ID" }' });
-  }
-  const deviceId = req.body?.deviceId || null;
-  const tryAllDevices = req.body?.tryAllDevices === true;
+router.post('/send-print', requireMerchant, requireRole('print'), validate({
+  summary: 'Print an existing order again',
+  body: schemas.sendPrint,
+}), idempotent('send-print'), async (req, res) => {
+  const { orderId } = req.body;
+  const printOptions = printOptionsFrom(req);
+  if (printOptions.error) return res.status(400).json({ success: false, error: printOptions.error });
+  const waitForResult = req.body.waitForResult === true;
 
   try {
-    if (tryAllDevices) {
-      const result = await requestPrintAllDevices(clover, MERCHANT_ID, orderId);
-      return res.json({
-        success: true,
-        message: 'Print sent to all devices. Check which Clover device has your Star printer.',
-        printEvent: result,
-      });
-    }
-    const data = await requestPrint(clover, MERCHANT_ID, orderId, deviceId || undefined);
-    if (data?.error) {
-      return res.status(500).json({
+    const job = await printViaQueue(req, orderId, { ...printOptions, waitForResult, source: 'send-print' });
+    if (!job.lastPrintEvent && job.status === 'dead') {
+      return res.status(job.lastCloverStatus >= 400 ? job.lastCloverStatus : 502).json({
         success: false,
         message: 'Print request failed.',
-        error: data.error,
-        cloverResponse: data.cloverResponse,
+        failedStep: 'print_event',
+        error: job.lastError,
+        cloverStatus: job.lastCloverStatus,
+        hint: getHint('print_event', job.lastCloverStatus),
+        job,
+        noPrintTroubleshooting: buildSendPrintTroubleshooting(orderId),
+      });
+    }
+    // route / split / copies with no copy accepted: the attempt has finished, so answer from its report.
+    if (waitForResult || job.lastPrintEvent?.success === false) {
+      const waited = waitedPrintResult(req, job);
+      return res.status(waited.status).json({
+        success: waited.success,
+        message: waited.message,
+        printState: waited.printState,
+        printEvent: job.lastPrintEvent,
+        job,
+        noPrintTroubleshooting: buildSendPrintTroubleshooting(orderId),
+      });
+    }
+    if (!job.lastPrintEvent) {
+      return res.status(202).json({
+        success: true,
+        message: job.lastError
+          ? `Print request failed (${job.lastError}); the job will retry at ${job.nextAttemptAt}.`
+          : 'Print job queued; not attempted yet.',
+        job,
         noPrintTroubleshooting: buildSendPrintTroubleshooting(orderId),
       });
     }
     return res.json({
       success: true,
-      message: 'Print request sent.',
-      printEvent: { id: data?.id, state: data?.state, deviceRef: data?.deviceRef },
+      message: SEND_PRINT_MESSAGES[job.lastPrintEvent.mode] || (printOptions.tryAllDevices
+        ? 'Print sent to all devices. Check which Clover device has your Star printer.'
+        : 'Print request sent.'),
+      printEvent: job.lastPrintEvent,
+      job,
       noPrintTroubleshooting: buildSendPrintTroubleshooting(orderId),
     });
   } catch (err) {
-    console.error('[Send-print]', err.response?.status, err.response?.data || err.message);
-    const status = err.response?.status || 500;
-    const data = err.response?.data;
-    return res.status(status >= 400 ? status : 500).json({
-      success: false,
-      error: data?.message || data?.error || err.message,
-      cloverStatus: status,
-      cloverResponse: data,
-    });
+    log.error('Send-print failed', errorFields(err));
+    sendCloverError(res, 'print_event', err);
   }
 });
 
 // ----- POST /test-print/debug-print: diagnose why print didn't fire -----
-router.post('/debug-print', requireCloverConfig, async (req, res) => {
-  const orderId = req.body?.orderId;
-  if (!orderId) {
-    return res.status(400).json({
-      success: false,
-      error: 'Body must include orderId. Example: { "orderId": "ABC123" }. Get an orderId from a previous POST /test-print response.',
-    });
-  }
-  const deviceId = req.body?.deviceId || null;
+router.post('/debug-print', requireMerchant, requireRole('admin'), validate({
+  summary: 'Diagnose why an order doesn\'t print: one print request per device, with every Clover response',
+  body: schemas.debugPrint,
+}), async (req, res) => {
+  const { clover, merchantId } = req.merchant;
+  const { orderId } = req.body;
+  const deviceId = req.body?.deviceId || req.merchant.defaults.deviceId || null;
   const tryAllDevices = req.body?.tryAllDevices === true;
 
   const diagnostic = {
-    config: { baseURL: CLOVER_BASE_URL, merchantId: MERCHANT_ID },
+    config: { merchantKey: req.merchant.key, baseURL: req.merchant.baseURL, merchantId },
     orderId,
     printRequests: [],
     statusChecks: [],
@@ -157,52 +360,54 @@ router.post('/debug-print', requireCloverConfig, async (req, res) => {
     if (devId) payload.deviceRef = { id: devId };
     diagnostic.printRequests.push({ sent: payload });
     try {
-      const data = await requestPrint(clover, MERCHANT_ID, orderId, devId || undefined);
+      const caller = { source: 'debug-print', merchantKey: req.merchant.key, apiKeyId: req.apiKey?.id || null };
+      const data = await requestPrint(clover, merchantId, orderId, devId || undefined, { ...PRINT_OPTIONS, caller });
       diagnostic.printRequests[diagnostic.printRequests.length - 1].cloverResponse = data;
       return data;
     } catch (e) {
-      diagnostic.printRequests[diagnostic.printRequests.length - 1].error = e.response?.data || e.message;
-      diagnostic.printRequests[diagnostic.printRequests.length - 1].httpStatus = e.response?.status;
+      diagnostic.printRequests[diagnostic.printRequests.length - 1].error = e.data || e.message;
+      diagnostic.printRequests[diagnostic.printRequests.length - 1].httpStatus = e.status;
       throw e;
     }
   };
 
-  const checkStatus = (eventId) => getPrintEventStatus(clover, MERCHANT_ID, eventId);
-
   try {
     if (tryAllDevices) {
-      const devices = await getDevices(clover, MERCHANT_ID);
+      const devices = (await getDevices(clover, merchantId)).filter((d) => d.id);
+      // Send to every device first, then wait for all events together: an offline device costs
+      // PRINT_EVENT_TIMEOUT_MS once per request, not once per device.
+      const sent = [];
       for (const d of devices) {
-        if (!d.id) continue;
         try {
           const data = await doPrint(d.id);
           diagnostic.printRequests[diagnostic.printRequests.length - 1].deviceId = d.id;
           diagnostic.printRequests[diagnostic.printRequests.length - 1].deviceModel = d.model;
-          if (data?.id) {
-            const after = await new Promise((r) => setTimeout(r, PRINT_EVENT_DELAY_MS)).then(() => checkStatus(data.id));
-            diagnostic.statusChecks.push({ eventId: data.id, deviceId: d.id, after2s: after });
-            if (after.state === 'FAILED') diagnostic.whyNoPrint.push(`Device ${d.id} (${d.model}): print event FAILED.`);
-            else if (after.state === 'DONE') diagnostic.whyNoPrint.push(`Device ${d.id} (${d.model}): DONE – job reached printer.`);
-            else if (after.state) diagnostic.whyNoPrint.push(`Device ${d.id} (${d.model}): state ${after.state}.`);
-            else if (after.error) diagnostic.whyNoPrint.push(`Device ${d.id}: status error – ${JSON.stringify(after.error)}`);
-          }
+          sent.push({ device: d, data });
         } catch (e) {
-          diagnostic.whyNoPrint.push(`Device ${d.id} (${d.model}): print_event failed – ${e.response?.status || ''} ${JSON.stringify(e.response?.data || e.message)}`);
+          sent.push({ device: d, error: e });
         }
       }
+      const finals = await Promise.all(sent.map(({ data }) => (data?.id ? waitForPrintEvent(data.id) : null)));
+      sent.forEach(({ device: d, data, error }, i) => {
+        if (error) {
+          diagnostic.whyNoPrint.push(`Device ${d.id} (${d.model}): print_event failed – ${error.status || ''} ${JSON.stringify(error.data || error.message)}`);
+        } else if (data?.id) {
+          diagnostic.statusChecks.push({ eventId: data.id, deviceId: d.id, final: finals[i] });
+          diagnostic.whyNoPrint.push(`Device ${d.id} (${d.model}): ${describePrintEvent(finals[i])}`);
+        } else if (data?.error) {
+          diagnostic.whyNoPrint.push(`Device ${d.id} (${d.model}): print_event failed – ${data.cloverStatus || ''} ${data.error}`);
+        }
+      });
     } else {
       try {
         const data = await doPrint(deviceId || undefined);
         if (data?.id) {
-          const after = await new Promise((r) => setTimeout(r, PRINT_EVENT_DELAY_MS)).then(() => checkStatus(data.id));
-          diagnostic.statusChecks.push({ eventId: data.id, after2s: after });
-          if (after.state === 'FAILED') diagnostic.whyNoPrint.push('Print event FAILED – device or printer problem.');
-          else if (after.state === 'DONE') diagnostic.whyNoPrint.push('State DONE – job sent to device.');
-          else if (after.state) diagnostic.whyNoPrint.push(`State ${after.state}.`);
-          else if (after.error) diagnostic.whyNoPrint.push('Status error: ' + JSON.stringify(after.error));
+          const final = await waitForPrintEvent(data.id);
+          diagnostic.statusChecks.push({ eventId: data.id, final });
+          diagnostic.whyNoPrint.push(`Print event ${describePrintEvent(final)}`);
         } else diagnostic.whyNoPrint.push('No print event id. Response: ' + JSON.stringify(data));
       } catch (e) {
-        diagnostic.whyNoPrint.push(`print_event failed: ${e.response?.status || ''} ${JSON.stringify(e.response?.data || e.message)}`);
+        diagnostic.whyNoPrint.push(`print_event failed: ${e.status || ''} ${JSON.stringify(e.data || e.message)}`);
       }
     }
 
@@ -212,27 +417,314 @@ router.post('/debug-print', requireCloverConfig, async (req, res) => {
 
     return res.json({ success: true, message: 'Debug run complete. See printRequests, statusChecks, and whyNoPrint.', diagnostic });
   } catch (err) {
-    const status = err.response?.status || 500;
-    const data = err.response?.data;
-    return res.status(status >= 400 ? status : 500).json({
-      success: false,
-      error: data?.message || data?.error || err.message,
-      cloverStatus: status,
-      cloverResponse: data,
+    log.error('Debug-print failed', errorFields(err));
+    sendCloverError(res, 'get_devices', err);
+  }
+});
+
+// ----- GET /test-print/print-events: tracked print events (newest first) -----
+router.get('/print-events', requireMerchant, requireRole('read'), validate({
+  summary: 'Tracked print events, newest first',
+  query: schemas.query.printEvents,
+}), (req, res) => {
+  const { merchantId } = req.merchant;
+  const { orderId, deviceId, state } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const printEvents = listPrintEvents({ merchantId, orderId, deviceId, state, limit });
+  return res.json({ success: true, count: printEvents.length, printEvents });
+});
+
+// ----- GET /test-print/print-events/:eventId: tracked history, or live Clover status if not tracked -----
+router.get('/print-events/:eventId', requireMerchant, requireRole('read'), validate({
+  summary: 'One print event: tracked state history, or the live Clover state',
+}), async (req, res) => {
+  const { clover, merchantId } = req.merchant;
+  const { eventId } = req.params;
+  const record = getPrintEventRecord(eventId);
+  if (record && record.merchantId === merchantId) {
+    return res.json({ success: true, tracked: true, terminal: TERMINAL_PRINT_STATES.includes(record.state), printEvent: record });
+  }
+  const status = await getPrintEventStatus(clover, merchantId, eventId);
+  if (status.error) {
+    return res.status(404).json({ success: false, error: 'Print event not tracked and not found on Clover.', cloverResponse: status.error });
+  }
+  return res.json({ success: true, tracked: false, terminal: TERMINAL_PRINT_STATES.includes(status.state), printEvent: status });
+});
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+/** CSV columns for GET /test-print/history?format=csv. */
+const HISTORY_CSV_COLUMNS = [
+  { header: 'at', value: (e) => e.at },
+  { header: 'orderId', value: (e) => e.orderId },
+  { header: 'deviceId', value: (e) => e.deviceId },
+  { header: 'state', value: (e) => e.state },
+  { header: 'eventId', value: (e) => e.eventId },
+  { header: 'cloverStatus', value: (e) => e.cloverStatus },
+  { header: 'responseMs', value: (e) => e.responseMs },
+  { header: 'durationMs', value: (e) => e.durationMs },
+  { header: 'timedOut', value: (e) => e.timedOut },
+  { header: 'finishedAt', value: (e) => e.finishedAt },
+  { header: 'source', value: (e) => e.caller?.source },
+  { header: 'jobId', value: (e) => e.caller?.jobId },
+  { header: 'apiKeyId', value: (e) => e.caller?.apiKeyId },
+  { header: 'target', value: (e) => e.caller?.target },
+  { header: 'copy', value: (e) => e.caller?.copy },
+  { header: 'error', value: (e) => e.error },
+  { header: 'payload', value: (e) => e.payload },
+  { header: 'cloverResponse', value: (e) => e.cloverResponse },
+];
+
+// ----- GET /test-print/history: print audit log (JSON, or CSV with format=csv) -----
+router.get('/history', requireMerchant, requireRole('read'), validate({
+  summary: 'Print audit log (JSON, or CSV with format=csv)',
+  query: schemas.query.history,
+}), (req, res) => {
+  const { orderId, deviceId, state, source, format } = req.query;
+  const dates = {};
+  for (const field of ['from', 'to']) {
+    if (!req.query[field]) continue;
+    dates[field] = new Date(req.query[field]);
+    if (Number.isNaN(dates[field].getTime())) {
+      return res.status(400).json({ success: false, error: `${field} must be an ISO date, e.g. 2026-01-31 or 2026-01-31T18:00:00Z.` });
+    }
+  }
+  // A plain date in `to` means the whole day (UTC).
+  if (dates.to && DATE_ONLY.test(req.query.to)) dates.to = new Date(dates.to.getTime() + 24 * 60 * 60 * 1000 - 1);
+  const limit = Math.min(Number(req.query.limit) || (format === 'csv' ? 10000 : 100), 10000);
+  const entries = listPrintAttempts({ merchantId: req.merchant.merchantId, orderId, deviceId, state, source, ...dates, limit });
+  if (format === 'csv') {
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="print-history-${req.merchant.key}-${stamp}.csv"`);
+    return res.send(toCsv(entries, HISTORY_CSV_COLUMNS));
+  }
+  return res.json({ success: true, count: entries.length, entries });
+});
+
+// ----- GET /test-print/routing/rules: this merchant's printer routing rules -----
+router.get('/routing/rules', requireMerchant, requireRole('read'), validate({
+  summary: 'The merchant\'s printer routing rules',
+}), (req, res) => {
+  return res.json({ success: true, routing: getRouting(req.merchant.key) });
+});
+
+// ----- PUT /test-print/routing/rules: replace the rules -----
+router.put('/routing/rules', requireMerchant, requireRole('admin'), validate({
+  summary: 'Replace the printer routing rules',
+  body: schemas.routingRules,
+}), (req, res) => {
+  const { rules, fallbackDeviceIds, timezone, split } = req.body;
+  const routing = saveRouting(req.merchant.key, {
+    rules,
+    fallbackDeviceIds: fallbackDeviceIds || null,
+    timezone: timezone || null,
+    split: split || null,
+  });
+  log.info('Routing rules saved', { merchantKey: req.merchant.key, rules: rules.length });
+  return res.json({ success: true, routing });
+});
+
+// ----- DELETE /test-print/routing/rules -----
+router.delete('/routing/rules', requireMerchant, requireRole('admin'), validate({
+  summary: 'Remove the routing rules (prints go to the default device)',
+}), (req, res) => {
+  if (!deleteRouting(req.merchant.key)) return res.status(404).json({ success: false, error: 'No routing rules for this merchant.' });
+  log.info('Routing rules deleted', { merchantKey: req.merchant.key });
+  return res.json({ success: true, message: 'Routing rules removed; prints go to the default device again.' });
+});
+
+// ----- POST /test-print/routing/preview: which devices an order would print to (nothing is printed) -----
+// Body: { orderId } and/or facts to try out: { orderTypeId, itemTags: [...], at: ISO time }.
+router.post('/routing/preview', requireMerchant, requireRole('read'), validate({
+  summary: 'Which devices an order would print to; nothing is printed',
+  body: schemas.routingPreview,
+}), async (req, res) => {
+  const { orderId, orderTypeId, itemTags, at } = req.body;
+  const facts = {};
+  if (orderTypeId !== undefined) facts.orderTypeId = orderTypeId;
+  if (itemTags !== undefined) facts.itemTags = itemTags;
+  if (at !== undefined) facts.at = at;
+  try {
+    const preview = await resolveRoute(req.merchant, orderId || null, facts);
+    return res.json({
+      success: true,
+      message: preview.configured
+        ? 'Each target prints once, to the first device in its chain that works. Nothing was printed.'
+        : 'No routing rules for this merchant; prints go to the default device. Nothing was printed.',
+      ...preview,
+    });
+  } catch (err) {
+    log.error('Routing preview failed', errorFields(err));
+    sendCloverError(res, 'fetch_order', err);
+  }
+});
+
+// ----- GET /test-print/jobs: print jobs for this merchant (newest first) -----
+router.get('/jobs', requireMerchant, requireRole('read'), validate({
+  summary: 'Print jobs, newest first',
+  query: schemas.query.jobs,
+}), (req, res) => {
+  const { status, orderId } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const jobs = listJobs({ merchantKey: req.merchant.key, status, orderId, limit });
+  return res.json({ success: true, count: jobs.length, jobs });
+});
+
+// ----- GET /test-print/jobs/:jobId -----
+router.get('/jobs/:jobId', requireMerchant, requireRole('read'), validate({
+  summary: 'One print job with its attempt log',
+}), (req, res) => {
+  const job = findMerchantJob(req, res);
+  if (job) res.json({ success: true, job });
+});
+
+// ----- POST /test-print/jobs/:jobId/retry: requeue a dead or cancelled job -----
+router.post('/jobs/:jobId/retry', requireMerchant, requireRole('print'), validate({
+  summary: 'Requeue a dead or cancelled print job',
+}), (req, res) => {
+  if (!findMerchantJob(req, res)) return;
+  const result = retryJob(req.params.jobId);
+  if (result.error) return res.status(409).json({ success: false, error: result.error });
+  log.info('Job retry requested', { jobId: result.id });
+  return res.json({ success: true, message: 'Job requeued.', job: result });
+});
+
+// ----- POST /test-print/jobs/:jobId/cancel: cancel a pending job -----
+router.post('/jobs/:jobId/cancel', requireMerchant, requireRole('print'), validate({
+  summary: 'Cancel a pending print job',
+}), (req, res) => {
+  if (!findMerchantJob(req, res)) return;
+  const result = cancelJob(req.params.jobId);
+  if (result.error) return res.status(409).json({ success: false, error: result.error });
+  log.info('Job cancelled', { jobId: result.id });
+  return res.json({ success: true, message: 'Job cancelled.', job: result });
+});
+
+// ----- POST /test-print/scheduled-prints: print an order later (e.g. 20 minutes before pickup) -----
+router.post('/scheduled-prints', requireMerchant, requireRole('print'), validate({
+  summary: 'Schedule a print for later (printAt, or pickupAt + minutesBefore)',
+  body: schemas.schedulePrint,
+}), idempotent('scheduled-print'), (req, res) => {
+  const printOptions = printOptionsFrom(req);
+  if (printOptions.error) return res.status(400).json({ success: false, error: printOptions.error });
+  const job = schedulePrint(req.merchant, req.body, printOptions, { apiKeyId: req.apiKey?.id });
+  if (job.error) return res.status(job.status).json({ success: false, error: job.error });
+  return res.status(202).json({
+    success: true,
+    message: job.status === 'scheduled' ? `Print scheduled for ${job.scheduledFor}.` : 'Print time is now; the order is printing.',
+    job,
+  });
+});
+
+// ----- GET /test-print/scheduled-prints: prints waiting for their time, soonest first -----
+router.get('/scheduled-prints', requireMerchant, requireRole('read'), validate({
+  summary: 'Scheduled prints that haven\'t started, soonest first',
+}), (req, res) => {
+  const jobs = listScheduledPrints(req.merchant.key).map(jobSummary);
+  return res.json({ success: true, count: jobs.length, scheduledPrints: jobs });
+});
+
+// ----- DELETE /test-print/scheduled-prints/:jobId: cancel a scheduled print -----
+router.delete('/scheduled-prints/:jobId', requireMerchant, requireRole('print'), validate({
+  summary: 'Cancel a scheduled print',
+}), (req, res) => {
+  if (!getScheduledPrint(req.merchant.key, req.params.jobId)) {
+    return res.status(404).json({ success: false, error: `Scheduled print ${req.params.jobId} not found.` });
+  }
+  const result = cancelJob(req.params.jobId);
+  if (result.error) return res.status(409).json({ success: false, error: result.error });
+  log.info('Scheduled print cancelled', { jobId: result.id });
+  return res.json({ success: true, message: 'Scheduled print cancelled.', job: result });
+});
+
+// ----- POST /test-print/batch-prints: print many orders (ids or a Clover orders query), spaced out -----
+router.post('/batch-prints', requireMerchant, requireRole('print'), validate({
+  summary: 'Print many orders, given by id or by a Clover orders query, one every intervalMs',
+  body: schemas.batchPrint,
+}), idempotent('batch-print'), async (req, res) => {
+  const printOptions = printOptionsFrom(req);
+  if (printOptions.error) return res.status(400).json({ success: false, error: printOptions.error });
+  try {
+    const batch = await createBatch(req.merchant, req.body, printOptions, { apiKeyId: req.apiKey?.id });
+    if (batch.error) return res.status(batch.status).json({ success: false, error: batch.error });
+    if (!batch.batchId) {
+      return res.json({
+        success: true,
+        message: batch.dryRun ? `${batch.orderIds.length} order(s) would print.` : 'No orders match; nothing to print.',
+        ...batch,
+      });
+    }
+    return res.status(202).json({
+      success: true,
+      message: `${batch.jobs.length} order(s) queued. Follow progress with GET ${req.baseUrl}/batch-prints/${batch.batchId}.`,
+      ...batch,
     });
+  } catch (err) {
+    log.error('Batch print failed', errorFields(err));
+    sendCloverError(res, 'list_orders', err);
+  }
+});
+
+// ----- GET /test-print/batch-prints/:batchId: progress of a batch -----
+router.get('/batch-prints/:batchId', requireMerchant, requireRole('read'), validate({
+  summary: 'A batch print with its jobs and counts per status',
+}), (req, res) => {
+  const batch = getBatch(req.merchant.key, req.params.batchId);
+  if (!batch) return res.status(404).json({ success: false, error: `Batch ${req.params.batchId} not found.` });
+  return res.json({ success: true, batch });
+});
+
+// ----- POST /test-print/batch-prints/:batchId/cancel: cancel the prints of a batch that haven't started -----
+router.post('/batch-prints/:batchId/cancel', requireMerchant, requireRole('print'), validate({
+  summary: 'Cancel the prints of a batch that haven\'t started',
+}), (req, res) => {
+  const batch = cancelBatch(req.merchant.key, req.params.batchId);
+  if (!batch) return res.status(404).json({ success: false, error: `Batch ${req.params.batchId} not found.` });
+  log.info('Batch cancelled', { batchId: batch.batchId, cancelled: batch.cancelled });
+  return res.json({ success: true, message: `${batch.cancelled} print(s) cancelled.`, batch });
+});
+
+// ----- POST /test-print/cleanup: delete items and open/locked orders created by this server -----
+// Dry run (list only) unless body has { "confirm": true }.
+router.post('/cleanup', requireMerchant, requireRole('admin'), validate({
+  summary: 'Delete items and orders created by this server (dry run without confirm)',
+  body: schemas.cleanup,
+}), async (req, res) => {
+  const { clover, merchantId } = req.merchant;
+  const confirm = req.body?.confirm === true;
+  const includeLegacyDummyItems = req.body?.includeLegacyDummyItems === true;
+  try {
+    const result = await cleanupTestData(clover, merchantId, {
+      dryRun: !confirm,
+      legacyItemNames: includeLegacyDummyItems ? DUMMY_ITEMS.map((i) => i.name) : [],
+    });
+    log.info(confirm ? 'Cleanup done' : 'Cleanup dry run', { items: result.items.length, orders: result.orders.length });
+    return res.json({
+      success: true,
+      message: confirm
+        ? 'Cleanup done. Check each entry for deleted/error.'
+        : 'Dry run: nothing deleted. POST again with { "confirm": true } to delete these.',
+      itemCount: result.items.length,
+      orderCount: result.orders.length,
+      ...result,
+    });
+  } catch (err) {
+    log.error('Cleanup failed', errorFields(err));
+    sendCloverError(res, 'cleanup', err);
   }
 });
 
 // ----- GET /test-print/how-to-print -----
-router.get('/how-to-print', (req, res) => {
+router.get('/how-to-print', requireRole('read', { anyMerchant: true }), validate({ summary: 'Step-by-step Star printer setup' }), (req, res) => {
   res.json(HOW_TO_PRINT);
 });
 
 // ----- GET /test-print/order-types -----
-router.get('/order-types', requireCloverConfig, async (req, res) => {
+router.get('/order-types', requireMerchant, requireRole('read'), validate({ summary: 'Clover order types' }), async (req, res) => {
+  const { clover, merchantId } = req.merchant;
   try {
-    const list = await getOrderTypes(clover, MERCHANT_ID);
-    console.log('[Order types] Count:', list.length);
+    const list = await getOrderTypes(clover, merchantId);
+    log.info('Order types listed', { count: list.length });
     const orderTypes = list.map((t) => ({ id: t.id, label: t.label, labelKey: t.labelKey, isDefault: t.isDefault, systemOrderTypeId: t.systemOrderTypeId }));
     const message = orderTypes.length === 0
       ? 'No order types returned from Clover. You can still use POST /test-print without orderTypeId. To get types: create them in Clover Setup (e.g. Register app → Order Types, or Setup App), or use a production merchant that has Online Order / Take Out already.'
@@ -244,23 +736,17 @@ router.get('/order-types', requireCloverConfig, async (req, res) => {
       usage: orderTypes.length ? 'POST /test-print with body { "orderTypeId": "<id from above>" }' : 'POST /test-print with body {} or { "tryAllDevices": true }',
     });
   } catch (err) {
-    const status = err.response?.status || 500;
-    const data = err.response?.data;
-    console.error('[Order types]', status, data || err.message);
-    return res.status(status >= 400 ? status : 500).json({
-      success: false,
-      error: data?.message || data?.error || err.message,
-      cloverStatus: status,
-      cloverResponse: data,
-    });
+    log.error('Listing order types failed', errorFields(err));
+    sendCloverError(res, 'get_order_types', err);
   }
 });
 
 // ----- GET /test-print/devices -----
-router.get('/devices', requireCloverConfig, async (req, res) => {
+router.get('/devices', requireMerchant, requireRole('read'), validate({ summary: 'Clover devices' }), async (req, res) => {
+  const { clover, merchantId } = req.merchant;
   try {
-    const list = await getDevices(clover, MERCHANT_ID);
-    console.log('[Devices] Count:', list.length);
+    const list = await getDevices(clover, merchantId);
+    log.info('Devices listed', { count: list.length });
     return res.json({
       success: true,
       message: list.length === 0
@@ -271,48 +757,224 @@ router.get('/devices', requireCloverConfig, async (req, res) => {
       note: 'Set "Default Firing Device" (Setup > Online Ordering > Settings) to the device that has your Star printer as Order Printer.',
     });
   } catch (err) {
-    const status = err.response?.status || 500;
-    const data = err.response?.data;
-    console.error('[Devices]', status, data || err.message);
-    return res.status(status >= 400 ? status : 500).json({
-      success: false,
-      error: data?.message || data?.error || err.message,
-      cloverStatus: status,
-      cloverResponse: data,
-    });
+    log.error('Listing devices failed', errorFields(err));
+    sendCloverError(res, 'get_devices', err);
+  }
+});
+
+// ----- GET /test-print/devices/health: which devices actually print (from the print audit log) -----
+router.get('/devices/health', requireMerchant, requireRole('read'), validate({
+  summary: 'Device health from the print audit log',
+}), async (req, res) => {
+  const health = await getDeviceHealth(req.merchant);
+  const monitored = getDeviceStatuses(req.merchant.key);
+  const devices = health.devices.map((d) => ({ ...d, statusSince: monitored[d.deviceId]?.since || null }));
+  return res.json({
+    success: true,
+    merchantKey: req.merchant.key,
+    ...health,
+    devices,
+    attention: devices.filter((d) => ['failing', 'silent', 'degraded'].includes(d.status)).map((d) => d.deviceId),
+  });
+});
+
+// ----- POST /test-print/discovery: print a labelled ticket on each device to find the right one -----
+router.post('/discovery', requireMerchant, requireRole('admin'), validate({
+  summary: 'Start the firing-device discovery: a labelled ticket on each device',
+  body: schemas.discovery,
+}), async (req, res) => {
+  const { deviceIds, orderTypeId, waitForResult = false } = req.body;
+  try {
+    const started = await startDiscovery(req.merchant, { deviceIds, orderTypeId });
+    if (started.error) return res.status(started.status).json({ success: false, error: started.error });
+    if (waitForResult === true) {
+      return res.json({ success: true, session: discoveryView(req, await started.done) });
+    }
+    return res.status(202).json({ success: true, session: discoveryView(req, started.session) });
+  } catch (err) {
+    log.error('Discovery failed', errorFields(err));
+    sendCloverError(res, 'get_devices', err);
+  }
+});
+
+// ----- GET /test-print/discovery: recent discovery sessions -----
+router.get('/discovery', requireMerchant, requireRole('read'), validate({ summary: 'Recent discovery sessions' }), (req, res) => {
+  const sessions = listSessions({ merchantKey: req.merchant.key }).map((s) => discoveryView(req, s));
+  return res.json({ success: true, count: sessions.length, defaultDeviceId: req.merchant.defaults.deviceId || null, sessions });
+});
+
+// ----- GET /test-print/discovery/:sessionId -----
+router.get('/discovery/:sessionId', requireMerchant, requireRole('read'), validate({
+  summary: 'One discovery session and its next step',
+}), (req, res) => {
+  const session = getSession(req.params.sessionId);
+  if (!session || session.merchantKey !== req.merchant.key) {
+    return res.status(404).json({ success: false, error: `Unknown discovery session "${req.params.sessionId}".` });
   }
+  return res.json({ success: true, session: discoveryView(req, session) });
+});
+
+// ----- POST /test-print/discovery/:sessionId/confirm: save the device that printed as default -----
+router.post('/discovery/:sessionId/confirm', requireMerchant, requireRole('admin'), validate({
+  summary: 'Save the device whose ticket came out as the default device',
+  body: schemas.discoveryConfirm,
+}), (req, res) => {
+  const { deviceId, label } = req.body || {};
+  const result = confirmDiscovery(req.merchant, req.params.sessionId, { deviceId, label });
+  if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+  return res.json({ success: true, message: 'Default device saved.', defaults: result.defaults, session: discoveryView(req, result.session) });
 });
 
 // ----- GET /test-print/check -----
-router.get('/check', requireCloverConfig, async (req, res) => {
+router.get('/check', requireMerchant, requireRole('read'), validate({
+  summary: 'Check the Clover connection and token',
+}), async (req, res) => {
+  const { clover, merchantId } = req.merchant;
   try {
-    const { recentOrderCount } = await checkConnection(clover, MERCHANT_ID);
+    const { recentOrderCount } = await checkConnection(clover, merchantId);
+    const tokenInfo = req.merchant.auth === 'oauth' ? getTokenInfo(req.merchant.key) : null;
+    const expiresAt = tokenInfo?.accessTokenExpiresAt || null;
     return res.json({
       success: true,
       message: 'Clover API connection OK. You can POST /test-print to create an order.',
-      baseURL: CLOVER_BASE_URL,
-      merchantId: MERCHANT_ID,
+      merchantKey: req.merchant.key,
+      baseURL: req.merchant.baseURL,
+      merchantId,
       recentOrderCount,
+      token: {
+        auth: req.merchant.auth,
+        expiresAt,
+        expiresInSeconds: expiresAt ? Math.round((Date.parse(expiresAt) - Date.now()) / 1000) : null,
+        refreshTokenExpiresAt: tokenInfo?.refreshTokenExpiresAt || null,
+        grantedScopes: tokenInfo?.scopes || null,
+        scopes: await probeTokenScopes(clover, merchantId),
+      },
     });
   } catch (err) {
-    const status = err.response?.status || 500;
-    const data = err.response?.data;
-    console.error('[Check]', status, data || err.message);
-    return res.status(status >= 400 ? status : 500).json({
-      success: false,
-      error: data?.message || data?.error || err.message,
-      cloverStatus: status,
-      cloverResponse: data,
-      hint: getHint('create_order', status, data),
+    log.error('Connection check failed', errorFields(err));
+    sendCloverError(res, 'check', err);
+  }
+});
+
+// ----- GET /test-print/readiness: go-live checklist (environment, permissions, order type, device, test print) -----
+router.get('/readiness', requireMerchant, requireRole('print'), validate({
+  summary: 'Run the go-live readiness checks, with a tracked test print',
+  query: schemas.query.readiness,
+}), async (req, res) => {
+  const { print, deviceId } = req.query;
+  try {
+    const report = await runReadinessCheck(req.merchant, {
+      print: print !== 'false',
+      deviceId: deviceId || null,
+      caller: { apiKeyId: req.apiKey?.id || null },
     });
+    return res.json({
+      success: true,
+      merchantKey: req.merchant.key,
+      merchantId: req.merchant.merchantId,
+      baseURL: req.merchant.baseURL,
+      ...report,
+    });
+  } catch (err) {
+    log.error('Readiness check failed', errorFields(err));
+    sendCloverError(res, 'check', err);
   }
 });
 
+// ----- GET /test-print/preview/:orderId: render the ticket without printing -----
+router.get('/preview/:orderId', requireMerchant, requireRole('read'), validate({
+  summary: 'Render an order\'s ticket without printing',
+  query: schemas.query.preview,
+}), async (req, res) => {
+  const { orderId } = req.params;
+  const format = req.query.format || 'html';
+  const width = req.query.width !== undefined ? Number(req.query.width) : DEFAULT_WIDTH;
+  const timeZone = req.query.timezone || getRouting(req.merchant.key)?.timezone || undefined;
+  const { encoding } = req.query;
+  try {
+    const { ticket } = await buildOrderTicket(req.merchant, orderId, { width, timeZone });
+    const rendered = renderTicket(ticket, format, { orderId });
+    if (encoding) {
+      return res.json({ success: true, orderId, format, width, bytes: rendered.body.length, encoding, data: Buffer.from(rendered.body).toString(encoding) });
+    }
+    res.set('Content-Type', rendered.contentType);
+    if (rendered.fileName) res.set('Content-Disposition', `${format === 'pdf' ? 'inline' : 'attachment'}; filename="${rendered.fileName}"`);
+    return res.send(rendered.body);
+  } catch (err) {
+    log.error('Preview failed', { orderId, ...errorFields(err) });
+    sendCloverError(res, 'fetch_order', err);
+  }
+});
+
+// ----- GET /test-print/lan-printer: the LAN fallback printer, with defaults filled in -----
+router.get('/lan-printer', requireMerchant, requireRole('read'), validate({ summary: 'The LAN fallback printer' }), (req, res) => {
+  const config = req.merchant.defaults.lanPrinter;
+  return res.json({
+    success: true,
+    lanPrinter: config?.host ? resolveLanPrinter(config) : null,
+    models: PRINTER_MODELS,
+  });
+});
+
+// ----- PUT /test-print/lan-printer: set the LAN fallback printer -----
+router.put('/lan-printer', requireMerchant, requireRole('admin'), validate({
+  summary: 'Set the LAN fallback printer',
+  body: schemas.lanPrinter,
+}), (req, res) => {
+  const { host, port, model, commands, width, enabled } = req.body;
+  const lanPrinter = Object.fromEntries(Object.entries({ host: host.trim(), port, model, commands, width, enabled }).filter(([, v]) => v !== undefined));
+  const defaults = saveMerchantDefaults(req.merchant.key, { lanPrinter });
+  if (!defaults) return res.status(404).json({ success: false, error: `Unknown merchant key "${req.merchant.key}".` });
+  const printer = resolveLanPrinter(lanPrinter);
+  log.info('LAN printer set', { merchantKey: req.merchant.key, printer: `${printer.host}:${printer.port}`, commands: printer.commands });
+  return res.json({ success: true, lanPrinter: printer });
+});
+
+// ----- DELETE /test-print/lan-printer: turn the LAN fallback off -----
+router.delete('/lan-printer', requireMerchant, requireRole('admin'), validate({
+  summary: 'Remove the LAN fallback printer',
+}), (req, res) => {
+  const defaults = saveMerchantDefaults(req.merchant.key, { lanPrinter: null });
+  if (!defaults) return res.status(404).json({ success: false, error: `Unknown merchant key "${req.merchant.key}".` });
+  return res.json({ success: true, message: 'LAN printer removed; failed prints are no longer sent over the LAN.' });
+});
+
+// ----- POST /test-print/lan-printer/test: print an order (or a sample ticket) straight to the LAN printer -----
+router.post('/lan-printer/test', requireMerchant, requireRole('admin'), validate({
+  summary: 'Print an order or a sample ticket straight to the LAN printer',
+  body: schemas.lanPrinterTest,
+}), async (req, res) => {
+  const printer = getLanPrinter(req.merchant);
+  if (!printer) {
+    return res.status(400).json({ success: false, error: 'No LAN printer configured (or it is disabled). Set one with PUT /test-print/lan-printer.' });
+  }
+  const orderId = req.body?.orderId || null;
+  const caller = { source: 'lan-test', merchantKey: req.merchant.key, apiKeyId: req.apiKey?.id || null };
+  let ticket;
+  try {
+    ticket = orderId
+      ? (await buildOrderTicket(req.merchant, orderId, { width: printer.width })).ticket
+      : buildTicket({ id: 'LAN-TEST', title: 'LAN TEST', createdTime: Date.now(), lineItems: { elements: DUMMY_ITEMS } }, { width: printer.width });
+  } catch (err) {
+    log.error('LAN print failed', { orderId, ...errorFields(err) });
+    return sendCloverError(res, 'fetch_order', err);
+  }
+  const result = await printTicketOverLan(printer, ticket, { orderId, merchantId: req.merchant.merchantId, caller, reason: 'test' });
+  return res.status(result.success ? 200 : 502).json({
+    success: result.success,
+    ...(result.success ? { message: `Sent ${result.bytes} bytes to ${result.host}:${result.port}. Check the printer.` } : {}),
+    ...result,
+  });
+});
+
 // ----- GET /test-print/verify/:orderId -----
-router.get('/verify/:orderId', requireCloverConfig, async (req, res) => {
+router.get('/verify/:orderId', requireMerchant, requireRole('read'), validate({
+  summary: 'Re-read an order from Clover',
+}), async (req, res) => {
+  const { clover, merchantId } = req.merchant;
   const { orderId } = req.params;
   try {
-    const order = await getOrder(clover, MERCHANT_ID, orderId);
+    const order = await getOrder(clover, merchantId, orderId);
     return res.json({
       success: true,
       orderId,
@@ -321,13 +983,8 @@ router.get('/verify/:orderId', requireCloverConfig, async (req, res) => {
       orderDetails: order,
     });
   } catch (err) {
-    const status = err.response?.status || 500;
-    const data = err.response?.data;
-    return res.status(status).json({
-      success: false,
-      error: data?.message || data?.error || err.message,
-      details: data,
-    });
+    log.error('Verify failed', errorFields(err));
+    sendCloverError(res, 'fetch_order', err);
   }
 });
 
@@ -0,0 +1,49 @@
+/**
+ * Routes for /webhooks: Clover webhook receiver that auto-prints new online orders.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { hasWebhookConfig, verifyWebhookSignature, parseOrderEvents, handleOrderEvent } = require('../services/webhooks');
+const { createLogger, errorFields } = require('../utils/logger');
+
+const log = createLogger('Webhook');
+
+// ----- POST /webhooks/clover -----
+// Verification handshake ({ verificationCode }) is answered unsigned; every other delivery must be signed.
+// Events are acknowledged first and processed afterwards, so Clover doesn't time out and re-deliver.
+router.post('/clover', async (req, res) => {
+  if (req.body?.verificationCode) {
+    log.info('Verification code (paste into the app\'s Webhooks page)', { verificationCode: req.body.verificationCode });
+    return res.json({ received: true });
+  }
+  if (!hasWebhookConfig()) {
+    return res.status(500).json({ success: false, error: 'Missing CLOVER_WEBHOOK_SECRET or CLOVER_WEBHOOK_AUTH_CODE in .env' });
+  }
+  const { valid, reason } = verifyWebhookSignature(req.headers, req.rawBody);
+  if (!valid) {
+    log.warn('Rejected', { reason });
+    return res.status(401).json({ success: false, error: reason });
+  }
+
+  const events = parseOrderEvents(req.body);
+  res.json({ received: true, orderEvents: events.length });
+
+  for (const event of events) {
+    try {
+      const result = await handleOrderEvent(event);
+      log.info('Order event handled', {
+        type: event.type,
+        merchantId: event.merchantId,
+        orderId: result.orderId,
+        action: result.action,
+        reason: result.reason,
+        jobId: result.jobId,
+      });
+    } catch (err) {
+      log.error('Order event failed', { type: event.type, merchantId: event.merchantId, orderId: event.orderId, ...errorFields(err) });
+    }
+  }
+});
+
+module.exports = router;
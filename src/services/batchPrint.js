@@ -0,0 +1,160 @@
+/**
+ * Scheduled and batch printing on top of the print job queue (src/services/printQueue.js), so both
+ * survive restarts and show up in GET /test-print/jobs.
+ * - A scheduled print is one job with runAt: it waits as "scheduled" until its print time.
+ * - A batch is one job per order, all tagged with a batchId and spaced intervalMs apart (default
+ *   BATCH_PRINT_INTERVAL_MS) so a catering run doesn't flood the printer. Orders come from a list of
+ *   ids or a Clover orders query (state, order type, created since/until).
+ */
+
+const crypto = require('crypto');
+const { BATCH_PRINT_INTERVAL_MS, BATCH_PRINT_MAX_ORDERS } = require('../config');
+const { listOrders } = require('./cloverService');
+const { enqueuePrintJob, cancelJob } = require('./printQueue');
+const { getJob, listJobs } = require('../stores/printJobStore');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('Batch print');
+
+/** How far ahead a print can be scheduled. */
+const MAX_SCHEDULE_MS = 30 * 24 * 60 * 60 * 1000;
+/** A print time this far in the past still counts as "now" (clock skew, slow clients). */
+const PAST_TOLERANCE_MS = 60 * 1000;
+
+/** Job fields a batch or scheduled print is listed with. */
+function jobSummary(job) {
+  return {
+    jobId: job.id,
+    orderId: job.orderId,
+    status: job.status,
+    scheduledFor: job.scheduledFor,
+    nextAttemptAt: job.nextAttemptAt,
+    attempts: job.attempts,
+    lastError: job.lastError,
+    state: job.lastPrintEvent?.state || null,
+  };
+}
+
+/**
+ * Print time from { printAt } or { pickupAt, minutesBefore }. Returns { runAt } (ISO, or null = now)
+ * or { error }.
+ */
+function printTimeFrom(body) {
+  if (body.printAt && body.pickupAt) return { error: 'Use either printAt or pickupAt + minutesBefore, not both.' };
+  if (body.pickupAt && body.minutesBefore === undefined) return { error: 'pickupAt needs minutesBefore (e.g. 20).' };
+  if (!body.printAt && !body.pickupAt) return { runAt: null };
+  const at = body.printAt
+    ? Date.parse(body.printAt)
+    : Date.parse(body.pickupAt) - body.minutesBefore * 60 * 1000;
+  if (at < Date.now() - PAST_TOLERANCE_MS) {
+    return { error: `Print time ${new Date(at).toISOString()} is in the past.` };
+  }
+  if (at > Date.now() + MAX_SCHEDULE_MS) return { error: 'Prints can be scheduled at most 30 days ahead.' };
+  return { runAt: new Date(Math.max(at, Date.now())).toISOString() };
+}
+
+/**
+ * Schedule one print. body: { orderId, printAt | pickupAt + minutesBefore }; printOptions from printOptionsFrom.
+ * Returns the job, or { error, status }.
+ */
+function schedulePrint(merchant, body, printOptions, caller = {}) {
+  if (!body.printAt && !body.pickupAt) return { error: 'Give printAt, or pickupAt and minutesBefore.', status: 400 };
+  const { runAt, error } = printTimeFrom(body);
+  if (error) return { error, status: 400 };
+  return enqueuePrintJob({
+    merchantKey: merchant.key,
+    orderId: body.orderId,
+    ...printOptions,
+    runAt,
+    source: 'scheduled-print',
+    apiKeyId: caller.apiKeyId,
+  });
+}
+
+/** Scheduled prints of a merchant that haven't started yet, soonest first. */
+function listScheduledPrints(merchantKey) {
+  return listJobs({ merchantKey, status: 'scheduled', limit: Infinity })
+    .sort((a, b) => a.scheduledFor.localeCompare(b.scheduledFor));
+}
+
+/** Order ids for a batch: body.orderIds as given (duplicates dropped), or the orders matching body.query. */
+async function batchOrderIds(merchant, body) {
+  if (body.orderIds) return [...new Set(body.orderIds)];
+  const orders = await listOrders(merchant.clover, merchant.merchantId, {
+    state: body.query.state || 'locked',
+    orderTypeId: body.query.orderTypeId,
+    since: body.query.since,
+    until: body.query.until,
+    limit: BATCH_PRINT_MAX_ORDERS + 1,
+  });
+  return orders.map((o) => o.id);
+}
+
+/**
+ * Print many orders: body { orderIds | query, printAt?, pickupAt?, minutesBefore?, intervalMs?, dryRun? }.
+ * Jobs start at the print time (default now) and are spaced intervalMs apart. dryRun returns the orders
+ * without printing. Returns { batchId, dryRun, orderIds, jobs } or { error, status }. Clover errors
+ * from the query are thrown (CloverApiError).
+ */
+async function createBatch(merchant, body, printOptions, caller = {}) {
+  if (Boolean(body.orderIds) === Boolean(body.query)) return { error: 'Give either orderIds or query.', status: 400 };
+  const { runAt, error } = printTimeFrom(body);
+  if (error) return { error, status: 400 };
+  const orderIds = await batchOrderIds(merchant, body);
+  if (orderIds.length > BATCH_PRINT_MAX_ORDERS) {
+    return { error: `At most ${BATCH_PRINT_MAX_ORDERS} orders per batch; narrow the query or split the list.`, status: 400 };
+  }
+  if (body.dryRun === true || orderIds.length === 0) {
+    return { batchId: null, dryRun: body.dryRun === true, orderIds, jobs: [] };
+  }
+
+  const batchId = `batch_${crypto.randomBytes(6).toString('hex')}`;
+  const intervalMs = body.intervalMs ?? BATCH_PRINT_INTERVAL_MS;
+  const start = runAt ? Date.parse(runAt) : Date.now();
+  const jobs = orderIds.map((orderId, i) => enqueuePrintJob({
+    merchantKey: merchant.key,
+    orderId,
+    ...printOptions,
+    runAt: new Date(start + i * intervalMs).toISOString(),
+    batchId,
+    source: 'batch-print',
+    apiKeyId: caller.apiKeyId,
+  }));
+  log.info('Batch created', { batchId, merchantKey: merchant.key, orders: jobs.length, intervalMs });
+  return { batchId, dryRun: false, orderIds, jobs: jobs.map(jobSummary) };
+}
+
+/** A batch with its jobs and counts per status, or null if the merchant has no such batch. */
+function getBatch(merchantKey, batchId) {
+  const jobs = listJobs({ merchantKey, batchId, limit: Infinity })
+    .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+  if (jobs.length === 0) return null;
+  const counts = {};
+  for (const job of jobs) counts[job.status] = (counts[job.status] || 0) + 1;
+  const finished = jobs.every((j) => ['done', 'dead', 'cancelled'].includes(j.status));
+  return { batchId, total: jobs.length, finished, counts, jobs: jobs.map(jobSummary) };
+}
+
+/** Cancel the batch's jobs that haven't started. Returns the batch plus cancelled count, or null. */
+function cancelBatch(merchantKey, batchId) {
+  const jobs = listJobs({ merchantKey, batchId, status: ['pending', 'scheduled'], limit: Infinity });
+  const cancelled = jobs.filter((job) => !cancelJob(job.id).error).length;
+  const batch = getBatch(merchantKey, batchId);
+  return batch && { ...batch, cancelled };
+}
+
+/** A merchant's scheduled job by id (null if unknown, another merchant's, or not scheduled). */
+function getScheduledPrint(merchantKey, jobId) {
+  const job = getJob(jobId);
+  return job && job.merchantKey === merchantKey && job.scheduledFor ? job : null;
+}
+
+module.exports = {
+  schedulePrint,
+  listScheduledPrints,
+  getScheduledPrint,
+  createBatch,
+  getBatch,
+  cancelBatch,
+  jobSummary,
+};
@@ -0,0 +1,151 @@
+/**
+ * Clover REST client: axios with request timeouts, retries (exponential backoff + jitter, Retry-After)
+ * and a per-merchant concurrency limit. Failed calls reject with CloverApiError.
+ *
+ * Same call surface as an axios instance (get/post/put/patch/delete), so cloverService functions
+ * keep taking `clover` as their first argument.
+ */
+
+const axios = require('axios');
+const { CloverApiError, ERROR_KINDS } = require('../utils/errors');
+const { createLimiter } = require('../utils/limiter');
+
+const DEFAULT_CLIENT_OPTIONS = {
+  timeoutMs: 15000,
+  maxRetries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 10000,
+  maxConcurrency: 4,
+};
+
+/** Connection never reached Clover, so even a POST is safe to resend. */
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/** Retry-After header (seconds or HTTP date) in ms, or null. */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/** Full-jitter exponential backoff: random delay in [0, min(max, base * 2^attempt)]. */
+function backoffDelay(attempt, options) {
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Whether a failed attempt should be retried. 429 is always safe (Clover didn't process it).
+ * 5xx, timeouts and network errors are only retried for idempotent methods, so a POST that may
+ * have reached Clover doesn't create a second order or print event.
+ */
+function shouldRetry(error, method) {
+  if (!error.retryable) return false;
+  if (error.kind === ERROR_KINDS.RATE_LIMIT) return true;
+  if (NOT_SENT_CODES.includes(error.code)) return true;
+  return IDEMPOTENT_METHODS.includes(method);
+}
+
+function merchantKey(url) {
+  const match = /\/v3\/merchants\/([^/?]+)/.exec(url || '');
+  return match ? match[1] : '_';
+}
+
+/**
+ * Create a Clover client.
+ * options: { baseURL, accessToken | tokenProvider, timeoutMs, maxRetries, baseDelayMs, maxDelayMs, maxConcurrency, onRetry, onCall }.
+ * tokenProvider: { getAccessToken(), refresh() } (OAuth) – the token is fetched per attempt, and a 401 triggers
+ * one refresh and resend. onRetry(error, { attempt, delayMs }) is called before each retry (for logging).
+ * onCall({ method, url, status, code, kind, durationMs, attempt }) is called after every HTTP attempt, failed
+ * or not (for metrics); status is null when Clover didn't answer.
+ */
+function createCloverClient(options = {}) {
+  const settings = { ...DEFAULT_CLIENT_OPTIONS, ...options };
+  const http = axios.create({
+    baseURL: settings.baseURL,
+    timeout: settings.timeoutMs,
+    headers: {
+      ...(settings.accessToken ? { Authorization: `Bearer ${settings.accessToken}` } : {}),
+      'Content-Type': 'application/json',
+    },
+  });
+  const { tokenProvider } = settings;
+  const limiters = new Map();
+
+  const limiterFor = (url) => {
+    const key = merchantKey(url);
+    if (!limiters.has(key)) limiters.set(key, createLimiter(settings.maxConcurrency));
+    return limiters.get(key);
+  };
+
+  const send = async (config) => {
+    if (!tokenProvider) return http.request(config);
+    const token = await tokenProvider.getAccessToken();
+    return http.request({ ...config, headers: { ...config.headers, Authorization: `Bearer ${token}` } });
+  };
+
+  const called = (config, method, startedAt, attemptNo, outcome) => {
+    if (!settings.onCall) return;
+    settings.onCall({
+      method,
+      url: config.url,
+      status: outcome.status ?? null,
+      ...(outcome.code ? { code: outcome.code } : {}),
+      ...(outcome.kind ? { kind: outcome.kind } : {}),
+      durationMs: Date.now() - startedAt,
+      attempt: attemptNo + 1,
+    });
+  };
+
+  const attempt = async (config) => {
+    const method = (config.method || 'get').toUpperCase();
+    let refreshed = false;
+    for (let attemptNo = 0; ; attemptNo++) {
+      const startedAt = Date.now();
+      try {
+        const res = await send(config);
+        called(config, method, startedAt, attemptNo, res);
+        return res;
+      } catch (err) {
+        const error = err instanceof CloverApiError ? err : CloverApiError.fromAxiosError(err, attemptNo + 1);
+        called(config, method, startedAt, attemptNo, error);
+        if (error.kind === ERROR_KINDS.AUTH && tokenProvider && !refreshed) {
+          refreshed = true;
+          await tokenProvider.refresh();
+          attemptNo--;
+          continue;
+        }
+        if (attemptNo >= settings.maxRetries || !shouldRetry(error, method)) throw error;
+        const retryAfter = parseRetryAfter(err.response?.headers?.['retry-after']);
+        const delayMs = retryAfter !== null ? Math.min(retryAfter, settings.maxDelayMs) : backoffDelay(attemptNo, settings);
+        if (settings.onRetry) settings.onRetry(error, { attempt: attemptNo + 1, delayMs });
+        await sleep(delayMs);
+      }
+    }
+  };
+
+  const request = (config) => limiterFor(config.url).run(() => attempt(config));
+
+  return {
+    request,
+    get: (url, config = {}) => request({ ...config, method: 'get', url }),
+    delete: (url, config = {}) => request({ ...config, method: 'delete', url }),
+    post: (url, data, config = {}) => request({ ...config, method: 'post', url, data }),
+    put: (url, data, config = {}) => request({ ...config, method: 'put', url, data }),
+    patch: (url, data, config = {}) => request({ ...config, method: 'patch', url, data }),
+    defaults: http.defaults,
+  };
+}
+
+module.exports = {
+  createCloverClient,
+  DEFAULT_CLIENT_OPTIONS,
+  parseRetryAfter,
+};
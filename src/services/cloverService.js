@@ -1,11 +1,40 @@
 /**
  * Clover REST API operations.
  * All Clover v3 calls live here so routes stay thin and logic is easy to test or reuse.
+ * `clover` is the client from cloverClient.js; failed calls throw CloverApiError.
  */
 
 const { toList } = require('../utils/normalize');
+const { CREATED_BY_TAG } = require('../constants');
+const { recordPrintAttempt, updatePrintAttempt } = require('../stores/printAuditStore');
+const { CloverPrintClient, PRINT_EVENT_POLL, TERMINAL_PRINT_STATES } = require('../client/CloverPrintClient');
+const { createLogger, errorFields } = require('../utils/logger');
+const { recordPrintEvent } = require('./metrics');
 
-const PRINT_EVENT_DELAY_MS = 2500;
+const PRINT_EVENT_HISTORY_LIMIT = 500;
+const LIST_PAGE_SIZE = 100;
+const LIST_MAX_PAGES = 50;
+
+const printLog = createLogger('Print');
+
+/**
+ * GET a Clover list endpoint page by page (limit/offset) and return every element.
+ * Stops after LIST_MAX_PAGES so a huge inventory can't hang a request.
+ * params.filter may be a list; each is sent as its own filter= parameter (Clover ANDs them).
+ */
+async function listAll(clover, path, params = {}) {
+  const all = [];
+  for (let page = 0; page < LIST_MAX_PAGES; page++) {
+    const res = await clover.get(path, {
+      params: { ...params, limit: LIST_PAGE_SIZE, offset: page * LIST_PAGE_SIZE },
+      paramsSerializer: { indexes: null },
+    });
+    const list = toList(res.data);
+    all.push(...list);
+    if (list.length < LIST_PAGE_SIZE) break;
+  }
+  return all;
+}
 
 /**
  * GET /v3/merchants/:mId/devices → list of devices.
@@ -32,23 +61,115 @@ async function createItem(clover, merchantId, item) {
 }
 
 /**
- * Create order (state: open, optional orderType). Returns { id }.
+ * Find an inventory item by SKU (preferred) or exact name. Returns the item or null.
+ */
+async function findItem(clover, merchantId, { name, sku }) {
+  const filter = sku ? `sku=${sku}` : `name=${name}`;
+  const res = await clover.get(`/v3/merchants/${merchantId}/items`, { params: { filter, limit: LIST_PAGE_SIZE } });
+  const list = toList(res.data);
+  return list.find((i) => (sku ? i.sku === sku : i.name === name)) || null;
+}
+
+/**
+ * Reuse an inventory item by SKU/name, or create it (code CREATED_BY_TAG) if missing.
+ * Creating needs a price. Returns { id, created }.
+ */
+async function findOrCreateItem(clover, merchantId, item) {
+  const existing = await findItem(clover, merchantId, item);
+  if (existing?.id) return { id: existing.id, created: false };
+  if (item.price === undefined) {
+    throw new Error(`No inventory item found for ${item.sku ? `sku "${item.sku}"` : `name "${item.name}"`}. Add "price" to create it.`);
+  }
+  const body = { name: item.name || item.sku, price: item.price, code: CREATED_BY_TAG };
+  if (item.sku) body.sku = item.sku;
+  const created = await createItem(clover, merchantId, body);
+  if (!created?.id) throw new Error('Item creation returned no id');
+  return { id: created.id, created: true };
+}
+
+/**
+ * Create order (state: open, optional orderType, title, note, externalReferenceId). Returns { id }.
  */
 async function createOrder(clover, merchantId, options = {}) {
   const body = { state: 'open' };
   if (options.orderTypeId) body.orderType = { id: options.orderTypeId };
+  if (options.title) body.title = options.title;
+  if (options.note) body.note = options.note;
+  if (options.externalReferenceId) body.externalReferenceId = options.externalReferenceId;
   const res = await clover.post(`/v3/merchants/${merchantId}/orders`, body);
   return res.data;
 }
 
 /**
- * Add a line item to an order.
+ * Add quantity line items with the same body ({ item: { id } } or custom { name, price }, note?).
+ * Clover line items have no quantity: each line is one unit, so 2 burgers are 2 lines, added in one
+ * bulk_line_items call. Returns the created line items ([{ id }, ...]).
  */
-async function addLineItem(clover, merchantId, orderId, itemId, quantity = 1) {
-  await clover.post(`/v3/merchants/${merchantId}/orders/${orderId}/line_items`, {
-    item: { id: itemId },
-    quantity,
-  });
+async function addLineItems(clover, merchantId, orderId, body, quantity = 1) {
+  const orderPath = `/v3/merchants/${merchantId}/orders/${orderId}`;
+  if (quantity === 1) return [(await clover.post(`${orderPath}/line_items`, body)).data];
+  const res = await clover.post(`${orderPath}/bulk_line_items`, { items: Array.from({ length: quantity }, () => ({ ...body })) });
+  return toList(res.data);
+}
+
+/**
+ * Add a line item to an order. Optional note is printed under the line. Returns { id }.
+ */
+async function addLineItem(clover, merchantId, orderId, itemId, options = {}) {
+  const body = { item: { id: itemId } };
+  if (options.note) body.note = options.note;
+  const [created] = await addLineItems(clover, merchantId, orderId, body);
+  return created;
+}
+
+/**
+ * Add a custom (non-inventory) line item with just name and price in cents. Returns { id }.
+ */
+async function addCustomLineItem(clover, merchantId, orderId, { name, price, note }) {
+  const body = { name, price };
+  if (note) body.note = note;
+  const [created] = await addLineItems(clover, merchantId, orderId, body);
+  return created;
+}
+
+/**
+ * Apply a modifier to a line item. modifier: { id, name?, amount? }.
+ */
+async function addModification(clover, merchantId, orderId, lineItemId, modifier) {
+  const body = { modifier: { id: modifier.id } };
+  if (modifier.name) body.name = modifier.name;
+  if (modifier.amount !== undefined) body.amount = modifier.amount;
+  const res = await clover.post(
+    `/v3/merchants/${merchantId}/orders/${orderId}/line_items/${lineItemId}/modifications`,
+    body
+  );
+  return res.data;
+}
+
+/**
+ * DELETE /v3/merchants/:mId/items/:itemId.
+ */
+async function deleteItem(clover, merchantId, itemId) {
+  await clover.delete(`/v3/merchants/${merchantId}/items/${itemId}`);
+}
+
+/**
+ * DELETE /v3/merchants/:mId/orders/:orderId.
+ */
+async function deleteOrder(clover, merchantId, orderId) {
+  await clover.delete(`/v3/merchants/${merchantId}/orders/${orderId}`);
+}
+
+/**
+ * Delete an order a later create step failed on, so no open order is left behind. Best effort: a
+ * failed delete is logged and the caller rethrows the original error.
+ */
+async function discardOrder(clover, merchantId, orderId) {
+  try {
+    await deleteOrder(clover, merchantId, orderId);
+  } catch (err) {
+    printLog.warn('Could not delete unfinished order', { merchantId, orderId, ...errorFields(err) });
+  }
 }
 
 /**
@@ -60,66 +181,290 @@ async function lockOrder(clover, merchantId, orderId) {
   });
 }
 
+/**
+ * POST /v3/merchants/:mId/orders/:orderId – update order fields (state, title, note). Returns the order.
+ */
+async function updateOrder(clover, merchantId, orderId, changes) {
+  const res = await clover.post(`/v3/merchants/${merchantId}/orders/${orderId}`, changes);
+  return res.data;
+}
+
+/**
+ * Update a line item (name, price, note). Returns the line item.
+ */
+async function updateLineItem(clover, merchantId, orderId, lineItemId, changes) {
+  const res = await clover.post(`/v3/merchants/${merchantId}/orders/${orderId}/line_items/${lineItemId}`, changes);
+  return res.data;
+}
+
+/**
+ * DELETE /v3/merchants/:mId/orders/:orderId/line_items/:lineItemId.
+ */
+async function deleteLineItem(clover, merchantId, orderId, lineItemId) {
+  await clover.delete(`/v3/merchants/${merchantId}/orders/${orderId}/line_items/${lineItemId}`);
+}
+
+/**
+ * Add a discount to the order, or to one line item when lineItemId is given.
+ * discount: { name, amount (negative cents) } or { name, percentage }. Returns { id, ... }.
+ */
+async function addDiscount(clover, merchantId, orderId, discount, lineItemId = null) {
+  const base = `/v3/merchants/${merchantId}/orders/${orderId}`;
+  const res = await clover.post(lineItemId ? `${base}/line_items/${lineItemId}/discounts` : `${base}/discounts`, discount);
+  return res.data;
+}
+
+/**
+ * Remove an order discount, or a line item discount when lineItemId is given.
+ */
+async function deleteDiscount(clover, merchantId, orderId, discountId, lineItemId = null) {
+  const base = `/v3/merchants/${merchantId}/orders/${orderId}`;
+  await clover.delete(lineItemId ? `${base}/line_items/${lineItemId}/discounts/${discountId}` : `${base}/discounts/${discountId}`);
+}
+
+/**
+ * GET /v3/merchants/:mId/default_service_charge – the merchant's service charge ({ id, name, percentageDecimal, enabled }).
+ */
+async function getDefaultServiceCharge(clover, merchantId) {
+  const res = await clover.get(`/v3/merchants/${merchantId}/default_service_charge`);
+  return res.data;
+}
+
+/**
+ * Apply a service charge to an order. serviceCharge: { id, name, percentageDecimal } (percent × 10000).
+ * Clover only accepts the merchant's own service charge id (getDefaultServiceCharge). Returns it.
+ */
+async function applyServiceCharge(clover, merchantId, orderId, serviceCharge) {
+  const res = await clover.post(`/v3/merchants/${merchantId}/orders/${orderId}/service_charge`, serviceCharge);
+  return res.data;
+}
+
+/**
+ * DELETE /v3/merchants/:mId/orders/:orderId/service_charge/:serviceChargeId.
+ */
+async function removeServiceCharge(clover, merchantId, orderId, serviceChargeId) {
+  await clover.delete(`/v3/merchants/${merchantId}/orders/${orderId}/service_charge/${serviceChargeId}`);
+}
+
+/** Final print event state → audit entry (see trackPrintEvent). */
+function auditFinalState(auditId, record) {
+  updatePrintAttempt(auditId, {
+    state: record.state,
+    finishedAt: record.finishedAt,
+    durationMs: record.durationMs,
+    timedOut: record.timedOut,
+    ...(record.lastError ? { error: record.lastError } : {}),
+  });
+}
+
+/** Print client (src/client) on this server's Clover client, so the library and the routes share one print path. */
+function printClient(clover, merchantId) {
+  return new CloverPrintClient({ clover, merchantId, logger: printLog });
+}
+
 /**
  * Request print for an order. Optional deviceId; if omitted, uses default firing device.
- * Returns Clover print_event response or { error, cloverResponse } on failure.
+ * The created print event is tracked in the background (see trackPrintEvent) unless options.track is false;
+ * options.poll overrides PRINT_EVENT_POLL.
+ * Every request is written to the print audit log with options.caller ({ source, merchantKey, jobId, ... })
+ * and its final state once tracking ends.
+ * Returns Clover print_event response or { error, cloverStatus, cloverResponse } on failure.
  */
-async function requestPrint(clover, merchantId, orderId, deviceId = null) {
-  const payload = { orderRef: { id: orderId } };
-  if (deviceId) payload.deviceRef = { id: deviceId };
-  try {
-    const res = await clover.post(`/v3/merchants/${merchantId}/print_event`, payload);
-    return res.data;
-  } catch (err) {
+async function requestPrint(clover, merchantId, orderId, deviceId = null, options = {}) {
+  const result = await printClient(clover, merchantId).sendPrintEvent(orderId, { deviceId });
+  const audit = {
+    at: new Date(Date.now() - result.responseMs).toISOString(),
+    merchantId,
+    orderId,
+    deviceId: result.deviceId,
+    caller: options.caller || null,
+    payload: result.payload,
+    responseMs: result.responseMs,
+  };
+  if (!result.success) {
+    recordPrintAttempt({
+      ...audit,
+      cloverStatus: result.cloverStatus,
+      cloverResponse: result.cloverResponse,
+      eventId: null,
+      state: 'REQUEST_FAILED',
+      error: result.error,
+    });
     return {
-      error: err.response?.data?.message || err.message,
-      cloverResponse: err.response?.data,
+      error: result.error,
+      cloverStatus: result.cloverStatus ?? undefined,
+      cloverResponse: result.cloverResponse ?? undefined,
     };
   }
+  const entry = recordPrintAttempt({
+    ...audit,
+    cloverStatus: result.status,
+    cloverResponse: result.data,
+    eventId: result.eventId,
+    state: result.state,
+  });
+  if (options.track !== false) {
+    trackPrintEvent(clover, merchantId, result.data, { orderId, deviceId }, options.poll)
+      ?.then((record) => auditFinalState(entry.id, record))
+      .catch((err) => printLog.error('Print event tracking failed', { orderId, deviceId, auditId: entry.id, ...errorFields(err) }));
+  }
+  return result.data;
 }
 
 /**
  * Request print to every device. Returns { tryAllDevices: true, results: [...] }.
  */
-async function requestPrintAllDevices(clover, merchantId, orderId) {
+async function requestPrintAllDevices(clover, merchantId, orderId, options = {}) {
   const devices = await getDevices(clover, merchantId);
   const results = [];
   for (const d of devices) {
     if (!d.id) continue;
-    const printResult = await requestPrint(clover, merchantId, orderId, d.id);
+    const printResult = await requestPrint(clover, merchantId, orderId, d.id, options);
     const success = !printResult.error;
     results.push({
       deviceId: d.id,
       model: d.model,
       success,
-      ...(success ? { state: printResult.state } : { error: printResult.error }),
+      ...(success ? { eventId: printResult.id, state: printResult.state } : { error: printResult.error }),
     });
   }
   return { tryAllDevices: true, results };
 }
 
 /**
- * GET /v3/merchants/:mId/orders/:orderId with expand=lineItems.
+ * GET /v3/merchants/:mId – merchant name and id (needs merchant:read).
+ */
+async function getMerchantInfo(clover, merchantId) {
+  const res = await clover.get(`/v3/merchants/${merchantId}`);
+  return res.data;
+}
+
+/**
+ * GET /v3/merchants/:mId/orders/:orderId with expand=lineItems (or options.expand).
  */
-async function getOrder(clover, merchantId, orderId) {
+async function getOrder(clover, merchantId, orderId, options = {}) {
   const res = await clover.get(`/v3/merchants/${merchantId}/orders/${orderId}`, {
-    params: { expand: 'lineItems' },
+    params: { expand: options.expand || 'lineItems' },
   });
   return res.data;
 }
 
 /**
- * GET /v3/merchants/:mId/print_event/:eventId.
+ * GET /v3/merchants/:mId/orders filtered by state and a createdTime window (since/until: ISO date-times).
+ * orderTypeId is checked here, since the orders list can't filter on it. Newest first, at most limit.
+ */
+async function listOrders(clover, merchantId, { state, orderTypeId, since, until, limit = LIST_PAGE_SIZE } = {}) {
+  const filter = [];
+  if (state) filter.push(`state=${state}`);
+  if (since) filter.push(`createdTime>=${Date.parse(since)}`);
+  if (until) filter.push(`createdTime<=${Date.parse(until)}`);
+  const orders = await listAll(clover, `/v3/merchants/${merchantId}/orders`, { filter, expand: 'orderType' });
+  return orders.filter((o) => !orderTypeId || o.orderType?.id === orderTypeId).slice(0, limit);
+}
+
+/**
+ * GET /v3/merchants/:mId/items/:itemId with expand=tags → list of tags ({ id, name }).
+ */
+async function getItemTags(clover, merchantId, itemId) {
+  const res = await clover.get(`/v3/merchants/${merchantId}/items/${itemId}`, { params: { expand: 'tags' } });
+  return toList(res.data?.tags);
+}
+
+/**
+ * GET /v3/merchants/:mId/print_event/:eventId. Returns the event or { error }.
  */
 async function getPrintEventStatus(clover, merchantId, eventId) {
-  try {
-    const res = await clover.get(`/v3/merchants/${merchantId}/print_event/${eventId}`);
-    return res.data;
-  } catch (e) {
-    return { error: e.response?.data || e.message };
+  return printClient(clover, merchantId).getPrintEvent(eventId);
+}
+
+// ----- Print event tracker: poll each print event until DONE/FAILED, keep recent history in memory -----
+// Lost on restart, and events still polling then aren't resumed; the print audit log
+// (printAuditStore) keeps each print's final state on disk.
+
+const printEventHistory = new Map();
+const printEventWaiters = new Map();
+
+function rememberPrintEvent(record) {
+  printEventHistory.set(record.eventId, record);
+  if (printEventHistory.size > PRINT_EVENT_HISTORY_LIMIT) {
+    const oldest = printEventHistory.keys().next().value;
+    if (!printEventWaiters.has(oldest)) printEventHistory.delete(oldest);
   }
 }
 
+/**
+ * Start polling a print event (Clover print_event response) with backoff until DONE/FAILED or timeout.
+ * context: { orderId, deviceId }. Returns a promise of the final record; same promise if already tracked.
+ * The final state goes to the print_events_total metric.
+ */
+function trackPrintEvent(clover, merchantId, printEvent, context = {}, pollOptions = {}) {
+  const eventId = printEvent?.id;
+  if (!eventId) return null;
+  if (printEventWaiters.has(eventId)) return printEventWaiters.get(eventId);
+  const promise = printClient(clover, merchantId)
+    .waitForPrintEvent(printEvent, { ...context, poll: pollOptions, onUpdate: rememberPrintEvent })
+    .then((record) => {
+      recordPrintEvent(record);
+      return record;
+    })
+    .finally(() => printEventWaiters.delete(eventId));
+  printEventWaiters.set(eventId, promise);
+  return promise;
+}
+
+/**
+ * Wait for a tracked print event to finish. Returns the final record, or null if the event isn't tracked.
+ */
+async function waitForPrintEvent(eventId) {
+  if (printEventWaiters.has(eventId)) return printEventWaiters.get(eventId);
+  return printEventHistory.get(eventId) || null;
+}
+
+/**
+ * Tracked record for one print event (may still be polling), or null.
+ */
+function getPrintEventRecord(eventId) {
+  return printEventHistory.get(eventId) || null;
+}
+
+/**
+ * Tracked print events, newest first. Filters: { merchantId, orderId, deviceId, state, limit }.
+ */
+function listPrintEvents(filters = {}) {
+  const limit = filters.limit || 50;
+  return [...printEventHistory.values()]
+    .reverse()
+    .filter((r) => !filters.merchantId || r.merchantId === filters.merchantId)
+    .filter((r) => !filters.orderId || r.orderId === filters.orderId)
+    .filter((r) => !filters.deviceId || r.deviceId === filters.deviceId)
+    .filter((r) => !filters.state || r.state === filters.state)
+    .slice(0, limit);
+}
+
+/** Read calls used to tell which permissions a token has (Clover doesn't return scopes for a token). */
+const SCOPE_PROBES = [
+  { scope: 'orders:read', path: 'orders' },
+  { scope: 'inventory:read', path: 'items' },
+  { scope: 'merchant:read', path: 'devices' },
+];
+
+/**
+ * Probe read permissions with limit=1 GETs. Returns { 'orders:read': true|false|null, ... }:
+ * false on 401/403, null when the probe failed for another reason.
+ */
+async function probeTokenScopes(clover, merchantId) {
+  const scopes = {};
+  for (const { scope, path } of SCOPE_PROBES) {
+    try {
+      await clover.get(`/v3/merchants/${merchantId}/${path}`, { params: { limit: 1 } });
+      scopes[scope] = true;
+    } catch (err) {
+      scopes[scope] = err.status === 401 || err.status === 403 ? false : null;
+    }
+  }
+  return scopes;
+}
+
 /**
  * Check orders list (limit 1) to verify connection.
  */
@@ -130,39 +475,235 @@ async function checkConnection(clover, merchantId) {
 }
 
 /**
- * Full flow: create dummy items, create order (optional orderType), add line items, lock.
- * Returns { orderId, itemIds }.
+ * Full flow: find or create dummy items (reused across runs), create order (optional orderTypeId,
+ * title, note), add line items, lock. Returns { orderId, itemIds, createdItemIds }.
  * Use when building a test order for print.
  */
 async function createTestOrderWithItemsAndLock(clover, merchantId, dummyItems, options = {}) {
   const itemIds = [];
+  const createdItemIds = [];
   for (const item of dummyItems) {
-    const created = await createItem(clover, merchantId, item);
-    if (!created?.id) throw new Error('Item creation returned no id');
-    itemIds.push(created.id);
+    const { id, created } = await findOrCreateItem(clover, merchantId, item);
+    itemIds.push(id);
+    if (created) createdItemIds.push(id);
   }
-  const orderData = await createOrder(clover, merchantId, { orderTypeId: options.orderTypeId });
+  const orderData = await createOrder(clover, merchantId, {
+    orderTypeId: options.orderTypeId,
+    title: options.title,
+    note: options.note,
+    externalReferenceId: CREATED_BY_TAG,
+  });
+  const orderId = orderData?.id;
+  if (!orderId) throw new Error('Order creation returned no id');
+  try {
+    for (const itemId of itemIds) {
+      await addLineItem(clover, merchantId, orderId, itemId);
+    }
+    await lockOrder(clover, merchantId, orderId);
+  } catch (err) {
+    await discardOrder(clover, merchantId, orderId);
+    throw err;
+  }
+  return { orderId, itemIds, createdItemIds };
+}
+
+/**
+ * Order title/note as shown on the ticket. Customer name becomes the title (like delivery tickets);
+ * if a title is also given, the customer name is prepended to the note instead.
+ */
+function buildOrderHeader(order) {
+  const customerName = order.customer?.name?.trim();
+  const title = order.title || customerName || undefined;
+  const notes = [];
+  if (customerName && order.title) notes.push(`Customer: ${customerName}`);
+  if (order.note) notes.push(order.note);
+  return { title, note: notes.length ? notes.join(' | ') : undefined };
+}
+
+/**
+ * Full flow from a real order body: create order (orderType, title, note), add each line item
+ * with quantity/note/modifiers, lock. Line items are { itemId }, { name|sku, price? } (inventory
+ * lookup, created if missing) or { custom: true, name, price }. Body shape is checked by
+ * schemas.createPrint first. If a step after creating the order fails, the order is deleted before
+ * the error is rethrown. Returns { orderId, lineItemIds, createdItemIds }.
+ */
+async function createOrderFromPayloadAndLock(clover, merchantId, order) {
+  const { title, note } = buildOrderHeader(order);
+  const orderData = await createOrder(clover, merchantId, {
+    orderTypeId: order.orderTypeId,
+    title,
+    note,
+    externalReferenceId: CREATED_BY_TAG,
+  });
   const orderId = orderData?.id;
   if (!orderId) throw new Error('Order creation returned no id');
-  for (const itemId of itemIds) {
-    await addLineItem(clover, merchantId, orderId, itemId, 1);
+  const lineItemIds = [];
+  const createdItemIds = [];
+  try {
+    for (const li of order.lineItems) {
+      const added = await addLineItemFromPayload(clover, merchantId, orderId, li);
+      lineItemIds.push(...added.lineItemIds);
+      if (added.createdItemId) createdItemIds.push(added.createdItemId);
+    }
+    await lockOrder(clover, merchantId, orderId);
+  } catch (err) {
+    await discardOrder(clover, merchantId, orderId);
+    throw err;
   }
-  await lockOrder(clover, merchantId, orderId);
-  return { orderId, itemIds };
+  return { orderId, lineItemIds, createdItemIds };
+}
+
+/**
+ * Add one line item from an order body entry ({ itemId } / { name|sku, price? } / { custom: true, name, price },
+ * with quantity, note, modifiers – see createOrderFromPayloadAndLock) to an open order: quantity lines,
+ * each with the note and modifiers.
+ * Returns { lineItemId, lineItemIds, name, createdItemId } (lineItemId: the first line; createdItemId:
+ * inventory item created by the lookup, else null).
+ */
+async function addLineItemFromPayload(clover, merchantId, orderId, li) {
+  const quantity = li.quantity || 1;
+  let body;
+  let createdItemId = null;
+  if (li.custom) {
+    body = { name: li.name, price: li.price };
+  } else {
+    let itemId = li.itemId;
+    if (!itemId) {
+      const found = await findOrCreateItem(clover, merchantId, li);
+      itemId = found.id;
+      if (found.created) createdItemId = found.id;
+    }
+    body = { item: { id: itemId } };
+  }
+  if (li.note) body.note = li.note;
+  const created = await addLineItems(clover, merchantId, orderId, body, quantity);
+  if (created.length !== quantity || !created.every((line) => line?.id)) throw new Error('Line item creation returned no id');
+  for (const line of created) {
+    for (const modifier of li.modifiers || []) {
+      await addModification(clover, merchantId, orderId, line.id, modifier);
+    }
+  }
+  return { lineItemId: created[0].id, lineItemIds: created.map((line) => line.id), name: created[0].name || li.name || null, createdItemId };
+}
+
+/**
+ * Copy some line items of an existing order (fetched with expand=lineItems.modifications) into a
+ * new locked order, for a kitchen station or change ticket. The ticket is not a sale: every line is
+ * a custom line at price 0 and modifiers are added at amount 0, with names and notes kept.
+ * Tagged with CREATED_BY_TAG so cleanup removes it; deleted again if a step fails.
+ * Returns { orderId, lineItemIds }.
+ */
+async function createStationTicketAndLock(clover, merchantId, lineItems, { title, note }) {
+  const orderData = await createOrder(clover, merchantId, { title, note, externalReferenceId: CREATED_BY_TAG });
+  const orderId = orderData?.id;
+  if (!orderId) throw new Error('Order creation returned no id');
+  const lineItemIds = [];
+  try {
+    for (const li of lineItems) {
+      const created = await addCustomLineItem(clover, merchantId, orderId, { name: li.name || 'Item', price: 0, note: li.note });
+      if (!created?.id) throw new Error('Line item creation returned no id');
+      lineItemIds.push(created.id);
+      for (const mod of li.modifications?.elements || []) {
+        if (mod.modifier?.id) await addModification(clover, merchantId, orderId, created.id, { id: mod.modifier.id, name: mod.name, amount: 0 });
+      }
+    }
+    await lockOrder(clover, merchantId, orderId);
+  } catch (err) {
+    await discardOrder(clover, merchantId, orderId);
+    throw err;
+  }
+  return { orderId, lineItemIds };
+}
+
+/**
+ * Find items and open/locked orders created by this server (tagged with CREATED_BY_TAG).
+ * Items tagged in alternateName by older versions count too. legacyItemNames also matches untagged
+ * items by exact name (e.g. DUMMY_ITEMS from older runs).
+ */
+async function findTestData(clover, merchantId, options = {}) {
+  const legacyNames = new Set(options.legacyItemNames || []);
+  const allItems = await listAll(clover, `/v3/merchants/${merchantId}/items`);
+  const items = allItems.filter((i) => i.code === CREATED_BY_TAG || i.alternateName === CREATED_BY_TAG || legacyNames.has(i.name));
+  const orders = [];
+  for (const state of ['open', 'locked']) {
+    const list = await listAll(clover, `/v3/merchants/${merchantId}/orders`, { filter: `state=${state}` });
+    orders.push(...list.filter((o) => o.externalReferenceId === CREATED_BY_TAG));
+  }
+  return { items, orders };
+}
+
+/**
+ * Delete test data found by findTestData. dryRun only lists it.
+ * One failed delete doesn't stop the rest; each entry reports deleted/error.
+ * Returns { dryRun, items: [...], orders: [...] }.
+ */
+async function cleanupTestData(clover, merchantId, options = {}) {
+  const { items, orders } = await findTestData(clover, merchantId, options);
+  const dryRun = options.dryRun !== false;
+  const run = async (list, remove, describe) => {
+    const results = [];
+    for (const entry of list) {
+      const result = describe(entry);
+      if (!dryRun) {
+        try {
+          await remove(clover, merchantId, entry.id);
+          result.deleted = true;
+        } catch (err) {
+          result.deleted = false;
+          result.error = err.message;
+        }
+      }
+      results.push(result);
+    }
+    return results;
+  };
+  return {
+    dryRun,
+    items: await run(items, deleteItem, (i) => ({ id: i.id, name: i.name })),
+    orders: await run(orders, deleteOrder, (o) => ({ id: o.id, state: o.state, title: o.title })),
+  };
 }
 
 module.exports = {
   getDevices,
   getOrderTypes,
   createItem,
+  findItem,
+  findOrCreateItem,
+  deleteItem,
   createOrder,
   addLineItem,
+  addCustomLineItem,
+  addModification,
   lockOrder,
+  updateOrder,
+  updateLineItem,
+  deleteLineItem,
+  addDiscount,
+  deleteDiscount,
+  getDefaultServiceCharge,
+  applyServiceCharge,
+  removeServiceCharge,
+  deleteOrder,
   requestPrint,
   requestPrintAllDevices,
+  getMerchantInfo,
   getOrder,
+  listOrders,
+  getItemTags,
   getPrintEventStatus,
+  trackPrintEvent,
+  waitForPrintEvent,
+  getPrintEventRecord,
+  listPrintEvents,
   checkConnection,
+  probeTokenScopes,
   createTestOrderWithItemsAndLock,
-  PRINT_EVENT_DELAY_MS,
+  createOrderFromPayloadAndLock,
+  addLineItemFromPayload,
+  createStationTicketAndLock,
+  findTestData,
+  cleanupTestData,
+  PRINT_EVENT_POLL,
+  TERMINAL_PRINT_STATES,
 };
@@ -0,0 +1,222 @@
+/**
+ * Device health: which Clover devices actually print. Computed from the print audit log
+ * (src/stores/printAuditStore.js), so it costs no test paper – every print the server sends counts.
+ *
+ * Per device, over the last DEVICE_HEALTH_WINDOW_MS: success rate, last successful print, average
+ * time to DONE and consecutive failures (FAILED or never finished). Requests Clover rejected (token,
+ * rate limit, unknown device) say nothing about the printer: they are counted as requestErrors only.
+ *
+ * lastSuccessAt is looked up outside the window too, so a device that printed before the window and
+ * not since is "silent", not "unknown".
+ *
+ * Status, first match wins:
+ *   unknown  – no finished prints in the window, and no DONE print before it
+ *   failing  – at least DEVICE_HEALTH_FAILURE_THRESHOLD failures in a row
+ *   silent   – printed DONE before, but not for DEVICE_HEALTH_SILENT_MS
+ *   degraded – success rate below DEGRADED_SUCCESS_RATE
+ *   healthy
+ *
+ * The monitor re-checks every merchant every DEVICE_HEALTH_INTERVAL_MS and POSTs status changes
+ * to DEVICE_HEALTH_WEBHOOK_URL.
+ */
+
+const axios = require('axios');
+const {
+  DEVICE_HEALTH_INTERVAL_MS,
+  DEVICE_HEALTH_WINDOW_MS,
+  DEVICE_HEALTH_SILENT_MS,
+  DEVICE_HEALTH_FAILURE_THRESHOLD,
+  DEVICE_HEALTH_WEBHOOK_URL,
+} = require('../config');
+const { getDevices } = require('./cloverService');
+const { resolveMerchant, listMerchantKeys } = require('./merchants');
+const { listPrintAttempts } = require('../stores/printAuditStore');
+const { getDeviceStatuses, saveDeviceStatuses } = require('../stores/deviceHealthStore');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('Device health');
+
+const DEGRADED_SUCCESS_RATE = 0.8;
+const NOTIFY_TIMEOUT_MS = 5000;
+const DEVICE_STATUSES = ['healthy', 'degraded', 'silent', 'failing', 'unknown'];
+
+let timer = null;
+
+function isFinished(entry) {
+  return ['DONE', 'FAILED'].includes(entry.state) || entry.timedOut === true;
+}
+
+/** Stats for one device from its audit entries (newest first). */
+function deviceStats(entries, now) {
+  const finished = entries.filter((e) => e.state !== 'REQUEST_FAILED' && isFinished(e));
+  const done = finished.filter((e) => e.state === 'DONE');
+  let consecutiveFailures = 0;
+  for (const e of finished) {
+    if (e.state === 'DONE') break;
+    consecutiveFailures++;
+  }
+  const durations = done.map((e) => e.durationMs).filter((ms) => typeof ms === 'number');
+  const lastSuccessAt = done[0]?.at || null;
+  return {
+    prints: finished.length,
+    done: done.length,
+    failed: finished.length - done.length,
+    inFlight: entries.filter((e) => e.state !== 'REQUEST_FAILED' && !isFinished(e)).length,
+    requestErrors: entries.filter((e) => e.state === 'REQUEST_FAILED').length,
+    successRate: finished.length ? Number((done.length / finished.length).toFixed(3)) : null,
+    consecutiveFailures,
+    avgTimeToDoneMs: durations.length ? Math.round(durations.reduce((a, b) => a + b, 0) / durations.length) : null,
+    lastPrintAt: entries[0]?.at || null,
+    lastSuccessAt,
+    lastFailureAt: finished.find((e) => e.state !== 'DONE')?.at || null,
+    silentForMs: lastSuccessAt ? now - Date.parse(lastSuccessAt) : null,
+  };
+}
+
+function statusOf(stats) {
+  const silent = stats.silentForMs !== null && stats.silentForMs >= DEVICE_HEALTH_SILENT_MS;
+  if (!stats.prints) return silent ? 'silent' : 'unknown';
+  if (stats.consecutiveFailures >= DEVICE_HEALTH_FAILURE_THRESHOLD) return 'failing';
+  if (silent) return 'silent';
+  if (stats.successRate < DEGRADED_SUCCESS_RATE) return 'degraded';
+  return 'healthy';
+}
+
+/**
+ * Health of every device of a merchant (resolveMerchant() context): Clover's device list plus any
+ * other device that printed in the window. Returns { checkedAt, windowMs, summary, devices, devicesError? }.
+ */
+async function getDeviceHealth(merchant) {
+  const now = Date.now();
+  const entries = listPrintAttempts({
+    merchantId: merchant.merchantId,
+    from: new Date(now - DEVICE_HEALTH_WINDOW_MS),
+    limit: Infinity,
+  });
+  const byDevice = new Map();
+  for (const e of entries) {
+    if (!e.deviceId) continue;
+    if (!byDevice.has(e.deviceId)) byDevice.set(e.deviceId, []);
+    byDevice.get(e.deviceId).push(e);
+  }
+
+  let devices = [];
+  let devicesError = null;
+  try {
+    devices = await getDevices(merchant.clover, merchant.merchantId);
+  } catch (err) {
+    devicesError = err.message;
+  }
+  const known = new Map(devices.filter((d) => d.id).map((d) => [d.id, d]));
+  const deviceIds = [...new Set([...known.keys(), ...byDevice.keys()])];
+
+  const health = deviceIds.map((deviceId) => {
+    const device = known.get(deviceId);
+    const stats = deviceStats(byDevice.get(deviceId) || [], now);
+    if (!stats.lastSuccessAt) {
+      const lastDone = listPrintAttempts({ merchantId: merchant.merchantId, deviceId, state: 'DONE', limit: 1 })[0];
+      if (lastDone) Object.assign(stats, { lastSuccessAt: lastDone.at, silentForMs: now - Date.parse(lastDone.at) });
+    }
+    return {
+      deviceId,
+      name: device?.name || null,
+      model: device?.model || null,
+      serial: device?.serial || null,
+      listedByClover: Boolean(device),
+      status: statusOf(stats),
+      ...stats,
+    };
+  });
+  const summary = Object.fromEntries(DEVICE_STATUSES.map((s) => [s, health.filter((d) => d.status === s).length]));
+  return {
+    checkedAt: new Date(now).toISOString(),
+    windowMs: DEVICE_HEALTH_WINDOW_MS,
+    summary,
+    devices: health,
+    ...(devicesError ? { devicesError } : {}),
+  };
+}
+
+async function notifyChange(change) {
+  log.info('Device status changed', { merchantKey: change.merchantKey, deviceId: change.deviceId, previousStatus: change.previousStatus, status: change.status });
+  if (!DEVICE_HEALTH_WEBHOOK_URL) return;
+  try {
+    await axios.post(DEVICE_HEALTH_WEBHOOK_URL, change, { timeout: NOTIFY_TIMEOUT_MS });
+  } catch (err) {
+    log.error('Notify failed', { url: DEVICE_HEALTH_WEBHOOK_URL, status: err.response?.status, error: err.message });
+  }
+}
+
+/**
+ * Check one merchant and notify devices whose status changed since the last check.
+ * A device seen for the first time is only recorded. Returns the changes.
+ */
+async function checkMerchant(merchant) {
+  const health = await getDeviceHealth(merchant);
+  const previous = getDeviceStatuses(merchant.key);
+  const statuses = {};
+  const changes = [];
+  for (const device of health.devices) {
+    const before = previous[device.deviceId];
+    const changed = before && before.status !== device.status;
+    statuses[device.deviceId] = {
+      status: device.status,
+      since: changed || !before ? health.checkedAt : before.since,
+      checkedAt: health.checkedAt,
+    };
+    if (changed) {
+      changes.push({
+        event: 'device.health_changed',
+        at: health.checkedAt,
+        merchantKey: merchant.key,
+        merchantId: merchant.merchantId,
+        deviceId: device.deviceId,
+        previousStatus: before.status,
+        status: device.status,
+        device,
+      });
+    }
+  }
+  saveDeviceStatuses(merchant.key, statuses);
+  for (const change of changes) await notifyChange(change);
+  return changes;
+}
+
+async function checkAllMerchants() {
+  for (const key of listMerchantKeys()) {
+    const merchant = resolveMerchant(key);
+    if (!merchant) continue;
+    try {
+      await checkMerchant(merchant);
+    } catch (err) {
+      log.error('Check failed', { merchantKey: key, error: err.message });
+    }
+  }
+}
+
+/** Start the background monitor (no-op when DEVICE_HEALTH_INTERVAL_MS is 0). */
+function startDeviceHealthMonitor() {
+  if (timer || !DEVICE_HEALTH_INTERVAL_MS) return;
+  let checking = false;
+  timer = setInterval(async () => {
+    if (checking) return;
+    checking = true;
+    try {
+      await checkAllMerchants();
+    } finally {
+      checking = false;
+    }
+  }, DEVICE_HEALTH_INTERVAL_MS);
+  timer.unref();
+}
+
+function stopDeviceHealthMonitor() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  getDeviceHealth,
+  startDeviceHealthMonitor,
+  stopDeviceHealthMonitor,
+};
@@ -0,0 +1,150 @@
+/**
+ * Firing-device discovery wizard. Instead of pasting device ids until one prints:
+ *   1. start: a test order titled with a unique label ("DISCOVERY D4821-2 · Kitchen") is printed on
+ *      each device, one at a time, and each print event is tracked to DONE/FAILED;
+ *   2. confirm: the user reads the label off the ticket that came out, and that device is saved as
+ *      the merchant's default device (registry defaults, or local defaults for the .env merchant).
+ *
+ * Sessions (src/stores/discoveryStore.js): running → awaiting_confirmation → confirmed.
+ */
+
+const crypto = require('crypto');
+const { PRINT_EVENT_TIMEOUT_MS } = require('../config');
+const {
+  getDevices,
+  createTestOrderWithItemsAndLock,
+  requestPrint,
+  waitForPrintEvent,
+} = require('./cloverService');
+const { saveMerchantDefaults } = require('./merchants');
+const { insertSession, getSession, updateSession, listSessions } = require('../stores/discoveryStore');
+const { DUMMY_ITEMS } = require('../constants');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('Discovery');
+
+const PRINT_OPTIONS = { poll: { timeoutMs: PRINT_EVENT_TIMEOUT_MS } };
+/** A running session not updated for this long was cut off (server restart) and doesn't block a new one. */
+const STALE_SESSION_MS = PRINT_EVENT_TIMEOUT_MS + 2 * 60 * 1000;
+
+function updateDevice(sessionId, index, changes) {
+  const session = getSession(sessionId);
+  const devices = session.devices.map((d, i) => (i === index ? { ...d, ...changes } : d));
+  return updateSession(sessionId, { devices });
+}
+
+/** Print the labelled order on one device and wait for its print event. Never throws. */
+async function probeDevice(merchant, session, index, orderTypeId) {
+  const { clover, merchantId } = merchant;
+  const device = session.devices[index];
+  updateDevice(session.id, index, { state: 'SENDING', startedAt: new Date().toISOString() });
+  try {
+    const { orderId } = await createTestOrderWithItemsAndLock(clover, merchantId, DUMMY_ITEMS, {
+      orderTypeId,
+      title: `DISCOVERY ${device.label} · ${device.name || device.model || device.deviceId}`,
+      note: `Device discovery: if this ticket printed, confirm label ${device.label}.`,
+    });
+    const caller = { source: 'discovery', merchantKey: merchant.key, sessionId: session.id };
+    const data = await requestPrint(clover, merchantId, orderId, device.deviceId, { ...PRINT_OPTIONS, caller });
+    if (data.error) {
+      return updateDevice(session.id, index, { orderId, state: 'REQUEST_FAILED', error: data.error, cloverStatus: data.cloverStatus ?? null });
+    }
+    updateDevice(session.id, index, { orderId, eventId: data.id, state: data.state || 'CREATED' });
+    const final = await waitForPrintEvent(data.id);
+    return updateDevice(session.id, index, {
+      state: final?.state || data.state,
+      timedOut: Boolean(final?.timedOut),
+      durationMs: final?.durationMs ?? null,
+      finishedAt: new Date().toISOString(),
+    });
+  } catch (err) {
+    return updateDevice(session.id, index, { state: 'REQUEST_FAILED', error: err.message, cloverStatus: err.status ?? null });
+  }
+}
+
+async function runSession(merchant, session, orderTypeId) {
+  for (let i = 0; i < session.devices.length; i++) {
+    await probeDevice(merchant, session, i, orderTypeId);
+  }
+  const finished = updateSession(session.id, { status: 'awaiting_confirmation' });
+  log.info('Session finished', {
+    merchantKey: merchant.key,
+    sessionId: session.id,
+    printed: finished.devices.filter((d) => d.state === 'DONE').length,
+    devices: finished.devices.length,
+  });
+  return finished;
+}
+
+/**
+ * Start a discovery session for a merchant (resolveMerchant() context). options: { deviceIds?, orderTypeId? }.
+ * Returns { session, done } – done resolves with the session once every device was tried – or
+ * { error, status } (409 already running, 400 no device). Throws CloverApiError if devices can't be loaded.
+ */
+async function startDiscovery(merchant, options = {}) {
+  const running = listSessions({ merchantKey: merchant.key, status: 'running' })
+    .filter((s) => Date.now() - Date.parse(s.updatedAt) < STALE_SESSION_MS);
+  if (running.length) {
+    return { error: 'A discovery session is already running for this merchant. Wait for it or check GET /test-print/discovery.', status: 409 };
+  }
+  const all = (await getDevices(merchant.clover, merchant.merchantId)).filter((d) => d.id);
+  const devices = options.deviceIds ? all.filter((d) => options.deviceIds.includes(d.id)) : all;
+  if (!devices.length) {
+    return { error: options.deviceIds ? 'None of deviceIds is a device of this merchant.' : 'This merchant has no Clover devices.', status: 400 };
+  }
+  const code = `D${crypto.randomInt(1000, 10000)}`;
+  const now = new Date().toISOString();
+  const session = insertSession({
+    id: crypto.randomUUID(),
+    merchantKey: merchant.key,
+    merchantId: merchant.merchantId,
+    code,
+    status: 'running',
+    devices: devices.map((d, i) => ({
+      label: `${code}-${i + 1}`,
+      deviceId: d.id,
+      name: d.name || null,
+      model: d.model || null,
+      serial: d.serial || null,
+      orderId: null,
+      eventId: null,
+      state: 'PENDING',
+    })),
+    chosenDeviceId: null,
+    createdAt: now,
+    updatedAt: now,
+  });
+  log.info('Session started', { merchantKey: merchant.key, sessionId: session.id, code, devices: devices.length });
+  const orderTypeId = options.orderTypeId || merchant.defaults.orderTypeId || null;
+  const done = runSession(merchant, session, orderTypeId).catch((err) => {
+    log.error('Session failed', { sessionId: session.id, error: err.message });
+    return updateSession(session.id, { status: 'awaiting_confirmation', error: err.message });
+  });
+  return { session, done };
+}
+
+/**
+ * The device that printed: by deviceId or by the label read off the ticket. Saves it as the merchant's
+ * default device. Returns { session, defaults }, or { error, status } (404 unknown session, 400 bad choice).
+ */
+function confirmDiscovery(merchant, sessionId, { deviceId, label }) {
+  const session = getSession(sessionId);
+  if (!session || session.merchantKey !== merchant.key) return { error: `Unknown discovery session "${sessionId}".`, status: 404 };
+  const wanted = typeof label === 'string' ? label.trim().toUpperCase() : null;
+  const device = session.devices.find((d) => (deviceId ? d.deviceId === deviceId : d.label === wanted));
+  if (!device) {
+    return {
+      error: `No device in this session with ${deviceId ? `deviceId "${deviceId}"` : `label "${label}"`}. Labels: ${session.devices.map((d) => d.label).join(', ')}.`,
+      status: 400,
+    };
+  }
+  const defaults = saveMerchantDefaults(merchant.key, { deviceId: device.deviceId });
+  const confirmed = updateSession(sessionId, { status: 'confirmed', chosenDeviceId: device.deviceId, confirmedAt: new Date().toISOString() });
+  log.info('Default device set', { merchantKey: merchant.key, sessionId, deviceId: device.deviceId, label: device.label });
+  return { session: confirmed, defaults };
+}
+
+module.exports = {
+  startDiscovery,
+  confirmDiscovery,
+};
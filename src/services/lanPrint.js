@@ -0,0 +1,144 @@
+/**
+ * Direct LAN printing: send a rendered ticket (src/services/ticketRenderer.js) straight to a network
+ * printer over raw TCP (port 9100), bypassing Clover. Used as a fallback when the Clover print event
+ * fails or times out – e.g. the Clover device that drives the Star printer is offline.
+ *
+ * Configured per merchant as defaults.lanPrinter:
+ *   { host, port?: 9100, model?: 'SP700'|'TSP100'|..., commands?: 'star'|'escpos', width?, enabled?: true }
+ * commands and width default from the model (PRINTER_MODELS), else ESC/POS at 42 columns.
+ * Every send is written to the print audit log with transport 'lan'.
+ */
+
+const net = require('net');
+const { LAN_PRINT_TIMEOUT_MS } = require('../config');
+const { buildOrderTicket, renderTicket, DEFAULT_WIDTH } = require('./ticketRenderer');
+const { recordPrintAttempt } = require('../stores/printAuditStore');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('LAN print');
+
+const DEFAULT_LAN_PORT = 9100;
+/** Known models: command set and characters per line. */
+const PRINTER_MODELS = {
+  SP700: { commands: 'star', width: 42 },
+  TSP100: { commands: 'star', width: 48 },
+  TSP143: { commands: 'star', width: 48 },
+  TSP650: { commands: 'star', width: 48 },
+  MC_PRINT3: { commands: 'star', width: 48 },
+  TM_T88: { commands: 'escpos', width: 48 },
+  TM_T20: { commands: 'escpos', width: 48 },
+  TM_U220: { commands: 'escpos', width: 40 },
+};
+const COMMAND_SETS = ['star', 'escpos'];
+
+/** Model name as a PRINTER_MODELS key: "tsp100" / "TSP-100" → "TSP100", "TM-T88" → "TM_T88". */
+function modelKey(model) {
+  const key = String(model || '').toUpperCase().replace(/[\s-]+/g, '_');
+  if (PRINTER_MODELS[key]) return key;
+  const compact = key.replace(/_/g, '');
+  return Object.keys(PRINTER_MODELS).find((k) => k.replace(/_/g, '') === compact) || null;
+}
+
+/** lanPrinter config with port, commands and width filled in. */
+function resolveLanPrinter(config) {
+  const known = PRINTER_MODELS[modelKey(config.model)] || {};
+  return {
+    ...config,
+    port: config.port || DEFAULT_LAN_PORT,
+    commands: config.commands || known.commands || 'escpos',
+    width: config.width || known.width || DEFAULT_WIDTH,
+    enabled: config.enabled !== false,
+  };
+}
+
+/** The merchant's LAN printer (resolveMerchant() context), or null when none is configured or it's disabled. */
+function getLanPrinter(merchant) {
+  const config = merchant.defaults?.lanPrinter;
+  if (!config?.host) return null;
+  const printer = resolveLanPrinter(config);
+  return printer.enabled ? printer : null;
+}
+
+/** Write bytes to host:port and close. Resolves when the printer closed the connection cleanly. */
+function sendRaw(host, port, bytes, timeoutMs = LAN_PRINT_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let failed = false;
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`No answer from ${host}:${port} within ${timeoutMs} ms.`)));
+    socket.on('connect', () => socket.end(bytes));
+    socket.on('error', (err) => {
+      failed = true;
+      reject(err);
+    });
+    socket.on('close', () => {
+      if (!failed) resolve();
+    });
+  });
+}
+
+/**
+ * Render a ticket (buildTicket / buildOrderTicket) in the printer's command set and send it. Never throws.
+ * context: { orderId, merchantId, caller, reason }. Returns { success, host, port, commands, bytes, durationMs, error? }.
+ */
+async function printTicketOverLan(printer, ticket, context = {}) {
+  const startedAt = Date.now();
+  const bytes = renderTicket(ticket, printer.commands, { orderId: context.orderId }).body;
+  const result = { host: printer.host, port: printer.port, commands: printer.commands, bytes: bytes.length };
+  try {
+    await sendRaw(printer.host, printer.port, bytes);
+    Object.assign(result, { success: true, durationMs: Date.now() - startedAt });
+  } catch (err) {
+    Object.assign(result, { success: false, durationMs: Date.now() - startedAt, error: err.message });
+  }
+  recordPrintAttempt({
+    at: new Date(startedAt).toISOString(),
+    transport: 'lan',
+    merchantId: context.merchantId || null,
+    orderId: context.orderId || null,
+    deviceId: null,
+    printer: `${printer.host}:${printer.port}`,
+    caller: context.caller || null,
+    reason: context.reason || null,
+    bytes: bytes.length,
+    responseMs: result.durationMs,
+    state: result.success ? 'LAN_SENT' : 'LAN_FAILED',
+    ...(result.error ? { error: result.error } : {}),
+  });
+  log[result.success ? 'info' : 'warn'](result.success ? 'Ticket sent' : 'Ticket failed', {
+    orderId: context.orderId || '(test)',
+    printer: `${printer.host}:${printer.port}`,
+    commands: printer.commands,
+    bytes: bytes.length,
+    error: result.error,
+  });
+  return result;
+}
+
+/**
+ * Fallback for an order whose Clover print failed or timed out: fetch it, render it and send it to the
+ * merchant's LAN printer. Returns null when the merchant has no LAN printer, else the send result
+ * (with reason). Never throws.
+ */
+async function lanFallback(merchant, orderId, { reason, caller } = {}) {
+  const printer = getLanPrinter(merchant);
+  if (!printer) return null;
+  let ticket;
+  try {
+    ({ ticket } = await buildOrderTicket(merchant, orderId, { width: printer.width }));
+  } catch (err) {
+    log.error('Could not load order', { orderId, error: err.message });
+    return { success: false, host: printer.host, port: printer.port, reason, error: `Could not load the order: ${err.message}` };
+  }
+  const result = await printTicketOverLan(printer, ticket, { orderId, merchantId: merchant.merchantId, caller, reason });
+  return { ...result, reason };
+}
+
+module.exports = {
+  PRINTER_MODELS,
+  COMMAND_SETS,
+  DEFAULT_LAN_PORT,
+  resolveLanPrinter,
+  getLanPrinter,
+  printTicketOverLan,
+  lanFallback,
+};
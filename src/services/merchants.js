@@ -0,0 +1,123 @@
+/**
+ * Resolve a merchant key to everything a route needs: Clover merchant id, base URL, defaults
+ * and a Clover client. Registry entries (src/stores/merchantStore.js) win; the .env merchant
+ * answers to DEFAULT_MERCHANT_KEY when the registry has no entry with that key.
+ * Merchants with stored OAuth tokens use them (auto-refresh) instead of a static token.
+ */
+
+const {
+  MERCHANT_ID,
+  ACCESS_TOKEN,
+  CLOVER_BASE_URL,
+  CLOVER_REGIONS,
+  DEFAULT_MERCHANT_KEY,
+  createClover,
+  clover: envClover,
+} = require('../config');
+const { getMerchant, listMerchants, saveMerchant } = require('../stores/merchantStore');
+const { getEnvDefaults, saveEnvDefaults } = require('../stores/envDefaultsStore');
+const { hasTokens } = require('../stores/tokenStore');
+const { createTokenProvider } = require('./oauth');
+
+/** One client per merchant key; rebuilt when the entry's base URL or token changes. */
+const clients = new Map();
+
+function baseURLFor(entry) {
+  return entry.baseURL || CLOVER_REGIONS[entry.region] || CLOVER_REGIONS.na;
+}
+
+/** accessToken null means OAuth (token provider). */
+function clientFor(key, baseURL, accessToken) {
+  const cached = clients.get(key);
+  if (cached && cached.baseURL === baseURL && cached.accessToken === accessToken) return cached.client;
+  const client = createClover(baseURL, accessToken || createTokenProvider(key));
+  clients.set(key, { baseURL, accessToken, client });
+  return client;
+}
+
+/**
+ * Merchant context for a key, or null if unknown or without credentials:
+ * { key, name, merchantId, baseURL, region, defaults: { deviceId, orderTypeId }, source: 'registry'|'env',
+ *   auth: 'oauth'|'token', clover }.
+ * Stored OAuth tokens take precedence over a static access token.
+ */
+function resolveMerchant(key = DEFAULT_MERCHANT_KEY) {
+  const entry = getMerchant(key);
+  let context;
+  let accessToken;
+  if (entry) {
+    context = {
+      key,
+      name: entry.name || key,
+      merchantId: entry.merchantId,
+      baseURL: baseURLFor(entry),
+      region: entry.region || null,
+      defaults: entry.defaults || {},
+      source: 'registry',
+    };
+    accessToken = entry.accessToken;
+  } else if (key === DEFAULT_MERCHANT_KEY && MERCHANT_ID) {
+    context = {
+      key,
+      name: 'default (.env)',
+      merchantId: MERCHANT_ID,
+      baseURL: CLOVER_BASE_URL,
+      region: null,
+      defaults: getEnvDefaults(),
+      source: 'env',
+    };
+    accessToken = ACCESS_TOKEN;
+  } else {
+    return null;
+  }
+  if (hasTokens(key)) return { ...context, auth: 'oauth', clover: clientFor(key, context.baseURL, null) };
+  if (!accessToken) return null;
+  const clover = context.source === 'env' ? envClover : clientFor(key, context.baseURL, accessToken);
+  return { ...context, auth: 'token', clover };
+}
+
+/**
+ * Merchant key for a Clover merchant id (e.g. from a webhook), or null.
+ */
+function findMerchantKeyByCloverId(merchantId) {
+  const entry = listMerchants().find((m) => m.merchantId === merchantId);
+  if (entry) return entry.key;
+  return merchantId === MERCHANT_ID ? DEFAULT_MERCHANT_KEY : null;
+}
+
+/**
+ * Merge defaults (deviceId, orderTypeId, ...) into a merchant's registry entry, or into the local
+ * .env merchant defaults when the key has no entry. Returns the merchant's defaults, or null if unknown.
+ */
+function saveMerchantDefaults(key, changes) {
+  const entry = getMerchant(key);
+  if (entry) return saveMerchant({ ...entry, defaults: { ...entry.defaults, ...changes } }).defaults;
+  if (key === DEFAULT_MERCHANT_KEY && MERCHANT_ID) return saveEnvDefaults(changes);
+  return null;
+}
+
+/** Every merchant key: registry entries, plus DEFAULT_MERCHANT_KEY for the .env merchant. */
+function listMerchantKeys() {
+  const keys = listMerchants().map((m) => m.key);
+  if (MERCHANT_ID && !keys.includes(DEFAULT_MERCHANT_KEY)) keys.unshift(DEFAULT_MERCHANT_KEY);
+  return keys;
+}
+
+/** Registry entry safe to return from the API: token masked to its last 4 characters. */
+function toPublicMerchant(entry) {
+  const { accessToken, ...rest } = entry;
+  return {
+    ...rest,
+    baseURL: baseURLFor(entry),
+    accessToken: accessToken ? `****${accessToken.slice(-4)}` : null,
+    auth: hasTokens(entry.key) ? 'oauth' : 'token',
+  };
+}
+
+module.exports = {
+  resolveMerchant,
+  findMerchantKeyByCloverId,
+  listMerchantKeys,
+  saveMerchantDefaults,
+  toPublicMerchant,
+};
@@ -0,0 +1,124 @@
+/**
+ * Prometheus metrics for GET /metrics (text exposition format), in memory since the process started:
+ * - clover_api_requests_total{method,endpoint,status}: every HTTP attempt to Clover; status is the HTTP
+ *   status, or the error code / kind when there was no response (ECONNREFUSED, timeout, ...);
+ * - clover_api_request_duration_seconds{method,endpoint}: latency of those attempts;
+ * - clover_api_retries_total{method,endpoint,reason}: attempts the Clover client retried;
+ * - print_events_total{merchant,device,state}: tracked print events by final state (TIMED_OUT when
+ *   polling gave up first; device "default" = Clover's firing device).
+ * endpoint is the request path with ids replaced, e.g. /v3/merchants/{mId}/orders/{id}/line_items.
+ */
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const metrics = [];
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+}
+
+function escapeLabel(value) {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const pairs = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function createCounter(name, help, labelNames) {
+  const series = new Map();
+  const counter = {
+    inc(labels, by = 1) {
+      const key = labelKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + by);
+    },
+    render() {
+      return [...series].map(([key, value]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+    },
+  };
+  metrics.push({ name, help, type: 'counter', metric: counter });
+  return counter;
+}
+
+function createHistogram(name, help, labelNames, buckets) {
+  const series = new Map();
+  const histogram = {
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const s = series.get(key);
+      buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+    },
+    render() {
+      return [...series].flatMap(([key, s]) => {
+        const values = JSON.parse(key);
+        return [
+          ...buckets.map((le, i) => `${name}_bucket${formatLabels(labelNames, values, `le="${le}"`)} ${s.counts[i]}`),
+          `${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${s.count}`,
+          `${name}_sum${formatLabels(labelNames, values)} ${Number(s.sum.toFixed(6))}`,
+          `${name}_count${formatLabels(labelNames, values)} ${s.count}`,
+        ];
+      });
+    },
+  };
+  metrics.push({ name, help, type: 'histogram', metric: histogram });
+  return histogram;
+}
+
+const cloverRequests = createCounter('clover_api_requests_total', 'Clover API HTTP attempts by endpoint and status.', ['method', 'endpoint', 'status']);
+const cloverDuration = createHistogram(
+  'clover_api_request_duration_seconds',
+  'Clover API HTTP attempt latency.',
+  ['method', 'endpoint'],
+  DURATION_BUCKETS,
+);
+const cloverRetries = createCounter('clover_api_retries_total', 'Clover API attempts retried, by reason (status or error code).', ['method', 'endpoint', 'reason']);
+const printEvents = createCounter('print_events_total', 'Tracked print events by final state and device.', ['merchant', 'device', 'state']);
+
+/** Clover URL or path → endpoint label: merchant id and the ids after each collection become placeholders. */
+function endpointOf(url) {
+  const path = String(url || '').replace(/^https?:\/\/[^/]+/, '').split('?')[0];
+  const match = /^\/v3\/merchants\/[^/]+(.*)$/.exec(path);
+  if (!match) return path || '/';
+  const rest = match[1].split('/').filter(Boolean).map((segment, i) => (i % 2 ? '{id}' : segment));
+  return ['/v3/merchants/{mId}', ...rest].join('/');
+}
+
+/** One Clover HTTP attempt (createCloverClient onCall): { method, url, status, code, kind, durationMs }. */
+function recordCloverCall({ method, url, status, code, kind, durationMs }) {
+  const labels = { method: method.toUpperCase(), endpoint: endpointOf(url) };
+  cloverRequests.inc({ ...labels, status: status || code || kind || 'error' });
+  cloverDuration.observe(labels, durationMs / 1000);
+}
+
+/** A retried attempt (createCloverClient onRetry error). */
+function recordCloverRetry(err) {
+  cloverRetries.inc({ method: (err.method || 'get').toUpperCase(), endpoint: endpointOf(err.url), reason: err.status || err.code || err.kind });
+}
+
+/** A print event whose tracking ended (final record from waitForPrintEvent). */
+function recordPrintEvent(record) {
+  printEvents.inc({
+    merchant: record.merchantId,
+    device: record.deviceId || 'default',
+    state: record.timedOut ? 'TIMED_OUT' : record.state,
+  });
+}
+
+/** All metrics in Prometheus text format. */
+function renderMetrics() {
+  const lines = metrics.flatMap(({ name, help, type, metric }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...metric.render()]);
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  endpointOf,
+  recordCloverCall,
+  recordCloverRetry,
+  recordPrintEvent,
+  renderMetrics,
+};
@@ -0,0 +1,201 @@
+/**
+ * Clover OAuth 2.0 authorization-code flow (v2 endpoints): build the authorize URL, exchange the
+ * callback code for access + refresh tokens, refresh before expiry, and hand the Clover client a
+ * token provider. Tokens live encrypted in src/stores/tokenStore.js.
+ *
+ * https://docs.clover.com/dev/docs/oauth-flow-for-expiring-tokens
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const {
+  CLOVER_BASE_URL,
+  CLOVER_REGIONS,
+  CLOVER_APP_ID,
+  CLOVER_APP_SECRET,
+  CLOVER_OAUTH_REDIRECT_URI,
+  CLOVER_OAUTH_AUTHORIZE_URL,
+  CLOVER_OAUTH_TOKEN_URL,
+  CLOVER_TIMEOUT_MS,
+} = require('../config');
+const { CloverApiError, ERROR_KINDS } = require('../utils/errors');
+const { getTokens, saveTokens, getTokenInfo } = require('../stores/tokenStore');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('OAuth');
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+/** Refresh this long before the access token expires. */
+const REFRESH_MARGIN_MS = 60 * 1000;
+/**
+ * API hosts a new merchant may be authorized against: the Clover regions and CLOVER_BASE_URL (the
+ * simulator with CLOVER_SIMULATOR=true). The code exchange sends the app secret there.
+ */
+const OAUTH_BASE_URLS = [...new Set([...Object.values(CLOVER_REGIONS), CLOVER_BASE_URL])];
+
+/** Dashboard/web host that serves /oauth/v2/authorize for each API host. */
+const AUTHORIZE_HOSTS = {
+  'https://api.clover.com': 'https://www.clover.com',
+  'https://api.eu.clover.com': 'https://eu.clover.com',
+  'https://api.la.clover.com': 'https://la.clover.com',
+  'https://apisandbox.dev.clover.com': 'https://sandbox.dev.clover.com',
+};
+
+/** state → { merchantKey, baseURL, createdAt }, one-time use (CSRF protection). */
+const pendingStates = new Map();
+/** Authorize link token → { merchantKey, baseURL, createdAt }, one-time use (GET /oauth/authorize?link=). */
+const authorizeLinks = new Map();
+/** merchantKey → in-flight refresh promise, so parallel 401s refresh once. */
+const refreshing = new Map();
+
+function hasOAuthConfig() {
+  return Boolean(CLOVER_APP_ID && CLOVER_APP_SECRET);
+}
+
+function authorizeBase(baseURL) {
+  return CLOVER_OAUTH_AUTHORIZE_URL || AUTHORIZE_HOSTS[baseURL] || baseURL;
+}
+
+function tokenBase(baseURL) {
+  return CLOVER_OAUTH_TOKEN_URL || baseURL;
+}
+
+function toIso(unixSeconds) {
+  return unixSeconds ? new Date(unixSeconds * 1000).toISOString() : null;
+}
+
+/** Map Clover's token response to what tokenStore keeps; fields the response omits keep their previous value. */
+function fromTokenResponse(data, previous = {}) {
+  return {
+    ...previous,
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || previous.refreshToken,
+    accessTokenExpiresAt: toIso(data.access_token_expiration),
+    refreshTokenExpiresAt: toIso(data.refresh_token_expiration) || previous.refreshTokenExpiresAt || null,
+    ...(data.scope ? { scopes: String(data.scope).split(/[ ,]+/).filter(Boolean) } : {}),
+  };
+}
+
+async function postToken(url, body) {
+  try {
+    const res = await axios.post(url, body, { timeout: CLOVER_TIMEOUT_MS, headers: { 'Content-Type': 'application/json' } });
+    if (!res.data?.access_token) {
+      throw new CloverApiError('OAuth token response has no access_token.', { status: res.status, data: res.data, kind: ERROR_KINDS.AUTH });
+    }
+    return res.data;
+  } catch (err) {
+    if (err instanceof CloverApiError) throw err;
+    const error = CloverApiError.fromAxiosError(err);
+    if (error.status >= 400 && error.status < 500) error.kind = ERROR_KINDS.AUTH;
+    throw error;
+  }
+}
+
+/** Store a one-time entry under a new random token (dropping expired ones) and return the token. */
+function addPending(map, entry) {
+  const token = crypto.randomBytes(16).toString('hex');
+  map.set(token, { ...entry, createdAt: Date.now() });
+  for (const [key, value] of map) {
+    if (Date.now() - value.createdAt > STATE_TTL_MS) map.delete(key);
+  }
+  return token;
+}
+
+/** One-time lookup: the entry for token, or null if unknown/expired. */
+function takePending(map, token) {
+  const pending = map.get(token);
+  map.delete(token);
+  if (!pending || Date.now() - pending.createdAt > STATE_TTL_MS) return null;
+  return pending;
+}
+
+/**
+ * One-time token for GET /oauth/authorize?link=, so the merchant's browser can start the flow without
+ * an API key. Returns { link, expiresAt }.
+ */
+function createAuthorizeLink(merchantKey, baseURL) {
+  const link = addPending(authorizeLinks, { merchantKey, baseURL });
+  return { link, expiresAt: new Date(Date.now() + STATE_TTL_MS).toISOString() };
+}
+
+/** One-time lookup of an authorize link. Returns { merchantKey, baseURL } or null if unknown/used/expired. */
+function consumeAuthorizeLink(link) {
+  return takePending(authorizeLinks, link);
+}
+
+/**
+ * Start the flow: returns the Clover authorize URL to redirect the merchant to.
+ */
+function buildAuthorizeUrl(merchantKey, baseURL) {
+  const state = addPending(pendingStates, { merchantKey, baseURL });
+  const params = new URLSearchParams({ client_id: CLOVER_APP_ID, redirect_uri: CLOVER_OAUTH_REDIRECT_URI, state });
+  return `${authorizeBase(baseURL)}/oauth/v2/authorize?${params}`;
+}
+
+/** One-time lookup of a callback state. Returns { merchantKey, baseURL } or null if unknown/expired. */
+function consumeState(state) {
+  return takePending(pendingStates, state);
+}
+
+/**
+ * Exchange the callback code for tokens and store them under merchantKey. Returns token info (no secrets).
+ */
+async function exchangeCode(merchantKey, baseURL, code, merchantId) {
+  const data = await postToken(`${tokenBase(baseURL)}/oauth/v2/token`, {
+    client_id: CLOVER_APP_ID,
+    client_secret: CLOVER_APP_SECRET,
+    code,
+  });
+  saveTokens(merchantKey, fromTokenResponse(data, { merchantId, baseURL, obtainedAt: new Date().toISOString() }));
+  return getTokenInfo(merchantKey);
+}
+
+/**
+ * Refresh the access token for merchantKey (one in-flight refresh per key). Returns the new access token.
+ */
+function refreshAccessToken(merchantKey) {
+  if (refreshing.has(merchantKey)) return refreshing.get(merchantKey);
+  const promise = (async () => {
+    const current = getTokens(merchantKey);
+    if (!current?.refreshToken) {
+      throw new CloverApiError(`No OAuth refresh token for merchant "${merchantKey}". Authorize again via POST /oauth/authorize-link.`, { kind: ERROR_KINDS.AUTH });
+    }
+    const data = await postToken(`${tokenBase(current.baseURL)}/oauth/v2/refresh`, {
+      client_id: CLOVER_APP_ID,
+      refresh_token: current.refreshToken,
+    });
+    saveTokens(merchantKey, fromTokenResponse(data, { ...current, refreshedAt: new Date().toISOString() }));
+    log.info('Token refreshed', { merchantKey });
+    return data.access_token;
+  })().finally(() => refreshing.delete(merchantKey));
+  refreshing.set(merchantKey, promise);
+  return promise;
+}
+
+/**
+ * Token provider for createClover(): returns a valid access token, refreshing it shortly before expiry.
+ */
+function createTokenProvider(merchantKey) {
+  return {
+    async getAccessToken() {
+      const tokens = getTokens(merchantKey);
+      if (!tokens) throw new CloverApiError(`No OAuth tokens for merchant "${merchantKey}".`, { kind: ERROR_KINDS.AUTH });
+      const expiresAt = tokens.accessTokenExpiresAt ? Date.parse(tokens.accessTokenExpiresAt) : Infinity;
+      if (expiresAt - Date.now() < REFRESH_MARGIN_MS) return refreshAccessToken(merchantKey);
+      return tokens.accessToken;
+    },
+    refresh: () => refreshAccessToken(merchantKey),
+  };
+}
+
+module.exports = {
+  OAUTH_BASE_URLS,
+  hasOAuthConfig,
+  createAuthorizeLink,
+  consumeAuthorizeLink,
+  buildAuthorizeUrl,
+  consumeState,
+  exchangeCode,
+  refreshAccessToken,
+  createTokenProvider,
+};
@@ -0,0 +1,313 @@
+/**
+ * Order lifecycle after create-and-lock: edit open orders (line items, discounts, service charge,
+ * note), lock and unlock, mark fulfilled, void and delete – each with an optional "UPDATED" / "VOID"
+ * ticket for the kitchen.
+ *
+ * Status: Clover's order state (open, locked), unless src/stores/orderLifecycleStore.js has one Clover
+ * has no field for (fulfilled, voided). ACTIONS says what each status allows; edits need an open order,
+ * so a locked order has to be unlocked first.
+ *
+ * Tickets: like split-print station tickets, a new order (tagged for cleanup) with the order's
+ * current lines at price 0, titled "UPDATED · <order>" or "VOID · <order>", with what changed as its
+ * note. The print job (src/services/printQueue.js) creates it on its first attempt and reuses it on retries.
+ */
+
+const {
+  getOrder,
+  lockOrder: lockCloverOrder,
+  updateOrder,
+  updateLineItem,
+  deleteLineItem,
+  deleteOrder: deleteCloverOrder,
+  addLineItemFromPayload,
+  addDiscount,
+  deleteDiscount,
+  getDefaultServiceCharge,
+  applyServiceCharge,
+  removeServiceCharge,
+} = require('./cloverService');
+const { enqueuePrintJob } = require('./printQueue');
+const { getOrderRecord, recordOrderAction } = require('../stores/orderLifecycleStore');
+const { createLogger, errorFields } = require('../utils/logger');
+
+const log = createLogger('Orders');
+
+const ORDER_EXPAND = 'lineItems,lineItems.modifications,lineItems.discounts,discounts,serviceCharge';
+const MAX_TITLE_LENGTH = 127;
+const MAX_NOTE_LENGTH = 255;
+
+const EDIT_ACTIONS = [
+  'add_line_item',
+  'update_line_item',
+  'remove_line_item',
+  'add_discount',
+  'remove_discount',
+  'add_service_charge',
+  'remove_service_charge',
+  'set_note',
+];
+/** Actions allowed per order status. */
+const ACTIONS = {
+  open: [...EDIT_ACTIONS, 'lock', 'void', 'delete'],
+  locked: ['unlock', 'fulfill', 'void', 'delete'],
+  fulfilled: ['void', 'delete'],
+  voided: ['delete'],
+};
+
+function money(cents) {
+  return (Number(cents || 0) / 100).toFixed(2);
+}
+
+function statusOf(order, record) {
+  if (record?.status) return record.status;
+  return order.state === 'locked' ? 'locked' : 'open';
+}
+
+function checkAction(orderId, orderStatus, action) {
+  if (ACTIONS[orderStatus]?.includes(action)) return null;
+  const allowedIn = Object.keys(ACTIONS).filter((s) => ACTIONS[s].includes(action));
+  const unlockFirst = orderStatus === 'locked' && EDIT_ACTIONS.includes(action) ? ' Unlock it first (POST .../unlock).' : '';
+  return { error: `Order ${orderId} is ${orderStatus}; ${action} needs an order that is ${allowedIn.join(' or ')}.${unlockFirst}`, status: 409 };
+}
+
+function findLineItem(order, lineItemId) {
+  return (order.lineItems?.elements || []).find((li) => li.id === lineItemId) || null;
+}
+
+/**
+ * An order (resolveMerchant() context) with line items, modifiers, discounts and service charge, plus
+ * its lifecycle: { order, orderStatus, actions, history }. Throws CloverApiError if it can't be fetched.
+ */
+async function getOrderLifecycle(merchant, orderId) {
+  const order = await getOrder(merchant.clover, merchant.merchantId, orderId, { expand: ORDER_EXPAND });
+  const record = getOrderRecord(merchant.merchantId, orderId);
+  const orderStatus = statusOf(order, record);
+  return { order, orderStatus, actions: ACTIONS[orderStatus] || [], history: record?.history || [] };
+}
+
+/** reprint: true (merchant's default device) or print options { deviceId, route, copies, ... } → job spec fields. */
+function reprintOptions(merchant, reprint) {
+  if (reprint === true) return { deviceId: merchant.defaults.deviceId || null };
+  const { deviceId, tryAllDevices, route, split, copies } = reprint;
+  return { deviceId: deviceId || (route || split || tryAllDevices ? null : merchant.defaults.deviceId || null), tryAllDevices, route, split, copies };
+}
+
+/** What a ticket needs of a line item: name, note and modifiers (the ticket has no prices). */
+function ticketLine(li) {
+  return {
+    name: li.name,
+    ...(li.note ? { note: li.note } : {}),
+    modifications: { elements: (li.modifications?.elements || []).map((m) => ({ modifier: m.modifier, name: m.name })) },
+  };
+}
+
+/**
+ * Queue the UPDATED/VOID ticket with a snapshot of the order's lines; the job creates the ticket order.
+ * Returns { kind, jobId } or { kind, error }.
+ */
+function printChangeTicket(merchant, order, kind, summary, reprint) {
+  try {
+    const name = order.title || `Order ${order.id}`;
+    const ticket = {
+      kind,
+      orderId: order.id,
+      title: `${kind} · ${name}`.slice(0, MAX_TITLE_LENGTH),
+      note: `${summary} (order ${order.id})`.slice(0, MAX_NOTE_LENGTH),
+      lineItems: (order.lineItems?.elements || []).map(ticketLine),
+    };
+    const job = enqueuePrintJob({ merchantKey: merchant.key, ticket, ...reprintOptions(merchant, reprint), source: 'order-update' });
+    return { kind, jobId: job.id };
+  } catch (err) {
+    log.error('Change ticket failed', { orderId: order.id, kind, ...errorFields(err) });
+    return { kind, error: err.message };
+  }
+}
+
+/**
+ * Check the action against the order's status, run apply(order) – the Clover calls, returning
+ * { summary, changes?, details? } or { error, status } – record it, and print the ticket when asked.
+ * changes go to the lifecycle record, details (e.g. the new lineItemId) to the result.
+ */
+async function runAction(merchant, orderId, action, apply, { reprint } = {}) {
+  const before = await getOrderLifecycle(merchant, orderId);
+  const denied = checkAction(orderId, before.orderStatus, action);
+  if (denied) return denied;
+  const result = await apply(before.order);
+  if (result.error) return result;
+
+  const deleted = action === 'delete';
+  const after = deleted ? null : await getOrderLifecycle(merchant, orderId);
+  const kind = deleted || action === 'void' ? 'VOID' : 'UPDATED';
+  const ticket = reprint ? printChangeTicket(merchant, after?.order || before.order, kind, result.summary, reprint) : null;
+  const record = recordOrderAction(merchant.merchantId, orderId, {
+    action,
+    summary: result.summary,
+    ...(ticket ? { ticket } : {}),
+  }, result.changes);
+  log.info('Order changed', { merchantKey: merchant.key, orderId, action, summary: result.summary, ticketJobId: ticket?.jobId });
+  return {
+    orderId,
+    action,
+    summary: result.summary,
+    orderStatus: deleted ? 'deleted' : statusOf(after.order, record),
+    actions: deleted ? [] : ACTIONS[statusOf(after.order, record)] || [],
+    ...result.details,
+    order: after?.order || null,
+    ...(ticket ? { reprint: ticket } : {}),
+  };
+}
+
+/** lineItem: an order body entry (schemas.orderChanges.addLineItem). */
+function addOrderLineItem(merchant, orderId, lineItem, options) {
+  return runAction(merchant, orderId, 'add_line_item', async () => {
+    const { lineItemId, lineItemIds, name, createdItemId } = await addLineItemFromPayload(merchant.clover, merchant.merchantId, orderId, lineItem);
+    return {
+      summary: `Added: ${lineItem.quantity || 1} x ${name || lineItem.sku || lineItem.itemId}`,
+      details: { lineItemId, lineItemIds, createdItemId },
+    };
+  }, options);
+}
+
+/** changes: { name?, price?, note? }. */
+function updateOrderLineItem(merchant, orderId, lineItemId, changes, options) {
+  return runAction(merchant, orderId, 'update_line_item', async (order) => {
+    const lineItem = findLineItem(order, lineItemId);
+    if (!lineItem) return { error: `Order ${orderId} has no line item ${lineItemId}.`, status: 404 };
+    await updateLineItem(merchant.clover, merchant.merchantId, orderId, lineItemId, changes);
+    const parts = [];
+    if (changes.name !== undefined) parts.push(`now ${changes.name}`);
+    if (changes.price !== undefined) parts.push(`price ${money(lineItem.price)} → ${money(changes.price)}`);
+    if (changes.note !== undefined) parts.push(changes.note ? `note "${changes.note}"` : 'note removed');
+    return { summary: `Changed: ${lineItem.name || lineItemId} (${parts.join(', ')})` };
+  }, options);
+}
+
+function removeOrderLineItem(merchant, orderId, lineItemId, options) {
+  return runAction(merchant, orderId, 'remove_line_item', async (order) => {
+    const lineItem = findLineItem(order, lineItemId);
+    if (!lineItem) return { error: `Order ${orderId} has no line item ${lineItemId}.`, status: 404 };
+    await deleteLineItem(merchant.clover, merchant.merchantId, orderId, lineItemId);
+    return { summary: `Removed: ${lineItem.name || lineItemId}` };
+  }, options);
+}
+
+/** discount: { name, amount (cents off) | percentage, lineItemId? }. */
+function addOrderDiscount(merchant, orderId, discount, options) {
+  return runAction(merchant, orderId, 'add_discount', async (order) => {
+    const { name, amount, percentage, lineItemId } = discount;
+    const lineItem = lineItemId ? findLineItem(order, lineItemId) : null;
+    if (lineItemId && !lineItem) return { error: `Order ${orderId} has no line item ${lineItemId}.`, status: 404 };
+    const body = amount !== undefined ? { name, amount: -Math.abs(amount) } : { name, percentage };
+    const created = await addDiscount(merchant.clover, merchant.merchantId, orderId, body, lineItemId || null);
+    const value = amount !== undefined ? `-${money(Math.abs(amount))}` : `-${percentage}%`;
+    return { summary: `Discount: ${name} ${value}${lineItem ? ` on ${lineItem.name}` : ''}`, details: { discountId: created?.id || null } };
+  }, options);
+}
+
+/** Order discount, or line item discount when lineItemId is given. */
+function removeOrderDiscount(merchant, orderId, discountId, { lineItemId, ...options } = {}) {
+  return runAction(merchant, orderId, 'remove_discount', async (order) => {
+    const owner = lineItemId ? findLineItem(order, lineItemId) : order;
+    const discount = (owner?.discounts?.elements || []).find((d) => d.id === discountId);
+    if (!discount) return { error: `Order ${orderId} has no discount ${discountId}${lineItemId ? ` on line item ${lineItemId}` : ''}.`, status: 404 };
+    await deleteDiscount(merchant.clover, merchant.merchantId, orderId, discountId, lineItemId || null);
+    return { summary: `Discount removed: ${discount.name || discountId}` };
+  }, options);
+}
+
+/**
+ * serviceCharge: { id?, name?, percentage? } – defaults from the merchant's service charge in Clover,
+ * which must exist (Clover rejects other ids).
+ */
+function addOrderServiceCharge(merchant, orderId, serviceCharge, options) {
+  return runAction(merchant, orderId, 'add_service_charge', async () => {
+    const merchantCharge = await getDefaultServiceCharge(merchant.clover, merchant.merchantId).catch(() => null);
+    const id = serviceCharge.id || merchantCharge?.id;
+    if (!id) {
+      return { error: 'This merchant has no service charge in Clover. Set one up in the Clover dashboard (Setup › Additional Charges), or pass its id.', status: 400 };
+    }
+    const body = {
+      id,
+      name: serviceCharge.name || merchantCharge?.name || 'Service charge',
+      percentageDecimal: serviceCharge.percentage !== undefined ? Math.round(serviceCharge.percentage * 10000) : merchantCharge?.percentageDecimal,
+    };
+    await applyServiceCharge(merchant.clover, merchant.merchantId, orderId, body);
+    const percent = body.percentageDecimal !== undefined ? ` ${body.percentageDecimal / 10000}%` : '';
+    return { summary: `Service charge: ${body.name}${percent}` };
+  }, options);
+}
+
+function removeOrderServiceCharge(merchant, orderId, serviceChargeId, options) {
+  return runAction(merchant, orderId, 'remove_service_charge', async (order) => {
+    if (order.serviceCharge?.id !== serviceChargeId) return { error: `Order ${orderId} has no service charge ${serviceChargeId}.`, status: 404 };
+    await removeServiceCharge(merchant.clover, merchant.merchantId, orderId, serviceChargeId);
+    return { summary: `Service charge removed: ${order.serviceCharge.name || serviceChargeId}` };
+  }, options);
+}
+
+/** note: string, or null/"" to clear it. */
+function setOrderNote(merchant, orderId, note, options) {
+  return runAction(merchant, orderId, 'set_note', async () => {
+    await updateOrder(merchant.clover, merchant.merchantId, orderId, { note: note || '' });
+    return { summary: note ? `Note: ${note}` : 'Note removed' };
+  }, options);
+}
+
+function lockOrder(merchant, orderId, options) {
+  return runAction(merchant, orderId, 'lock', async () => {
+    await lockCloverOrder(merchant.clover, merchant.merchantId, orderId);
+    return { summary: 'Locked' };
+  }, options);
+}
+
+function unlockOrder(merchant, orderId, options) {
+  return runAction(merchant, orderId, 'unlock', async () => {
+    await updateOrder(merchant.clover, merchant.merchantId, orderId, { state: 'open' });
+    return { summary: 'Unlocked for changes' };
+  }, options);
+}
+
+/** Local only: Clover's REST API has no fulfilment state for orders. */
+function fulfillOrder(merchant, orderId, options) {
+  return runAction(merchant, orderId, 'fulfill', async () => ({
+    summary: 'Fulfilled',
+    changes: { status: 'fulfilled', fulfilledAt: new Date().toISOString() },
+  }), options);
+}
+
+/** Keep the order but lock it with "VOID: <reason>" in front of its note, so it shows as void on the device too. */
+function voidOrder(merchant, orderId, reason, options) {
+  return runAction(merchant, orderId, 'void', async (order) => {
+    const note = [`VOID${reason ? `: ${reason}` : ''}`, order.note].filter(Boolean).join(' | ').slice(0, MAX_NOTE_LENGTH);
+    await updateOrder(merchant.clover, merchant.merchantId, orderId, { state: 'locked', note });
+    return {
+      summary: `VOID${reason ? `: ${reason}` : ''}`,
+      changes: { status: 'voided', voidedAt: new Date().toISOString(), voidReason: reason || null },
+    };
+  }, options);
+}
+
+function deleteOrder(merchant, orderId, options) {
+  return runAction(merchant, orderId, 'delete', async () => {
+    await deleteCloverOrder(merchant.clover, merchant.merchantId, orderId);
+    return { summary: 'Deleted', changes: { status: 'deleted', deletedAt: new Date().toISOString() } };
+  }, options);
+}
+
+module.exports = {
+  ACTIONS,
+  getOrderLifecycle,
+  addOrderLineItem,
+  updateOrderLineItem,
+  removeOrderLineItem,
+  addOrderDiscount,
+  removeOrderDiscount,
+  addOrderServiceCharge,
+  removeOrderServiceCharge,
+  setOrderNote,
+  lockOrder,
+  unlockOrder,
+  fulfillOrder,
+  voidOrder,
+  deleteOrder,
+};
@@ -0,0 +1,359 @@
+/**
+ * Durable print job queue. Print requests are stored as jobs (src/stores/printJobStore.js), worked
+ * in the background, retried with exponential backoff and dead-lettered after maxAttempts.
+ * Jobs survive restarts: anything left "running" by a crash goes back to "pending" on start.
+ * A job with runAt in the future waits as "scheduled" until then (scheduled and batch prints, src/services/batchPrint.js).
+ *
+ * A job succeeds when Clover accepts the print request and the print event doesn't end FAILED.
+ * 4xx errors other than 429 are not retried (the same request would fail again).
+ * With a LAN printer configured (src/services/lanPrint.js), a failed or timed-out print goes there instead.
+ * Each job runs in its own log context: jobId plus the requestId of the call that enqueued it.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const {
+  PRINT_EVENT_TIMEOUT_MS,
+  PRINT_JOB_MAX_ATTEMPTS,
+  PRINT_JOB_RETRY_BASE_MS,
+  PRINT_JOB_RETRY_MAX_MS,
+  PRINT_JOB_CONCURRENCY,
+} = require('../config');
+const { requestPrint, requestPrintAllDevices, waitForPrintEvent, createStationTicketAndLock } = require('./cloverService');
+const { resolveMerchant } = require('./merchants');
+const { resolveRoute, printTargets } = require('./routing');
+const { buildSplitTargets } = require('./splitPrint');
+const { lanFallback } = require('./lanPrint');
+const { insertJob, getJob, updateJob, listJobs, FINISHED_STATUSES } = require('../stores/printJobStore');
+const { createLogger } = require('../utils/logger');
+const { getRequestId, runWithContext } = require('../utils/requestContext');
+
+const log = createLogger('Print queue');
+
+const WORKER_INTERVAL_MS = 1000;
+const PRINT_OPTIONS = { poll: { timeoutMs: PRINT_EVENT_TIMEOUT_MS } };
+
+/** Emits 'attempted' (print request sent or failed) and 'finished' (done/dead) with the job. */
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+let running = 0;
+let timer = null;
+
+function retryDelay(attempt) {
+  return Math.min(PRINT_JOB_RETRY_MAX_MS, PRINT_JOB_RETRY_BASE_MS * 2 ** (attempt - 1));
+}
+
+function isRetryableStatus(status) {
+  return !status || status === 429 || status >= 500;
+}
+
+/**
+ * Add a print job. spec: { merchantKey, orderId, deviceId?, tryAllDevices?, route?, split?, copies?, source?, maxAttempts?,
+ * runAt?, batchId?, ticket? }.
+ * route: true prints to the devices picked by the merchant's routing rules (src/services/routing.js);
+ * split: { receiptDeviceIds?, stations } prints kitchen station tickets too (src/services/splitPrint.js).
+ * ticket: { kind, orderId, title, note, lineItems } instead of orderId prints a change ticket
+ * (src/services/orderLifecycle.js): its order is created on the first attempt and kept as the job's orderId.
+ * Returns the stored job; the worker picks it up right away, or at runAt (ISO date-time) if that is later.
+ */
+function enqueuePrintJob(spec) {
+  const now = new Date().toISOString();
+  const scheduled = Boolean(spec.runAt) && Date.parse(spec.runAt) > Date.now();
+  const job = insertJob({
+    id: crypto.randomUUID(),
+    merchantKey: spec.merchantKey,
+    merchantId: resolveMerchant(spec.merchantKey)?.merchantId || null,
+    orderId: spec.orderId || null,
+    ticket: spec.ticket || null,
+    deviceId: spec.deviceId || null,
+    tryAllDevices: spec.tryAllDevices === true,
+    route: spec.route === true,
+    split: spec.split || null,
+    splitTargets: null,
+    stationTickets: [],
+    copies: spec.copies || 1,
+    source: spec.source || 'api',
+    apiKeyId: spec.apiKeyId || null,
+    requestId: getRequestId(),
+    batchId: spec.batchId || null,
+    scheduledFor: scheduled ? new Date(spec.runAt).toISOString() : null,
+    status: scheduled ? 'scheduled' : 'pending',
+    attempts: 0,
+    maxAttempts: spec.maxAttempts || PRINT_JOB_MAX_ATTEMPTS,
+    nextAttemptAt: scheduled ? new Date(spec.runAt).toISOString() : now,
+    lastAttemptAt: null,
+    lastError: null,
+    lastCloverStatus: null,
+    lastPrintEvent: null,
+    attemptLog: [],
+    createdAt: now,
+    updatedAt: now,
+  });
+  log.info(scheduled ? 'Job scheduled' : 'Job enqueued', {
+    jobId: job.id,
+    orderId: job.orderId,
+    merchantKey: job.merchantKey,
+    source: job.source,
+    batchId: job.batchId || undefined,
+    scheduledFor: job.scheduledFor || undefined,
+  });
+  if (!scheduled) kick();
+  return job;
+}
+
+function usesTargets(job) {
+  return job.route || Boolean(job.split) || job.copies > 1;
+}
+
+/**
+ * Print targets for route / split / copies jobs. Each station ticket is saved on the job as soon as it
+ * is created (stationTickets), so a retry after a partial failure reuses it instead of creating another.
+ */
+async function targetsFor(job, merchant) {
+  if (job.route) {
+    const { targets } = await resolveRoute(merchant, job.orderId);
+    return targets.map((t) => ({ ...t, orderId: job.orderId }));
+  }
+  if (job.split) {
+    if (job.splitTargets) return job.splitTargets;
+    const stationTickets = [...(job.stationTickets || [])];
+    const splitTargets = await buildSplitTargets(merchant, job.orderId, job.split, {
+      tickets: stationTickets,
+      onTicket: (target) => {
+        stationTickets.push(target);
+        updateJob(job.id, { stationTickets });
+      },
+    });
+    updateJob(job.id, { splitTargets });
+    return splitTargets;
+  }
+  return [{ key: 'print', orderId: job.orderId, deviceIds: [job.deviceId] }];
+}
+
+/** requestPrint options for an attempt; caller goes to the print audit log. */
+function printOptionsFor(job, attempt) {
+  return { ...PRINT_OPTIONS, caller: { source: job.source, merchantKey: job.merchantKey, apiKeyId: job.apiKeyId || null, jobId: job.id, attempt } };
+}
+
+/**
+ * A change-ticket job's ticket order: created on the first attempt and saved on the job right away,
+ * so a retry prints the same ticket instead of creating another. Returns the job.
+ */
+async function withTicketOrder(job, merchant) {
+  if (!job.ticket || job.orderId) return job;
+  const { orderId } = await createStationTicketAndLock(merchant.clover, merchant.merchantId, job.ticket.lineItems, job.ticket);
+  log.info('Change ticket created', { orderId: job.ticket.orderId, kind: job.ticket.kind, ticketOrderId: orderId });
+  return updateJob(job.id, { orderId });
+}
+
+/** One attempt. onSent(printEvent) runs as soon as Clover accepted the request, before waiting for DONE. */
+async function attemptJob(queuedJob, merchant, printOptions, onSent) {
+  const job = await withTicketOrder(queuedJob, merchant);
+  if (usesTargets(job)) {
+    // Copies that printed on an earlier attempt are kept, not printed again.
+    const printed = job.lastPrintEvent?.report || [];
+    const targets = await targetsFor(job, merchant);
+    const mode = job.route ? 'route' : job.split ? 'split' : 'copies';
+    // Until the attempt ends, lastPrintEvent keeps the earlier report, so a crash mid-attempt loses nothing.
+    const result = { mode, ...await printTargets(merchant, targets, {
+      ...printOptions,
+      copies: job.copies,
+      printed,
+      onSent: (sent) => onSent({ mode, sent, report: printed }),
+    }) };
+    const failedCopies = result.report.filter((r) => !r.success);
+    if (!failedCopies.length) return { ok: true, printEvent: result };
+    const failed = [...new Set(failedCopies.map((r) => r.target))];
+    // Like a single print: a FAILED print event or a 429/5xx/network error is worth another attempt, other 4xx aren't.
+    const retryable = failedCopies.some((r) => r.tried.some((t) => t.state === 'FAILED' || (t.error && isRetryableStatus(t.cloverStatus))));
+    const cloverStatus = failedCopies.flatMap((r) => r.tried).map((t) => t.cloverStatus).find(Boolean);
+    return { ok: false, retryable, error: `Not every copy printed for: ${failed.join(', ')}.`, cloverStatus, printEvent: result };
+  }
+  if (job.tryAllDevices) {
+    const result = await requestPrintAllDevices(merchant.clover, merchant.merchantId, job.orderId, printOptions);
+    onSent(result);
+    return result.results.some((r) => r.success)
+      ? { ok: true, printEvent: result }
+      : { ok: false, retryable: true, error: 'No device accepted the print request.', printEvent: result };
+  }
+  const data = await requestPrint(merchant.clover, merchant.merchantId, job.orderId, job.deviceId, printOptions);
+  if (data.error) {
+    const lan = await lanFallback(merchant, job.orderId, { reason: `Clover print request failed: ${data.error}`, caller: printOptions.caller });
+    if (lan?.success) {
+      const printEvent = { state: 'LAN_SENT', lanFallback: lan };
+      onSent(printEvent);
+      return { ok: true, printEvent };
+    }
+    return {
+      ok: false,
+      retryable: isRetryableStatus(data.cloverStatus),
+      error: data.error,
+      cloverStatus: data.cloverStatus,
+      ...(lan ? { printEvent: { lanFallback: lan } } : {}),
+    };
+  }
+  const sent = { id: data.id, state: data.state, deviceRef: data.deviceRef };
+  onSent(sent);
+  const final = await waitForPrintEvent(data.id);
+  const printEvent = { ...sent, state: final?.state || data.state, timedOut: Boolean(final?.timedOut) };
+  if (printEvent.state === 'FAILED' || printEvent.timedOut) {
+    const reason = printEvent.timedOut ? `Clover print event still ${printEvent.state} after the timeout.` : 'Clover print event FAILED.';
+    const lan = await lanFallback(merchant, job.orderId, { reason, caller: printOptions.caller });
+    if (lan) printEvent.lanFallback = lan;
+    if (lan?.success) return { ok: true, printEvent };
+  }
+  if (printEvent.state === 'FAILED') return { ok: false, retryable: true, error: 'Print event FAILED on the device.', printEvent };
+  return { ok: true, printEvent };
+}
+
+async function runJob(job) {
+  const attempt = job.attempts + 1;
+  updateJob(job.id, { status: 'running', attempts: attempt });
+  const merchant = resolveMerchant(job.merchantKey);
+  let sent = false;
+  const onSent = (printEvent) => {
+    sent = true;
+    jobEvents.emit('attempted', updateJob(job.id, { lastPrintEvent: printEvent, lastAttemptAt: new Date().toISOString() }));
+  };
+  let outcome;
+  try {
+    outcome = merchant
+      ? await attemptJob(job, merchant, printOptionsFor(job, attempt), onSent)
+      : { ok: false, retryable: false, error: `Unknown merchant key "${job.merchantKey}".` };
+  } catch (err) {
+    outcome = { ok: false, retryable: err.retryable ?? true, error: err.message, cloverStatus: err.status };
+  }
+
+  const now = new Date().toISOString();
+  const current = getJob(job.id);
+  const attemptLog = [...current.attemptLog, {
+    attempt,
+    at: now,
+    ok: outcome.ok,
+    ...(outcome.error ? { error: outcome.error } : {}),
+    ...(outcome.printEvent?.id ? { eventId: outcome.printEvent.id, state: outcome.printEvent.state } : {}),
+  }];
+  let changes;
+  if (outcome.ok) {
+    changes = { status: 'done', lastError: null, lastCloverStatus: null, lastPrintEvent: outcome.printEvent };
+  } else if (!outcome.retryable || attempt >= current.maxAttempts) {
+    changes = {
+      status: 'dead',
+      lastError: outcome.error,
+      lastCloverStatus: outcome.cloverStatus ?? null,
+      lastPrintEvent: outcome.printEvent || current.lastPrintEvent,
+    };
+  } else {
+    changes = {
+      status: 'pending',
+      lastError: outcome.error,
+      lastCloverStatus: outcome.cloverStatus ?? null,
+      lastPrintEvent: outcome.printEvent || current.lastPrintEvent,
+      nextAttemptAt: new Date(Date.now() + retryDelay(attempt)).toISOString(),
+    };
+  }
+  const updated = updateJob(job.id, { ...changes, attemptLog, lastAttemptAt: now });
+  log[outcome.ok ? 'info' : 'warn']('Job attempt finished', {
+    attempt,
+    status: updated.status,
+    state: outcome.printEvent?.state,
+    error: outcome.error,
+    nextAttemptAt: updated.status === 'pending' ? updated.nextAttemptAt : undefined,
+  });
+  if (!sent) jobEvents.emit('attempted', updated);
+  jobEvents.emit('attemptFinished', updated);
+  if (updated.status === 'done' || updated.status === 'dead') jobEvents.emit('finished', updated);
+}
+
+function tick() {
+  if (running >= PRINT_JOB_CONCURRENCY) return;
+  const due = listJobs({ status: ['pending', 'scheduled'], limit: Infinity })
+    .filter((j) => Date.parse(j.nextAttemptAt) <= Date.now())
+    .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt) || a.createdAt.localeCompare(b.createdAt));
+  for (const job of due) {
+    if (running >= PRINT_JOB_CONCURRENCY) break;
+    running++;
+    runWithContext({ requestId: job.requestId || null, jobId: job.id }, () => runJob(job))
+      .catch((err) => log.error('Worker error', { jobId: job.id, error: err.message }))
+      .finally(() => {
+        running--;
+        kick();
+      });
+  }
+}
+
+function kick() {
+  setImmediate(tick);
+}
+
+/** Start the background worker. Jobs left "running" by a previous process are requeued. */
+function startPrintWorker() {
+  if (timer) return;
+  for (const job of listJobs({ status: 'running', limit: Infinity })) {
+    updateJob(job.id, { status: 'pending', nextAttemptAt: new Date().toISOString() });
+  }
+  timer = setInterval(tick, WORKER_INTERVAL_MS);
+  timer.unref();
+  kick();
+}
+
+function stopPrintWorker() {
+  clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * Wait until a job's next print attempt was sent ('attempted') or has its outcome ('attemptFinished':
+ * done, dead, or pending with a retry scheduled), or until the job ends ('finished': done/dead).
+ * Resolves with the job; after timeoutMs resolves with the job as it is then.
+ */
+function waitForJob(jobId, until = 'finished', timeoutMs = PRINT_EVENT_TIMEOUT_MS) {
+  const job = getJob(jobId);
+  if (!job || FINISHED_STATUSES.includes(job.status)) return Promise.resolve(job);
+  return new Promise((resolve) => {
+    const done = (j) => {
+      if (j?.id !== jobId) return;
+      clearTimeout(timeout);
+      jobEvents.off(until, done);
+      jobEvents.off('finished', done);
+      resolve(j);
+    };
+    const timeout = setTimeout(() => done(getJob(jobId)), timeoutMs);
+    if (until !== 'finished') jobEvents.on(until, done);
+    jobEvents.on('finished', done);
+  });
+}
+
+/** Put a dead or cancelled job back in the queue with a fresh attempt budget. Returns the job or { error }. */
+function retryJob(jobId) {
+  const job = getJob(jobId);
+  if (!job) return { error: 'not_found' };
+  if (!['dead', 'cancelled'].includes(job.status)) return { error: `Only dead or cancelled jobs can be retried (status: ${job.status}).` };
+  const updated = updateJob(jobId, {
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+    lastError: null,
+    lastCloverStatus: null,
+  });
+  kick();
+  return updated;
+}
+
+/** Cancel a pending or scheduled job. Returns the job or { error }. */
+function cancelJob(jobId) {
+  const job = getJob(jobId);
+  if (!job) return { error: 'not_found' };
+  if (!['pending', 'scheduled'].includes(job.status)) return { error: `Only pending or scheduled jobs can be cancelled (status: ${job.status}).` };
+  return updateJob(jobId, { status: 'cancelled' });
+}
+
+module.exports = {
+  enqueuePrintJob,
+  waitForJob,
+  retryJob,
+  cancelJob,
+  startPrintWorker,
+  stopPrintWorker,
+};
@@ -0,0 +1,344 @@
+/**
+ * Go-live readiness (GET /test-print/readiness): the checklist of docs/GO-LIVE-PRINT-VERIFY.md and
+ * HOW_TO_PRINT run against a merchant – Clover environment and region, token permissions, an online
+ * order type, the firing device, and a real test print tracked to DONE/FAILED.
+ * Every check is pass / warn / fail with a remediation; for failed Clover calls the remediation
+ * comes from getHint, so it reads the same as the error responses of the other endpoints.
+ */
+
+const { CLOVER_REGIONS, CLOVER_SIMULATOR, PRINT_EVENT_TIMEOUT_MS } = require('../config');
+const {
+  getMerchantInfo,
+  probeTokenScopes,
+  getOrderTypes,
+  getDevices,
+  createTestOrderWithItemsAndLock,
+  requestPrint,
+  waitForPrintEvent,
+} = require('./cloverService');
+const { getHint, describePrintEvent } = require('../utils/hints');
+const { HOW_TO_PRINT, DUMMY_ITEMS } = require('../constants');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('Readiness');
+
+/** Report order; titles as shown to the merchant. */
+const CHECKS = [
+  { id: 'environment', title: 'Clover environment and region' },
+  { id: 'orders_permission', title: 'Token can read and write orders' },
+  { id: 'items_permission', title: 'Token can read and write inventory items' },
+  { id: 'print_permission', title: 'Token can send print events' },
+  { id: 'online_order_type', title: 'Online order type exists' },
+  { id: 'firing_device', title: 'Firing device set' },
+  { id: 'test_print', title: 'Test print reaches the printer' },
+];
+
+/** Order types that route like Clover Online Ordering (Uber Eats, DoorDash). */
+const ONLINE_ORDER_TYPE = /online|delivery/i;
+const FIRING_DEVICE_STEPS = HOW_TO_PRINT.steps.slice(0, 3).map((s) => s.action).join(' ');
+
+function pass(detail, extra = {}) {
+  return { status: 'pass', detail, ...extra };
+}
+
+function warn(detail, remediation, extra = {}) {
+  return { status: 'warn', detail, remediation, ...extra };
+}
+
+function fail(detail, remediation, extra = {}) {
+  return { status: 'fail', detail, remediation, ...extra };
+}
+
+/** getHint for a failed Clover call, or fallback when it has none. */
+function cloverRemediation(step, err, fallback) {
+  return getHint(step, err.status, err.data, err.kind) || fallback;
+}
+
+function describeCloverError(err) {
+  return `${err.status ? `HTTP ${err.status}: ` : ''}${err.message}`;
+}
+
+function regionOf(baseURL) {
+  return Object.keys(CLOVER_REGIONS).find((region) => CLOVER_REGIONS[region] === baseURL) || null;
+}
+
+function isSimulator(merchant) {
+  return CLOVER_SIMULATOR && /^http:\/\/(localhost|127\.0\.0\.1)[:/]/.test(merchant.baseURL);
+}
+
+/** How to point a merchant at another region: .env for the .env merchant, PATCH /merchants/:key otherwise. */
+function regionRemediation(merchant, region) {
+  return merchant.source === 'env'
+    ? `Set CLOVER_BASE_URL=${CLOVER_REGIONS[region]} in .env and restart.`
+    : `PATCH /merchants/${merchant.key} with { "region": "${region}" } (or the matching baseURL).`;
+}
+
+/**
+ * Which other region knows this merchant id and token (the configured base URL answered 401/404).
+ * Static tokens only: an OAuth token would be refreshed on every 401. Returns the region or null.
+ */
+async function findMerchantRegion(merchant) {
+  if (merchant.auth !== 'token' || isSimulator(merchant)) return null;
+  for (const [region, baseURL] of Object.entries(CLOVER_REGIONS)) {
+    if (baseURL === merchant.baseURL) continue;
+    try {
+      await merchant.clover.get(`${baseURL}/v3/merchants/${merchant.merchantId}`);
+      return region;
+    } catch {
+      // Not this region.
+    }
+  }
+  return null;
+}
+
+/** Base URL and merchant id reach the merchant, in production (not sandbox or the simulator). */
+async function checkEnvironment(merchant) {
+  const region = regionOf(merchant.baseURL);
+  let name;
+  try {
+    name = (await getMerchantInfo(merchant.clover, merchant.merchantId))?.name;
+  } catch (err) {
+    if (err.status === 403) {
+      name = null;
+    } else {
+      const elsewhere = err.status === 401 || err.status === 404 ? await findMerchantRegion(merchant) : null;
+      if (elsewhere) {
+        return fail(
+          `Merchant ${merchant.merchantId} is not at ${merchant.baseURL} but answers at ${CLOVER_REGIONS[elsewhere]} (${elsewhere}).`,
+          regionRemediation(merchant, elsewhere),
+        );
+      }
+      return fail(`Merchant ${merchant.merchantId} at ${merchant.baseURL}: ${describeCloverError(err)}.`, cloverRemediation('check', err));
+    }
+  }
+  const who = `Merchant ${name ? `"${name}" ` : ''}(${merchant.merchantId}) at ${merchant.baseURL}`;
+  if (isSimulator(merchant)) {
+    return warn(`${who}: the local Clover simulator.`, 'Set CLOVER_SIMULATOR=false and the production CLOVER_BASE_URL, merchant id and token before going live.');
+  }
+  if (region === 'sandbox') {
+    return warn(`${who}: Clover sandbox – prints never reach a real printer.`, 'Use the production merchant and token with the region base URL (e.g. https://api.clover.com) for go-live.');
+  }
+  if (!region) {
+    return warn(`${who}: not a known Clover region URL.`, `Use one of ${Object.values(CLOVER_REGIONS).join(', ')} unless a proxy is intended.`);
+  }
+  return pass(`${who} (${region}).`);
+}
+
+/** Online order type exists, and the merchant's default order type is one that exists. */
+async function checkOrderTypes(merchant) {
+  let orderTypes;
+  try {
+    orderTypes = await getOrderTypes(merchant.clover, merchant.merchantId);
+  } catch (err) {
+    return { check: fail(`Could not list order types: ${describeCloverError(err)}.`, cloverRemediation('get_order_types', err)) };
+  }
+  const online = orderTypes.filter((t) => [t.label, t.labelKey, t.systemOrderTypeId].some((v) => ONLINE_ORDER_TYPE.test(v || '')));
+  const configuredId = merchant.defaults.orderTypeId;
+  const configured = configuredId ? orderTypes.find((t) => t.id === configuredId) : null;
+  const found = online.map((t) => ({ id: t.id, label: t.label }));
+  if (configuredId && !configured) {
+    return {
+      check: fail(
+        `Default orderTypeId ${configuredId} is not one of this merchant's ${orderTypes.length} order types.`,
+        'Pick an id from GET /test-print/order-types and save it as the merchant default (PATCH /merchants/<key> defaults.orderTypeId).',
+        { orderTypes: found },
+      ),
+      orderTypeId: null,
+    };
+  }
+  if (online.length === 0) {
+    return {
+      check: fail(
+        `None of the ${orderTypes.length} order types is an online order / delivery type.`,
+        `Create an "Online Order" order type in Clover Setup → Order Types (or turn on Clover Online Ordering). ${HOW_TO_PRINT.whyOurPrintsDontShow}`,
+      ),
+      orderTypeId: configuredId || null,
+    };
+  }
+  if (!configured) {
+    return {
+      check: warn(
+        `Online order type found (${found.map((t) => t.label).join(', ')}), but the merchant has no default orderTypeId.`,
+        `Save "${online[0].id}" as the merchant default (defaults.orderTypeId), or send it as orderTypeId, so API orders route like Uber Eats/DoorDash.`,
+        { orderTypes: found },
+      ),
+      orderTypeId: online[0].id,
+    };
+  }
+  if (!online.includes(configured)) {
+    return {
+      check: warn(
+        `Default order type "${configured.label}" is not an online order type.`,
+        `Use ${found.map((t) => `"${t.label}" (${t.id})`).join(' or ')} unless this merchant routes "${configured.label}" to the order printer on purpose.`,
+        { orderTypes: found },
+      ),
+      orderTypeId: configured.id,
+    };
+  }
+  return { check: pass(`Default order type "${configured.label}" is an online order type.`, { orderTypes: found }), orderTypeId: configured.id };
+}
+
+/** At least one device, and the default device (if any) still exists. */
+async function checkFiringDevice(merchant) {
+  let devices;
+  try {
+    devices = await getDevices(merchant.clover, merchant.merchantId);
+  } catch (err) {
+    return { check: fail(`Could not list devices: ${describeCloverError(err)}.`, cloverRemediation('get_devices', err)) };
+  }
+  const deviceId = merchant.defaults.deviceId;
+  if (devices.length === 0) {
+    return { check: fail('The merchant has no Clover devices.', 'Add a Clover device (Flex, Mini, Station) with the printer as its Order Printer.') };
+  }
+  if (!deviceId) {
+    return {
+      check: warn(
+        `${devices.length} device(s), no default device: prints go to the remote firing device set on the Clover device, which the API can't read.`,
+        `${FIRING_DEVICE_STEPS} Or run POST /test-print/discovery to find the device that prints and save it as the default.`,
+      ),
+      deviceId: null,
+    };
+  }
+  const device = devices.find((d) => d.id === deviceId);
+  if (!device) {
+    return {
+      check: fail(`Default device ${deviceId} is not one of the merchant's ${devices.length} devices.`, 'Run POST /test-print/discovery to find the device that prints, or pick one from GET /test-print/devices.'),
+      deviceId: null,
+    };
+  }
+  return { check: pass(`Default device ${device.name || device.model || device.id} (${device.id}).`), deviceId };
+}
+
+/**
+ * Create a locked test order and print it, waiting for DONE/FAILED. Returns { check, testPrint, error? };
+ * error is the CloverApiError of a failed order creation (for the permission checks).
+ */
+async function runTestPrint(merchant, { deviceId, orderTypeId, caller }) {
+  const { clover, merchantId } = merchant;
+  let orderId;
+  try {
+    ({ orderId } = await createTestOrderWithItemsAndLock(clover, merchantId, DUMMY_ITEMS, { orderTypeId, title: 'Readiness check' }));
+  } catch (err) {
+    return { check: fail(`Could not create the test order: ${describeCloverError(err)}.`, cloverRemediation('create_order', err)), testPrint: null, error: err };
+  }
+  const sent = await requestPrint(clover, merchantId, orderId, deviceId, {
+    poll: { timeoutMs: PRINT_EVENT_TIMEOUT_MS },
+    caller: { source: 'readiness', merchantKey: merchant.key, ...caller },
+  });
+  const testPrint = { orderId, orderTypeId: orderTypeId || null, deviceId: deviceId || null };
+  if (sent.error) {
+    const err = { status: sent.cloverStatus, data: sent.cloverResponse, kind: null };
+    return {
+      check: fail(`Clover rejected the print request: ${sent.error}.`, cloverRemediation('print_event', err, FIRING_DEVICE_STEPS)),
+      testPrint: { ...testPrint, state: 'REQUEST_FAILED' },
+      printStatus: sent.cloverStatus,
+    };
+  }
+  const record = await waitForPrintEvent(sent.id);
+  const result = { ...testPrint, eventId: sent.id, deviceId: record?.deviceId || testPrint.deviceId, state: record?.state || sent.state, durationMs: record?.durationMs ?? null };
+  const where = result.deviceId ? `device ${result.deviceId}` : 'the firing device';
+  const detail = `Order ${orderId} on ${where}: ${describePrintEvent(record)}`;
+  if (result.state === 'DONE') {
+    return { check: pass(`${detail} Check that the ticket came out on paper.`), testPrint: result };
+  }
+  const remediation = result.state === 'FAILED'
+    ? `${HOW_TO_PRINT.steps[1].action} ${HOW_TO_PRINT.steps[3].action}`
+    : `${FIRING_DEVICE_STEPS} ${HOW_TO_PRINT.steps[3].action}`;
+  return { check: fail(detail, remediation), testPrint: result };
+}
+
+/**
+ * What creating the test order says about write access: { items, orders }, each true (worked), false
+ * (401/403 on that resource), null (failed for another reason or never reached) or undefined (print=false).
+ */
+function writeAccess(printed) {
+  if (!printed) return { items: undefined, orders: undefined };
+  const err = printed.error;
+  if (!err) return { items: true, orders: true };
+  const denied = err.status === 401 || err.status === 403;
+  const onItems = /\/items\b/.test(err.url || '');
+  if (onItems) return { items: denied ? false : null, orders: null };
+  return { items: true, orders: denied ? false : null };
+}
+
+/** Permission check from the scope probe (read) and the test order (write). */
+function permissionCheck(read, write, scope) {
+  if (read === false) return fail(`Token has no ${scope}:read permission.`, getHint('check', 403));
+  if (write === false) return fail(`Token can't write ${scope}; creating the test order was refused.`, getHint('create_order', 403));
+  const readText = read === null ? `${scope}:read not confirmed` : 'read OK';
+  if (write === undefined) return warn(`${readText}; write not checked (print=false).`, 'Run the readiness check without print=false to verify writes.');
+  if (write === null) return warn(`${readText}; write not confirmed (the test order failed).`, 'See the test_print check.');
+  if (read === null) return warn(`${readText}; write OK.`, 'Run GET /test-print/check and look at token.scopes.');
+  return pass(`${readText}, write OK.`);
+}
+
+/** From the test print: Clover accepted the print event, refused it (401/403), or it wasn't sent. */
+function printPermission(printed) {
+  if (!printed) return warn('Not checked (print=false).', 'Run the readiness check without print=false to send a test print.');
+  if (printed.error) return warn('Not checked: the test order could not be created.', 'Fix the orders and inventory permissions first.');
+  if (printed.printStatus === 401 || printed.printStatus === 403) {
+    return fail(`Clover refused the print event (HTTP ${printed.printStatus}).`, getHint('print_event', printed.printStatus));
+  }
+  if (printed.printStatus !== undefined) return warn('Not confirmed: the print request failed for another reason.', 'See the test_print check.');
+  return pass('Print event accepted.');
+}
+
+/**
+ * Run every check. options: { print (default true: create and print a test order), deviceId (test print
+ * device; default the merchant default), caller ({ apiKeyId } for the print audit log) }.
+ * Returns { status, ready, summary, checks, testPrint, checkedAt, durationMs }.
+ */
+async function runReadinessCheck(merchant, options = {}) {
+  const startedAt = Date.now();
+  const print = options.print !== false;
+  const results = { environment: await checkEnvironment(merchant) };
+
+  if (results.environment.status !== 'fail') {
+    const scopes = await probeTokenScopes(merchant.clover, merchant.merchantId);
+    const orderTypes = await checkOrderTypes(merchant);
+    const firing = await checkFiringDevice(merchant);
+    results.online_order_type = orderTypes.check;
+    results.firing_device = firing.check;
+
+    let printed = null;
+    if (print) {
+      printed = await runTestPrint(merchant, {
+        deviceId: options.deviceId || firing.deviceId || null,
+        orderTypeId: orderTypes.orderTypeId || null,
+        caller: options.caller,
+      });
+      results.test_print = printed.check;
+      results.testPrint = printed.testPrint;
+    } else {
+      results.test_print = warn('Skipped (print=false).', 'Run the readiness check without print=false to send and track a test print.');
+    }
+    const write = writeAccess(printed);
+    results.orders_permission = permissionCheck(scopes['orders:read'], write.orders, 'orders');
+    results.items_permission = permissionCheck(scopes['inventory:read'], write.items, 'inventory');
+    results.print_permission = printPermission(printed);
+  }
+
+  const checks = CHECKS.map(({ id, title }) => ({
+    id,
+    title,
+    ...(results[id] || warn('Not checked: the Clover environment check failed.', 'Fix the environment first, then run the readiness check again.')),
+  }));
+  const summary = { pass: 0, warn: 0, fail: 0 };
+  for (const c of checks) summary[c.status]++;
+  const status = summary.fail ? 'fail' : summary.warn ? 'warn' : 'pass';
+  log.info('Readiness checked', { merchantKey: merchant.key, status, ...summary });
+  return {
+    status,
+    ready: status !== 'fail',
+    summary,
+    checks,
+    testPrint: results.testPrint || null,
+    checkedAt: new Date(startedAt).toISOString(),
+    durationMs: Date.now() - startedAt,
+  };
+}
+
+module.exports = {
+  READINESS_CHECKS: CHECKS,
+  runReadinessCheck,
+};
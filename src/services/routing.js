@@ -0,0 +1,201 @@
+/**
+ * Printer routing rules: pick the devices an order prints to from its order type, item tags and
+ * the time of day, instead of guessing a deviceId or spamming every device.
+ *
+ * Rules (per merchant, src/stores/routingStore.js):
+ *   { rules: [{ name, when: { orderTypeIds?, itemTags?, after?, before? }, deviceIds: [first, backup, ...] }],
+ *     fallbackDeviceIds?, timezone? }
+ * Every matching rule prints once, to the first device in its chain that accepts the print; the next
+ * device is tried when one fails. No match → fallbackDeviceIds, else the merchant's default device.
+ * null in a chain means Clover's default firing device.
+ *
+ * printTargets() prints any list of targets ({ key, orderId, deviceIds }) this way, with copies; split
+ * printing (src/services/splitPrint.js) uses it too. A copy whose chain ran out, or whose print event
+ * timed out, goes to the merchant's LAN printer if one is configured (src/services/lanPrint.js).
+ */
+
+const { getOrder, getItemTags, requestPrint, waitForPrintEvent } = require('./cloverService');
+const { getRouting } = require('../stores/routingStore');
+const { lanFallback } = require('./lanPrint');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('Routing');
+
+const FALLBACK_TARGET = '_fallback';
+
+function parseTime(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/** Minutes since midnight of `date` in `timeZone` (server time zone if unset). */
+function minutesOfDay(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return get('hour') * 60 + get('minute');
+}
+
+/** after/before window; after > before wraps midnight (e.g. 22:00–06:00). */
+function inTimeWindow(when, minutes) {
+  const after = when.after ? parseTime(when.after) : null;
+  const before = when.before ? parseTime(when.before) : null;
+  if (after === null && before === null) return true;
+  if (before === null) return minutes >= after;
+  if (after === null) return minutes < before;
+  return after <= before ? minutes >= after && minutes < before : minutes >= after || minutes < before;
+}
+
+function ruleMatches(rule, facts, minutes) {
+  const when = rule.when || {};
+  if (when.orderTypeIds && !when.orderTypeIds.includes(facts.orderTypeId)) return false;
+  if (when.itemTags) {
+    const wanted = when.itemTags.map((t) => t.toLowerCase());
+    if (!facts.itemTags.some((t) => wanted.includes(t.toLowerCase()))) return false;
+  }
+  return inTimeWindow(when, minutes);
+}
+
+/**
+ * Targets for an order. facts: { orderTypeId, itemTags, at }. defaultDeviceId is the last resort.
+ * Rules with the same device chain share one target, so a device doesn't get the ticket twice.
+ * Returns [{ key, rules: [names], deviceIds }].
+ */
+function matchRoutes(routing, facts, defaultDeviceId = null) {
+  const minutes = minutesOfDay(facts.at || new Date(), routing?.timezone || undefined);
+  const targets = new Map();
+  for (const rule of routing?.rules || []) {
+    if (!ruleMatches(rule, facts, minutes)) continue;
+    const chain = JSON.stringify(rule.deviceIds);
+    if (targets.has(chain)) targets.get(chain).rules.push(rule.name);
+    else targets.set(chain, { key: rule.name, rules: [rule.name], deviceIds: rule.deviceIds });
+  }
+  if (targets.size) return [...targets.values()];
+  return [{ key: FALLBACK_TARGET, rules: [], deviceIds: routing?.fallbackDeviceIds || [defaultDeviceId] }];
+}
+
+/** Map of item id → tag names. One Clover call per item. */
+async function getItemTagMap(clover, merchantId, itemIds) {
+  const tags = new Map();
+  for (const itemId of new Set(itemIds)) {
+    tags.set(itemId, (await getItemTags(clover, merchantId, itemId)).map((t) => t.name).filter(Boolean));
+  }
+  return tags;
+}
+
+/**
+ * Order type and item tag names of an order. Item tags are only fetched when a rule needs them.
+ */
+async function getRoutingFacts(clover, merchantId, orderId, { needTags = true } = {}) {
+  const order = await getOrder(clover, merchantId, orderId);
+  const itemIds = (order?.lineItems?.elements || []).map((li) => li.item?.id).filter(Boolean);
+  const tagMap = needTags ? await getItemTagMap(clover, merchantId, itemIds) : new Map();
+  return { orderTypeId: order?.orderType?.id || null, itemTags: [...new Set([...tagMap.values()].flat())] };
+}
+
+function usesItemTags(routing) {
+  return (routing?.rules || []).some((r) => r.when?.itemTags);
+}
+
+/**
+ * Where an order would print, without printing. merchant: resolveMerchant() context.
+ * facts override / replace the order's facts (orderTypeId, itemTags, at); orderId is optional when
+ * facts are given. Returns { configured, facts, targets }.
+ */
+async function resolveRoute(merchant, orderId, facts = {}) {
+  const routing = getRouting(merchant.key);
+  const orderFacts = orderId
+    ? await getRoutingFacts(merchant.clover, merchant.merchantId, orderId, { needTags: usesItemTags(routing) })
+    : { orderTypeId: null, itemTags: [] };
+  const resolved = { ...orderFacts, ...facts, at: facts.at ? new Date(facts.at) : new Date() };
+  return {
+    configured: Boolean(routing),
+    facts: { ...resolved, at: resolved.at.toISOString() },
+    targets: matchRoutes(routing, resolved, merchant.defaults.deviceId || null),
+  };
+}
+
+/**
+ * Print `copies` copies of one target. Each copy goes to the current device in the chain; when a
+ * print request fails or its event ends FAILED, the chain moves on to the next device for good.
+ * Copies already printed (in `printed`) are reported as skipped.
+ */
+async function printTarget(merchant, target, { copies, printed, printOptions, sent }) {
+  const report = [];
+  let chainIndex = 0;
+  for (let copy = 1; copy <= copies; copy++) {
+    const earlier = printed.find((r) => r.target === target.key && r.copy === copy && r.success);
+    if (earlier) {
+      report.push({ ...earlier, skipped: true });
+      continue;
+    }
+    const tried = [];
+    let printedOn = null;
+    while (!printedOn && chainIndex < target.deviceIds.length) {
+      const deviceId = target.deviceIds[chainIndex];
+      const caller = { ...printOptions.caller, target: target.key, copy };
+      const data = await requestPrint(merchant.clover, merchant.merchantId, target.orderId, deviceId, { ...printOptions, caller });
+      if (data.error) {
+        tried.push({ deviceId, error: data.error, cloverStatus: data.cloverStatus });
+      } else {
+        sent({ target: target.key, copy, deviceId, id: data.id, state: data.state });
+        const final = await waitForPrintEvent(data.id);
+        const state = final?.state || data.state;
+        const timedOut = Boolean(final?.timedOut);
+        tried.push({ deviceId, eventId: data.id, state, ...(timedOut ? { timedOut } : {}) });
+        if (state !== 'FAILED') printedOn = { deviceId, eventId: data.id, state, ...(timedOut ? { timedOut } : {}) };
+      }
+      if (!printedOn) {
+        log.warn('Device failed, trying next in chain', { target: target.key, copy, deviceId: deviceId || '(default)' });
+        chainIndex++;
+      }
+    }
+    let lan = null;
+    if (!printedOn || printedOn.timedOut) {
+      const reason = printedOn ? `Clover print event still ${printedOn.state} after the timeout.` : 'No device left in the chain.';
+      lan = await lanFallback(merchant, target.orderId, { reason, caller: { ...printOptions.caller, target: target.key, copy } });
+    }
+    if (lan?.success) {
+      report.push({ target: target.key, orderId: target.orderId, copy, success: true, ...printedOn, lanFallback: lan, tried });
+    } else {
+      report.push(printedOn
+        ? { target: target.key, orderId: target.orderId, copy, success: true, ...printedOn, ...(lan ? { lanFallback: lan } : {}), tried }
+        : { target: target.key, orderId: target.orderId, copy, success: false, error: 'No device left in the chain.', ...(lan ? { lanFallback: lan } : {}), tried });
+    }
+  }
+  return report;
+}
+
+/**
+ * Print targets ([{ key, orderId, deviceIds, ... }]) with options.copies (default 1). options.printed
+ * is the report of an earlier attempt: copies that succeeded there aren't printed again (job retries).
+ * options.onSent({ target, copy, deviceId, id, state }) runs once, when Clover accepts the first print
+ * request (before its print event is waited for).
+ * Other options go to requestPrint. Returns { copies, success, targets: [{ ...target, success }],
+ * report: [{ target, orderId, copy, success, deviceId?, eventId?, state?, error?, tried, skipped? }] }
+ * (one report entry per copy per target).
+ */
+async function printTargets(merchant, targets, options = {}) {
+  const { copies = 1, printed = [], onSent, ...printOptions } = options;
+  let notified = false;
+  const sent = (printEvent) => {
+    if (notified || !onSent) return;
+    notified = true;
+    onSent(printEvent);
+  };
+  const report = [];
+  const results = [];
+  for (const target of targets) {
+    const targetReport = await printTarget(merchant, target, { copies, printed, printOptions, sent });
+    report.push(...targetReport);
+    results.push({ ...target, success: targetReport.every((r) => r.success) });
+  }
+  return { copies, success: results.every((t) => t.success), targets: results, report };
+}
+
+module.exports = {
+  matchRoutes,
+  resolveRoute,
+  getItemTagMap,
+  printTargets,
+};
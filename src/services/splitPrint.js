@@ -0,0 +1,88 @@
+/**
+ * Kitchen/receipt split printing. The whole order goes to the receipt device; each kitchen station
+ * (grill, bar, ...) gets a ticket with only its line items.
+ *
+ * Clover's print_event always prints a whole order, so a station ticket is a separate locked order
+ * holding copies of that station's line items at price 0 (titled "<station> – <order title>", tagged
+ * like all test data so POST /test-print/cleanup removes it).
+ *
+ * split: { receiptDeviceIds?, stations: [{ name, deviceIds, itemTags?, itemIds? }] }. A line item goes
+ * to every station whose itemIds or itemTags (Clover item tags, case-insensitive) match it.
+ */
+
+const { getOrder, createStationTicketAndLock } = require('./cloverService');
+const { getItemTagMap } = require('./routing');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('Split');
+
+const RECEIPT_TARGET = 'receipt';
+
+function stationLineItems(station, lineItems, tagMap) {
+  const wantedTags = (station.itemTags || []).map((t) => t.toLowerCase());
+  return lineItems.filter((li) => {
+    const itemId = li.item?.id;
+    if (!itemId) return false;
+    if ((station.itemIds || []).includes(itemId)) return true;
+    return (tagMap.get(itemId) || []).some((t) => wantedTags.includes(t.toLowerCase()));
+  });
+}
+
+/**
+ * Which line items each station gets. Returns { order, receipt: { deviceIds }, stations: [{ name, deviceIds, lineItems }] }
+ * (lineItems as returned by Clover, with modifications).
+ */
+async function planSplit(merchant, orderId, split) {
+  const { clover, merchantId } = merchant;
+  const order = await getOrder(clover, merchantId, orderId, { expand: 'lineItems.modifications' });
+  const lineItems = order?.lineItems?.elements || [];
+  const needTags = split.stations.some((s) => s.itemTags?.length);
+  const tagMap = needTags ? await getItemTagMap(clover, merchantId, lineItems.map((li) => li.item?.id).filter(Boolean)) : new Map();
+  return {
+    order,
+    receipt: { deviceIds: split.receiptDeviceIds || [merchant.defaults.deviceId || null] },
+    stations: split.stations.map((station) => ({
+      name: station.name,
+      deviceIds: station.deviceIds,
+      lineItems: stationLineItems(station, lineItems, tagMap),
+    })),
+  };
+}
+
+/**
+ * Create the station ticket orders and return print targets for printTargets():
+ * [{ key: 'receipt', orderId, deviceIds }, { key: 'station:<name>', station, orderId, deviceIds, lineItemIds }].
+ * Stations with no matching line items get no ticket.
+ * options.tickets: station targets created by an earlier try, reused instead of creating them again;
+ * options.onTicket(target) runs after each new ticket, so the caller can save it right away.
+ */
+async function buildSplitTargets(merchant, orderId, split, { tickets = [], onTicket } = {}) {
+  const plan = await planSplit(merchant, orderId, split);
+  const label = plan.order?.title || `#${orderId}`;
+  const targets = [{ key: RECEIPT_TARGET, orderId, deviceIds: plan.receipt.deviceIds }];
+  for (const station of plan.stations) {
+    if (!station.lineItems.length) continue;
+    const earlier = tickets.find((t) => t.key === `station:${station.name}`);
+    if (earlier) {
+      targets.push(earlier);
+      continue;
+    }
+    const ticket = await createStationTicketAndLock(merchant.clover, merchant.merchantId, station.lineItems, {
+      title: `${station.name} – ${label}`,
+      note: `Station ticket for order ${orderId}`,
+    });
+    log.info('Station ticket created', { orderId, station: station.name, ticketOrderId: ticket.orderId, lineItems: station.lineItems.length });
+    const target = {
+      key: `station:${station.name}`,
+      station: station.name,
+      orderId: ticket.orderId,
+      deviceIds: station.deviceIds,
+      lineItemIds: station.lineItems.map((li) => li.id),
+    };
+    targets.push(target);
+    if (onTicket) onTicket(target);
+  }
+  return targets;
+}
+
+module.exports = { buildSplitTargets };
@@ -0,0 +1,230 @@
+/**
+ * Ticket renderer: lays out a Clover order (getOrder with expand=lineItems.modifications) like an
+ * order printer ticket, then renders it as receipt-width text, an HTML or PDF preview, or raw
+ * ESC/POS / Star Line Mode bytes (src/utils/printerCommands.js) – no paper needed.
+ *
+ * An approximation for comparing tickets before going live: the real ticket is laid out by the
+ * Clover device, whose header, fonts and totals vary by model and settings.
+ */
+
+const { getOrder, getOrderTypes, getMerchantInfo } = require('./cloverService');
+const { toEscPos, toStarLine } = require('../utils/printerCommands');
+const { toTicketPdf } = require('../utils/pdf');
+
+const DEFAULT_WIDTH = 42;
+const MIN_WIDTH = 24;
+const MAX_WIDTH = 64;
+const PREVIEW_FORMATS = ['html', 'text', 'pdf', 'escpos', 'star'];
+
+function money(cents) {
+  return (Number(cents || 0) / 100).toFixed(2);
+}
+
+/** Words wrapped to width; words longer than width are cut. */
+function wrap(text, width) {
+  const lines = [];
+  let current = '';
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    for (let i = 0; i < word.length; i += width) {
+      const part = word.slice(i, i + width);
+      if (!current) current = part;
+      else if (current.length + 1 + part.length <= width) current += ` ${part}`;
+      else {
+        lines.push(current);
+        current = part;
+      }
+    }
+  }
+  if (current) lines.push(current);
+  return lines.length ? lines : [''];
+}
+
+/**
+ * Left text wrapped (first line after prefix, the rest after indent), right text (price) right-aligned
+ * on the last line, or on its own line when it doesn't fit.
+ */
+function pair(left, right, width, { prefix = '', indent = '' } = {}) {
+  const [first, ...rest] = wrap(left, width - Math.max(prefix.length, indent.length));
+  const lines = [prefix + first, ...rest.map((l) => indent + l)];
+  if (!right) return lines;
+  const last = lines[lines.length - 1];
+  if (last.length + 1 + right.length <= width) lines[lines.length - 1] = last + right.padStart(width - last.length);
+  else lines.push(right.padStart(width));
+  return lines;
+}
+
+function formatTime(value, timeZone) {
+  if (!value) return null;
+  return new Date(value).toLocaleString('en-US', { timeZone, dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/** Quantity of a line item: unitQty is in thousandths (weighed items), else one per line. */
+function quantityOf(lineItem) {
+  return lineItem.unitQty ? lineItem.unitQty / 1000 : 1;
+}
+
+/** What a line prints as, without its id: lines that print the same are one "n x" line on the ticket. */
+function printedAs(lineItem) {
+  const modifications = (lineItem.modifications?.elements || []).map((mod) => [mod.name || mod.modifier?.id, mod.amount || 0]);
+  return JSON.stringify([lineItem.item?.id, lineItem.name, lineItem.price, lineItem.note, modifications]);
+}
+
+/**
+ * Clover keeps one line per unit (quantity 2 = two lines). Group the lines that print the same, in
+ * order of their first line: [{ lineItem, qty }]. Weighed items (unitQty) stay on their own line.
+ */
+function groupLineItems(lineItems) {
+  const groups = [];
+  const byKey = new Map();
+  for (const lineItem of lineItems) {
+    const key = lineItem.unitQty ? null : printedAs(lineItem);
+    const group = key && byKey.get(key);
+    if (group) {
+      group.qty++;
+      continue;
+    }
+    const entry = { lineItem, qty: quantityOf(lineItem) };
+    if (key) byKey.set(key, entry);
+    groups.push(entry);
+  }
+  return groups;
+}
+
+/**
+ * Ticket model: { width, lines: [{ text, align, bold, double }] }, each line already fitting the width
+ * (double-size lines half of it). options: { width, merchantName, orderTypeLabel, timeZone }.
+ */
+function buildTicket(order, options = {}) {
+  const width = options.width || DEFAULT_WIDTH;
+  const lines = [];
+  const add = (texts, style = {}) => {
+    for (const text of [].concat(texts)) lines.push({ text, align: style.align || 'left', bold: Boolean(style.bold), double: Boolean(style.double) });
+  };
+  const rule = (char) => add(char.repeat(width));
+
+  if (options.merchantName) add(wrap(options.merchantName, width), { align: 'center', bold: true });
+  const heading = order.title || options.orderTypeLabel || 'Order';
+  add(wrap(heading, Math.floor(width / 2)), { align: 'center', bold: true, double: true });
+  if (order.title && options.orderTypeLabel) add(wrap(options.orderTypeLabel, width), { align: 'center', bold: true });
+  add(`Order ${order.id}`, { align: 'center' });
+  const time = formatTime(order.createdTime, options.timeZone);
+  if (time) add(time, { align: 'center' });
+  rule('=');
+
+  const lineItems = order.lineItems?.elements || [];
+  let computedTotal = 0;
+  for (const { lineItem: li, qty } of groupLineItems(lineItems)) {
+    const lineTotal = Math.round((li.price || 0) * qty);
+    computedTotal += lineTotal;
+    add(pair(li.name || li.item?.id || 'Item', money(lineTotal), width, { prefix: `${qty} x `, indent: '    ' }), { bold: true });
+    for (const mod of li.modifications?.elements || []) {
+      // A grouped line has the modifier once per unit; a weighed item once.
+      const modTotal = (mod.amount || 0) * (li.unitQty ? 1 : qty);
+      computedTotal += modTotal;
+      add(pair(mod.name || mod.modifier?.id || 'Modifier', modTotal ? money(modTotal) : '', width, { prefix: '  + ', indent: '    ' }));
+    }
+    if (li.note) add(pair(li.note, '', width, { prefix: '  * ', indent: '    ' }));
+  }
+  if (!lineItems.length) add('(no line items)', { align: 'center' });
+  rule('-');
+  add(pair('TOTAL', money(order.total ?? computedTotal), width), { bold: true });
+  if (order.note) {
+    rule('-');
+    add('Note:', { bold: true });
+    add(wrap(order.note, width));
+  }
+  return { width, lines };
+}
+
+/** Receipt-width plain text. Double-size lines are letter-spaced to show their width. */
+function renderText(ticket) {
+  return `${ticket.lines.map((line) => {
+    const text = line.double ? line.text.split('').join(' ') : line.text;
+    const free = Math.max(0, ticket.width - text.length);
+    if (line.align === 'center') return ' '.repeat(Math.floor(free / 2)) + text;
+    if (line.align === 'right') return ' '.repeat(free) + text;
+    return text;
+  }).join('\n')}\n`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/** Standalone HTML page showing the ticket on a receipt-width strip. */
+function renderHtml(ticket, { title = 'Ticket preview' } = {}) {
+  const rows = ticket.lines.map((line) => {
+    const classes = [line.align, line.bold ? 'bold' : '', line.double ? 'double' : ''].filter(Boolean).join(' ');
+    return `<div class="${classes}">${escapeHtml(line.text) || '&nbsp;'}</div>`;
+  }).join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { background: #ddd; margin: 0; padding: 24px; }
+  .ticket { width: ${ticket.width}ch; margin: 0 auto; padding: 16px 12px; background: #fff; box-shadow: 0 1px 4px rgba(0,0,0,.3);
+    font: 14px/1.3 "Courier New", Courier, monospace; color: #000; }
+  .ticket div { white-space: pre; overflow: hidden; }
+  .center { text-align: center; } .right { text-align: right; }
+  .bold { font-weight: bold; } .double { font-size: 200%; line-height: 1.2; }
+</style>
+</head>
+<body>
+<div class="ticket">
+${rows}
+</div>
+</body>
+</html>
+`;
+}
+
+/** Ticket in one format: { contentType, body (string or Buffer), fileName? }. */
+function renderTicket(ticket, format, { orderId } = {}) {
+  switch (format) {
+    case 'text':
+      return { contentType: 'text/plain; charset=utf-8', body: renderText(ticket) };
+    case 'html':
+      return { contentType: 'text/html; charset=utf-8', body: renderHtml(ticket, { title: `Ticket preview – ${orderId}` }) };
+    case 'pdf':
+      return { contentType: 'application/pdf', body: toTicketPdf(ticket), fileName: `ticket-${orderId}.pdf` };
+    case 'escpos':
+      return { contentType: 'application/octet-stream', body: toEscPos(ticket), fileName: `ticket-${orderId}.escpos.bin` };
+    case 'star':
+      return { contentType: 'application/octet-stream', body: toStarLine(ticket), fileName: `ticket-${orderId}.starline.bin` };
+    default:
+      throw new Error(`Unknown ticket format "${format}".`);
+  }
+}
+
+/**
+ * Fetch an order with line items and modifiers, plus its order type label and the merchant name
+ * (both best effort), and lay it out. Returns { order, ticket }. Throws CloverApiError if the order
+ * can't be fetched.
+ */
+async function buildOrderTicket(merchant, orderId, { width, timeZone } = {}) {
+  const { clover, merchantId } = merchant;
+  const order = await getOrder(clover, merchantId, orderId, { expand: 'lineItems.modifications' });
+  let orderTypeLabel = null;
+  if (order?.orderType?.id) {
+    orderTypeLabel = order.orderType.label
+      || (await getOrderTypes(clover, merchantId).catch(() => [])).find((t) => t.id === order.orderType.id)?.label
+      || null;
+  }
+  const info = await getMerchantInfo(clover, merchantId).catch(() => null);
+  const ticket = buildTicket(order, { width, timeZone, orderTypeLabel, merchantName: info?.name || null });
+  return { order, ticket };
+}
+
+module.exports = {
+  buildTicket,
+  buildOrderTicket,
+  renderText,
+  renderHtml,
+  renderTicket,
+  DEFAULT_WIDTH,
+  MIN_WIDTH,
+  MAX_WIDTH,
+  PREVIEW_FORMATS,
+};
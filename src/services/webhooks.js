@@ -0,0 +1,112 @@
+/**
+ * Clover webhook handling: signature check, verification-code handshake, and auto-print of
+ * new/updated orders for the configured order types (deduplicated across re-deliveries).
+ *
+ * Payload: { appId, merchants: { <mId>: [{ objectId: "O:<orderId>", type: "CREATE"|"UPDATE"|"DELETE", ts }] } }
+ * https://docs.clover.com/dev/docs/webhooks
+ */
+
+const crypto = require('crypto');
+const { CLOVER_WEBHOOK_SECRET, CLOVER_WEBHOOK_AUTH_CODE, WEBHOOK_PRINT_ORDER_TYPES } = require('../config');
+const { CREATED_BY_TAG } = require('../constants');
+const { getOrder } = require('./cloverService');
+const { resolveMerchant, findMerchantKeyByCloverId } = require('./merchants');
+const { enqueuePrintJob } = require('./printQueue');
+const { claimOrder, markPrinted, releaseOrder } = require('../stores/printedOrderStore');
+const { getRouting } = require('../stores/routingStore');
+
+const ORDER_EVENT_TYPES = ['CREATE', 'UPDATE'];
+/** Reject signed deliveries older than this (replay protection). */
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+function hasWebhookConfig() {
+  return Boolean(CLOVER_WEBHOOK_SECRET || CLOVER_WEBHOOK_AUTH_CODE);
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Verify a delivery. Clover-Signature ("t=<unix>,v1=<hex hmac-sha256 of `${t}.${rawBody}`>") is checked
+ * against CLOVER_WEBHOOK_SECRET; otherwise X-Clover-Auth against CLOVER_WEBHOOK_AUTH_CODE.
+ * Returns { valid, reason }.
+ */
+function verifyWebhookSignature(headers, rawBody) {
+  const signature = headers['clover-signature'];
+  if (signature && CLOVER_WEBHOOK_SECRET) {
+    const parts = Object.fromEntries(signature.split(',').map((p) => p.trim().split('=')));
+    if (!parts.t || !parts.v1) return { valid: false, reason: 'Malformed Clover-Signature header.' };
+    if (Math.abs(Date.now() - Number(parts.t) * 1000) > SIGNATURE_TOLERANCE_MS) {
+      return { valid: false, reason: 'Clover-Signature timestamp too old.' };
+    }
+    const expected = crypto.createHmac('sha256', CLOVER_WEBHOOK_SECRET).update(`${parts.t}.${rawBody || ''}`).digest('hex');
+    return safeEqual(expected, parts.v1) ? { valid: true } : { valid: false, reason: 'Clover-Signature mismatch.' };
+  }
+  const authCode = headers['x-clover-auth'];
+  if (authCode && CLOVER_WEBHOOK_AUTH_CODE) {
+    return safeEqual(authCode, CLOVER_WEBHOOK_AUTH_CODE) ? { valid: true } : { valid: false, reason: 'X-Clover-Auth mismatch.' };
+  }
+  return { valid: false, reason: 'Missing Clover-Signature or X-Clover-Auth header.' };
+}
+
+/** Order events from a payload: [{ merchantId, orderId, type, ts }]. Other objects (items, payments) are skipped. */
+function parseOrderEvents(payload) {
+  const events = [];
+  for (const [merchantId, updates] of Object.entries(payload?.merchants || {})) {
+    for (const update of Array.isArray(updates) ? updates : []) {
+      const [prefix, objectId] = String(update.objectId || '').split(':');
+      if (prefix !== 'O' || !objectId || !ORDER_EVENT_TYPES.includes(update.type)) continue;
+      events.push({ merchantId, orderId: objectId, type: update.type, ts: update.ts });
+    }
+  }
+  return events;
+}
+
+/**
+ * Handle one order event: fetch the order and queue a print job when its order type is configured for
+ * auto-print. The job uses the merchant's routing rules if it has any, else its default device.
+ * Returns { orderId, action, reason?, jobId? }.
+ * Failed prints are retried by the job queue, so the claim is kept; if the job can't even be queued,
+ * the claim is dropped so the next delivery of the event can try again.
+ */
+async function handleOrderEvent(event) {
+  const { merchantId, orderId } = event;
+  const merchantKey = findMerchantKeyByCloverId(merchantId);
+  const merchant = merchantKey && resolveMerchant(merchantKey);
+  if (!merchant) return { orderId, action: 'skipped', reason: `Merchant ${merchantId} not in registry or .env.` };
+
+  const printOrderTypes = merchant.defaults.autoPrintOrderTypeIds || WEBHOOK_PRINT_ORDER_TYPES;
+  if (!printOrderTypes.length) return { orderId, action: 'skipped', reason: 'No auto-print order types configured.' };
+
+  const order = await getOrder(merchant.clover, merchantId, orderId);
+  if (order?.externalReferenceId === CREATED_BY_TAG) return { orderId, action: 'skipped', reason: 'Created by this server.' };
+  if (!printOrderTypes.includes(order?.orderType?.id)) {
+    return { orderId, action: 'skipped', reason: `Order type ${order?.orderType?.id || 'none'} not configured for auto-print.` };
+  }
+  if (!order?.lineItems?.elements?.length) return { orderId, action: 'skipped', reason: 'Order has no line items yet.' };
+
+  if (!claimOrder(merchantId, orderId, { merchantKey, eventType: event.type })) {
+    return { orderId, action: 'duplicate', reason: 'Already printed for an earlier delivery.' };
+  }
+  const route = Boolean(getRouting(merchantKey));
+  const deviceId = route ? null : merchant.defaults.deviceId || null;
+  let job;
+  try {
+    job = enqueuePrintJob({ merchantKey, orderId, deviceId, route, source: 'webhook' });
+  } catch (err) {
+    releaseOrder(merchantId, orderId);
+    throw err;
+  }
+  markPrinted(merchantId, orderId, { jobId: job.id, deviceId });
+  return { orderId, action: 'queued', jobId: job.id };
+}
+
+module.exports = {
+  hasWebhookConfig,
+  verifyWebhookSignature,
+  parseOrderEvents,
+  handleOrderEvent,
+};
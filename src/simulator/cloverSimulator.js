@@ -0,0 +1,639 @@
+/**
+ * Local Clover API simulator: the v3 endpoints this project calls (devices, order_types, items,
+ * orders, line_items, modifications, discounts, service charges, print_event), in memory, seeded from ./seed.js.
+ * For offline development and end-to-end tests without sandbox credentials.
+ *
+ * Failure modes:
+ * - Devices print by mode: ok (DONE after printMs), failed (FAILED after printMs),
+ *   slow (DONE after slowPrintMs), offline (stays CREATED).
+ * - Injected HTTP failures (401, 403, 404, 429 with Retry-After, 5xx) for the next N matching requests.
+ *
+ * Mock OAuth v2 (/oauth/v2/authorize, /token, /refresh): authorize approves at once and redirects
+ * with a one-time code; token and refresh issue access tokens (oauthTokenTtlMs) that the v3 API
+ * accepts next to the seeded merchant tokens. Refresh tokens are rotated on use, like Clover's.
+ *
+ * Control API (not part of Clover): GET /_sim/state, GET /_sim/requests, POST /_sim/reset,
+ * POST|DELETE /_sim/failures, PATCH /_sim/merchants/:mId/devices/:deviceId,
+ * GET|DELETE /_sim/lan-jobs (prints captured by the LAN printer sink, ./lanSink.js),
+ * POST /_sim/oauth/expire (expire issued access tokens, and refresh tokens with { refreshTokens: true }).
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { SIM_MERCHANTS } = require('./seed');
+
+const DEFAULT_SIMULATOR_OPTIONS = {
+  latencyMs: 0,
+  printMs: 1500,
+  slowPrintMs: 90000,
+  oauthTokenTtlMs: 30 * 60 * 1000,
+};
+const OAUTH_CODE_TTL_MS = 10 * 60 * 1000;
+const OAUTH_REFRESH_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+const DEVICE_MODES = ['ok', 'failed', 'slow', 'offline'];
+const FAILURE_STATUSES = [401, 403, 404, 429, 500, 502, 503];
+const REQUEST_LOG_LIMIT = 500;
+const LIST_DEFAULT_LIMIT = 100;
+
+const STATUS_MESSAGES = {
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable',
+};
+
+/** 13-character uppercase id, like Clover's. */
+function newId() {
+  return crypto.randomBytes(10).toString('base64').replace(/[^A-Za-z0-9]/g, '').slice(0, 13).toUpperCase().padEnd(13, 'X');
+}
+
+function sendError(res, status, message) {
+  res.status(status).json({ message: message || STATUS_MESSAGES[status] || 'Error' });
+}
+
+function toMap(list) {
+  return new Map(list.map((entry) => [entry.id, structuredClone(entry)]));
+}
+
+function buildMerchantState(seed) {
+  return {
+    id: seed.id,
+    name: seed.name,
+    token: seed.token,
+    devices: toMap(seed.devices),
+    orderTypes: toMap(seed.orderTypes),
+    tags: toMap(seed.tags),
+    items: toMap(seed.items),
+    modifiers: toMap(seed.modifiers),
+    serviceCharge: seed.serviceCharge ? structuredClone(seed.serviceCharge) : null,
+    orders: new Map(),
+    printEvents: new Map(),
+  };
+}
+
+const FILTER_PATTERN = /^([\w.]+)(>=|<=|!=|>|<|=)(.*)$/;
+
+/** Numbers, epoch ms and ISO dates compare as numbers; anything else as strings. */
+function comparable(value) {
+  if (typeof value === 'number') return value;
+  const text = String(value);
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? text : date;
+}
+
+/** One Clover filter ("state=locked", "createdTime>=1700000000000", "orderType.id=X") on one entry. */
+function matchesFilter(entry, [, field, op, value]) {
+  const actual = field.split('.').reduce((v, key) => v?.[key], entry);
+  if (op === '=') return String(actual) === value;
+  if (op === '!=') return String(actual) !== value;
+  if (actual === undefined || actual === null) return false;
+  const a = comparable(actual);
+  const b = comparable(value);
+  return { '>=': a >= b, '<=': a <= b, '>': a > b, '<': a < b }[op];
+}
+
+/** Clover list params: filter ("field=value", "field>=value", ...; may repeat), limit, offset. */
+function listResponse(req, list) {
+  const filters = [].concat(req.query.filter || []).map((f) => FILTER_PATTERN.exec(String(f))).filter(Boolean);
+  const filtered = list.filter((entry) => filters.every((filter) => matchesFilter(entry, filter)));
+  const offset = Number(req.query.offset) || 0;
+  const limit = Number(req.query.limit) || LIST_DEFAULT_LIMIT;
+  return { elements: filtered.slice(offset, offset + limit) };
+}
+
+function expands(req, name) {
+  return String(req.query.expand || '').split(',').map((e) => e.trim()).includes(name);
+}
+
+/**
+ * Create a simulator. options: { latencyMs, printMs, slowPrintMs, oauthTokenTtlMs }; lanSink: createLanSink() result, if running.
+ * Returns { app, reset, addFailure, clearFailures, setDeviceMode, merchants } – mount or listen `app`.
+ */
+function createCloverSimulator(options = {}, { lanSink = null } = {}) {
+  const settings = { ...DEFAULT_SIMULATOR_OPTIONS, ...options };
+  const merchants = new Map();
+  let failures = [];
+  const requestLog = [];
+  /** OAuth grants: code → { clientId, merchantId, createdAt }; token → { clientId, merchantId, expiresAt }. */
+  const oauth = { codes: new Map(), accessTokens: new Map(), refreshTokens: new Map() };
+
+  function reset() {
+    merchants.clear();
+    for (const seed of SIM_MERCHANTS) merchants.set(seed.id, buildMerchantState(seed));
+    failures = [];
+    requestLog.length = 0;
+    for (const grants of Object.values(oauth)) grants.clear();
+    lanSink?.clearJobs();
+  }
+
+  /** New access + refresh token for a merchant, as Clover's v2 token response (expirations in epoch seconds). */
+  function issueTokens(clientId, merchantId) {
+    const now = Date.now();
+    const accessToken = `sim-oauth-${newId()}`;
+    const refreshToken = `sim-refresh-${newId()}`;
+    const accessExpiresAt = now + settings.oauthTokenTtlMs;
+    const refreshExpiresAt = now + OAUTH_REFRESH_TTL_MS;
+    oauth.accessTokens.set(accessToken, { clientId, merchantId, expiresAt: accessExpiresAt });
+    oauth.refreshTokens.set(refreshToken, { clientId, merchantId, expiresAt: refreshExpiresAt });
+    return {
+      access_token: accessToken,
+      access_token_expiration: Math.floor(accessExpiresAt / 1000),
+      refresh_token: refreshToken,
+      refresh_token_expiration: Math.floor(refreshExpiresAt / 1000),
+    };
+  }
+
+  /** Seeded merchant token, or an unexpired OAuth access token issued for this merchant. */
+  function isValidToken(merchant, token) {
+    if (token === merchant.token) return true;
+    const grant = oauth.accessTokens.get(token);
+    return Boolean(grant && grant.merchantId === merchant.id && grant.expiresAt > Date.now());
+  }
+
+  /**
+   * Fail the next `count` matching requests (null = until cleared).
+   * failure: { status, count?, merchantId?, method?, path? (substring), retryAfter? (seconds, 429) }.
+   */
+  function addFailure(failure) {
+    const entry = { id: newId(), count: 1, ...failure };
+    failures.push(entry);
+    return entry;
+  }
+
+  function clearFailures() {
+    failures = [];
+  }
+
+  /** Returns the device, or null if unknown. */
+  function setDeviceMode(merchantId, deviceId, mode) {
+    const device = merchants.get(merchantId)?.devices.get(deviceId);
+    if (!device) return null;
+    device.mode = mode;
+    return device;
+  }
+
+  /** Middleware: answer with the next matching injected failure, if any. */
+  function injectFailures(req, res, next) {
+    const failure = takeFailure(req);
+    if (!failure) return next();
+    if (failure.status === 429) res.set('Retry-After', String(failure.retryAfter ?? 1));
+    sendError(res, failure.status);
+  }
+
+  function takeFailure(req) {
+    const failure = failures.find((f) => (!f.merchantId || f.merchantId === req.params.mId)
+      && (!f.method || f.method.toUpperCase() === req.method)
+      && (!f.path || req.originalUrl.includes(f.path)));
+    if (!failure) return null;
+    if (failure.count !== null) {
+      failure.count--;
+      if (failure.count <= 0) failures = failures.filter((f) => f !== failure);
+    }
+    return failure;
+  }
+
+  /** Print event state from its age and the device mode captured when it was created. */
+  function printEventView(event) {
+    const age = Date.now() - Date.parse(event.createdTime);
+    let state = 'PRINTING';
+    if (event.mode === 'offline') state = 'CREATED';
+    else if (event.mode === 'slow') state = age >= settings.slowPrintMs ? 'DONE' : 'PRINTING';
+    else if (age >= settings.printMs) state = event.mode === 'failed' ? 'FAILED' : 'DONE';
+    const { mode, ...rest } = event;
+    return { ...rest, state };
+  }
+
+  function orderView(req, order) {
+    const { lineItems, discounts, ...rest } = order;
+    const view = { ...rest };
+    if (expands(req, 'lineItems') || expands(req, 'lineItems.modifications') || expands(req, 'lineItems.discounts')) {
+      const withMods = expands(req, 'lineItems.modifications');
+      const withDiscounts = expands(req, 'lineItems.discounts');
+      view.lineItems = {
+        elements: lineItems.map(({ modifications, discounts: lineDiscounts, ...li }) => ({
+          ...li,
+          ...(withMods ? { modifications: { elements: modifications } } : {}),
+          ...(withDiscounts && lineDiscounts.length ? { discounts: { elements: lineDiscounts } } : {}),
+        })),
+      };
+    }
+    if (expands(req, 'discounts') && discounts.length) view.discounts = { elements: discounts };
+    if (!view.serviceCharge) delete view.serviceCharge;
+    return view;
+  }
+
+  function findLineItem(req) {
+    return req.simMerchant.orders.get(req.params.orderId)?.lineItems.find((li) => li.id === req.params.lineItemId) || null;
+  }
+
+  function itemView(req, merchant, item) {
+    const { tagIds, ...rest } = item;
+    if (!expands(req, 'tags')) return rest;
+    return { ...rest, tags: { elements: tagIds.map((id) => merchant.tags.get(id)).filter(Boolean) } };
+  }
+
+  reset();
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    res.on('finish', () => {
+      requestLog.push({ at: new Date().toISOString(), method: req.method, path: req.originalUrl, status: res.statusCode });
+      if (requestLog.length > REQUEST_LOG_LIMIT) requestLog.shift();
+    });
+    next();
+  });
+
+  // ----- Control API -----
+
+  app.get('/_sim/state', (req, res) => {
+    res.json({
+      settings,
+      failures,
+      merchants: [...merchants.values()].map((m) => ({
+        id: m.id,
+        name: m.name,
+        token: m.token,
+        devices: [...m.devices.values()],
+        orderCount: m.orders.size,
+        itemCount: m.items.size,
+        printEventCount: m.printEvents.size,
+      })),
+      oauth: { accessTokens: oauth.accessTokens.size, refreshTokens: oauth.refreshTokens.size },
+    });
+  });
+
+  app.get('/_sim/requests', (req, res) => {
+    res.json({ requests: requestLog });
+  });
+
+  app.post('/_sim/reset', (req, res) => {
+    reset();
+    res.json({ reset: true });
+  });
+
+  app.post('/_sim/failures', (req, res) => {
+    const { status, count, merchantId, method, path, retryAfter } = req.body || {};
+    if (!FAILURE_STATUSES.includes(status)) return sendError(res, 400, `status must be one of ${FAILURE_STATUSES.join(', ')}.`);
+    if (count !== undefined && count !== null && !(Number.isInteger(count) && count > 0)) {
+      return sendError(res, 400, 'count must be a positive integer, or null for "until cleared".');
+    }
+    res.status(201).json({ failure: addFailure({ status, count: count === undefined ? 1 : count, merchantId, method, path, retryAfter }) });
+  });
+
+  app.delete('/_sim/failures', (req, res) => {
+    clearFailures();
+    res.json({ cleared: true });
+  });
+
+  app.patch('/_sim/merchants/:mId/devices/:deviceId', (req, res) => {
+    const mode = req.body?.mode;
+    if (!DEVICE_MODES.includes(mode)) return sendError(res, 400, `mode must be one of ${DEVICE_MODES.join(', ')}.`);
+    const device = setDeviceMode(req.params.mId, req.params.deviceId, mode);
+    if (!device) return sendError(res, 404, 'Unknown merchant or device.');
+    res.json({ device });
+  });
+
+  app.get('/_sim/lan-jobs', (req, res) => {
+    if (!lanSink) return sendError(res, 404, 'The LAN printer sink is not running (SIMULATOR_LAN_PORT=0).');
+    const jobs = lanSink.listJobs();
+    res.json({ count: jobs.length, jobs });
+  });
+
+  app.delete('/_sim/lan-jobs', (req, res) => {
+    lanSink?.clearJobs();
+    res.json({ cleared: true });
+  });
+
+  app.post('/_sim/oauth/expire', (req, res) => {
+    const now = Date.now();
+    const expire = (grants) => {
+      for (const grant of grants.values()) grant.expiresAt = Math.min(grant.expiresAt, now);
+      return grants.size;
+    };
+    res.json({
+      accessTokens: expire(oauth.accessTokens),
+      refreshTokens: req.body?.refreshTokens === true ? expire(oauth.refreshTokens) : 0,
+    });
+  });
+
+  // ----- Mock OAuth v2 -----
+
+  const oauthRouter = express.Router();
+  oauthRouter.use(injectFailures);
+
+  // Clover shows a consent page; the simulator approves at once (merchant_id picks the merchant, default the first).
+  oauthRouter.get('/authorize', (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, state } = req.query;
+    if (!clientId || !redirectUri) return sendError(res, 400, 'client_id and redirect_uri are required.');
+    const merchantId = req.query.merchant_id || SIM_MERCHANTS[0].id;
+    if (!merchants.has(merchantId)) return sendError(res, 400, `Unknown merchant_id ${merchantId}.`);
+    const code = newId();
+    oauth.codes.set(code, { clientId, merchantId, createdAt: Date.now() });
+    const params = new URLSearchParams({ merchant_id: merchantId, client_id: clientId, code });
+    if (state) params.set('state', state);
+    res.redirect(`${redirectUri}${redirectUri.includes('?') ? '&' : '?'}${params}`);
+  });
+
+  oauthRouter.post('/token', (req, res) => {
+    const { client_id: clientId, client_secret: clientSecret, code } = req.body || {};
+    const grant = oauth.codes.get(code);
+    oauth.codes.delete(code);
+    if (!grant || !clientSecret || grant.clientId !== clientId || Date.now() - grant.createdAt > OAUTH_CODE_TTL_MS) {
+      return sendError(res, 401, 'Invalid or expired code, or wrong client credentials.');
+    }
+    res.json(issueTokens(clientId, grant.merchantId));
+  });
+
+  oauthRouter.post('/refresh', (req, res) => {
+    const { client_id: clientId, refresh_token: refreshToken } = req.body || {};
+    const grant = oauth.refreshTokens.get(refreshToken);
+    if (!grant || grant.clientId !== clientId || grant.expiresAt <= Date.now()) {
+      return sendError(res, 401, 'Invalid or expired refresh token.');
+    }
+    oauth.refreshTokens.delete(refreshToken);
+    res.json(issueTokens(clientId, grant.merchantId));
+  });
+
+  app.use('/oauth/v2', oauthRouter);
+
+  // ----- Clover v3 API -----
+
+  const v3 = express.Router({ mergeParams: true });
+
+  v3.use((req, res, next) => setTimeout(next, settings.latencyMs));
+  v3.use(injectFailures);
+  v3.use((req, res, next) => {
+    const merchant = merchants.get(req.params.mId);
+    const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!merchant || !isValidToken(merchant, token)) return sendError(res, 401);
+    req.simMerchant = merchant;
+    next();
+  });
+
+  v3.get('/', (req, res) => {
+    res.json({ id: req.simMerchant.id, name: req.simMerchant.name });
+  });
+
+  v3.get('/devices', (req, res) => {
+    res.json(listResponse(req, [...req.simMerchant.devices.values()].map(({ mode, defaultFiring, ...d }) => d)));
+  });
+
+  v3.get('/order_types', (req, res) => {
+    res.json(listResponse(req, [...req.simMerchant.orderTypes.values()]));
+  });
+
+  // Items
+
+  v3.get('/items', (req, res) => {
+    const merchant = req.simMerchant;
+    res.json(listResponse(req, [...merchant.items.values()].map((i) => itemView(req, merchant, i))));
+  });
+
+  v3.post('/items', (req, res) => {
+    const { name, price } = req.body || {};
+    if (!name || !Number.isInteger(price)) return sendError(res, 400, 'Item needs name and integer price.');
+    const item = { id: newId(), name, price, tagIds: [] };
+    for (const field of ['sku', 'alternateName', 'code']) if (req.body[field]) item[field] = req.body[field];
+    req.simMerchant.items.set(item.id, item);
+    res.json(itemView(req, req.simMerchant, item));
+  });
+
+  v3.get('/items/:itemId', (req, res) => {
+    const item = req.simMerchant.items.get(req.params.itemId);
+    if (!item) return sendError(res, 404);
+    res.json(itemView(req, req.simMerchant, item));
+  });
+
+  v3.delete('/items/:itemId', (req, res) => {
+    if (!req.simMerchant.items.delete(req.params.itemId)) return sendError(res, 404);
+    res.json({});
+  });
+
+  // Orders
+
+  v3.get('/orders', (req, res) => {
+    const merchant = req.simMerchant;
+    const orders = [...merchant.orders.values()].reverse().map((o) => orderView(req, o));
+    res.json(listResponse(req, orders));
+  });
+
+  v3.post('/orders', (req, res) => {
+    const body = req.body || {};
+    if (body.orderType?.id && !req.simMerchant.orderTypes.has(body.orderType.id)) return sendError(res, 400, 'Invalid order type.');
+    const now = new Date().toISOString();
+    const order = {
+      id: newId(),
+      state: body.state || 'open',
+      createdTime: now,
+      modifiedTime: now,
+      lineItems: [],
+      discounts: [],
+      serviceCharge: null,
+    };
+    if (body.orderType?.id) order.orderType = { id: body.orderType.id };
+    for (const field of ['title', 'note', 'externalReferenceId']) if (body[field]) order[field] = body[field];
+    req.simMerchant.orders.set(order.id, order);
+    res.json(orderView(req, order));
+  });
+
+  v3.get('/orders/:orderId', (req, res) => {
+    const order = req.simMerchant.orders.get(req.params.orderId);
+    if (!order) return sendError(res, 404);
+    res.json(orderView(req, order));
+  });
+
+  v3.post('/orders/:orderId', (req, res) => {
+    const order = req.simMerchant.orders.get(req.params.orderId);
+    if (!order) return sendError(res, 404);
+    for (const field of ['state', 'title', 'note', 'externalReferenceId']) {
+      if (req.body?.[field] !== undefined) order[field] = req.body[field];
+    }
+    order.modifiedTime = new Date().toISOString();
+    res.json(orderView(req, order));
+  });
+
+  v3.delete('/orders/:orderId', (req, res) => {
+    if (!req.simMerchant.orders.delete(req.params.orderId)) return sendError(res, 404);
+    res.json({});
+  });
+
+  /** New line item from a line_items body ({ item: { id } } or { name, price }, note?), or { error } for a 400. */
+  function newLineItem(merchant, body = {}) {
+    let lineItem;
+    if (body.item?.id) {
+      const item = merchant.items.get(body.item.id);
+      if (!item) return { error: `Invalid item id ${body.item.id}.` };
+      lineItem = { id: newId(), item: { id: item.id }, name: item.name, price: item.price };
+    } else {
+      if (!body.name || !Number.isInteger(body.price)) return { error: 'Custom line item needs name and integer price.' };
+      lineItem = { id: newId(), name: body.name, price: body.price };
+    }
+    if (body.note) lineItem.note = body.note;
+    lineItem.modifications = [];
+    lineItem.discounts = [];
+    return { lineItem };
+  }
+
+  const lineItemView = ({ modifications, discounts, ...view }) => view;
+
+  v3.post('/orders/:orderId/line_items', (req, res) => {
+    const order = req.simMerchant.orders.get(req.params.orderId);
+    if (!order) return sendError(res, 404);
+    const { lineItem, error } = newLineItem(req.simMerchant, req.body);
+    if (error) return sendError(res, 400, error);
+    order.lineItems.push(lineItem);
+    res.json(lineItemView(lineItem));
+  });
+
+  // Several line items at once: { items: [line_items body, ...] }; all or none are added.
+  v3.post('/orders/:orderId/bulk_line_items', (req, res) => {
+    const order = req.simMerchant.orders.get(req.params.orderId);
+    if (!order) return sendError(res, 404);
+    const bodies = req.body?.items;
+    if (!Array.isArray(bodies) || !bodies.length) return sendError(res, 400, 'items must be a non-empty array of line items.');
+    const created = bodies.map((body) => newLineItem(req.simMerchant, body));
+    const failed = created.find((c) => c.error);
+    if (failed) return sendError(res, 400, failed.error);
+    order.lineItems.push(...created.map((c) => c.lineItem));
+    res.json(created.map((c) => lineItemView(c.lineItem)));
+  });
+
+  v3.post('/orders/:orderId/line_items/:lineItemId', (req, res) => {
+    const lineItem = findLineItem(req);
+    if (!lineItem) return sendError(res, 404);
+    const body = req.body || {};
+    if (body.price !== undefined && !Number.isInteger(body.price)) return sendError(res, 400, 'price must be an integer.');
+    for (const field of ['name', 'price', 'note']) if (body[field] !== undefined) lineItem[field] = body[field];
+    if (lineItem.note === '') delete lineItem.note;
+    res.json(lineItemView(lineItem));
+  });
+
+  v3.delete('/orders/:orderId/line_items/:lineItemId', (req, res) => {
+    const order = req.simMerchant.orders.get(req.params.orderId);
+    const index = order ? order.lineItems.findIndex((li) => li.id === req.params.lineItemId) : -1;
+    if (index < 0) return sendError(res, 404);
+    order.lineItems.splice(index, 1);
+    res.json({});
+  });
+
+  /** Discount body: { name, amount (negative cents) } or { name, percentage }. */
+  function createDiscount(req, res, list) {
+    const { name, amount, percentage } = req.body || {};
+    if (!name || (amount === undefined) === (percentage === undefined)) return sendError(res, 400, 'Discount needs name and either amount or percentage.');
+    const discount = { id: newId(), name, ...(amount !== undefined ? { amount } : { percentage }) };
+    list.push(discount);
+    res.json(discount);
+  }
+
+  function removeDiscount(req, res, list) {
+    const index = list ? list.findIndex((d) => d.id === req.params.discountId) : -1;
+    if (index < 0) return sendError(res, 404);
+    list.splice(index, 1);
+    res.json({});
+  }
+
+  v3.post('/orders/:orderId/discounts', (req, res) => {
+    const order = req.simMerchant.orders.get(req.params.orderId);
+    if (!order) return sendError(res, 404);
+    createDiscount(req, res, order.discounts);
+  });
+
+  v3.delete('/orders/:orderId/discounts/:discountId', (req, res) => {
+    removeDiscount(req, res, req.simMerchant.orders.get(req.params.orderId)?.discounts);
+  });
+
+  v3.post('/orders/:orderId/line_items/:lineItemId/discounts', (req, res) => {
+    const lineItem = findLineItem(req);
+    if (!lineItem) return sendError(res, 404);
+    createDiscount(req, res, lineItem.discounts);
+  });
+
+  v3.delete('/orders/:orderId/line_items/:lineItemId/discounts/:discountId', (req, res) => {
+    removeDiscount(req, res, findLineItem(req)?.discounts);
+  });
+
+  // Service charges
+
+  v3.get('/default_service_charge', (req, res) => {
+    if (!req.simMerchant.serviceCharge) return sendError(res, 404, 'No service charge set up.');
+    res.json(req.simMerchant.serviceCharge);
+  });
+
+  v3.post('/orders/:orderId/service_charge', (req, res) => {
+    const merchant = req.simMerchant;
+    const order = merchant.orders.get(req.params.orderId);
+    if (!order) return sendError(res, 404);
+    if (!merchant.serviceCharge || req.body?.id !== merchant.serviceCharge.id) return sendError(res, 400, `Invalid service charge id ${req.body?.id}.`);
+    order.serviceCharge = {
+      id: merchant.serviceCharge.id,
+      name: req.body.name || merchant.serviceCharge.name,
+      percentageDecimal: req.body.percentageDecimal ?? merchant.serviceCharge.percentageDecimal,
+    };
+    res.json(order.serviceCharge);
+  });
+
+  v3.delete('/orders/:orderId/service_charge/:serviceChargeId', (req, res) => {
+    const order = req.simMerchant.orders.get(req.params.orderId);
+    if (order?.serviceCharge?.id !== req.params.serviceChargeId) return sendError(res, 404);
+    order.serviceCharge = null;
+    res.json({});
+  });
+
+  v3.post('/orders/:orderId/line_items/:lineItemId/modifications', (req, res) => {
+    const merchant = req.simMerchant;
+    const lineItem = findLineItem(req);
+    if (!lineItem) return sendError(res, 404);
+    const modifier = merchant.modifiers.get(req.body?.modifier?.id);
+    if (!modifier) return sendError(res, 400, `Invalid modifier id ${req.body?.modifier?.id}.`);
+    const modification = {
+      id: newId(),
+      modifier: { id: modifier.id },
+      name: req.body.name || modifier.name,
+      amount: req.body.amount ?? modifier.price,
+    };
+    lineItem.modifications.push(modification);
+    res.json(modification);
+  });
+
+  // Print events
+
+  v3.post('/print_event', (req, res) => {
+    const merchant = req.simMerchant;
+    const orderId = req.body?.orderRef?.id;
+    if (!merchant.orders.has(orderId)) return sendError(res, 404, `Order ${orderId} not found.`);
+    const deviceId = req.body?.deviceRef?.id;
+    const device = deviceId ? merchant.devices.get(deviceId) : [...merchant.devices.values()].find((d) => d.defaultFiring);
+    if (!device) return sendError(res, 400, deviceId ? `Invalid device id ${deviceId}.` : 'No default firing device.');
+    const event = {
+      id: newId(),
+      orderRef: { id: orderId },
+      deviceRef: { id: device.id },
+      createdTime: new Date().toISOString(),
+      mode: device.mode,
+    };
+    merchant.printEvents.set(event.id, event);
+    res.json({ ...printEventView(event), state: 'CREATED' });
+  });
+
+  v3.get('/print_event/:eventId', (req, res) => {
+    const event = req.simMerchant.printEvents.get(req.params.eventId);
+    if (!event) return sendError(res, 404);
+    res.json(printEventView(event));
+  });
+
+  app.use('/v3/merchants/:mId', v3);
+  app.use((req, res) => sendError(res, 404, `Simulator has no route ${req.method} ${req.path}.`));
+
+  return { app, reset, addFailure, clearFailures, setDeviceMode, merchants };
+}
+
+module.exports = {
+  createCloverSimulator,
+  DEFAULT_SIMULATOR_OPTIONS,
+};
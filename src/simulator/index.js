@@ -0,0 +1,50 @@
+/**
+ * Start the Clover API simulator on SIMULATOR_PORT, and the LAN printer sink on SIMULATOR_LAN_PORT.
+ * Run alone with `npm run simulator`, or with the server via CLOVER_SIMULATOR=true (server.js calls startSimulator).
+ */
+
+const { SIMULATOR_PORT, SIMULATOR_LAN_PORT, SIMULATOR_OPTIONS } = require('../config');
+const { createCloverSimulator } = require('./cloverSimulator');
+const { createLanSink } = require('./lanSink');
+const { SIM_MERCHANTS } = require('./seed');
+const { createLogger, errorFields } = require('../utils/logger');
+
+const log = createLogger('Simulator');
+
+/** Resolves with the sink once listening, or null when lanPort is 0. */
+function startLanSink(lanPort) {
+  if (!lanPort) return Promise.resolve(null);
+  const lanSink = createLanSink();
+  return new Promise((resolve, reject) => {
+    lanSink.server.on('error', reject);
+    lanSink.server.listen(lanPort, () => {
+      log.info('LAN printer sink listening (captured prints: GET /_sim/lan-jobs)', { url: `tcp://localhost:${lanPort}` });
+      resolve(lanSink);
+    });
+  });
+}
+
+/** Listen on SIMULATOR_PORT (and SIMULATOR_LAN_PORT). Resolves with { simulator, server, lanSink } once listening. */
+async function startSimulator(port = SIMULATOR_PORT, options = SIMULATOR_OPTIONS, lanPort = SIMULATOR_LAN_PORT) {
+  const lanSink = await startLanSink(lanPort);
+  const simulator = createCloverSimulator(options, { lanSink });
+  return new Promise((resolve, reject) => {
+    const server = simulator.app.listen(port, () => {
+      log.info('Clover API simulator listening', { url: `http://localhost:${port}` });
+      for (const m of SIM_MERCHANTS) {
+        log.info('Merchant', { merchantId: m.id, name: m.name, devices: m.devices.map((d) => `${d.id}=${d.mode}`) });
+      }
+      resolve({ simulator, server, lanSink });
+    });
+    server.on('error', reject);
+  });
+}
+
+if (require.main === module) {
+  startSimulator().catch((err) => {
+    log.error('Could not start', errorFields(err));
+    process.exit(1);
+  });
+}
+
+module.exports = { startSimulator };
@@ -0,0 +1,53 @@
+/**
+ * LAN printer sink: a TCP server that stands in for a Star / ESC/POS network printer (raw port 9100).
+ * Every connection is one print job; its bytes are kept with the command set detected and the text
+ * they would print, so LAN fallback prints (src/services/lanPrint.js) can be checked without a printer.
+ */
+
+const net = require('net');
+const { detectDialect, toPlainText } = require('../utils/printerCommands');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('Simulator');
+
+const JOB_LIMIT = 100;
+
+/** Returns { server, listJobs, clearJobs } – call server.listen(port). */
+function createLanSink() {
+  const jobs = [];
+  let nextId = 1;
+
+  const server = net.createServer((socket) => {
+    const chunks = [];
+    const at = new Date().toISOString();
+    socket.on('data', (chunk) => chunks.push(chunk));
+    socket.on('error', () => {});
+    socket.on('end', () => {
+      const bytes = Buffer.concat(chunks);
+      const dialect = detectDialect(bytes);
+      jobs.push({
+        id: nextId++,
+        at,
+        remote: `${socket.remoteAddress}:${socket.remotePort}`,
+        bytes: bytes.length,
+        dialect,
+        text: toPlainText(bytes),
+        base64: bytes.toString('base64'),
+      });
+      if (jobs.length > JOB_LIMIT) jobs.shift();
+      log.info('LAN job', { jobId: nextId - 1, bytes: bytes.length, dialect });
+      socket.end();
+    });
+  });
+
+  return {
+    server,
+    /** Newest first. */
+    listJobs: () => [...jobs].reverse(),
+    clearJobs: () => {
+      jobs.length = 0;
+    },
+  };
+}
+
+module.exports = { createLanSink };
@@ -0,0 +1,59 @@
+/**
+ * Seed data for the Clover API simulator: two merchants with tokens, devices (one per failure mode),
+ * order types, tagged inventory items and modifiers. Ids are fixed so docs and scripts can use them.
+ */
+
+const SIM_MERCHANTS = [
+  {
+    id: 'SIMMERCHANT01',
+    name: 'Sim Tandoor Downtown',
+    token: 'sim-token-1',
+    devices: [
+      { id: 'SIM-DEV-FRONT', name: 'Front counter', model: 'Station Duo', serial: 'C050UQ00001', deviceTypeName: 'STATION_DUO', mode: 'ok', defaultFiring: true },
+      { id: 'SIM-DEV-KITCHEN', name: 'Kitchen', model: 'Flex', serial: 'C043UQ00002', deviceTypeName: 'FLEX', mode: 'ok' },
+      { id: 'SIM-DEV-BAR', name: 'Bar', model: 'Mini', serial: 'C031UQ00003', deviceTypeName: 'MINI', mode: 'ok' },
+      { id: 'SIM-DEV-JAMMED', name: 'Jammed printer', model: 'Mini', serial: 'C031UQ00004', deviceTypeName: 'MINI', mode: 'failed' },
+      { id: 'SIM-DEV-SLOW', name: 'Slow printer', model: 'Flex', serial: 'C043UQ00005', deviceTypeName: 'FLEX', mode: 'slow' },
+      { id: 'SIM-DEV-OFFLINE', name: 'Offline device', model: 'Station', serial: 'C030UQ00006', deviceTypeName: 'STATION', mode: 'offline' },
+    ],
+    orderTypes: [
+      { id: 'SIM-OT-DINEIN', label: 'Dine In', labelKey: 'com.clover.order.type.dine_in', isDefault: true, systemOrderTypeId: 'DINE-IN-TYPE' },
+      { id: 'SIM-OT-TAKEOUT', label: 'Take Out', labelKey: 'com.clover.order.type.take_out', isDefault: false, systemOrderTypeId: 'TAKE-OUT-TYPE' },
+      { id: 'SIM-OT-ONLINE', label: 'Online Order', labelKey: 'com.clover.order.type.online', isDefault: false, systemOrderTypeId: 'DELIVERY-TYPE' },
+    ],
+    tags: [
+      { id: 'SIM-TAG-GRILL', name: 'Grill' },
+      { id: 'SIM-TAG-BAR', name: 'Bar' },
+    ],
+    items: [
+      { id: 'SIM-ITEM-BURGER', name: 'Burger', price: 1299, sku: 'BRG-1', tagIds: ['SIM-TAG-GRILL'] },
+      { id: 'SIM-ITEM-KEBAB', name: 'Chicken Kebab', price: 1499, sku: 'KEB-1', tagIds: ['SIM-TAG-GRILL'] },
+      { id: 'SIM-ITEM-LASSI', name: 'Mango Lassi', price: 499, sku: 'LAS-1', tagIds: ['SIM-TAG-BAR'] },
+      { id: 'SIM-ITEM-NAAN', name: 'Garlic Naan', price: 399, sku: 'NAN-1', tagIds: [] },
+    ],
+    modifiers: [
+      { id: 'SIM-MOD-CHEESE', name: 'Extra cheese', price: 100 },
+      { id: 'SIM-MOD-SPICY', name: 'Extra spicy', price: 0 },
+    ],
+    serviceCharge: { id: 'SIM-SC-SERVICE', name: 'Service charge', percentageDecimal: 180000, enabled: true },
+  },
+  {
+    id: 'SIMMERCHANT02',
+    name: 'Sim Tandoor Airport',
+    token: 'sim-token-2',
+    devices: [
+      { id: 'SIM2-DEV-FRONT', name: 'Front counter', model: 'Flex', serial: 'C043UQ00101', deviceTypeName: 'FLEX', mode: 'ok', defaultFiring: true },
+    ],
+    orderTypes: [
+      { id: 'SIM2-OT-TAKEOUT', label: 'Take Out', labelKey: 'com.clover.order.type.take_out', isDefault: true, systemOrderTypeId: 'TAKE-OUT-TYPE' },
+    ],
+    tags: [],
+    items: [
+      { id: 'SIM2-ITEM-WRAP', name: 'Paneer Wrap', price: 999, sku: 'WRP-1', tagIds: [] },
+    ],
+    modifiers: [],
+    serviceCharge: null,
+  },
+];
+
+module.exports = { SIM_MERCHANTS };
@@ -0,0 +1,36 @@
+/**
+ * Audit log of API calls: which API key called what, and the status it got (src/middleware/auth.js).
+ * DATA_DIR/api-audit.jsonl, one entry per line (src/stores/jsonlStore.js), kept RETENTION_MS and at
+ * most MAX_ENTRIES.
+ */
+
+const { createJsonlStore } = require('./jsonlStore');
+
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = 10000;
+
+const store = createJsonlStore('api-audit.jsonl', { retentionMs: RETENTION_MS, maxEntries: MAX_ENTRIES });
+
+/** Append { at, keyId, keyName, role, method, path, merchantKey, status, durationMs, ip, error? }. */
+function recordApiCall(entry) {
+  store.append(entry);
+}
+
+/** Entries newest first. Filters: { keyId, merchantKey, status, from, to (Date), limit }. */
+function listApiCalls(filters = {}) {
+  const from = filters.from ? filters.from.getTime() : null;
+  const to = filters.to ? filters.to.getTime() : null;
+  return store.read()
+    .filter((e) => !filters.keyId || e.keyId === filters.keyId)
+    .filter((e) => !filters.merchantKey || e.merchantKey === filters.merchantKey)
+    .filter((e) => !filters.status || e.status === filters.status)
+    .filter((e) => from === null || Date.parse(e.at) >= from)
+    .filter((e) => to === null || Date.parse(e.at) <= to)
+    .reverse()
+    .slice(0, filters.limit || 100);
+}
+
+module.exports = {
+  recordApiCall,
+  listApiCalls,
+};
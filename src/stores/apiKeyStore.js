@@ -0,0 +1,93 @@
+/**
+ * API keys for the HTTP API (src/middleware/auth.js), in DATA_DIR/api-keys.json. Only a SHA-256 hash of
+ * each key is stored; the key itself is returned once, when it is created.
+ * Entry: { id, name, role, merchants: ['*'] | [merchantKey...], rateLimitPerMinute, prefix, hash, createdAt, lastUsedAt, revokedAt }.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+
+const KEY_PREFIX = 'cpk_';
+/** lastUsedAt is written at most this often per key, so busy keys don't rewrite the file on every call. */
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const store = createJsonStore('api-keys.json', { keys: [] });
+
+/** SHA-256 hex of a key. Keys are 32 random bytes, so a plain hash is enough (no password stretching). */
+function hashApiKey(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+/** Entry without the hash. */
+function toPublicApiKey({ hash, ...entry }) {
+  return entry;
+}
+
+function listApiKeys() {
+  return store.read().keys.map(toPublicApiKey);
+}
+
+function getApiKey(id) {
+  const entry = store.read().keys.find((k) => k.id === id);
+  return entry ? toPublicApiKey(entry) : null;
+}
+
+/** Active (not revoked) entry for a key as sent by a client, or null. */
+function findApiKeyBySecret(secret) {
+  const hash = hashApiKey(secret);
+  const entry = store.read().keys.find((k) => k.hash === hash && !k.revokedAt);
+  return entry ? toPublicApiKey(entry) : null;
+}
+
+/**
+ * Create a key: { name, role, merchants, rateLimitPerMinute? }. Returns { apiKey (public entry), secret }.
+ * The secret isn't stored and can't be shown again.
+ */
+function createApiKey({ name, role, merchants, rateLimitPerMinute = null }) {
+  const secret = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const entry = {
+    id: `key_${crypto.randomBytes(6).toString('hex')}`,
+    name,
+    role,
+    merchants,
+    rateLimitPerMinute,
+    prefix: secret.slice(0, KEY_PREFIX.length + 6),
+    hash: hashApiKey(secret),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null,
+  };
+  store.update((data) => {
+    data.keys.push(entry);
+  });
+  return { apiKey: toPublicApiKey(entry), secret };
+}
+
+/** Mark a key revoked (kept for the audit log). Returns the entry, or null if unknown. */
+function revokeApiKey(id) {
+  let revoked = null;
+  store.update((data) => {
+    const entry = data.keys.find((k) => k.id === id);
+    if (!entry) return;
+    if (!entry.revokedAt) entry.revokedAt = new Date().toISOString();
+    revoked = toPublicApiKey(entry);
+  });
+  return revoked;
+}
+
+function touchApiKey(apiKey) {
+  if (apiKey.lastUsedAt && Date.now() - Date.parse(apiKey.lastUsedAt) < TOUCH_INTERVAL_MS) return;
+  store.update((data) => {
+    const entry = data.keys.find((k) => k.id === apiKey.id);
+    if (entry) entry.lastUsedAt = new Date().toISOString();
+  });
+}
+
+module.exports = {
+  listApiKeys,
+  getApiKey,
+  findApiKeyBySecret,
+  createApiKey,
+  revokeApiKey,
+  touchApiKey,
+};
@@ -0,0 +1,25 @@
+/**
+ * Last health status seen per device (src/services/deviceHealth.js), in DATA_DIR/device-health.json,
+ * so status changes are noticed across restarts.
+ */
+
+const { createJsonStore } = require('./jsonStore');
+
+const store = createJsonStore('device-health.json', { merchants: {} });
+
+/** { [deviceId]: { status, since, checkedAt } } for a merchant key. */
+function getDeviceStatuses(merchantKey) {
+  return store.read().merchants[merchantKey] || {};
+}
+
+function saveDeviceStatuses(merchantKey, statuses) {
+  store.update((data) => {
+    data.merchants[merchantKey] = statuses;
+  });
+  return statuses;
+}
+
+module.exports = {
+  getDeviceStatuses,
+  saveDeviceStatuses,
+};
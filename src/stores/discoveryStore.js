@@ -0,0 +1,52 @@
+/**
+ * Firing-device discovery sessions (src/services/discovery.js), in DATA_DIR/discovery-sessions.json.
+ * Sessions older than RETENTION_MS are pruned on insert.
+ */
+
+const { createJsonStore } = require('./jsonStore');
+
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const store = createJsonStore('discovery-sessions.json', { sessions: {} });
+
+function insertSession(session) {
+  store.update((data) => {
+    const cutoff = Date.now() - RETENTION_MS;
+    for (const [id, s] of Object.entries(data.sessions)) {
+      if (Date.parse(s.updatedAt) < cutoff) delete data.sessions[id];
+    }
+    data.sessions[session.id] = session;
+  });
+  return session;
+}
+
+function getSession(id) {
+  return store.read().sessions[id] || null;
+}
+
+/** Shallow-merge changes into a session and bump updatedAt. Returns the session, or null if unknown. */
+function updateSession(id, changes) {
+  let updated = null;
+  store.update((data) => {
+    const session = data.sessions[id];
+    if (!session) return;
+    Object.assign(session, changes, { updatedAt: new Date().toISOString() });
+    updated = session;
+  });
+  return updated;
+}
+
+/** Sessions newest first. Filters: { merchantKey, status }. */
+function listSessions(filters = {}) {
+  return Object.values(store.read().sessions)
+    .filter((s) => !filters.merchantKey || s.merchantKey === filters.merchantKey)
+    .filter((s) => !filters.status || s.status === filters.status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+module.exports = {
+  insertSession,
+  getSession,
+  updateSession,
+  listSessions,
+};
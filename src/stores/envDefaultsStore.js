@@ -0,0 +1,27 @@
+/**
+ * Defaults for the .env merchant, which has no registry entry to hold them (e.g. the device picked by
+ * the discovery wizard), in DATA_DIR/env-merchant-defaults.json.
+ */
+
+const { createJsonStore } = require('./jsonStore');
+
+const store = createJsonStore('env-merchant-defaults.json', { defaults: {} });
+
+function getEnvDefaults() {
+  return store.read().defaults;
+}
+
+/** Merge changes into the defaults. Returns the stored defaults. */
+function saveEnvDefaults(changes) {
+  let saved;
+  store.update((data) => {
+    data.defaults = { ...data.defaults, ...changes };
+    saved = data.defaults;
+  });
+  return saved;
+}
+
+module.exports = {
+  getEnvDefaults,
+  saveEnvDefaults,
+};
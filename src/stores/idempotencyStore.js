@@ -0,0 +1,55 @@
+/**
+ * Responses to Idempotency-Key requests (src/middleware/idempotency.js), in DATA_DIR/idempotency-keys.json.
+ * Entry: { scope, fingerprint, state: 'in_progress' | 'done', response: { status, body }, createdAt, expiresAt }.
+ * Expired entries are pruned when a key is claimed.
+ */
+
+const { createJsonStore } = require('./jsonStore');
+
+const store = createJsonStore('idempotency-keys.json', { keys: {} });
+
+/** The entry, or null if unknown or expired. */
+function getIdempotencyEntry(id) {
+  const entry = store.read().keys[id];
+  if (!entry || Date.parse(entry.expiresAt) <= Date.now()) return null;
+  return entry;
+}
+
+/**
+ * Store a new in_progress entry unless a live one exists. Synchronous read-check-write, so two
+ * requests with the same key can't both claim it. Returns true if claimed.
+ */
+function claimIdempotencyKey(id, entry) {
+  let claimed = false;
+  store.update((data) => {
+    const now = Date.now();
+    for (const [k, v] of Object.entries(data.keys)) {
+      if (Date.parse(v.expiresAt) <= now) delete data.keys[k];
+    }
+    if (data.keys[id]) return;
+    data.keys[id] = { ...entry, state: 'in_progress', response: null };
+    claimed = true;
+  });
+  return claimed;
+}
+
+function completeIdempotencyKey(id, response) {
+  store.update((data) => {
+    const entry = data.keys[id];
+    if (entry) Object.assign(entry, { state: 'done', response, completedAt: new Date().toISOString() });
+  });
+}
+
+/** Forget a key (its request wasn't worth replaying), so the next request with it runs again. */
+function releaseIdempotencyKey(id) {
+  store.update((data) => {
+    delete data.keys[id];
+  });
+}
+
+module.exports = {
+  getIdempotencyEntry,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+};
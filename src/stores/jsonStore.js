@@ -0,0 +1,44 @@
+/**
+ * Tiny JSON file store under DATA_DIR. Reads once, keeps the value in memory,
+ * writes atomically (temp file + rename) so a crash never leaves half a file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('../config');
+
+function createJsonStore(fileName, defaultValue) {
+  const filePath = path.join(DATA_DIR, fileName);
+  let cache = null;
+
+  function read() {
+    if (cache) return cache;
+    try {
+      cache = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw new Error(`Could not read ${filePath}: ${err.message}`);
+      cache = structuredClone(defaultValue);
+    }
+    return cache;
+  }
+
+  function write(value) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+    fs.renameSync(tmp, filePath);
+    cache = value;
+    return value;
+  }
+
+  /** Read, apply fn (may mutate and/or return a new value), write. Returns the stored value. */
+  function update(fn) {
+    const current = read();
+    const next = fn(current);
+    return write(next === undefined ? current : next);
+  }
+
+  return { read, write, update, filePath };
+}
+
+module.exports = { createJsonStore };
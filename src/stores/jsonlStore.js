@@ -0,0 +1,99 @@
+/**
+ * Append-only JSON Lines store under DATA_DIR, for the audit logs: adding an entry appends one line,
+ * and so does changing one ({ "$patch": id, "changes": {...} }, merged into the entry on load), so a
+ * write costs the same however long the log is. Entries older than retentionMs, or beyond
+ * maxEntries, are dropped when the file is loaded and whenever it has compactEvery more lines than
+ * maxEntries; the file is then rewritten with the entries left (temp file + rename, like jsonStore).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('../config');
+
+/** options: { retentionMs, maxEntries, compactEvery = 1000 }. Entries are { at, id?, ... }. */
+function createJsonlStore(fileName, { retentionMs, maxEntries, compactEvery = 1000 }) {
+  const filePath = path.join(DATA_DIR, fileName);
+  /** Entries oldest first, loaded on first use; byId for patches. */
+  let entries = null;
+  const byId = new Map();
+  /** Lines in the file: entries and patches. */
+  let lineCount = 0;
+
+  function prune(list) {
+    const cutoff = Date.now() - retentionMs;
+    return list.filter((e) => Date.parse(e.at) >= cutoff).slice(-maxEntries);
+  }
+
+  function compact() {
+    entries = prune(entries);
+    byId.clear();
+    for (const entry of entries) if (entry.id) byId.set(entry.id, entry);
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, entries.map((e) => `${JSON.stringify(e)}\n`).join(''));
+    fs.renameSync(tmp, filePath);
+    lineCount = entries.length;
+  }
+
+  function load() {
+    if (entries) return entries;
+    let text = '';
+    try {
+      text = fs.readFileSync(filePath, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw new Error(`Could not read ${filePath}: ${err.message}`);
+    }
+    entries = [];
+    const lines = text.split('\n').filter(Boolean);
+    for (const line of lines) {
+      let value;
+      try {
+        value = JSON.parse(line);
+      } catch {
+        continue; // A line cut short by a crash mid-append.
+      }
+      if (value.$patch) {
+        const entry = byId.get(value.$patch);
+        if (entry) Object.assign(entry, value.changes);
+      } else {
+        entries.push(value);
+        if (value.id) byId.set(value.id, value);
+      }
+    }
+    lineCount = lines.length;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (prune(entries).length !== lineCount) compact();
+    return entries;
+  }
+
+  function appendLine(value) {
+    if (lineCount + 1 >= maxEntries + compactEvery) return compact();
+    fs.appendFileSync(filePath, `${JSON.stringify(value)}\n`);
+    lineCount++;
+  }
+
+  /** Entries oldest first, without the expired ones. Don't mutate them; use update(). */
+  function read() {
+    return prune(load());
+  }
+
+  function append(entry) {
+    load().push(entry);
+    if (entry.id) byId.set(entry.id, entry);
+    appendLine(entry);
+    return entry;
+  }
+
+  /** Shallow-merge changes into the entry with id. Returns it, or null if it is unknown or was dropped. */
+  function update(id, changes) {
+    load();
+    const entry = byId.get(id);
+    if (!entry) return null;
+    Object.assign(entry, changes);
+    appendLine({ $patch: id, changes });
+    return entry;
+  }
+
+  return { read, append, update, filePath };
+}
+
+module.exports = { createJsonlStore };
@@ -0,0 +1,45 @@
+/**
+ * Merchant registry: one entry per restaurant (Clover merchant id, token, region/base URL, defaults).
+ * Stored in DATA_DIR/merchants.json, keyed by merchant key.
+ */
+
+const { createJsonStore } = require('./jsonStore');
+
+const store = createJsonStore('merchants.json', { merchants: {} });
+
+function listMerchants() {
+  return Object.values(store.read().merchants);
+}
+
+function getMerchant(key) {
+  return store.read().merchants[key] || null;
+}
+
+/** Create or replace an entry. Sets createdAt/updatedAt. Returns the stored entry. */
+function saveMerchant(entry) {
+  const now = new Date().toISOString();
+  let saved;
+  store.update((data) => {
+    const existing = data.merchants[entry.key];
+    saved = { ...entry, createdAt: existing?.createdAt || now, updatedAt: now };
+    data.merchants[entry.key] = saved;
+  });
+  return saved;
+}
+
+/** Returns true if the entry existed. */
+function deleteMerchant(key) {
+  let existed = false;
+  store.update((data) => {
+    existed = Boolean(data.merchants[key]);
+    delete data.merchants[key];
+  });
+  return existed;
+}
+
+module.exports = {
+  listMerchants,
+  getMerchant,
+  saveMerchant,
+  deleteMerchant,
+};
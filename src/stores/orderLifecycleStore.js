@@ -0,0 +1,48 @@
+/**
+ * What this server did to an order after creating it (src/services/orderLifecycle.js): the status
+ * Clover has no field for (fulfilled, voided, deleted) and a short history of changes.
+ * DATA_DIR/order-lifecycle.json, keyed by "<merchantId>:<orderId>"; entries not updated for RETENTION_MS are pruned.
+ */
+
+const { createJsonStore } = require('./jsonStore');
+
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const HISTORY_LIMIT = 50;
+
+const store = createJsonStore('order-lifecycle.json', { orders: {} });
+
+function keyFor(merchantId, orderId) {
+  return `${merchantId}:${orderId}`;
+}
+
+/** { merchantId, orderId, status, history: [{ at, action, summary, ... }], updatedAt } or null. */
+function getOrderRecord(merchantId, orderId) {
+  return store.read().orders[keyFor(merchantId, orderId)] || null;
+}
+
+/**
+ * Append a history entry ({ action, summary, ...details }). changes (e.g. { status: 'voided', voidReason })
+ * are merged into the record. Returns the record.
+ */
+function recordOrderAction(merchantId, orderId, entry, changes = {}) {
+  const key = keyFor(merchantId, orderId);
+  const now = new Date().toISOString();
+  let record;
+  store.update((data) => {
+    const cutoff = Date.now() - RETENTION_MS;
+    for (const [k, v] of Object.entries(data.orders)) {
+      if (Date.parse(v.updatedAt) < cutoff) delete data.orders[k];
+    }
+    record = data.orders[key] || { merchantId, orderId, status: null, history: [] };
+    Object.assign(record, changes, { updatedAt: now });
+    record.history.push({ at: now, ...entry });
+    if (record.history.length > HISTORY_LIMIT) record.history.shift();
+    data.orders[key] = record;
+  });
+  return record;
+}
+
+module.exports = {
+  getOrderRecord,
+  recordOrderAction,
+};
@@ -0,0 +1,47 @@
+/**
+ * Audit log of every print request sent to Clover (src/services/cloverService.js requestPrint), in
+ * DATA_DIR/print-audit.jsonl: one line per attempt, and one per change such as its final state
+ * (src/stores/jsonlStore.js). Kept RETENTION_MS and at most MAX_ENTRIES attempts.
+ */
+
+const crypto = require('crypto');
+const { createJsonlStore } = require('./jsonlStore');
+
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = 10000;
+
+const store = createJsonlStore('print-audit.jsonl', { retentionMs: RETENTION_MS, maxEntries: MAX_ENTRIES });
+
+/** Append an entry. Returns it with its id. */
+function recordPrintAttempt(entry) {
+  return store.append({ id: crypto.randomUUID(), ...entry });
+}
+
+/** Shallow-merge changes into an entry. Returns the entry, or null if it was pruned. */
+function updatePrintAttempt(id, changes) {
+  return store.update(id, changes);
+}
+
+/**
+ * Entries newest first. Filters: { merchantId, orderId, deviceId, state, source, from, to (Date), limit }.
+ */
+function listPrintAttempts(filters = {}) {
+  const from = filters.from ? filters.from.getTime() : null;
+  const to = filters.to ? filters.to.getTime() : null;
+  return store.read()
+    .filter((e) => !filters.merchantId || e.merchantId === filters.merchantId)
+    .filter((e) => !filters.orderId || e.orderId === filters.orderId)
+    .filter((e) => !filters.deviceId || e.deviceId === filters.deviceId)
+    .filter((e) => !filters.state || e.state === filters.state)
+    .filter((e) => !filters.source || e.caller?.source === filters.source)
+    .filter((e) => from === null || Date.parse(e.at) >= from)
+    .filter((e) => to === null || Date.parse(e.at) <= to)
+    .reverse()
+    .slice(0, filters.limit || 100);
+}
+
+module.exports = {
+  recordPrintAttempt,
+  updatePrintAttempt,
+  listPrintAttempts,
+};
@@ -0,0 +1,59 @@
+/**
+ * Print jobs for the durable queue (src/services/printQueue.js), in DATA_DIR/print-jobs.json.
+ * Statuses: scheduled (waiting for its print time), pending, running, done, dead, cancelled.
+ * Finished jobs (done, dead, cancelled) older than RETENTION_MS are pruned on insert.
+ */
+
+const { createJsonStore } = require('./jsonStore');
+
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const FINISHED_STATUSES = ['done', 'dead', 'cancelled'];
+
+const store = createJsonStore('print-jobs.json', { jobs: {} });
+
+function insertJob(job) {
+  store.update((data) => {
+    const cutoff = Date.now() - RETENTION_MS;
+    for (const [id, j] of Object.entries(data.jobs)) {
+      if (FINISHED_STATUSES.includes(j.status) && Date.parse(j.updatedAt) < cutoff) delete data.jobs[id];
+    }
+    data.jobs[job.id] = job;
+  });
+  return job;
+}
+
+function getJob(id) {
+  return store.read().jobs[id] || null;
+}
+
+/** Shallow-merge changes into a job and bump updatedAt. Returns the job, or null if unknown. */
+function updateJob(id, changes) {
+  let updated = null;
+  store.update((data) => {
+    const job = data.jobs[id];
+    if (!job) return;
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    updated = job;
+  });
+  return updated;
+}
+
+/** Jobs newest first. Filters: { merchantKey, status (one or a list), orderId, batchId, limit }. */
+function listJobs(filters = {}) {
+  const statuses = filters.status ? [].concat(filters.status) : null;
+  return Object.values(store.read().jobs)
+    .filter((j) => !filters.merchantKey || j.merchantKey === filters.merchantKey)
+    .filter((j) => !statuses || statuses.includes(j.status))
+    .filter((j) => !filters.orderId || j.orderId === filters.orderId)
+    .filter((j) => !filters.batchId || j.batchId === filters.batchId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, filters.limit || 100);
+}
+
+module.exports = {
+  insertJob,
+  getJob,
+  updateJob,
+  listJobs,
+  FINISHED_STATUSES,
+};
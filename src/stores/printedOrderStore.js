@@ -0,0 +1,54 @@
+/**
+ * Orders already auto-printed from a webhook, so a re-delivered Clover event doesn't print twice.
+ * DATA_DIR/webhook-printed.json, keyed by "<merchantId>:<orderId>"; entries older than RETENTION_MS are pruned.
+ */
+
+const { createJsonStore } = require('./jsonStore');
+
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const store = createJsonStore('webhook-printed.json', { orders: {} });
+
+function keyFor(merchantId, orderId) {
+  return `${merchantId}:${orderId}`;
+}
+
+/**
+ * Claim an order for printing. Returns false if it was already claimed (printed or in progress).
+ * Synchronous read-check-write, so two deliveries of the same event can't both claim it.
+ */
+function claimOrder(merchantId, orderId, info = {}) {
+  const key = keyFor(merchantId, orderId);
+  let claimed = false;
+  store.update((data) => {
+    const cutoff = Date.now() - RETENTION_MS;
+    for (const [k, v] of Object.entries(data.orders)) {
+      if (Date.parse(v.claimedAt) < cutoff) delete data.orders[k];
+    }
+    if (data.orders[key]) return;
+    data.orders[key] = { ...info, claimedAt: new Date().toISOString() };
+    claimed = true;
+  });
+  return claimed;
+}
+
+/** Record the print result on a claimed order. */
+function markPrinted(merchantId, orderId, result) {
+  store.update((data) => {
+    const entry = data.orders[keyFor(merchantId, orderId)];
+    if (entry) Object.assign(entry, result, { printedAt: new Date().toISOString() });
+  });
+}
+
+/** Drop a claim (the print job couldn't be queued) so the next delivery can try again. */
+function releaseOrder(merchantId, orderId) {
+  store.update((data) => {
+    delete data.orders[keyFor(merchantId, orderId)];
+  });
+}
+
+module.exports = {
+  claimOrder,
+  markPrinted,
+  releaseOrder,
+};
@@ -0,0 +1,36 @@
+/**
+ * Printer routing rules per merchant key (src/services/routing.js), in DATA_DIR/routing-rules.json.
+ */
+
+const { createJsonStore } = require('./jsonStore');
+
+const store = createJsonStore('routing-rules.json', { merchants: {} });
+
+/** { rules, fallbackDeviceIds, timezone, updatedAt } or null. */
+function getRouting(merchantKey) {
+  return store.read().merchants[merchantKey] || null;
+}
+
+function saveRouting(merchantKey, routing) {
+  const saved = { ...routing, updatedAt: new Date().toISOString() };
+  store.update((data) => {
+    data.merchants[merchantKey] = saved;
+  });
+  return saved;
+}
+
+/** Returns true if the merchant had rules. */
+function deleteRouting(merchantKey) {
+  let existed = false;
+  store.update((data) => {
+    existed = Boolean(data.merchants[merchantKey]);
+    delete data.merchants[merchantKey];
+  });
+  return existed;
+}
+
+module.exports = {
+  getRouting,
+  saveRouting,
+  deleteRouting,
+};
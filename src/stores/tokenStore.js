@@ -0,0 +1,58 @@
+/**
+ * OAuth tokens per merchant key, in DATA_DIR/oauth-tokens.json. Access and refresh tokens are
+ * encrypted (src/utils/crypto.js); expiry metadata is kept in clear so /check can report it.
+ */
+
+const { createJsonStore } = require('./jsonStore');
+const { encrypt, decrypt } = require('../utils/crypto');
+
+const store = createJsonStore('oauth-tokens.json', { tokens: {} });
+
+function hasTokens(key) {
+  return Boolean(store.read().tokens[key]);
+}
+
+/**
+ * tokens: { accessToken, refreshToken, accessTokenExpiresAt, refreshTokenExpiresAt, merchantId, scopes? }
+ * (expiry as ISO strings).
+ */
+function saveTokens(key, tokens) {
+  const { accessToken, refreshToken, ...meta } = tokens;
+  store.update((data) => {
+    data.tokens[key] = {
+      ...meta,
+      secret: encrypt(JSON.stringify({ accessToken, refreshToken })),
+      updatedAt: new Date().toISOString(),
+    };
+  });
+}
+
+/** Decrypted tokens plus metadata, or null. */
+function getTokens(key) {
+  const entry = store.read().tokens[key];
+  if (!entry) return null;
+  const { secret, ...meta } = entry;
+  return { ...meta, ...JSON.parse(decrypt(secret)) };
+}
+
+/** Metadata only (no secrets), or null. */
+function getTokenInfo(key) {
+  const entry = store.read().tokens[key];
+  if (!entry) return null;
+  const { secret, ...meta } = entry;
+  return meta;
+}
+
+function deleteTokens(key) {
+  store.update((data) => {
+    delete data.tokens[key];
+  });
+}
+
+module.exports = {
+  hasTokens,
+  saveTokens,
+  getTokens,
+  getTokenInfo,
+  deleteTokens,
+};
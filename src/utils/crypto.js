@@ -0,0 +1,34 @@
+/**
+ * AES-256-GCM encryption for secrets at rest (OAuth tokens). Key comes from TOKEN_ENCRYPTION_KEY
+ * (any passphrase; stretched with scrypt). Output is "iv.tag.ciphertext", all base64.
+ */
+
+const crypto = require('crypto');
+const { TOKEN_ENCRYPTION_KEY } = require('../config');
+
+const SALT = 'clover-print-token-store';
+let derivedKey = null;
+
+function getKey() {
+  if (!TOKEN_ENCRYPTION_KEY) {
+    throw new Error('TOKEN_ENCRYPTION_KEY is not set in .env; it is required to store OAuth tokens.');
+  }
+  if (!derivedKey) derivedKey = crypto.scryptSync(TOKEN_ENCRYPTION_KEY, SALT, 32);
+  return derivedKey;
+}
+
+function encrypt(plainText) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((b) => b.toString('base64')).join('.');
+}
+
+function decrypt(payload) {
+  const [iv, tag, encrypted] = String(payload).split('.').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+module.exports = { encrypt, decrypt };
@@ -0,0 +1,18 @@
+/**
+ * toCsv(rows, columns) – RFC 4180 CSV with a header row. columns: [{ header, value: (row) => any }].
+ * Objects are written as JSON; null/undefined as empty cells.
+ */
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.map((c) => csvCell(c.header)).join(',')];
+  for (const row of rows) lines.push(columns.map((c) => csvCell(c.value(row))).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { toCsv };
@@ -0,0 +1,70 @@
+/**
+ * Typed error for failed Clover API calls. Thrown by the Clover client (src/services/cloverClient.js)
+ * so routes and services never dig through raw axios errors.
+ */
+
+/** Error kinds: what went wrong, independent of the HTTP status. */
+const ERROR_KINDS = {
+  AUTH: 'auth',
+  PERMISSION: 'permission',
+  NOT_FOUND: 'not_found',
+  RATE_LIMIT: 'rate_limit',
+  SERVER: 'server',
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  CLIENT: 'client',
+};
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+function kindFromStatus(status) {
+  if (status === 401) return ERROR_KINDS.AUTH;
+  if (status === 403) return ERROR_KINDS.PERMISSION;
+  if (status === 404) return ERROR_KINDS.NOT_FOUND;
+  if (status === 429) return ERROR_KINDS.RATE_LIMIT;
+  if (status >= 500) return ERROR_KINDS.SERVER;
+  return ERROR_KINDS.CLIENT;
+}
+
+class CloverApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ status?: number|null, data?: any, kind?: string, code?: string, method?: string, url?: string, attempts?: number }} details
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'CloverApiError';
+    this.status = details.status ?? null;
+    this.data = details.data;
+    this.kind = details.kind || (this.status ? kindFromStatus(this.status) : ERROR_KINDS.NETWORK);
+    this.code = details.code;
+    this.method = details.method;
+    this.url = details.url;
+    this.attempts = details.attempts || 1;
+  }
+
+  /** True for errors worth retrying: 429, 5xx, timeouts and network failures. */
+  get retryable() {
+    return [ERROR_KINDS.RATE_LIMIT, ERROR_KINDS.SERVER, ERROR_KINDS.TIMEOUT, ERROR_KINDS.NETWORK].includes(this.kind);
+  }
+
+  /** Build from an axios error (with or without a response). */
+  static fromAxiosError(err, attempts = 1) {
+    const status = err.response?.status ?? null;
+    const data = err.response?.data;
+    let kind;
+    if (!err.response) kind = TIMEOUT_CODES.includes(err.code) ? ERROR_KINDS.TIMEOUT : ERROR_KINDS.NETWORK;
+    const message = data?.message || data?.error || err.message;
+    return new CloverApiError(typeof message === 'string' ? message : JSON.stringify(message), {
+      status,
+      data,
+      kind,
+      code: err.code,
+      method: err.config?.method?.toUpperCase(),
+      url: err.config?.url,
+      attempts,
+    });
+  }
+}
+
+module.exports = { CloverApiError, ERROR_KINDS };
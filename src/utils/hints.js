@@ -1,9 +1,16 @@
 /**
- * User-friendly hints for Clover API errors (401, 403, 404, etc.).
+ * User-friendly hints for Clover API errors (401, 403, 404, 429, 5xx, timeouts, etc.).
+ * kind is CloverApiError#kind (see src/utils/errors.js) when available.
  */
 
-function getHint(step, status, data) {
-  if (status === 401) return 'Invalid or expired token. Check CLOVER_ACCESS_TOKEN and use the correct Clover environment (sandbox vs production).';
+const { ERROR_KINDS } = require('./errors');
+
+function getHint(step, status, data, kind) {
+  if (kind === ERROR_KINDS.TIMEOUT) return 'Clover did not answer in time (after retries). Try again, or raise CLOVER_TIMEOUT_MS in .env.';
+  if (kind === ERROR_KINDS.NETWORK) return 'Could not reach Clover. Check network access and that CLOVER_BASE_URL is correct.';
+  if (status === 429) return 'Clover rate limit hit (after retries). Wait a few seconds, or lower CLOVER_MAX_CONCURRENCY in .env.';
+  if (status >= 500) return 'Clover server error (after retries). Try again shortly; check https://status.clover.com if it persists.';
+  if (status === 401) return 'Invalid or expired token. Check CLOVER_ACCESS_TOKEN and use the correct Clover environment (sandbox vs production), or re-authorize via a link from POST /oauth/authorize-link.';
   if (status === 403) return 'Token does not have permission for this action. Check token scope in Clover Developer Dashboard.';
   if (status === 404) return 'Merchant or resource not found. If using sandbox, set CLOVER_BASE_URL=https://apisandbox.dev.clover.com in .env.';
   if (status === 422 && step === 'lock_order') return 'Try PATCH instead of POST for order update, or check request body.';
@@ -11,8 +18,19 @@ function getHint(step, status, data) {
   if (status === 400 && step === 'create_order' && data?.message && /order type/i.test(data.message)) {
     return 'This merchant has no order types (GET /test-print/order-types returns empty). Omit orderTypeId in the body and use POST /test-print with {} or { "tryAllDevices": true }. Or create order types in Clover Setup first.';
   }
-  if (step === 'create_order') return 'Ensure token has order write permission and CLOVER_BASE_URL matches your merchant region (e.g. api.eu.clover.com for Europe).';
+  if (step === 'update_order') return 'Ensure the token has order write permission. GET /test-print/orders/<orderId> shows the order and which changes its status allows.';
+  if (step === 'create_order' || step === 'check') return 'Ensure token has order write permission and CLOVER_BASE_URL matches your merchant region (e.g. api.eu.clover.com for Europe).';
   return null;
 }
 
-module.exports = { getHint };
+/** One line on how a tracked print event (cloverService.waitForPrintEvent record) ended, for debug output. */
+function describePrintEvent(record) {
+  if (!record) return 'not tracked.';
+  if (record.state === 'FAILED') return 'print event FAILED – device or printer problem.';
+  if (record.state === 'DONE') return `DONE after ${Math.round(record.durationMs / 1000)}s – job reached printer.`;
+  if (record.timedOut) return `still ${record.state} after ${Math.round(record.durationMs / 1000)}s – device may be offline or slow.`;
+  if (record.lastError) return `status error – ${JSON.stringify(record.lastError)}`;
+  return `state ${record.state}.`;
+}
+
+module.exports = { getHint, describePrintEvent };
@@ -0,0 +1,39 @@
+/**
+ * Small promise concurrency limiter: at most `max` tasks run at once, the rest wait in FIFO order.
+ */
+
+function createLimiter(max) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= max || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return {
+    /** Run task() when a slot is free. Resolves/rejects with the task's result. */
+    run(task) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+      });
+    },
+    get active() {
+      return active;
+    },
+    get pending() {
+      return queue.length;
+    },
+  };
+}
+
+module.exports = { createLimiter };
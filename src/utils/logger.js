@@ -0,0 +1,85 @@
+/**
+ * Structured logging. One JSON object per line – { time, level, component, msg, requestId?, jobId?, ...fields } –
+ * on stdout (warn and error on stderr), or "time LEVEL [component] msg key=value" with format 'text'.
+ * The request context (src/utils/requestContext.js) is added to every line, and secrets are redacted:
+ * Bearer tokens, *token / *secret / password / api key fields, and token query parameters.
+ *
+ *   const log = createLogger('Print queue');
+ *   log.info('Job enqueued', { jobId, orderId });
+ *
+ * Same (message, fields) signature as the CloverPrintClient logger option. Level and format are set
+ * by configureLogger (config.js: LOG_LEVEL, LOG_FORMAT).
+ */
+
+const { getContext } = require('./requestContext');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+const SECRET_FIELD = /^(authorization|cookie|password)$|token$|secret$|api[-_]?key$/i;
+const SECRET_PATTERNS = [
+  [/\b(Bearer\s+)[^\s"',]+/gi, `$1${REDACTED}`],
+  [/([?&](?:access_token|refresh_token|client_secret|code)=)[^&\s"]+/gi, `$1${REDACTED}`],
+];
+const MAX_DEPTH = 6;
+
+const settings = { level: 'info', format: 'json', stdout: process.stdout, stderr: process.stderr };
+
+/** options: { level, format: 'json' | 'text', stdout, stderr } (streams, e.g. stdout: process.stderr for the CLI). */
+function configureLogger(options = {}) {
+  if (LEVELS[options.level]) settings.level = options.level;
+  if (options.format === 'json' || options.format === 'text') settings.format = options.format;
+  if (options.stdout) settings.stdout = options.stdout;
+  if (options.stderr) settings.stderr = options.stderr;
+}
+
+function redactString(value) {
+  return SECRET_PATTERNS.reduce((s, [pattern, replacement]) => s.replace(pattern, replacement), value);
+}
+
+/** Copy of value with secrets replaced; Errors become { name, message, status?, code? }. */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value instanceof Error) {
+    return redact({ name: value.name, message: value.message, status: value.status, code: value.code }, depth);
+  }
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+  return Object.fromEntries(Object.entries(value)
+    .filter(([, v]) => v !== undefined)
+    .map(([key, v]) => [key, SECRET_FIELD.test(key) && v ? REDACTED : redact(v, depth + 1)]));
+}
+
+function textLine({ time, level, component, msg, ...fields }) {
+  const pairs = Object.entries(fields).map(([key, v]) => `${key}=${typeof v === 'string' ? v : JSON.stringify(v)}`);
+  return [time, level.toUpperCase(), `[${component}]`, msg, ...pairs].join(' ');
+}
+
+function write(level, component, msg, fields) {
+  if (LEVELS[level] < LEVELS[settings.level]) return;
+  const entry = redact({ time: new Date().toISOString(), level, component, msg, ...getContext(), ...fields });
+  const stream = LEVELS[level] >= LEVELS.warn ? settings.stderr : settings.stdout;
+  stream.write(`${settings.format === 'text' ? textLine(entry) : JSON.stringify(entry)}\n`);
+}
+
+/** Logger for one component (the old "[Tag]" prefix): { debug, info, warn, error }(message, fields?). */
+function createLogger(component) {
+  return Object.fromEntries(Object.keys(LEVELS).map((level) => [level, (msg, fields) => write(level, component, msg, fields)]));
+}
+
+/** Log fields for a failed Clover call (CloverApiError) or any other error. */
+function errorFields(err) {
+  return {
+    cloverStatus: err.status,
+    errorKind: err.kind,
+    error: err.data || err.message,
+  };
+}
+
+module.exports = {
+  LEVELS,
+  configureLogger,
+  createLogger,
+  errorFields,
+  redact,
+};
@@ -0,0 +1,59 @@
+/**
+ * toTicketPdf(ticket) – one-page PDF of a laid-out ticket in Courier, sized like a receipt
+ * (ticket.width columns). No dependencies: writes the PDF objects and xref table directly.
+ * Ticket lines: { text, align, bold, double }.
+ */
+
+const { toAscii } = require('./printerCommands');
+
+const FONT_SIZE = 9;
+/** Courier glyphs are 0.6 em wide. */
+const CHAR_WIDTH = FONT_SIZE * 0.6;
+const LINE_HEIGHT = FONT_SIZE * 1.3;
+const MARGIN = 12;
+
+function pdfString(text) {
+  return `(${toAscii(text).replace(/[\\()]/g, (c) => `\\${c}`)})`;
+}
+
+function pageContent(ticket, pageHeight) {
+  const ops = [];
+  let y = pageHeight - MARGIN;
+  for (const line of ticket.lines) {
+    const scale = line.double ? 2 : 1;
+    y -= LINE_HEIGHT * scale;
+    const textWidth = line.text.length * CHAR_WIDTH * scale;
+    const freeWidth = ticket.width * CHAR_WIDTH - textWidth;
+    const offset = line.align === 'center' ? freeWidth / 2 : line.align === 'right' ? freeWidth : 0;
+    ops.push(`BT /${line.bold ? 'F2' : 'F1'} ${FONT_SIZE * scale} Tf ${(MARGIN + offset).toFixed(2)} ${y.toFixed(2)} Td ${pdfString(line.text)} Tj ET`);
+  }
+  return ops.join('\n');
+}
+
+function toTicketPdf(ticket) {
+  const pageWidth = ticket.width * CHAR_WIDTH + 2 * MARGIN;
+  const pageHeight = ticket.lines.reduce((h, l) => h + LINE_HEIGHT * (l.double ? 2 : 1), 2 * MARGIN + FONT_SIZE / 2);
+  const content = pageContent(ticket, pageHeight);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth.toFixed(2)} ${pageHeight.toFixed(2)}] `
+      + '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(Buffer.byteLength(pdf, 'latin1'));
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = { toTicketPdf };
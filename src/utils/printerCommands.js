@@ -0,0 +1,90 @@
+/**
+ * Raw printer bytes for a laid-out ticket (src/services/ticketRenderer.js): ESC/POS (Epson and most
+ * thermal printers, Star in ESC/POS emulation) and Star Line Mode (Star SP700, TSP100 in Star mode).
+ * Ticket lines: { text, align: 'left'|'center'|'right', bold, double }, already wrapped to fit.
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+const ALIGN_CODES = { left: 0, center: 1, right: 2 };
+
+const ASCII_REPLACEMENTS = {
+  '–': '-', '—': '-', '‘': "'", '’': "'", '“': '"', '”': '"', '•': '*', '·': '-', '…': '...', '€': 'EUR', '£': 'GBP',
+};
+
+/** Printable ASCII for code page 437/Latin printers: accents stripped, typographic characters replaced, others '?'. */
+function toAscii(text) {
+  return String(text)
+    .replace(/[–—‘’“”•·…€£]/g, (c) => ASCII_REPLACEMENTS[c])
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, '?');
+}
+
+function textBytes(text) {
+  return [...Buffer.from(toAscii(text), 'ascii')];
+}
+
+/** ESC/POS: ESC @ init, ESC a align, ESC E bold, GS ! size, feed and partial cut (GS V 66). */
+function toEscPos(ticket) {
+  const bytes = [ESC, 0x40];
+  for (const line of ticket.lines) {
+    bytes.push(ESC, 0x61, ALIGN_CODES[line.align || 'left']);
+    bytes.push(ESC, 0x45, line.bold ? 1 : 0);
+    bytes.push(GS, 0x21, line.double ? 0x11 : 0x00);
+    bytes.push(...textBytes(line.text), LF);
+  }
+  bytes.push(ESC, 0x45, 0, GS, 0x21, 0, ESC, 0x61, 0);
+  bytes.push(GS, 0x56, 66, 3);
+  return Buffer.from(bytes);
+}
+
+/** Star Line Mode: ESC @ init, ESC GS a align, ESC E / ESC F bold, ESC i size, ESC d 3 feed and partial cut. */
+function toStarLine(ticket) {
+  const bytes = [ESC, 0x40];
+  for (const line of ticket.lines) {
+    bytes.push(ESC, GS, 0x61, ALIGN_CODES[line.align || 'left']);
+    bytes.push(ESC, line.bold ? 0x45 : 0x46);
+    bytes.push(ESC, 0x69, line.double ? 1 : 0, line.double ? 1 : 0);
+    bytes.push(...textBytes(line.text), LF);
+  }
+  bytes.push(ESC, 0x46, ESC, 0x69, 0, 0, ESC, GS, 0x61, 0);
+  bytes.push(ESC, 0x64, 3);
+  return Buffer.from(bytes);
+}
+
+/** Length of each command this module writes, by dialect: ESC/GS + command byte → total bytes. */
+const COMMAND_LENGTHS = {
+  escpos: { [`${ESC},${0x40}`]: 2, [`${ESC},${0x61}`]: 3, [`${ESC},${0x45}`]: 3, [`${ESC},${0x64}`]: 3, [`${GS},${0x21}`]: 3, [`${GS},${0x56}`]: 4 },
+  star: { [`${ESC},${0x40}`]: 2, [`${ESC},${0x45}`]: 2, [`${ESC},${0x46}`]: 2, [`${ESC},${0x69}`]: 4, [`${ESC},${0x64}`]: 3, [`${ESC},${GS}`]: 4 },
+};
+
+/** 'star' or 'escpos' for bytes written by toStarLine / toEscPos (Star uses ESC GS a for alignment). */
+function detectDialect(bytes) {
+  for (let i = 0; i + 1 < bytes.length; i++) {
+    if (bytes[i] === ESC && bytes[i + 1] === GS) return 'star';
+  }
+  return 'escpos';
+}
+
+/**
+ * Printable text of ticket bytes from toEscPos / toStarLine (commands removed), e.g. for a TCP sink
+ * that captured them. Unknown control bytes are dropped.
+ */
+function toPlainText(bytes) {
+  const lengths = COMMAND_LENGTHS[detectDialect(bytes)];
+  let text = '';
+  for (let i = 0; i < bytes.length;) {
+    const byte = bytes[i];
+    if (byte === ESC || byte === GS) {
+      i += lengths[`${byte},${bytes[i + 1]}`] || 2;
+    } else {
+      if (byte === LF || (byte >= 0x20 && byte <= 0x7e)) text += String.fromCharCode(byte);
+      i++;
+    }
+  }
+  return text;
+}
+
+module.exports = { toAscii, toEscPos, toStarLine, detectDialect, toPlainText };
@@ -0,0 +1,30 @@
+/**
+ * Request context (AsyncLocalStorage): the request id set by src/middleware/requestContext.js, or the
+ * job id (and the id of the request that enqueued it) while the print queue works a job. Everything that
+ * runs on behalf of it – cloverService calls, print event polling – sees the same context, so log lines
+ * (src/utils/logger.js) carry the ids without passing them through every function.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/** Run fn with context ({ requestId?, jobId? }) replacing the current one. Returns fn's result. */
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/** The current context, or {} outside of a request or job. */
+function getContext() {
+  return storage.getStore() || {};
+}
+
+function getRequestId() {
+  return getContext().requestId || null;
+}
+
+module.exports = {
+  runWithContext,
+  getContext,
+  getRequestId,
+};
@@ -0,0 +1,98 @@
+/**
+ * Check a value against a JSON Schema subset – enough for the request schemas in src/api/schemas.js:
+ * type (one or a list), enum, properties, required, additionalProperties: false, items, minItems,
+ * maxItems, minLength, maxLength, pattern, minimum, maximum, exclusiveMinimum, format: 'date-time'.
+ * Annotations (description, example, default) are ignored.
+ * One extension, check: (value, path) => message or null, for rules across fields (only one of
+ * deviceId / route / split, unique station names, ...). It runs once the value itself has no errors;
+ * being a function, it drops out of the JSON OpenAPI document.
+ * Returns readable error strings: "lineItems[0].quantity must be at least 1."
+ */
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'an array',
+  null: 'null',
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function checkString(schema, value, label, errors) {
+  if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(schema.minLength === 1 ? `${label} must not be empty.` : `${label} must be at least ${schema.minLength} characters.`);
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${label} must be at most ${schema.maxLength} characters.`);
+  if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) errors.push(`${label} has an invalid format.`);
+  if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+    errors.push(`${label} must be an ISO date-time, e.g. "2026-01-01T22:30:00-05:00".`);
+  }
+}
+
+function checkNumber(schema, value, label, errors) {
+  if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${label} must be at least ${schema.minimum}.`);
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${label} must be above ${schema.exclusiveMinimum}.`);
+  if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${label} must be at most ${schema.maximum}.`);
+}
+
+function visit(schema, value, path, errors) {
+  const label = path || 'Body';
+  const errorsBefore = errors.length;
+  const types = schema.type === undefined ? null : [].concat(schema.type);
+  if (types && !types.some((type) => matchesType(type, value))) {
+    errors.push(`${label} must be ${types.map((type) => TYPE_NAMES[type]).join(' or ')}.`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label} must be one of: ${schema.enum.join(', ')}.`);
+    return;
+  }
+  if (typeof value === 'string') checkString(schema, value, label, errors);
+  if (typeof value === 'number') checkNumber(schema, value, label, errors);
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(schema.minItems === 1 ? `${label} must be a non-empty array.` : `${label} must have at least ${schema.minItems} entries.`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${label} must have at most ${schema.maxItems} entries.`);
+    if (schema.items) value.forEach((item, i) => visit(schema.items, item, `${path}[${i}]`, errors));
+  } else if (value && typeof value === 'object') {
+    const prefix = path ? `${path}.` : '';
+    const properties = schema.properties || {};
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) errors.push(`${prefix}${field} is required.`);
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (properties[field]) {
+        if (fieldValue !== undefined) visit(properties[field], fieldValue, `${prefix}${field}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${prefix}${field} is not a known field.`);
+      }
+    }
+  }
+  if (schema.check && errors.length === errorsBefore) {
+    const error = schema.check(value, path);
+    if (error) errors.push(error);
+  }
+}
+
+/** Errors for value against schema; empty list means it's valid. path prefixes the messages. */
+function checkSchema(schema, value, path = '') {
+  const errors = [];
+  visit(schema, value, path, errors);
+  return errors;
+}
+
+module.exports = { checkSchema };
@@ -0,0 +1,33 @@
+/**
+ * Single error path for every endpoint: turn a CloverApiError (or any other error) into
+ * the JSON error response with a getHint() hint.
+ */
+
+const { CloverApiError, ERROR_KINDS } = require('./errors');
+const { getHint } = require('./hints');
+
+function httpStatusFor(err) {
+  if (!(err instanceof CloverApiError)) return 500;
+  if (err.status >= 400) return err.status;
+  if (err.kind === ERROR_KINDS.TIMEOUT) return 504;
+  if (err.kind === ERROR_KINDS.NETWORK) return 502;
+  return 500;
+}
+
+function sendCloverError(res, step, err) {
+  const isClover = err instanceof CloverApiError;
+  const cloverStatus = isClover ? err.status : null;
+  const kind = isClover ? err.kind : 'internal';
+  res.status(httpStatusFor(err)).json({
+    success: false,
+    failedStep: step || 'unknown',
+    error: err.message,
+    errorKind: kind,
+    cloverStatus,
+    cloverResponse: isClover ? err.data : undefined,
+    attempts: isClover ? err.attempts : undefined,
+    hint: getHint(step, cloverStatus, isClover ? err.data : undefined, kind),
+  });
+}
+
+module.exports = { sendCloverError };
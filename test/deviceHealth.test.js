@@ -0,0 +1,32 @@
+/**
+ * Device health with a short window: a device whose last DONE print is older than the window is
+ * "silent" (with lastSuccessAt), not "unknown".
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('device health', () => {
+  let server;
+  before(async () => {
+    server = await startServer({ DEVICE_HEALTH_WINDOW_MS: '3000', DEVICE_HEALTH_SILENT_MS: '2000' });
+  });
+  after(() => server?.stop());
+
+  test('a device that last printed before the window is silent', async () => {
+    const printed = await server.api('POST', '/test-print', { deviceId: 'SIM-DEV-KITCHEN', waitForResult: true });
+    assert.equal(printed.status, 200, JSON.stringify(printed.body));
+    const health = async () => (await server.api('GET', '/test-print/devices/health')).body.devices;
+
+    assert.equal((await health()).find((d) => d.deviceId === 'SIM-DEV-KITCHEN').status, 'healthy');
+    await new Promise((resolve) => setTimeout(resolve, 3500));
+
+    const devices = await health();
+    const kitchen = devices.find((d) => d.deviceId === 'SIM-DEV-KITCHEN');
+    assert.equal(kitchen.status, 'silent');
+    assert.equal(kitchen.prints, 0);
+    assert.ok(kitchen.lastSuccessAt);
+    assert.equal(devices.find((d) => d.deviceId === 'SIM-DEV-BAR').status, 'unknown');
+  });
+});
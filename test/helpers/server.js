@@ -0,0 +1,121 @@
+/**
+ * Test server: server.js with the Clover simulator (CLOVER_SIMULATOR=true), on free ports and a
+ * temporary DATA_DIR, as a child process. Tests call it over HTTP like any client would.
+ *
+ *   const server = await startServer({ PRINT_EVENT_TIMEOUT_MS: '2000' });
+ *   const { status, body } = await server.api('POST', '/test-print', { waitForResult: true });
+ *   await server.stop();
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const STARTUP_TIMEOUT_MS = 15000;
+
+/** A port nothing listens on right now. */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/** fetch wrapper: { status, headers, body } with JSON bodies parsed. */
+async function request(baseURL, method, urlPath, body, headers = {}) {
+  const res = await fetch(`${baseURL}${urlPath}`, {
+    method,
+    redirect: 'manual',
+    headers: { ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}), ...headers },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  const text = await res.text();
+  const isJson = (res.headers.get('content-type') || '').includes('json');
+  return { status: res.status, headers: res.headers, body: isJson && text ? JSON.parse(text) : text };
+}
+
+async function waitUntilUp(url, child, output) {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) throw new Error(`server.js exited (${child.exitCode}):\n${output()}`);
+    try {
+      if ((await fetch(url)).ok) return;
+    } catch {
+      // Not listening yet.
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`server.js did not start within ${STARTUP_TIMEOUT_MS}ms:\n${output()}`);
+}
+
+/**
+ * Start server.js + simulator. env overrides the test defaults (API_AUTH off, fast simulated prints,
+ * short print event timeout, no LAN sink, no device health monitor). Resolves with
+ * { url, simURL, dataDir, api(method, path, body?, headers?), sim(method, path, body?), output(), stop() }.
+ */
+async function startServer(env = {}) {
+  const port = await freePort();
+  const simulatorPort = await freePort();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clover-print-test-'));
+  const child = spawn(process.execPath, [path.join(ROOT, 'server.js')], {
+    cwd: ROOT,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    env: {
+      ...process.env,
+      CLOVER_SIMULATOR: 'true',
+      PORT: String(port),
+      SIMULATOR_PORT: String(simulatorPort),
+      SIMULATOR_LAN_PORT: '0',
+      SIMULATOR_PRINT_MS: '200',
+      PRINT_EVENT_TIMEOUT_MS: '2000',
+      PRINT_JOB_RETRY_BASE_MS: '200',
+      PRINT_JOB_RETRY_MAX_MS: '500',
+      DEVICE_HEALTH_INTERVAL_MS: '0',
+      BATCH_PRINT_INTERVAL_MS: '0',
+      API_AUTH: 'false',
+      LOG_LEVEL: 'warn',
+      DATA_DIR: dataDir,
+      ...env,
+    },
+  });
+  let log = '';
+  child.stdout.on('data', (chunk) => { log += chunk; });
+  child.stderr.on('data', (chunk) => { log += chunk; });
+  const output = () => log;
+
+  const url = `http://localhost:${port}`;
+  const simURL = `http://localhost:${simulatorPort}`;
+  try {
+    await waitUntilUp(`${url}/api/v1/openapi.json`, child, output);
+  } catch (err) {
+    child.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    throw err;
+  }
+
+  return {
+    url,
+    simURL,
+    dataDir,
+    api: (method, urlPath, body, headers) => request(url, method, urlPath, body, headers),
+    sim: (method, urlPath, body) => request(simURL, method, urlPath, body),
+    output,
+    async stop() {
+      if (child.exitCode === null) {
+        const exited = new Promise((resolve) => child.once('exit', resolve));
+        child.kill();
+        await exited;
+      }
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = { startServer, request, freePort };
@@ -0,0 +1,58 @@
+/**
+ * LAN fallback printing into the simulator's TCP printer sink (SIMULATOR_LAN_PORT): the bytes the
+ * sink received are checked as ESC/POS or Star Line Mode commands.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, freePort } = require('./helpers/server');
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+describe('LAN printing into the simulator sink', () => {
+  let server;
+  let lanPort;
+  before(async () => {
+    lanPort = await freePort();
+    server = await startServer({ SIMULATOR_LAN_PORT: String(lanPort) });
+  });
+  after(() => server?.stop());
+
+  async function lastLanJob() {
+    const { body } = await server.sim('GET', '/_sim/lan-jobs');
+    return { ...body.jobs[0], data: Buffer.from(body.jobs[0].base64, 'base64') };
+  }
+
+  test('a print that FAILED on the Clover device falls back to the LAN printer as ESC/POS', async () => {
+    const put = await server.api('PUT', '/test-print/lan-printer', { host: '127.0.0.1', port: lanPort, model: 'TM_T88' });
+    assert.equal(put.status, 200, JSON.stringify(put.body));
+
+    const { status, body } = await server.api('POST', '/test-print', { deviceId: 'SIM-DEV-JAMMED', waitForResult: true });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.printEvent.state, 'FAILED');
+    assert.equal(body.printEvent.lanFallback.success, true);
+
+    const job = await lastLanJob();
+    assert.equal(job.dialect, 'escpos');
+    assert.equal(job.bytes, body.printEvent.lanFallback.bytes);
+    assert.deepEqual([...job.data.subarray(0, 2)], [ESC, 0x40], 'starts with ESC @ (init)');
+    assert.deepEqual([...job.data.subarray(-4)], [GS, 0x56, 66, 3], 'ends with GS V 66 (feed and partial cut)');
+    assert.ok(job.data.includes(Buffer.from([ESC, 0x45, 1])), 'has bold on (ESC E 1)');
+    assert.match(job.text, /Print Test Item 1/);
+    assert.ok(job.text.includes(body.orderId));
+  });
+
+  test('POST /test-print/lan-printer/test sends Star Line Mode to an SP700', async () => {
+    await server.api('PUT', '/test-print/lan-printer', { host: '127.0.0.1', port: lanPort, model: 'SP700' });
+    const { status, body } = await server.api('POST', '/test-print/lan-printer/test', {});
+    assert.equal(status, 200, JSON.stringify(body));
+
+    const job = await lastLanJob();
+    assert.equal(job.dialect, 'star');
+    assert.deepEqual([...job.data.subarray(0, 2)], [ESC, 0x40], 'starts with ESC @ (init)');
+    assert.deepEqual([...job.data.subarray(-3)], [ESC, 0x64, 3], 'ends with ESC d 3 (feed and partial cut)');
+    assert.ok(job.data.includes(Buffer.from([ESC, GS, 0x61, 1])), 'centres with ESC GS a 1');
+    assert.match(job.text, /LAN TEST/);
+  });
+});
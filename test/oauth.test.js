@@ -0,0 +1,141 @@
+/**
+ * OAuth flow against the simulator's mock /oauth/v2 endpoints: one-time authorize link, code exchange,
+ * refresh of an expired access token (Clover answers 401, and ahead of expiry), and a refresh Clover refuses.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request } = require('./helpers/server');
+
+const OAUTH_ENV = {
+  CLOVER_APP_ID: 'sim-app',
+  CLOVER_APP_SECRET: 'sim-app-secret',
+  TOKEN_ENCRYPTION_KEY: 'test-encryption-key',
+};
+const MERCHANT = { 'X-Merchant-Key': 'oauth-sim' };
+
+/** POST /oauth/authorize-link, then open the link like a browser would (no API key). Returns the redirect. */
+async function openAuthorizeLink(server, merchantKey, headers) {
+  const created = await server.api('POST', '/oauth/authorize-link', { merchantKey }, headers);
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  const link = new URL(created.body.url);
+  return server.api('GET', `${link.pathname}${link.search}`);
+}
+
+/** Authorize link → simulator consent (approves at once) → /oauth/callback. Returns the callback response. */
+async function authorize(server, merchantKey) {
+  const start = await openAuthorizeLink(server, merchantKey);
+  assert.equal(start.status, 302);
+  const consentURL = new URL(start.headers.get('location'));
+  assert.equal(consentURL.origin, server.simURL);
+  assert.equal(consentURL.pathname, '/oauth/v2/authorize');
+  const consent = await request(consentURL.origin, 'GET', `${consentURL.pathname}${consentURL.search}`);
+  assert.equal(consent.status, 302);
+  const callbackURL = new URL(consent.headers.get('location'));
+  return server.api('GET', `${callbackURL.pathname}${callbackURL.search}`);
+}
+
+async function simRequests(server, pathPart) {
+  const { body } = await server.sim('GET', '/_sim/requests');
+  return body.requests.filter((r) => r.path.includes(pathPart));
+}
+
+describe('OAuth with a 30-minute access token', () => {
+  let server;
+  before(async () => { server = await startServer(OAUTH_ENV); });
+  after(() => server?.stop());
+
+  test('the callback exchanges the code and stores the tokens', async () => {
+    const callback = await authorize(server, 'oauth-sim');
+    assert.equal(callback.status, 200, JSON.stringify(callback.body));
+    assert.equal(callback.body.merchantKey, 'oauth-sim');
+    assert.equal(callback.body.merchantId, 'SIMMERCHANT01');
+    assert.ok(Date.parse(callback.body.token.accessTokenExpiresAt) > Date.now() + 25 * 60 * 1000);
+    assert.deepEqual((await simRequests(server, '/oauth/v2/token')).map((r) => r.status), [200]);
+
+    const check = await server.api('GET', '/test-print/check', undefined, MERCHANT);
+    assert.equal(check.status, 200, JSON.stringify(check.body));
+    assert.equal(check.body.token.auth, 'oauth');
+  });
+
+  test('a replayed callback code is refused', async () => {
+    const start = await openAuthorizeLink(server, 'oauth-replay');
+    const consentURL = new URL(start.headers.get('location'));
+    const consent = await request(consentURL.origin, 'GET', `${consentURL.pathname}${consentURL.search}`);
+    const code = new URL(consent.headers.get('location')).searchParams.get('code');
+    const token = (body) => server.sim('POST', '/oauth/v2/token', body);
+    assert.equal((await token({ client_id: 'sim-app', client_secret: 'sim-app-secret', code })).status, 200);
+    assert.equal((await token({ client_id: 'sim-app', client_secret: 'sim-app-secret', code })).status, 401);
+  });
+
+  test('an access token Clover has expired is refreshed on the 401 and the call retried', async () => {
+    const expiresBefore = (await server.api('GET', '/test-print/check', undefined, MERCHANT)).body.token.expiresAt;
+    await server.sim('POST', '/_sim/oauth/expire', {});
+
+    const check = await server.api('GET', '/test-print/check', undefined, MERCHANT);
+    assert.equal(check.status, 200, JSON.stringify(check.body));
+    assert.deepEqual((await simRequests(server, '/oauth/v2/refresh')).map((r) => r.status), [200]);
+    assert.ok(Date.parse(check.body.token.expiresAt) >= Date.parse(expiresBefore));
+  });
+
+  test('a refused refresh fails the call with 401 and an auth hint', async () => {
+    await server.sim('POST', '/_sim/oauth/expire', { refreshTokens: true });
+
+    const check = await server.api('GET', '/test-print/check', undefined, MERCHANT);
+    assert.equal(check.status, 401, JSON.stringify(check.body));
+    assert.equal(check.body.success, false);
+    assert.match(check.body.hint, /oauth\/authorize/);
+
+    const refresh = await server.api('POST', '/oauth/refresh', { merchantKey: 'oauth-sim' });
+    assert.equal(refresh.status, 401, JSON.stringify(refresh.body));
+    assert.equal(refresh.body.success, false);
+  });
+});
+
+describe('OAuth authorize link with API_AUTH on', () => {
+  const ADMIN = { Authorization: 'Bearer oauth-test-admin' };
+  let server;
+  before(async () => { server = await startServer({ ...OAUTH_ENV, API_AUTH: 'true', API_ADMIN_KEY: 'oauth-test-admin' }); });
+  after(() => server?.stop());
+
+  test('an admin creates the link; the browser opens it once without a key', async () => {
+    assert.equal((await server.api('POST', '/oauth/authorize-link', { merchantKey: 'oauth-sim' })).status, 401);
+
+    const created = await server.api('POST', '/oauth/authorize-link', { merchantKey: 'oauth-sim' }, ADMIN);
+    assert.equal(created.status, 200, JSON.stringify(created.body));
+    assert.ok(Date.parse(created.body.expiresAt) > Date.now());
+    const link = new URL(created.body.url);
+    const opened = await server.api('GET', `${link.pathname}${link.search}`);
+    assert.equal(opened.status, 302, JSON.stringify(opened.body));
+    assert.equal(new URL(opened.headers.get('location')).origin, server.simURL);
+    assert.equal((await server.api('GET', `${link.pathname}${link.search}`)).status, 400);
+  });
+
+  test('a link for a host that isn\'t a Clover region is refused', async () => {
+    const { status, body } = await server.api('POST', '/oauth/authorize-link', { merchantKey: 'oauth-evil', baseURL: 'https://evil.example' }, ADMIN);
+    assert.equal(status, 400);
+    assert.match(body.details.join(' '), /baseURL must be one of/);
+  });
+
+  test('without a link the redirect is refused', async () => {
+    const { status, body } = await server.api('GET', '/oauth/authorize?merchantKey=oauth-sim', undefined, ADMIN);
+    assert.equal(status, 401);
+    assert.match(body.error, /authorize-link/);
+  });
+});
+
+describe('OAuth with an access token inside the refresh margin', () => {
+  let server;
+  // 30s is inside the one-minute margin, so every stored token is refreshed before it is used.
+  before(async () => { server = await startServer({ ...OAUTH_ENV, SIMULATOR_OAUTH_TOKEN_TTL_MS: '30000' }); });
+  after(() => server?.stop());
+
+  test('the token is refreshed before the Clover call, without a 401', async () => {
+    assert.equal((await authorize(server, 'oauth-sim')).status, 200);
+
+    const check = await server.api('GET', '/test-print/check', undefined, MERCHANT);
+    assert.equal(check.status, 200, JSON.stringify(check.body));
+    assert.ok((await simRequests(server, '/oauth/v2/refresh')).length >= 1);
+    assert.deepEqual((await simRequests(server, '/v3/merchants/')).filter((r) => r.status === 401), []);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * /test-print/orders routes end to end against the simulator: an order goes from create-and-lock
+ * through edits, lock, fulfill and void to delete, with an UPDATED ticket printed on the way.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+/** Poll GET /test-print/jobs/:jobId until the job is done or dead. */
+async function finishedJob(server, jobId) {
+  for (let i = 0; i < 50; i++) {
+    const { body } = await server.api('GET', `/test-print/jobs/${jobId}`);
+    if (['done', 'dead'].includes(body.job.status)) return body.job;
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+describe('order lifecycle', () => {
+  let server;
+  let orderId;
+  let lineItemId;
+  const orders = (path = '') => `/test-print/orders/${orderId}${path}`;
+
+  before(async () => {
+    server = await startServer();
+    const { body } = await server.api('POST', '/test-print', { lineItems: [{ itemId: 'SIM-ITEM-BURGER' }] });
+    orderId = body.orderId;
+  });
+  after(() => server?.stop());
+
+  test('GET /test-print/orders/:orderId', async () => {
+    const { status, body } = await server.api('GET', orders());
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.orderStatus, 'locked');
+    assert.ok(body.actions.includes('unlock'));
+    assert.equal((await server.api('GET', '/test-print/orders/NO-SUCH-ORDER')).status, 404);
+  });
+
+  test('a locked order can\'t be edited until it is unlocked', async () => {
+    const denied = await server.api('POST', orders('/line_items'), { itemId: 'SIM-ITEM-NAAN' });
+    assert.equal(denied.status, 409, JSON.stringify(denied.body));
+
+    const unlocked = await server.api('POST', orders('/unlock'), {});
+    assert.equal(unlocked.status, 200, JSON.stringify(unlocked.body));
+    assert.equal(unlocked.body.orderStatus, 'open');
+  });
+
+  test('line items: add, update, remove', async () => {
+    const added = await server.api('POST', orders('/line_items'), { itemId: 'SIM-ITEM-NAAN', note: 'well done' });
+    assert.equal(added.status, 200, JSON.stringify(added.body));
+    lineItemId = added.body.lineItemId;
+
+    const updated = await server.api('PATCH', orders(`/line_items/${lineItemId}`), { price: 250 });
+    assert.equal(updated.status, 200, JSON.stringify(updated.body));
+    assert.equal(updated.body.order.lineItems.elements.find((li) => li.id === lineItemId).price, 250);
+
+    const removed = await server.api('DELETE', orders(`/line_items/${lineItemId}`), {});
+    assert.equal(removed.status, 200, JSON.stringify(removed.body));
+    assert.equal(removed.body.order.lineItems.elements.length, 1);
+    assert.equal((await server.api('POST', orders('/line_items'), {})).status, 400);
+  });
+
+  test('discounts: add and remove', async () => {
+    const added = await server.api('POST', orders('/discounts'), { name: 'Staff 10%', percentage: 10 });
+    assert.equal(added.status, 200, JSON.stringify(added.body));
+    const removed = await server.api('DELETE', orders(`/discounts/${added.body.discountId}`), {});
+    assert.equal(removed.status, 200, JSON.stringify(removed.body));
+  });
+
+  test('service charge: apply and remove', async () => {
+    const added = await server.api('POST', orders('/service_charge'), {});
+    assert.equal(added.status, 200, JSON.stringify(added.body));
+    const serviceChargeId = added.body.order.serviceCharge.id;
+    const removed = await server.api('DELETE', orders(`/service_charge/${serviceChargeId}`), {});
+    assert.equal(removed.status, 200, JSON.stringify(removed.body));
+  });
+
+  test('PUT note with an UPDATED ticket', async () => {
+    const { status, body } = await server.api('PUT', orders('/note'), { note: 'No onions', reprint: true });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.order.note, 'No onions');
+    assert.equal(body.reprint.kind, 'UPDATED');
+    assert.equal((await finishedJob(server, body.reprint.jobId)).status, 'done');
+  });
+
+  test('a change ticket is created once, without prices, however often its print is retried', async () => {
+    const { body } = await server.api('PUT', orders('/note'), { note: 'Extra napkins', reprint: { deviceId: 'SIM-DEV-JAMMED' } });
+    const job = await finishedJob(server, body.reprint.jobId);
+    assert.equal(job.status, 'dead');
+    assert.ok(job.attempts > 1);
+    assert.equal(job.ticket.orderId, orderId);
+
+    const { body: sim } = await server.sim('GET', '/_sim/requests');
+    const created = sim.requests.filter((r) => r.method === 'POST' && /\/orders$/.test(r.path));
+    const ticket = await server.api('GET', `/test-print/verify/${job.orderId}`);
+    assert.equal(ticket.body.orderDetails.title, job.ticket.title);
+    assert.ok(ticket.body.orderDetails.lineItems.elements.every((li) => li.price === 0));
+    assert.equal(created.length, 3, 'the order, the first UPDATED ticket and this one');
+  });
+
+  test('lock, fulfill, void and delete', async () => {
+    for (const [method, path, nextStatus] of [
+      ['POST', '/lock', 'locked'],
+      ['POST', '/fulfill', 'fulfilled'],
+      ['POST', '/void', 'voided'],
+      ['DELETE', '', 'deleted'],
+    ]) {
+      const { status, body } = await server.api(method, orders(path), {});
+      assert.equal(status, 200, `${method} ${path}: ${JSON.stringify(body)}`);
+      assert.equal(body.orderStatus, nextStatus);
+    }
+    assert.equal((await server.api('GET', orders())).status, 404);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Print audit log (DATA_DIR/print-audit.jsonl): a print and its final state survive a server restart,
+ * and the JSON Lines store behind it stays within maxEntries however often it is written.
+ */
+
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clover-print-audit-'));
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+/** GET /test-print/history?orderId= until its entry has a final state. */
+async function finalEntry(server, orderId) {
+  for (let i = 0; i < 50; i++) {
+    const { body } = await server.api('GET', `/test-print/history?orderId=${orderId}`);
+    if (body.entries[0]?.state === 'DONE') return body.entries[0];
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`No DONE history entry for ${orderId}`);
+}
+
+describe('print history across a restart', () => {
+  test('the attempt and its final state are still there after the server restarts', async () => {
+    let server = await startServer({ DATA_DIR: dataDir });
+    let orderId;
+    let before;
+    try {
+      const { status, body } = await server.api('POST', '/test-print', { waitForResult: true });
+      assert.equal(status, 200, JSON.stringify(body));
+      orderId = body.orderId;
+      before = await finalEntry(server, orderId);
+    } finally {
+      await server.stop();
+    }
+
+    server = await startServer({ DATA_DIR: dataDir });
+    try {
+      const { body } = await server.api('GET', `/test-print/history?orderId=${orderId}`);
+      assert.equal(body.count, 1);
+      assert.deepEqual(body.entries[0], before);
+    } finally {
+      await server.stop();
+    }
+  });
+});
+
+describe('JSON Lines store', () => {
+  process.env.DATA_DIR = dataDir;
+  const { createJsonlStore } = require('../src/stores/jsonlStore');
+  const options = { retentionMs: 60 * 60 * 1000, maxEntries: 5, compactEvery: 3 };
+  const lines = (store) => fs.readFileSync(store.filePath, 'utf8').split('\n').filter(Boolean).length;
+
+  test('appends and patches stay within maxEntries + compactEvery lines, and reload the same', () => {
+    const store = createJsonlStore('bounded.jsonl', options);
+    for (let i = 0; i < 20; i++) {
+      store.append({ id: `e${i}`, at: new Date().toISOString(), n: i });
+      store.update(`e${i}`, { state: 'DONE' });
+      assert.ok(lines(store) < options.maxEntries + options.compactEvery, `${lines(store)} lines after entry ${i}`);
+    }
+    assert.deepEqual(store.read().map((e) => e.n), [15, 16, 17, 18, 19]);
+
+    const reloaded = createJsonlStore('bounded.jsonl', options);
+    assert.deepEqual(reloaded.read(), store.read());
+    assert.ok(reloaded.read().every((e) => e.state === 'DONE'));
+    assert.equal(lines(reloaded), options.maxEntries);
+  });
+
+  test('expired entries and a line cut short by a crash are dropped on load', () => {
+    const filePath = path.join(dataDir, 'expired.jsonl');
+    const old = new Date(Date.now() - 2 * options.retentionMs).toISOString();
+    fs.writeFileSync(filePath, `${JSON.stringify({ id: 'old', at: old })}\n${JSON.stringify({ id: 'new', at: new Date().toISOString() })}\n{"id":"cut`);
+    const store = createJsonlStore('expired.jsonl', options);
+    assert.deepEqual(store.read().map((e) => e.id), ['new']);
+    assert.equal(lines(store), 1);
+  });
+});
@@ -0,0 +1,409 @@
+/**
+ * Every /test-print route, end to end against the simulator: orders are created, locked and printed
+ * through the job queue on the simulated devices, and the results read back over HTTP.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, freePort } = require('./helpers/server');
+
+const MERCHANT_ID = 'SIMMERCHANT01';
+
+let server;
+let lanPort;
+/** POST /test-print {} with waitForResult; resolves with the printed orderId. */
+async function printedOrder(body = {}) {
+  const { status, body: res } = await server.api('POST', '/test-print', { waitForResult: true, ...body });
+  assert.equal(status, 200, JSON.stringify(res));
+  return res.orderId;
+}
+
+/** How many orders the simulator has been asked to create. */
+async function createdOrders() {
+  const { body } = await server.sim('GET', '/_sim/requests');
+  return body.requests.filter((r) => r.method === 'POST' && /\/orders$/.test(r.path)).length;
+}
+
+before(async () => {
+  lanPort = await freePort();
+  server = await startServer({ SIMULATOR_LAN_PORT: String(lanPort) });
+});
+after(() => server?.stop());
+
+describe('connection and Clover data', () => {
+  test('GET /test-print/check', async () => {
+    const { status, body } = await server.api('GET', '/test-print/check');
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.merchantId, MERCHANT_ID);
+    assert.equal(body.token.auth, 'token');
+  });
+
+  test('GET /test-print/how-to-print', async () => {
+    const { status, body } = await server.api('GET', '/test-print/how-to-print');
+    assert.equal(status, 200);
+    assert.equal(typeof body, 'object');
+  });
+
+  test('GET /test-print/order-types', async () => {
+    const { status, body } = await server.api('GET', '/test-print/order-types');
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.ok(body.orderTypes.some((t) => t.id === 'SIM-OT-ONLINE'));
+  });
+
+  test('GET /test-print/devices', async () => {
+    const { status, body } = await server.api('GET', '/test-print/devices');
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.ok(body.devices.some((d) => d.id === 'SIM-DEV-FRONT'));
+  });
+
+  test('GET /test-print/readiness', async () => {
+    const { status, body } = await server.api('GET', '/test-print/readiness');
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.ready, true, JSON.stringify(body.checks));
+    assert.equal(body.testPrint.state, 'DONE');
+
+    assert.equal((await server.api('GET', '/test-print/readiness?print=false')).status, 200);
+    assert.equal((await server.api('GET', '/test-print/readiness?print=maybe')).status, 400);
+  });
+});
+
+describe('printing', () => {
+  test('POST /test-print with dummy items prints on the default device', async () => {
+    const { status, body } = await server.api('POST', '/test-print', { waitForResult: true });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.success, true);
+    assert.equal(body.printState, 'DONE');
+    assert.equal(body.confirmation.orderState, 'locked');
+    assert.equal(body.confirmation.lineItemCount, 2);
+  });
+
+  test('POST /test-print with real line items, modifiers and a customer', async () => {
+    const { status, body } = await server.api('POST', '/test-print', {
+      lineItems: [
+        { itemId: 'SIM-ITEM-BURGER', quantity: 2, modifiers: [{ id: 'SIM-MOD-CHEESE' }] },
+        { custom: true, name: 'Extra sauce', price: 50, note: 'on the side' },
+      ],
+      customer: { name: 'Jane D.' },
+      orderTypeId: 'SIM-OT-ONLINE',
+    });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.confirmation.orderDetails.title, 'Jane D.');
+    assert.equal(body.confirmation.lineItemCount, 3, 'two burgers (one line each) and the sauce');
+    const burgers = body.confirmation.orderDetails.lineItems.elements.filter((li) => li.item?.id === 'SIM-ITEM-BURGER');
+    assert.equal(burgers.length, 2);
+
+    const ticket = await server.api('GET', `/test-print/preview/${body.orderId}?format=text`);
+    assert.match(ticket.body, /2 x Burger/);
+    assert.match(ticket.body, /1 x Extra sauce/);
+  });
+
+  test('POST /test-print rejects an invalid body', async () => {
+    const { status, body } = await server.api('POST', '/test-print', { copies: 0 });
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+
+    const twoModes = await server.api('POST', '/test-print', { deviceId: 'SIM-DEV-FRONT', route: true });
+    assert.equal(twoModes.status, 400);
+    assert.equal(twoModes.body.error, 'Invalid request body.');
+    assert.deepEqual(twoModes.body.details, ['Use only one of deviceId, tryAllDevices, route and split (got deviceId, route).']);
+  });
+
+  test('POST /test-print replays a request with the same Idempotency-Key', async () => {
+    const headers = { 'Idempotency-Key': 'e2e-test-print-1' };
+    const first = await server.api('POST', '/test-print', {}, headers);
+    const second = await server.api('POST', '/test-print', {}, headers);
+    assert.equal(first.status, 200, JSON.stringify(first.body));
+    assert.equal(second.headers.get('idempotent-replayed'), 'true');
+    assert.equal(second.body.orderId, first.body.orderId);
+  });
+
+  test('a client that hangs up keeps its Idempotency-Key; the retry waits for the first response', async () => {
+    const headers = { 'Content-Type': 'application/json', 'Idempotency-Key': 'e2e-test-print-hangup' };
+    const body = JSON.stringify({ deviceId: 'SIM-DEV-SLOW', waitForResult: true });
+    const ordersBefore = await createdOrders();
+    const controller = new AbortController();
+    const first = fetch(`${server.url}/test-print`, { method: 'POST', headers, body, signal: controller.signal });
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    controller.abort();
+    await assert.rejects(first);
+
+    const retry = await server.api('POST', '/test-print', JSON.parse(body), headers);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.ok(retry.body.orderId, JSON.stringify(retry.body));
+    assert.equal(await createdOrders(), ordersBefore + 1);
+  });
+
+  test('POST /test-print on a jammed device answers 202 while the queue retries', async () => {
+    const { status, body } = await server.api('POST', '/test-print', { deviceId: 'SIM-DEV-JAMMED', waitForResult: true });
+    assert.equal(status, 202, JSON.stringify(body));
+    assert.equal(body.printState, 'FAILED');
+    assert.equal(body.job.status, 'pending');
+    await server.api('POST', `/test-print/jobs/${body.job.id}/cancel`);
+  });
+
+  test('POST /test-print/send-print prints an existing order again', async () => {
+    const orderId = await printedOrder();
+    const { status, body } = await server.api('POST', '/test-print/send-print', { orderId, waitForResult: true });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.printState, 'DONE');
+    assert.equal(body.printEvent.final.state, 'DONE');
+  });
+
+  test('POST /test-print/send-print with copies reports every copy', async () => {
+    const orderId = await printedOrder();
+    const { status, body } = await server.api('POST', '/test-print/send-print', { orderId, copies: 2, waitForResult: true });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.printEvent.mode, 'copies');
+    assert.deepEqual(body.printEvent.report.map((r) => r.state), ['DONE', 'DONE']);
+  });
+
+  test('POST /test-print/send-print for an unknown order fails with the Clover status', async () => {
+    const { status, body } = await server.api('POST', '/test-print/send-print', { orderId: 'NO-SUCH-ORDER' });
+    assert.equal(status, 404, JSON.stringify(body));
+    assert.equal(body.success, false);
+    assert.equal(body.job.status, 'dead');
+  });
+
+  test('POST /test-print/send-print with split prints the receipt and a station ticket', async () => {
+    const orderId = await printedOrder({ lineItems: [{ itemId: 'SIM-ITEM-BURGER' }, { itemId: 'SIM-ITEM-LASSI' }] });
+    const split = { stations: [{ name: 'Grill', itemIds: ['SIM-ITEM-BURGER'], deviceIds: ['SIM-DEV-KITCHEN'] }] };
+    const { status, body } = await server.api('POST', '/test-print/send-print', { orderId, split, waitForResult: true });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.deepEqual(body.printEvent.targets.map((t) => t.key), ['receipt', 'station:Grill']);
+    assert.equal(body.job.stationTickets.length, 1);
+  });
+
+  test('POST /test-print/debug-print', async () => {
+    const orderId = await printedOrder();
+    const { status, body } = await server.api('POST', '/test-print/debug-print', { orderId, deviceId: 'SIM-DEV-FRONT' });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.diagnostic.printRequests.length, 1);
+    assert.ok(body.diagnostic.printRequests[0].cloverResponse.id);
+  });
+
+  test('GET /test-print/verify/:orderId', async () => {
+    const orderId = await printedOrder();
+    const { status, body } = await server.api('GET', `/test-print/verify/${orderId}`);
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.orderState, 'locked');
+    assert.equal((await server.api('GET', '/test-print/verify/NO-SUCH-ORDER')).status, 404);
+  });
+});
+
+describe('print events and history', () => {
+  let orderId;
+  before(async () => { orderId = await printedOrder(); });
+
+  test('GET /test-print/print-events and /print-events/:eventId', async () => {
+    const list = await server.api('GET', `/test-print/print-events?orderId=${orderId}`);
+    assert.equal(list.status, 200, JSON.stringify(list.body));
+    assert.equal(list.body.count, 1);
+    const [event] = list.body.printEvents;
+
+    const one = await server.api('GET', `/test-print/print-events/${event.eventId}`);
+    assert.equal(one.status, 200, JSON.stringify(one.body));
+    assert.equal(one.body.tracked, true);
+    assert.equal(one.body.printEvent.state, 'DONE');
+    assert.equal((await server.api('GET', '/test-print/print-events/NO-SUCH-EVENT')).status, 404);
+  });
+
+  test('GET /test-print/history as JSON and CSV', async () => {
+    const json = await server.api('GET', `/test-print/history?orderId=${orderId}`);
+    assert.equal(json.status, 200, JSON.stringify(json.body));
+    assert.equal(json.body.entries[0].state, 'DONE');
+    assert.equal(json.body.entries[0].caller.source, 'test-print');
+
+    const csv = await server.api('GET', `/test-print/history?orderId=${orderId}&format=csv`);
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get('content-type'), /text\/csv/);
+    assert.match(csv.body, /^at,orderId,deviceId,state/);
+    assert.ok(csv.body.includes(orderId));
+    assert.equal((await server.api('GET', '/test-print/history?from=yesterday')).status, 400);
+    const xml = await server.api('GET', '/test-print/history?format=xml');
+    assert.equal(xml.status, 400);
+    assert.deepEqual(xml.body.details, ['format must be one of: json, csv.']);
+  });
+
+  test('GET /test-print/devices/health', async () => {
+    const { status, body } = await server.api('GET', '/test-print/devices/health');
+    assert.equal(status, 200, JSON.stringify(body));
+    const front = body.devices.find((d) => d.deviceId === 'SIM-DEV-FRONT');
+    assert.equal(front.status, 'healthy');
+  });
+
+  test('GET /test-print/preview/:orderId', async () => {
+    const html = await server.api('GET', `/test-print/preview/${orderId}`);
+    assert.equal(html.status, 200);
+    assert.match(html.headers.get('content-type'), /text\/html/);
+
+    const escpos = await server.api('GET', `/test-print/preview/${orderId}?format=escpos&encoding=base64`);
+    assert.equal(escpos.status, 200, JSON.stringify(escpos.body));
+    assert.equal(Buffer.from(escpos.body.data, 'base64')[0], 0x1b);
+    assert.equal((await server.api('GET', `/test-print/preview/${orderId}?width=5`)).status, 400);
+    assert.equal((await server.api('GET', `/test-print/preview/${orderId}?width=42&format=text`)).status, 200);
+    const zone = await server.api('GET', `/test-print/preview/${orderId}?timezone=Mars/Olympus`);
+    assert.equal(zone.status, 400);
+    assert.match(zone.body.details[0], /^timezone must be an IANA time zone/);
+  });
+});
+
+describe('routing rules', () => {
+  const rules = {
+    rules: [{ name: 'Online to kitchen', when: { orderTypeIds: ['SIM-OT-ONLINE'] }, deviceIds: ['SIM-DEV-KITCHEN'] }],
+    fallbackDeviceIds: ['SIM-DEV-FRONT'],
+  };
+
+  test('PUT, GET, preview, print and DELETE', async () => {
+    const put = await server.api('PUT', '/test-print/routing/rules', rules);
+    assert.equal(put.status, 200, JSON.stringify(put.body));
+    assert.equal((await server.api('GET', '/test-print/routing/rules')).body.routing.rules.length, 1);
+
+    const preview = await server.api('POST', '/test-print/routing/preview', { orderTypeId: 'SIM-OT-ONLINE' });
+    assert.equal(preview.status, 200, JSON.stringify(preview.body));
+    assert.deepEqual(preview.body.targets.map((t) => t.deviceIds), [['SIM-DEV-KITCHEN']]);
+
+    const orderId = await printedOrder({ orderTypeId: 'SIM-OT-ONLINE' });
+    const routed = await server.api('POST', '/test-print/send-print', { orderId, route: true, waitForResult: true });
+    assert.equal(routed.status, 200, JSON.stringify(routed.body));
+    assert.equal(routed.body.printEvent.report[0].deviceId, 'SIM-DEV-KITCHEN');
+
+    assert.equal((await server.api('DELETE', '/test-print/routing/rules')).status, 200);
+    assert.equal((await server.api('DELETE', '/test-print/routing/rules')).status, 404);
+  });
+});
+
+describe('print jobs', () => {
+  test('GET /test-print/jobs, /jobs/:jobId, cancel and retry', async () => {
+    const jammed = await server.api('POST', '/test-print', { deviceId: 'SIM-DEV-JAMMED', waitForResult: true });
+    const jobId = jammed.body.job.id;
+
+    const list = await server.api('GET', '/test-print/jobs?status=pending');
+    assert.equal(list.status, 200);
+    assert.ok(list.body.jobs.some((j) => j.id === jobId));
+    assert.equal((await server.api('GET', `/test-print/jobs/${jobId}`)).body.job.orderId, jammed.body.orderId);
+    assert.equal((await server.api('GET', '/test-print/jobs/no-such-job')).status, 404);
+
+    const cancelled = await server.api('POST', `/test-print/jobs/${jobId}/cancel`);
+    assert.equal(cancelled.status, 200, JSON.stringify(cancelled.body));
+    assert.equal(cancelled.body.job.status, 'cancelled');
+    assert.equal((await server.api('POST', `/test-print/jobs/${jobId}/cancel`)).status, 409);
+
+    const retried = await server.api('POST', `/test-print/jobs/${jobId}/retry`);
+    assert.equal(retried.status, 200, JSON.stringify(retried.body));
+    assert.equal(retried.body.job.attempts, 0);
+    await server.api('POST', `/test-print/jobs/${jobId}/cancel`);
+  });
+
+  test('scheduled prints: POST, GET and DELETE', async () => {
+    const orderId = await printedOrder();
+    const printAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const created = await server.api('POST', '/test-print/scheduled-prints', { orderId, printAt });
+    assert.equal(created.status, 202, JSON.stringify(created.body));
+    assert.equal(created.body.job.status, 'scheduled');
+    const jobId = created.body.job.id;
+
+    const list = await server.api('GET', '/test-print/scheduled-prints');
+    assert.ok(list.body.scheduledPrints.some((j) => j.jobId === jobId));
+    assert.equal((await server.api('DELETE', `/test-print/scheduled-prints/${jobId}`)).status, 200);
+    assert.equal((await server.api('DELETE', `/test-print/scheduled-prints/${jobId}`)).status, 409);
+    assert.equal((await server.api('DELETE', '/test-print/scheduled-prints/no-such-job')).status, 404);
+  });
+
+  test('batch prints: dry run, POST, GET and cancel', async () => {
+    const orderIds = [await printedOrder(), await printedOrder()];
+    const dryRun = await server.api('POST', '/test-print/batch-prints', { orderIds, dryRun: true });
+    assert.equal(dryRun.status, 200, JSON.stringify(dryRun.body));
+    assert.deepEqual(dryRun.body.orderIds, orderIds);
+
+    const created = await server.api('POST', '/test-print/batch-prints', { orderIds, intervalMs: 60000 });
+    assert.equal(created.status, 202, JSON.stringify(created.body));
+    const { batchId } = created.body;
+    const batch = await server.api('GET', `/test-print/batch-prints/${batchId}`);
+    assert.equal(batch.status, 200);
+    assert.equal(batch.body.batch.jobs.length, 2);
+
+    const cancelled = await server.api('POST', `/test-print/batch-prints/${batchId}/cancel`);
+    assert.equal(cancelled.status, 200, JSON.stringify(cancelled.body));
+    assert.equal(cancelled.body.batch.cancelled, 1);
+    assert.equal((await server.api('GET', '/test-print/batch-prints/no-such-batch')).status, 404);
+  });
+});
+
+describe('device discovery', () => {
+  test('POST /discovery, GET sessions and confirm by label', async () => {
+    const started = await server.api('POST', '/test-print/discovery', {
+      deviceIds: ['SIM-DEV-FRONT', 'SIM-DEV-KITCHEN'],
+      waitForResult: true,
+    });
+    assert.equal(started.status, 200, JSON.stringify(started.body));
+    const { session } = started.body;
+    assert.equal(session.status, 'awaiting_confirmation');
+
+    assert.ok((await server.api('GET', '/test-print/discovery')).body.sessions.some((s) => s.id === session.id));
+    assert.equal((await server.api('GET', `/test-print/discovery/${session.id}`)).body.session.id, session.id);
+    assert.equal((await server.api('GET', '/test-print/discovery/no-such-session')).status, 404);
+
+    const kitchen = session.devices.find((d) => d.deviceId === 'SIM-DEV-KITCHEN');
+    const both = await server.api('POST', `/test-print/discovery/${session.id}/confirm`, { label: kitchen.label, deviceId: 'SIM-DEV-KITCHEN' });
+    assert.equal(both.status, 400);
+    assert.equal((await server.api('POST', `/test-print/discovery/${session.id}/confirm`, {})).status, 400);
+    const confirmed = await server.api('POST', `/test-print/discovery/${session.id}/confirm`, { label: kitchen.label });
+    assert.equal(confirmed.status, 200, JSON.stringify(confirmed.body));
+    assert.equal(confirmed.body.defaults.deviceId, 'SIM-DEV-KITCHEN');
+
+    // Put the firing device back for the tests that follow.
+    const front = session.devices.find((d) => d.deviceId === 'SIM-DEV-FRONT');
+    await server.api('POST', `/test-print/discovery/${session.id}/confirm`, { label: front.label });
+  });
+});
+
+describe('LAN printer', () => {
+  test('PUT, GET, test print to the simulator sink, DELETE', async () => {
+    const put = await server.api('PUT', '/test-print/lan-printer', { host: '127.0.0.1', port: lanPort, model: 'SP700' });
+    assert.equal(put.status, 200, JSON.stringify(put.body));
+    assert.equal((await server.api('GET', '/test-print/lan-printer')).body.lanPrinter.port, lanPort);
+
+    const printed = await server.api('POST', '/test-print/lan-printer/test', {});
+    assert.equal(printed.status, 200, JSON.stringify(printed.body));
+    const { body: lanJobs } = await server.sim('GET', '/_sim/lan-jobs');
+    assert.equal(lanJobs.jobs[0].bytes, printed.body.bytes);
+    assert.match(lanJobs.jobs[0].text, /LAN TEST/);
+
+    assert.equal((await server.api('DELETE', '/test-print/lan-printer')).status, 200);
+    assert.equal((await server.api('POST', '/test-print/lan-printer/test', {})).status, 400);
+  });
+});
+
+describe('cleanup', () => {
+  test('POST /test-print/cleanup: dry run, then delete', async () => {
+    const dryRun = await server.api('POST', '/test-print/cleanup', {});
+    assert.equal(dryRun.status, 200, JSON.stringify(dryRun.body));
+    assert.ok(dryRun.body.orderCount > 0);
+
+    const done = await server.api('POST', '/test-print/cleanup', { confirm: true });
+    assert.equal(done.status, 200, JSON.stringify(done.body));
+    assert.ok(done.body.orders.every((o) => o.deleted), JSON.stringify(done.body.orders));
+    assert.equal((await server.api('POST', '/test-print/cleanup', {})).body.orderCount, 0);
+  });
+});
+
+describe('merchant-scoped API key', () => {
+  const ADMIN = { Authorization: 'Bearer scoped-test-admin' };
+  let authServer;
+  let scoped;
+  before(async () => {
+    authServer = await startServer({ API_AUTH: 'true', API_ADMIN_KEY: 'scoped-test-admin' });
+    const created = await authServer.api('POST', '/api-keys', { name: 'default reader', role: 'read', merchants: ['default'] }, ADMIN);
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    scoped = { Authorization: `Bearer ${created.body.key}` };
+  });
+  after(() => authServer?.stop());
+
+  test('reads its merchant and the how-to-print guide, not the merchant registry', async () => {
+    assert.equal((await authServer.api('GET', '/test-print/check', undefined, scoped)).status, 200);
+    const guide = await authServer.api('GET', '/test-print/how-to-print', undefined, scoped);
+    assert.equal(guide.status, 200, JSON.stringify(guide.body));
+    assert.ok(guide.body.steps);
+    assert.equal((await authServer.api('GET', '/merchants', undefined, scoped)).status, 403);
+  });
+});